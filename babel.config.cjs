@@ -0,0 +1,23 @@
+// Babel is only used by Jest (babel-jest, see jest.config.js); Vite builds the
+// app itself. Tests run on the Node in use, as CommonJS.
+
+// Vite's import.meta.env does not exist under Jest: read the same variables
+// from process.env instead
+const importMetaEnvToProcessEnv = ({ types: t }) => ({
+  visitor: {
+    MemberExpression(path) {
+      const { object, property } = path.node;
+      if (t.isMetaProperty(object) && object.meta.name === 'import' && t.isIdentifier(property, { name: 'env' })) {
+        path.replaceWith(t.memberExpression(t.identifier('process'), t.identifier('env')));
+      }
+    }
+  }
+});
+
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ],
+  plugins: [importMetaEnvToProcessEnv]
+};
@@ -26,4 +26,16 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['**/__tests__/**/*.{js,jsx}', 'src/setupTests.js'],
+    languageOptions: {
+      globals: { ...globals.jest, ...globals.node },
+    },
+  },
 ])
@@ -0,0 +1,463 @@
+// POS Server for LAN Installs
+// ================================================
+// Runs a single outlet with no internet: keeps the documents of the local
+// storage backend (src/storage/local) in a JSON file and shares them live
+// with every device on the network. Also serves the built app from dist/,
+// so devices only need the server's address.
+//
+//   npm run build:lan && npm run serve:lan
+//   then open http://<this machine's address>:8787 on each device
+//
+// Environment: POS_PORT (8787), POS_HOST (0.0.0.0), POS_DATA_FILE
+// (server/data/pos-data.json), POS_ALLOWED_ORIGINS (comma-separated origins
+// other than the server's own that may call the API, e.g. a dev server at
+// http://localhost:5173; none by default).
+//
+// API (used by createServerPersistence in src/storage/local/persistence.js):
+// - GET  /api/documents  every document as { documents: [{ path, data, version }] }
+// - POST /api/commit     { reads: [{ path, version }], changes: [{ path, data }] }
+//                        applies the changes atomically; 409 with the current
+//                        documents when one that was read has changed since
+//                        (clients list every document they write in reads, so
+//                        two devices never overwrite each other's changes)
+// - GET  /api/events     server-sent events, one { changes } message per commit
+// - /api/auth/...        accounts and sessions, see Accounts below
+//
+// Every data route needs a session token (Authorization: Bearer <token>, or
+// ?token= for the event stream, which cannot send headers), except before the
+// first account exists. Accounts and sessions are kept with the documents but
+// never sent to or written by devices. Requests from pages on other origins
+// are refused.
+
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.POS_PORT) || 8787;
+const HOST = process.env.POS_HOST || '0.0.0.0';
+const DATA_FILE = path.resolve(process.env.POS_DATA_FILE || path.join(ROOT, 'server', 'data', 'pos-data.json'));
+const DIST_DIR = path.join(ROOT, 'dist');
+const SAVE_DELAY = 200;
+const HEARTBEAT_INTERVAL = 25000;
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const ALLOWED_ORIGINS = (process.env.POS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const ACCOUNTS_COLLECTION = 'local_accounts';
+const SESSIONS_COLLECTION = 'local_sessions';
+const PRIVATE_COLLECTIONS = [ACCOUNTS_COLLECTION, SESSIONS_COLLECTION];
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RECENT_LOGIN_WINDOW = 5 * 60 * 1000; // Password changes need the current password this recently
+const MIN_PASSWORD_LENGTH = 6;
+// scrypt cost; stored on each account so it can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.map': 'application/json; charset=utf-8'
+};
+
+// path -> { data, version }
+const documents = new Map();
+const eventClients = new Set(); // { response, sessionId }
+let saveTimer = null;
+let saving = Promise.resolve();
+
+// ================================================
+// Data file
+// ================================================
+
+const loadDocuments = async () => {
+  try {
+    const stored = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+    stored.forEach(({ path: docPath, data, version }) => documents.set(docPath, { data, version }));
+    console.log(`Loaded ${documents.size} documents from ${DATA_FILE}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.log(`No data yet; it will be saved to ${DATA_FILE}`);
+  }
+};
+
+// Written to a temporary file first so a crash never leaves half a file
+const saveDocuments = async () => {
+  const list = [...documents].map(([docPath, entry]) => ({ path: docPath, ...entry }));
+  const temporary = `${DATA_FILE}.tmp`;
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  await fs.writeFile(temporary, JSON.stringify(list));
+  await fs.rename(temporary, DATA_FILE);
+};
+
+const scheduleSave = () => {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    saving = saving
+      .then(saveDocuments)
+      .catch(error => console.error('Error saving data file:', error));
+  }, SAVE_DELAY);
+};
+
+// ================================================
+// API
+// ================================================
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request too large'));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+    } catch (error) {
+      reject(error);
+    }
+  });
+  request.on('error', reject);
+});
+
+const currentDocument = (docPath) => {
+  const entry = documents.get(docPath);
+  return { path: docPath, data: entry ? entry.data : null, version: entry ? entry.version : 0 };
+};
+
+const isPrivatePath = (docPath) => PRIVATE_COLLECTIONS.includes(String(docPath).split('/')[0]);
+
+const broadcast = (changes) => {
+  const shared = changes.filter(change => !isPrivatePath(change.path));
+  if (shared.length === 0) return;
+  const message = `data: ${JSON.stringify({ changes: shared })}\n\n`;
+  eventClients.forEach(client => client.response.write(message));
+};
+
+// Server-side writes (accounts and sessions); saved like any commit but never broadcast
+const writeDocument = (docPath, data) => {
+  const version = currentDocument(docPath).version + 1;
+  if (data === null) documents.delete(docPath);
+  else documents.set(docPath, { data, version });
+  scheduleSave();
+};
+
+// ================================================
+// Accounts
+// ================================================
+// Accounts (local_accounts/<uid>) hold a scrypt hash of the password; accounts
+// made before carry a single salted SHA-256 hash and are moved to scrypt the
+// next time they sign in. Sessions (local_sessions/<SHA-256 of the token>) last
+// SESSION_LIFETIME and end at sign-out.
+// - GET  /api/auth/session   { user, setup } for the token sent; setup while no account exists
+// - POST /api/auth/sign-in   { email, password } -> { token, user }
+// - POST /api/auth/sign-up   { email, password } -> { token, user }; the first
+//                            account, then only by a signed-in admin, whose
+//                            session ends as the device moves to the new account
+// - POST /api/auth/sign-out  ends the session
+// - POST /api/auth/verify    { password } confirms the current password
+// - POST /api/auth/password  { password } sets a new one, soon after verify
+
+const scryptAsync = promisify(scrypt);
+
+const authFailure = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+const hashPassword = async (password, salt, params = SCRYPT_PARAMS) =>
+  (await scryptAsync(password, salt, SCRYPT_KEY_LENGTH, params)).toString('hex');
+
+const createPasswordFields = async (password) => {
+  const salt = randomBytes(16).toString('hex');
+  return { salt, kdf: { name: 'scrypt', ...SCRYPT_PARAMS }, passwordHash: await hashPassword(password, salt) };
+};
+
+const sameHash = (a, b) => {
+  const left = Buffer.from(String(a), 'hex');
+  const right = Buffer.from(String(b), 'hex');
+  return left.length === right.length && left.length > 0 && timingSafeEqual(left, right);
+};
+
+const verifyPassword = async (account, password) => {
+  if (account.kdf?.name === 'scrypt') {
+    const { N, r, p } = account.kdf;
+    return sameHash(await hashPassword(password, account.salt, { N, r, p }), account.passwordHash);
+  }
+  const legacyHash = createHash('sha256').update(`${account.salt}:${password}`).digest('hex');
+  return sameHash(legacyHash, account.passwordHash);
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const findAccount = (email) => {
+  const wanted = String(email || '').toLowerCase();
+  for (const [docPath, entry] of documents) {
+    if (docPath.startsWith(`${ACCOUNTS_COLLECTION}/`) && entry.data.email === wanted) {
+      return { uid: docPath.split('/')[1], account: entry.data };
+    }
+  }
+  return null;
+};
+
+const hasAccounts = () => [...documents.keys()].some(docPath => docPath.startsWith(`${ACCOUNTS_COLLECTION}/`));
+
+const toUser = (uid, account) => ({ uid, email: account.email });
+
+const startSession = (uid) => {
+  const now = Date.now();
+  // Expired sessions are cleared out whenever a new one starts
+  [...documents].forEach(([docPath, entry]) => {
+    if (docPath.startsWith(`${SESSIONS_COLLECTION}/`) && entry.data.expiresAt < now) writeDocument(docPath, null);
+  });
+  const token = randomBytes(32).toString('hex');
+  writeDocument(`${SESSIONS_COLLECTION}/${hashToken(token)}`, { uid, createdAt: now, expiresAt: now + SESSION_LIFETIME, verifiedAt: now });
+  return token;
+};
+
+// Event streams opened with this session (null: opened before the first account)
+const closeEventStreams = (sessionId) => {
+  eventClients.forEach(client => {
+    if (client.sessionId === sessionId) client.response.end();
+  });
+};
+
+const endSession = (sessionId) => {
+  writeDocument(`${SESSIONS_COLLECTION}/${sessionId}`, null);
+  closeEventStreams(sessionId);
+};
+
+// Session of the token a request carries, or null
+const getSession = (request, url) => {
+  const header = request.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  if (!token) return null;
+  const id = hashToken(token);
+  const entry = documents.get(`${SESSIONS_COLLECTION}/${id}`);
+  const account = entry && documents.get(`${ACCOUNTS_COLLECTION}/${entry.data.uid}`);
+  if (!entry || !account || entry.data.expiresAt < Date.now()) return null;
+  return { id, ...entry.data, account: account.data };
+};
+
+const checkNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authFailure(400, 'auth/weak-password', 'Password is too weak');
+  }
+};
+
+const handleAuth = async (request, response, action, session) => {
+  if (action === 'session' && request.method === 'GET') {
+    sendJson(response, 200, { user: session ? toUser(session.uid, session.account) : null, setup: !hasAccounts() });
+    return;
+  }
+  if (request.method !== 'POST') throw authFailure(405, 'invalid-argument', 'Method not allowed');
+  const body = await readBody(request);
+
+  if (action === 'sign-in') {
+    const found = findAccount(body.email);
+    if (!found || !(await verifyPassword(found.account, String(body.password || '')))) {
+      throw authFailure(400, 'auth/invalid-credential', 'Invalid email or password');
+    }
+    if (found.account.kdf?.name !== 'scrypt') {
+      writeDocument(`${ACCOUNTS_COLLECTION}/${found.uid}`, { ...found.account, ...(await createPasswordFields(body.password)) });
+    }
+    sendJson(response, 200, { token: startSession(found.uid), user: toUser(found.uid, found.account) });
+  } else if (action === 'sign-up') {
+    const isAdmin = session && documents.get(`users/${session.uid}`)?.data?.role === 'admin';
+    if (hasAccounts() && !isAdmin) throw authFailure(403, 'permission-denied', 'Only an admin can create accounts');
+    checkNewPassword(body.password);
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!email) throw authFailure(400, 'auth/invalid-email', 'Invalid email address');
+    if (findAccount(email)) throw authFailure(400, 'auth/email-already-in-use', 'Email already registered');
+    const uid = randomBytes(14).toString('hex');
+    const account = { email, ...(await createPasswordFields(body.password)), createdAt: new Date().toISOString() };
+    writeDocument(`${ACCOUNTS_COLLECTION}/${uid}`, account);
+    // The device moves on to the new account, as with Firebase; streams opened
+    // during setup need a session from now on
+    if (session) endSession(session.id);
+    else closeEventStreams(null);
+    sendJson(response, 200, { token: startSession(uid), user: toUser(uid, account) });
+  } else if (!session) {
+    throw authFailure(401, 'unauthenticated', 'Sign in to use the POS server');
+  } else if (action === 'sign-out') {
+    endSession(session.id);
+    sendJson(response, 200, {});
+  } else if (action === 'verify') {
+    if (!(await verifyPassword(session.account, String(body.password || '')))) {
+      throw authFailure(400, 'auth/wrong-password', 'Current password is incorrect');
+    }
+    const sessionPath = `${SESSIONS_COLLECTION}/${session.id}`;
+    writeDocument(sessionPath, { ...documents.get(sessionPath).data, verifiedAt: Date.now() });
+    sendJson(response, 200, {});
+  } else if (action === 'password') {
+    if (!(Date.now() - (session.verifiedAt || 0) < RECENT_LOGIN_WINDOW)) {
+      throw authFailure(403, 'auth/requires-recent-login', 'Enter the current password again to change it');
+    }
+    checkNewPassword(body.password);
+    writeDocument(`${ACCOUNTS_COLLECTION}/${session.uid}`, { ...session.account, ...(await createPasswordFields(body.password)) });
+    sendJson(response, 200, {});
+  } else {
+    throw authFailure(404, 'not-found', `Unknown endpoint /api/auth/${action}`);
+  }
+};
+
+// Checking and applying run with no await in between, so commits from
+// different devices never interleave
+const handleCommit = async (request, response) => {
+  const { reads = [], changes = [] } = await readBody(request);
+  if ([...reads, ...changes].some(entry => isPrivatePath(entry.path))) {
+    sendJson(response, 403, { code: 'permission-denied', message: 'Accounts can only be changed through /api/auth' });
+    return;
+  }
+
+  const stale = reads.filter(read => currentDocument(read.path).version !== read.version);
+  if (stale.length > 0) {
+    sendJson(response, 409, {
+      code: 'aborted',
+      message: 'Transaction data changed before it could be committed',
+      documents: stale.map(read => currentDocument(read.path))
+    });
+    return;
+  }
+
+  const applied = changes.map(({ path: docPath, data }) => {
+    const version = currentDocument(docPath).version + 1;
+    if (data === null) documents.delete(docPath);
+    else documents.set(docPath, { data, version });
+    return { path: docPath, data, version };
+  });
+
+  scheduleSave();
+  broadcast(applied);
+  sendJson(response, 200, {
+    versions: Object.fromEntries(applied.map(change => [change.path, change.version]))
+  });
+};
+
+// Ended when its session signs out
+const handleEvents = (request, response, session) => {
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  response.write(': connected\n\n');
+  const client = { response, sessionId: session?.id || null };
+  eventClients.add(client);
+  request.on('close', () => eventClients.delete(client));
+};
+
+// ================================================
+// App files
+// ================================================
+
+const serveApp = async (request, response) => {
+  const requested = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  let filePath = path.join(DIST_DIR, path.normalize(requested));
+  if (!filePath.startsWith(DIST_DIR)) {
+    sendJson(response, 403, { code: 'permission-denied', message: 'Forbidden' });
+    return;
+  }
+
+  try {
+    if ((await fs.stat(filePath)).isDirectory()) filePath = path.join(filePath, 'index.html');
+  } catch {
+    // Client-side routes all load the app
+    filePath = path.join(DIST_DIR, 'index.html');
+  }
+
+  try {
+    const content = await fs.readFile(filePath);
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    response.end(content);
+  } catch {
+    response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('App not built yet: run npm run build:lan');
+  }
+};
+
+// The app served from here, or an origin listed in POS_ALLOWED_ORIGINS.
+// Requests without an Origin header do not come from another site's page.
+const isAllowedOrigin = (origin, host) =>
+  !origin || origin === `http://${host}` || origin === `https://${host}` || ALLOWED_ORIGINS.includes(origin);
+
+const server = http.createServer(async (request, response) => {
+  const url = new URL(request.url, 'http://localhost');
+  const { pathname } = url;
+  const { origin } = request.headers;
+  if (pathname.startsWith('/api/')) {
+    if (!isAllowedOrigin(origin, request.headers.host)) {
+      sendJson(response, 403, { code: 'permission-denied', message: 'Origin not allowed' });
+      return;
+    }
+    // Lets a dev server on another port (npm run dev with VITE_LOCAL_SERVER_URL) use the API
+    if (ALLOWED_ORIGINS.includes(origin)) {
+      response.setHeader('Access-Control-Allow-Origin', origin);
+      response.setHeader('Vary', 'Origin');
+      response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    }
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+  }
+
+  try {
+    const session = pathname.startsWith('/api/') ? getSession(request, url) : null;
+    // Open only until the first account is made, so it can be
+    const mayUseData = Boolean(session) || !hasAccounts();
+    if (pathname.startsWith('/api/auth/')) {
+      await handleAuth(request, response, pathname.slice('/api/auth/'.length), session);
+    } else if (pathname.startsWith('/api/') && !mayUseData) {
+      sendJson(response, 401, { code: 'unauthenticated', message: 'Sign in to use the POS server' });
+    } else if (request.method === 'GET' && pathname === '/api/documents') {
+      sendJson(response, 200, { documents: [...documents.keys()].filter(docPath => !isPrivatePath(docPath)).map(currentDocument) });
+    } else if (request.method === 'POST' && pathname === '/api/commit') {
+      await handleCommit(request, response);
+    } else if (request.method === 'GET' && pathname === '/api/events') {
+      handleEvents(request, response, session);
+    } else if (pathname.startsWith('/api/')) {
+      sendJson(response, 404, { code: 'not-found', message: `Unknown endpoint ${pathname}` });
+    } else if (request.method === 'GET') {
+      await serveApp(request, response);
+    } else {
+      sendJson(response, 405, { code: 'invalid-argument', message: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (!error.status) console.error('Request failed:', error);
+    if (!response.headersSent) sendJson(response, error.status || 400, { code: error.code || 'invalid-argument', message: error.message });
+  }
+});
+
+// Keeps idle event streams open through proxies and sleeping Wi-Fi
+setInterval(() => eventClients.forEach(client => client.response.write(': ping\n\n')), HEARTBEAT_INTERVAL);
+
+const shutDown = async () => {
+  clearTimeout(saveTimer);
+  await saving;
+  await saveDocuments().catch(error => console.error('Error saving data file:', error));
+  process.exit(0);
+};
+process.on('SIGINT', shutDown);
+process.on('SIGTERM', shutDown);
+
+await loadDocuments();
+server.listen(PORT, HOST, () => {
+  console.log(`POS server listening on http://${HOST}:${PORT}`);
+});
@@ -11,9 +11,12 @@ import './components/ProtectedRoute.css';
 const SettingsPage = lazy(() => import('./components/SettingsPage'));
 const HistoryPage = lazy(() => import('./components/HistoryPage'));
 const InventoryDashboard = lazy(() => import('./components/InventoryDashboard'));
+const StockTakePage = lazy(() => import('./components/StockTakePage'));
+const SupplierManagement = lazy(() => import('./components/SupplierManagement'));
 const RecipeManagement = lazy(() => import('./components/RecipeManagement'));
 const InventoryAnalytics = lazy(() => import('./components/InventoryAnalytics'));
 const ShiftManagement = lazy(() => import('./components/ShiftManagement'));
+const KitchenPage = lazy(() => import('./components/KitchenPage'));
 
 // Loading component for suspense
 const LoadingSpinner = () => (
@@ -57,6 +60,27 @@ function App() {
                 </Suspense>
               </ProtectedRoute>
             } />
+            <Route path="/stock-take" element={
+              <ProtectedRoute>
+                <Suspense fallback={<LoadingSpinner />}>
+                  <StockTakePage />
+                </Suspense>
+              </ProtectedRoute>
+            } />
+            <Route path="/suppliers" element={
+              <ProtectedRoute>
+                <Suspense fallback={<LoadingSpinner />}>
+                  <SupplierManagement />
+                </Suspense>
+              </ProtectedRoute>
+            } />
+            <Route path="/kitchen" element={
+              <ProtectedRoute kitchenAccess>
+                <Suspense fallback={<LoadingSpinner />}>
+                  <KitchenPage />
+                </Suspense>
+              </ProtectedRoute>
+            } />
             <Route path="/shift" element={
               <ProtectedRoute>
                 <Suspense fallback={<LoadingSpinner />}>
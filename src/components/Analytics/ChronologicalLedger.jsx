@@ -41,11 +41,11 @@ const ChronologicalLedger = ({ ledger }) => {
                                         <td>{event.date ? event.date.toLocaleString() : 'N/A'}</td>
                                         <td>
                                             <span className={`stock-badge ${event.type === 'PURCHASE' ? 'ok' :
-                                                event.type === 'PRODUCTION' ? 'low' : 'out'
+                                                event.type === 'PRODUCTION' || event.type === 'SALE' || event.type === 'ADJUSTMENT' ? 'low' : 'out'
                                                 }`}>{event.type}</span>
                                         </td>
                                         <td>{event.label}</td>
-                                        <td className={event.type === 'PURCHASE' ? 'text-success' : 'text-danger'}>
+                                        <td className={event.qty.startsWith('+') ? 'text-success' : 'text-danger'}>
                                             {event.qty}
                                         </td>
                                         <td>₹{event.value?.toFixed(2) || '0.00'}</td>
@@ -17,7 +17,7 @@ const MetricsCards = ({ currentInventoryValue, totalSpent, totalUtilized, totalW
             <div className={`${styles['metric-card'] || 'metric-card'} ${styles['highlight-success'] || 'highlight-success'}`}>
                 <div className={styles['metric-title'] || 'metric-title'}>Cost of Goods Produced</div>
                 <div className={styles['metric-value'] || 'metric-value'}>₹{totalUtilized.toFixed(2)}</div>
-                <div className={styles['metric-subtitle'] || 'metric-subtitle'}>Ingredients consumed by recipes</div>
+                <div className={styles['metric-subtitle'] || 'metric-subtitle'}>Ingredients used by production and sales</div>
             </div>
             <div className={`${styles['metric-card'] || 'metric-card'} ${styles['highlight-danger'] || 'highlight-danger'}`}>
                 <div className={styles['metric-title'] || 'metric-title'}>Lost to Wastage</div>
@@ -0,0 +1,118 @@
+import React from 'react';
+import styles from '../InventoryBOM.module.css';
+
+const SalesSummary = ({ salesTotals }) => {
+    const { grossSales, discountTotal, totalSales, netSales, taxCollected, discountsByReason, ordersByType, cancelledAfterFire, cancellationsByReason } = salesTotals;
+
+    return (
+        <div className={styles['analytics-card'] || 'analytics-card'}>
+            <h3>Sales Summary (₹)</h3>
+            <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                <table className={styles['data-table'] || 'data-table'}>
+                    <tbody>
+                        <tr>
+                            <td>Gross Sales (menu value)</td>
+                            <td>₹{grossSales.toFixed(2)}</td>
+                        </tr>
+                        <tr>
+                            <td style={{ color: 'var(--danger-color)' }}>Discounts</td>
+                            <td style={{ color: 'var(--danger-color)' }}>-₹{discountTotal.toFixed(2)}</td>
+                        </tr>
+                        <tr>
+                            <td>Net Sales (excl. tax)</td>
+                            <td>₹{netSales.toFixed(2)}</td>
+                        </tr>
+                        <tr>
+                            <td>Tax Collected</td>
+                            <td>₹{taxCollected.toFixed(2)}</td>
+                        </tr>
+                        <tr>
+                            <td><strong>Total Collected</strong></td>
+                            <td><strong>₹{totalSales.toFixed(2)}</strong></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            {ordersByType.length > 0 && (
+                <>
+                    <h4>Sales by Order Type</h4>
+                    <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                        <table className={styles['data-table'] || 'data-table'}>
+                            <thead>
+                                <tr>
+                                    <th>Order Type</th>
+                                    <th>Bills</th>
+                                    <th>Amount</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {ordersByType.map(entry => (
+                                    <tr key={entry.orderType}>
+                                        <td>{entry.label}</td>
+                                        <td>{entry.count}</td>
+                                        <td>₹{entry.amount.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {discountsByReason.length > 0 && (
+                <>
+                    <h4>Discounts by Reason</h4>
+                    <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                        <table className={styles['data-table'] || 'data-table'}>
+                            <thead>
+                                <tr>
+                                    <th>Reason</th>
+                                    <th>Count</th>
+                                    <th>Amount</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {discountsByReason.map(entry => (
+                                    <tr key={entry.reason}>
+                                        <td>{entry.reason}</td>
+                                        <td>{entry.count}</td>
+                                        <td>₹{entry.amount.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {cancellationsByReason.length > 0 && (
+                <>
+                    <h4>Cancelled After KOT (₹{cancelledAfterFire.toFixed(2)}, not included in sales)</h4>
+                    <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                        <table className={styles['data-table'] || 'data-table'}>
+                            <thead>
+                                <tr>
+                                    <th>Reason</th>
+                                    <th>Items</th>
+                                    <th>Value</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {cancellationsByReason.map(entry => (
+                                    <tr key={entry.reason}>
+                                        <td>{entry.reason}</td>
+                                        <td>{entry.qty}</td>
+                                        <td>₹{entry.amount.toFixed(2)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SalesSummary;
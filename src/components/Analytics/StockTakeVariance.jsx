@@ -0,0 +1,83 @@
+import React from 'react';
+import styles from '../InventoryBOM.module.css';
+
+const formatDate = (timestamp) => timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString([], { day: 'numeric', month: 'short' })
+    : '—';
+
+// Net variance value of each committed stock take in the period, oldest first
+const StockTakeVariance = ({ stockTakes }) => {
+    const largest = Math.max(1, ...stockTakes.map(session => Math.abs(session.summary?.netValue || 0)));
+    const totalNet = stockTakes.reduce((sum, session) => sum + (session.summary?.netValue || 0), 0);
+
+    return (
+        <div className={styles['analytics-card'] || 'analytics-card'}>
+            <h3>Stock Take Variance</h3>
+            <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                Counted minus expected stock at each committed count, valued at the cost per unit when committed.
+                Shortages are below the line, surpluses above.
+            </p>
+            {stockTakes.length === 0 ? (
+                <p className={styles['empty-state'] || 'empty-state'}>No stock takes committed in this period.</p>
+            ) : (
+                <>
+                    <div className={styles['variance-chart'] || 'variance-chart'}>
+                        {stockTakes.map(session => {
+                            const net = session.summary?.netValue || 0;
+                            const height = `${(Math.abs(net) / largest) * 100}%`;
+                            return (
+                                <div
+                                    key={session.id}
+                                    className={styles['variance-column'] || 'variance-column'}
+                                    title={`${session.name}: ₹${net.toFixed(2)}`}
+                                >
+                                    <div className={styles['variance-half'] || 'variance-half'}>
+                                        {net > 0 && <div className={`${styles['variance-bar'] || 'variance-bar'} ${styles['surplus'] || 'surplus'}`} style={{ height }} />}
+                                    </div>
+                                    <div className={styles['variance-half'] || 'variance-half'}>
+                                        {net < 0 && <div className={`${styles['variance-bar'] || 'variance-bar'} ${styles['shortage'] || 'shortage'}`} style={{ height }} />}
+                                    </div>
+                                    <span className={styles['variance-label'] || 'variance-label'}>{formatDate(session.committedAt)}</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                        <table className={styles['data-table'] || 'data-table'}>
+                            <thead>
+                                <tr>
+                                    <th>Stock Take</th>
+                                    <th>Committed</th>
+                                    <th>Items</th>
+                                    <th>Shortage (₹)</th>
+                                    <th>Surplus (₹)</th>
+                                    <th>Net (₹)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {stockTakes.map(session => (
+                                    <tr key={session.id}>
+                                        <td>{session.name}</td>
+                                        <td>{formatDate(session.committedAt)}</td>
+                                        <td>{session.summary?.itemsWithVariance ?? 0} / {session.summary?.itemsCounted ?? 0}</td>
+                                        <td className="text-danger">₹{Math.abs(session.summary?.shortageValue || 0).toFixed(2)}</td>
+                                        <td>₹{(session.summary?.surplusValue || 0).toFixed(2)}</td>
+                                        <td className={session.summary?.netValue < 0 ? 'text-danger' : undefined}>
+                                            ₹{(session.summary?.netValue || 0).toFixed(2)}
+                                        </td>
+                                    </tr>
+                                ))}
+                                <tr>
+                                    <td colSpan={5}><strong>Net for period</strong></td>
+                                    <td><strong>₹{totalNet.toFixed(2)}</strong></td>
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StockTakeVariance;
@@ -0,0 +1,53 @@
+import React from 'react';
+import styles from '../InventoryBOM.module.css';
+
+const SupplierSpend = ({ rows }) => {
+    const totalSpend = rows.reduce((sum, row) => sum + row.totalSpend, 0);
+
+    return (
+        <div className={styles['analytics-card'] || 'analytics-card'}>
+            <h3>Supplier Spend</h3>
+            <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                Purchases in the period by supplier. Price difference is what was paid above (or below) the
+                purchase order price on goods received against an order.
+            </p>
+            {rows.length === 0 ? (
+                <p className={styles['empty-state'] || 'empty-state'}>No purchases in this period.</p>
+            ) : (
+                <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                    <table className={styles['data-table'] || 'data-table'}>
+                        <thead>
+                            <tr>
+                                <th>Supplier</th>
+                                <th>Purchases</th>
+                                <th>Spend (₹)</th>
+                                <th>Share</th>
+                                <th>Price Difference (₹)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.supplierId || 'none'}>
+                                    <td>{row.supplierName}</td>
+                                    <td>{row.purchases}</td>
+                                    <td>₹{row.totalSpend.toFixed(2)}</td>
+                                    <td>{totalSpend > 0 ? `${((row.totalSpend / totalSpend) * 100).toFixed(1)}%` : '—'}</td>
+                                    <td className={row.priceDifference > 0 ? 'text-danger' : undefined}>
+                                        {row.priceDifference > 0 ? '+' : ''}₹{row.priceDifference.toFixed(2)}
+                                    </td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td colSpan={2}><strong>Total</strong></td>
+                                <td><strong>₹{totalSpend.toFixed(2)}</strong></td>
+                                <td colSpan={2}></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SupplierSpend;
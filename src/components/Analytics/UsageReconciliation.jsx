@@ -0,0 +1,64 @@
+import React from 'react';
+import styles from '../InventoryBOM.module.css';
+
+const formatQuantity = (value) => Number(value.toFixed(3)).toString();
+
+const UsageReconciliation = ({ rows }) => {
+    const totalVarianceCost = rows.reduce((sum, row) => sum + row.varianceCost, 0);
+
+    return (
+        <div className={styles['analytics-card'] || 'analytics-card'}>
+            <h3>Usage Reconciliation (Theoretical vs Actual)</h3>
+            <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                Theoretical is what sales of stock-linked menu items should have used. Actual is what sales took from
+                raw stock plus production batches, recorded waste and stock corrections; prepared stock still on hand
+                or discarded shows as variance. Variance cost is at today's cost per unit.
+            </p>
+            {rows.length === 0 ? (
+                <p className={styles['empty-state'] || 'empty-state'}>No stock movements in this period.</p>
+            ) : (
+                <div className={styles['table-responsive-wrapper'] || 'table-responsive-wrapper'}>
+                    <table className={styles['data-table'] || 'data-table'}>
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Theoretical</th>
+                                <th>Sold</th>
+                                <th>Production</th>
+                                <th>Waste</th>
+                                <th>Corrections</th>
+                                <th>Actual</th>
+                                <th>Variance</th>
+                                <th>Variance (₹)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.inventoryItemId}>
+                                    <td>{row.name}</td>
+                                    <td>{formatQuantity(row.theoretical)} {row.unit}</td>
+                                    <td>{formatQuantity(row.sold)}</td>
+                                    <td>{formatQuantity(row.production)}</td>
+                                    <td>{formatQuantity(row.waste)}</td>
+                                    <td>{formatQuantity(row.corrections)}</td>
+                                    <td>{formatQuantity(row.actual)} {row.unit}</td>
+                                    <td className={row.variance > 0 ? 'text-danger' : undefined}>
+                                        {row.variance > 0 ? '+' : ''}{formatQuantity(row.variance)}
+                                        {row.variancePercent !== null && ` (${row.variancePercent}%)`}
+                                    </td>
+                                    <td className={row.varianceCost > 0 ? 'text-danger' : undefined}>₹{row.varianceCost.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td colSpan={8}><strong>Total variance</strong></td>
+                                <td><strong>₹{totalVarianceCost.toFixed(2)}</strong></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UsageReconciliation;
@@ -1,123 +1,398 @@
-import React, { useState, useEffect, useMemo, memo } from 'react';
-import { List } from 'react-window';
+import React, { useState, useEffect, useMemo, useCallback, memo } from 'react';
+import { List, useDynamicRowHeight } from 'react-window';
 import NavigationBar from './NavigationBar';
-import { getAllHistory, subscribeToHistory } from '../services/firebaseService';
-import { Timestamp } from 'firebase/firestore'; // Add this import for timestamp handling
+import { getPagedHistory, getHistorySummary, getMenuItemsSelective, backfillHistorySearchFields } from '../services/firebaseService';
+import { getPrinterSettings, getReceiptSettings, getPaymentMethods, getShiftHistory } from '../services/shiftService';
+import { buildReceipt, printReceipt, downloadReceiptPdf } from '../utils/receiptUtils';
+import { hasPermission, isAdmin } from '../services/authService';
+import RestoreBillModal from './Tables/RestoreBillModal';
+import BillAdjustmentModal from './Tables/BillAdjustmentModal';
+import { getPlaceLabel, isQueueTicketId } from '../utils/orderTypeUtils';
+import { getLineLabel } from '../utils/modifierUtils';
+import { EMPTY_HISTORY_FILTERS, SPLIT_PAYMENT_FILTER, hasHistoryFilters, validateHistoryFilters } from '../utils/historyFilterUtils';
+import { Timestamp } from '../storage';
+
+const BILL_STATUS_LABELS = {
+  voided: 'Voided',
+  refunded: 'Refunded',
+  partially_refunded: 'Part Refunded'
+};
+
+const PAGE_SIZE = 25;
+const SHIFT_LOOKBACK_DAYS = 30; // Shifts offered in the shift filter
+
+// Helper function to format timestamp
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '';
+
+  // If it's a Firestore Timestamp object
+  if (timestamp instanceof Timestamp) {
+    return new Date(timestamp.seconds * 1000).toLocaleString();
+  }
+
+  // If it's already a Date object
+  if (timestamp instanceof Date) {
+    return timestamp.toLocaleString();
+  }
+
+  // If it's already a string
+  if (typeof timestamp === 'string') {
+    return timestamp;
+  }
+
+  // If it's an object with seconds and nanoseconds (Firestore Timestamp)
+  if (typeof timestamp === 'object' && timestamp.seconds !== undefined) {
+    return new Date(timestamp.seconds * 1000).toLocaleString();
+  }
+
+  return String(timestamp);
+};
+
+const toDateInputValue = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// One bill in the virtual list
+const HistoryRow = ({ ariaAttributes, index, style, historyItems, onPrintBill, onDownloadBill, onRestore, onAdjust, canAdjust }) => {
+  const entry = historyItems[index];
+  // Voids and refunds are stored as their own (negative) entries
+  const isAdjustment = Boolean(entry.type);
+  const canCorrect = canAdjust && !isAdjustment && !['restored', 'voided', 'refunded'].includes(entry.status);
+  
+  return (
+    <div {...ariaAttributes} style={style} className="history-item-virtual">
+      <div className="history-header-row">
+        <div className="history-info">
+          {entry.billNumber && <span className="bill-number">Bill #{entry.billNumber}</span>}
+          <span className="table-number">{getPlaceLabel(entry)}</span>
+          <span className="timestamp">{formatTimestamp(entry.timestamp)}</span>
+          <span className="total-amount">₹{entry.total}</span>
+          {entry.breakdown?.discount > 0 && (
+            <span className="discount-amount" title={(entry.breakdown.discounts || []).map(d => `${d.itemName || 'Bill'}: ${d.reason}`).join(', ')}>
+              Disc -₹{entry.breakdown.discount.toFixed(2)}
+            </span>
+          )}
+          {entry.payments?.length > 1 && (
+            <span className="payment-split" title={entry.payments.map(p => `${p.label}: ${p.method} ₹${p.amount}`).join(', ')}>
+              Split ({entry.payments.length})
+            </span>
+          )}
+          {isAdjustment && (
+            <span className="bill-status" title={`${entry.reason}${entry.performedBy ? ` - ${entry.performedBy}` : ''}`}>
+              {entry.type === 'void' ? 'Void' : 'Refund'} of Bill #{entry.originalBillNumber}
+            </span>
+          )}
+          {BILL_STATUS_LABELS[entry.status] && (
+            <span className="bill-status">
+              {BILL_STATUS_LABELS[entry.status]}
+              {entry.status === 'partially_refunded' && ` -₹${entry.refundedTotal.toFixed(2)}`}
+            </span>
+          )}
+          {entry.status === 'restored' && (
+            <span className="bill-status" title={`${entry.restoreReason}${entry.restoredBy ? ` - ${entry.restoredBy}` : ''}`}>
+              Reopened {isQueueTicketId(entry.restoredToTableId) ? 'in the order queue' : `on Table ${entry.restoredToTableId}`}
+            </span>
+          )}
+        </div>
+        <div className="history-actions">
+          <button className="restore-btn" onClick={() => onPrintBill(entry)}>
+            Print Bill
+          </button>
+          <button className="restore-btn" onClick={() => onDownloadBill(entry)}>
+            PDF
+          </button>
+          {!entry.status && !isAdjustment && (
+            <button 
+              className="restore-btn" 
+              onClick={() => onRestore(entry)}
+            >
+              Restore
+            </button>
+          )}
+          {canCorrect && (
+            <>
+              <button className="restore-btn" onClick={() => onAdjust(entry, 'refund')}>
+                Refund
+              </button>
+              <button className="restore-btn" onClick={() => onAdjust(entry, 'void')}>
+                Void
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      
+      <div className="history-orders">
+        {entry.orders.map((order, orderIndex) => (
+          <div key={`${entry.id}-${orderIndex}`} className="history-order">
+            <h4>Order {orderIndex + 1}</h4>
+            <div className="history-items">
+              {order.items.map((item, itemIndex) => (
+                <div key={`${entry.id}-${orderIndex}-${itemIndex}`} className="history-item-row">
+                  <span className="item-name">{getLineLabel(item)}</span>
+                  <span className="item-qty">x{item.quantity}</span>
+                  <span className="item-price">₹{(item.price * item.quantity).toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="order-total">Order Total: ₹{order.total.toFixed(2)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
 
 const HistoryPage = () => {
-  // Helper function to format timestamp
-  const formatTimestamp = (timestamp) => {
-    if (!timestamp) return '';
-    
-    // If it's a Firestore Timestamp object
-    if (timestamp instanceof Timestamp) {
-      return new Date(timestamp.seconds * 1000).toLocaleString();
+  const [history, setHistory] = useState([]); // Pages loaded so far for the applied filters
+  const [lastVisible, setLastVisible] = useState(null); // Cursor for the next page
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [summary, setSummary] = useState(null); // { count, total } for the applied filters
+  const [summaryLoading, setSummaryLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS); // As typed in the filter bar
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [shifts, setShifts] = useState([]);
+  const [menuItemNames, setMenuItemNames] = useState([]);
+  const [receiptSettings, setReceiptSettings] = useState(null);
+  const [printerSettings, setPrinterSettings] = useState(null);
+  const [restoreEntry, setRestoreEntry] = useState(null); // History entry being reopened
+  const [adjustment, setAdjustment] = useState(null); // { entry, mode: 'void' | 'refund' }
+  const [isBackfilling, setIsBackfilling] = useState(false);
+  const canAdjust = hasPermission('void_refund') || isAdmin();
+
+  const handleAdjust = useCallback((entry, mode) => setAdjustment({ entry, mode }), []);
+  const reloadHistory = useCallback(() => setReloadCount(count => count + 1), []);
+
+  useEffect(() => {
+    const loadPrintSettings = async () => {
+      try {
+        const [receiptConfig, printerConfig] = await Promise.all([getReceiptSettings(), getPrinterSettings()]);
+        setReceiptSettings(receiptConfig);
+        setPrinterSettings(printerConfig);
+      } catch (error) {
+        console.error('Error loading print settings:', error);
+      }
+    };
+    loadPrintSettings();
+  }, []);
+
+  // Choices for the filter bar
+  useEffect(() => {
+    const loadFilterOptions = async () => {
+      const since = new Date();
+      since.setDate(since.getDate() - SHIFT_LOOKBACK_DAYS);
+      const [methods, recentShifts, menuItems] = await Promise.all([
+        getPaymentMethods(),
+        getShiftHistory(toDateInputValue(since)),
+        getMenuItemsSelective(['name'])
+      ]);
+      setPaymentMethods(methods);
+      setShifts(recentShifts);
+      setMenuItemNames([...new Set(menuItems.map(item => item.name).filter(Boolean))]);
+    };
+    loadFilterOptions();
+  }, []);
+
+  // Reprint a bill from a saved history entry
+  const handlePrintBill = useCallback(async (entry) => {
+    if (!receiptSettings) {
+      alert('The bill settings could not be loaded. Check the connection and reload.');
+      return;
     }
-    
-    // If it's already a Date object
-    if (timestamp instanceof Date) {
-      return timestamp.toLocaleString();
+    try {
+      await printReceipt(buildReceipt(entry), receiptSettings, printerSettings);
+    } catch (error) {
+      console.error('Error printing bill:', error);
+      alert('Failed to print bill. Please check the printer and try again.');
     }
-    
-    // If it's already a string
-    if (typeof timestamp === 'string') {
-      return timestamp;
+  }, [receiptSettings, printerSettings]);
+
+  const handleDownloadBill = useCallback(async (entry) => {
+    if (!receiptSettings) {
+      alert('The bill settings could not be loaded. Check the connection and reload.');
+      return;
     }
-    
-    // If it's an object with seconds and nanoseconds (Firestore Timestamp)
-    if (typeof timestamp === 'object' && timestamp.seconds !== undefined) {
-      return new Date(timestamp.seconds * 1000).toLocaleString();
+    try {
+      await downloadReceiptPdf(buildReceipt(entry), receiptSettings, printerSettings?.paperWidth);
+    } catch (error) {
+      console.error('Error generating bill PDF:', error);
+      alert('Failed to generate bill PDF.');
     }
-    
-    return String(timestamp);
-  };
-  
-  const [history, setHistory] = useState([]);
-  const [loading, setLoading] = useState(true);
+  }, [receiptSettings, printerSettings]);
 
+  // First page whenever the filters are applied or the history is reloaded
   useEffect(() => {
-    let unsubscribe = null;
-    
-    const loadHistory = async () => {
+    let cancelled = false;
+
+    const loadFirstPage = async () => {
       setLoading(true);
+      setLoadError('');
       try {
-        // Subscribe to real-time history updates
-        unsubscribe = subscribeToHistory((updatedHistory) => {
-          setHistory(updatedHistory);
-          setLoading(false);
-        });
+        const page = await getPagedHistory(appliedFilters, null, PAGE_SIZE);
+        if (cancelled) return;
+        setHistory(page.entries);
+        setLastVisible(page.lastVisible);
+        setHasMore(page.hasMore);
       } catch (error) {
         console.error('Error loading history:', error);
-        setLoading(false);
+        if (cancelled) return;
+        setHistory([]);
+        setLastVisible(null);
+        setHasMore(false);
+        setLoadError('Failed to load history. Check the connection and try again.');
+      } finally {
+        if (!cancelled) setLoading(false);
       }
     };
 
-    loadHistory();
+    loadFirstPage();
+    return () => { cancelled = true; };
+  }, [appliedFilters, reloadCount]);
+
+  // Loaded apart from the bills: totals are worked out by the server and are
+  // not available offline, when the cached bills still are
+  useEffect(() => {
+    let cancelled = false;
 
-    return () => {
-      if (unsubscribe) unsubscribe();
+    const loadSummary = async () => {
+      setSummaryLoading(true);
+      try {
+        const totals = await getHistorySummary(appliedFilters);
+        if (!cancelled) setSummary(totals);
+      } catch (error) {
+        console.error('Error loading history summary:', error);
+        if (!cancelled) setSummary(null);
+      } finally {
+        if (!cancelled) setSummaryLoading(false);
+      }
     };
-  }, []);
 
-  // Memoized history item component for virtual scrolling
-  const HistoryItem = memo(({ index, style, data }) => {
-    const { historyItems } = data;
-    const entry = historyItems[index];
-    
-    return (
-      <div style={style} className="history-item-virtual">
-        <div className="history-header-row">
-          <div className="history-info">
-            <span className="table-number">Table {entry.tableId}</span>
-            <span className="timestamp">{formatTimestamp(entry.timestamp)}</span>
-            <span className="total-amount">₹{entry.total}</span>
-          </div>
-          <div className="history-actions">
-            <button 
-              className="restore-btn" 
-              onClick={() => alert(`Restore order for Table ${entry.tableId}`)}
-            >
-              Restore
-            </button>
-          </div>
-        </div>
-        
-        <div className="history-orders">
-          {entry.orders.map((order, orderIndex) => (
-            <div key={`${entry.id}-${orderIndex}`} className="history-order">
-              <h4>Order {orderIndex + 1}</h4>
-              <div className="history-items">
-                {order.items.map((item, itemIndex) => (
-                  <div key={`${entry.id}-${orderIndex}-${itemIndex}`} className="history-item-row">
-                    <span className="item-name">{item.name}</span>
-                    <span className="item-qty">x{item.quantity}</span>
-                    <span className="item-price">₹{(item.price * item.quantity).toFixed(2)}</span>
-                  </div>
-                ))}
-              </div>
-              <div className="order-total">Order Total: ₹{order.total.toFixed(2)}</div>
-            </div>
-          ))}
-        </div>
-      </div>
-    );
+    loadSummary();
+    return () => { cancelled = true; };
+  }, [appliedFilters, reloadCount]);
+
+  const handleLoadMore = async () => {
+    if (!lastVisible || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await getPagedHistory(appliedFilters, lastVisible, PAGE_SIZE);
+      setHistory(current => [...current, ...page.entries]);
+      setLastVisible(page.lastVisible);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more history:', error);
+      alert('Failed to load more bills.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleFilterChange = (field) => (e) => setFilters(current => ({ ...current, [field]: e.target.value }));
+
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    const filterError = validateHistoryFilters(filters);
+    if (filterError) {
+      alert(filterError);
+      return;
+    }
+    setAppliedFilters({ ...filters });
+  };
+
+  // Bills saved before the item and payment filters existed are found by them once updated
+  const handleBackfill = async () => {
+    if (!window.confirm('Update older bills so the item and payment method filters find them? This reads every bill once.')) return;
+    setIsBackfilling(true);
+    try {
+      const updated = await backfillHistorySearchFields();
+      alert(updated > 0 ? `Updated ${updated} older bill${updated > 1 ? 's' : ''}.` : 'All bills are already up to date.');
+      reloadHistory();
+    } catch (error) {
+      console.error('Error updating older bills:', error);
+      alert('Failed to update older bills. Please try again.');
+    } finally {
+      setIsBackfilling(false);
+    }
+  };
+
+  const handleClearFilters = () => {
+    setFilters(EMPTY_HISTORY_FILTERS);
+    setAppliedFilters(EMPTY_HISTORY_FILTERS);
+  };
+
+  // Restores, voids and refunds change bills, so the list is read again after them
+  const handleCloseRestore = () => {
+    setRestoreEntry(null);
+    reloadHistory();
+  };
+
+  const handleCloseAdjustment = () => {
+    setAdjustment(null);
+    reloadHistory();
+  };
+
+  // Row heights depend on the number of orders and items, so they are measured
+  const rowHeight = useDynamicRowHeight({
+    defaultRowHeight: 200,
+    key: `${JSON.stringify(appliedFilters)}|${reloadCount}`
   });
 
-  // Memoized data for virtual list
-  const virtualListData = useMemo(() => ({
-    historyItems: history
-  }), [history]);
+  // Memoized props for the virtual list rows
+  const rowProps = useMemo(() => ({
+    historyItems: history,
+    onPrintBill: handlePrintBill,
+    onDownloadBill: handleDownloadBill,
+    onRestore: setRestoreEntry,
+    onAdjust: handleAdjust,
+    canAdjust
+  }), [history, handlePrintBill, handleDownloadBill, handleAdjust, canAdjust]);
 
-  if (loading) {
+  const filtered = hasHistoryFilters(appliedFilters);
+
+  const renderList = () => {
+    if (loading) {
+      return <div className="loading">Loading history...</div>;
+    }
+    if (loadError) {
+      return (
+        <div className="no-history">
+          <p>{loadError}</p>
+        </div>
+      );
+    }
+    if (history.length === 0) {
+      return (
+        <div className="no-history">
+          <p>{filtered ? 'No bills match these filters.' : 'No order history yet.'}</p>
+        </div>
+      );
+    }
     return (
-      <div className="history-page">
-        <NavigationBar currentPage="history" />
-        <div className="page-content">
-          <div className="loading">Loading history...</div>
+      <>
+        <div className="history-list-virtual">
+          <List
+            rowComponent={HistoryRow}
+            rowCount={history.length}
+            rowHeight={rowHeight}
+            rowProps={rowProps}
+            overscanCount={5}
+            style={{ height: 600 }}
+          />
         </div>
-      </div>
+        {hasMore && (
+          <div className="history-load-more">
+            <button className="restore-btn" onClick={handleLoadMore} disabled={loadingMore}>
+              {loadingMore ? 'Loading...' : `Load ${PAGE_SIZE} more`}
+            </button>
+          </div>
+        )}
+      </>
     );
-  }
+  };
 
   return (
     <div className="history-page">
@@ -125,31 +400,116 @@ const HistoryPage = () => {
       <div className="page-content">
         <div className="history-header">
           <h1>Order History</h1>
-          <div className="history-stats">
-            <span>Total Entries: {history.length}</span>
+
+          <form className="history-filters" onSubmit={handleApplyFilters}>
+            <label>
+              From
+              <input type="date" value={filters.dateFrom} onChange={handleFilterChange('dateFrom')} />
+            </label>
+            <label>
+              To
+              <input type="date" value={filters.dateTo} onChange={handleFilterChange('dateTo')} />
+            </label>
+            <label>
+              Table
+              <input
+                type="text"
+                value={filters.tableId}
+                onChange={handleFilterChange('tableId')}
+                placeholder="e.g. 5"
+              />
+            </label>
+            <label>
+              Payment
+              <select value={filters.paymentMethod} onChange={handleFilterChange('paymentMethod')}>
+                <option value="">All</option>
+                {paymentMethods.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+                <option value={SPLIT_PAYMENT_FILTER}>Split bills</option>
+              </select>
+            </label>
+            <label>
+              Shift
+              <select value={filters.shiftId} onChange={handleFilterChange('shiftId')}>
+                <option value="">All</option>
+                {shifts.map(shift => (
+                  <option key={shift.id} value={shift.id}>
+                    {formatTimestamp(shift.openingTime) || shift.id}{shift.status === 'open' ? ' (open)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Min ₹
+              <input type="number" step="0.01" value={filters.minAmount} onChange={handleFilterChange('minAmount')} />
+            </label>
+            <label>
+              Max ₹
+              <input type="number" step="0.01" value={filters.maxAmount} onChange={handleFilterChange('maxAmount')} />
+            </label>
+            <label>
+              Item
+              <input
+                type="text"
+                list="history-item-names"
+                value={filters.itemName}
+                onChange={handleFilterChange('itemName')}
+                placeholder="Full item name"
+              />
+              <datalist id="history-item-names">
+                {menuItemNames.map(name => <option key={name} value={name} />)}
+              </datalist>
+            </label>
+            <label>
+              Bill No.
+              <input
+                type="search"
+                value={filters.billNumber}
+                onChange={handleFilterChange('billNumber')}
+                placeholder="e.g. NK/25-26/00042"
+              />
+            </label>
+            <div className="history-filter-actions">
+              <button type="submit" className="restore-btn">Apply</button>
+              <button type="button" className="restore-btn" onClick={handleClearFilters}>Clear</button>
+              <button type="button" className="restore-btn" onClick={reloadHistory}>Refresh</button>
+              {isAdmin() && (
+                <button type="button" className="restore-btn" onClick={handleBackfill} disabled={isBackfilling}>
+                  {isBackfilling ? 'Updating...' : 'Update Older Bills'}
+                </button>
+              )}
+            </div>
+          </form>
+
+          <div className="history-summary">
+            {summaryLoading ? (
+              <span>Calculating totals...</span>
+            ) : summary ? (
+              <>
+                <span>{filtered ? 'Matching bills' : 'All bills'}: <strong>{summary.count}</strong></span>
+                <span title="Net of voids and refunds; reopened bills count once, as settled again">
+                  Total: <strong>₹{summary.total.toFixed(2)}</strong>
+                </span>
+              </>
+            ) : (
+              <span>Totals need a connection to the server.</span>
+            )}
+            <span className="history-stats">Showing {history.length}</span>
           </div>
         </div>
-        
-        {history.length === 0 ? (
-          <div className="no-history">
-            <p>No order history yet.</p>
-          </div>
-        ) : (
-          <div className="history-list-virtual">
-            <List
-              height={600}
-              itemCount={history.length}
-              itemSize={200}
-              itemData={virtualListData}
-              overscanCount={5}
-            >
-              {HistoryItem}
-            </List>
-          </div>
-        )}
+
+        {renderList()}
       </div>
+
+      {restoreEntry && (
+        <RestoreBillModal entry={restoreEntry} onClose={handleCloseRestore} />
+      )}
+      {adjustment && (
+        <BillAdjustmentModal entry={adjustment.entry} mode={adjustment.mode} onClose={handleCloseAdjustment} />
+      )}
     </div>
   );
 };
 
-export default memo(HistoryPage);
\ No newline at end of file
+export default memo(HistoryPage);
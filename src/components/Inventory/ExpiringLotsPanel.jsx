@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { reconcileLayers } from '../../utils/costingUtils';
+import { getExpiringLots, EXPIRING_SOON_DAYS } from '../../utils/lotUtils';
+import styles from '../InventoryBOM.module.css';
+
+const STATUS_BADGES = {
+    expiring: { className: 'low', label: '⚠️ Expiring' },
+    expired: { className: 'out', label: '⛔ Expired' }
+};
+
+const formatDate = (value) => value
+    ? new Date(value.length === 10 ? `${value}T00:00:00` : value).toLocaleDateString([], { day: 'numeric', month: 'short' })
+    : '—';
+
+// Purchased lots that are past or close to their expiry date. Expired lots are
+// written off as waste from here.
+const ExpiringLotsPanel = ({ items, onWasteLot }) => {
+    const [now, setNow] = useState(() => Date.now());
+    const [busy, setBusy] = useState(false);
+
+    // Re-evaluate expiry as the day rolls over
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const lots = useMemo(
+        () => getExpiringLots(items.map(item => ({ ...item, costLayers: reconcileLayers(item, now) })), now),
+        [items, now]
+    );
+
+    if (lots.length === 0) return null;
+
+    const expired = lots.filter(entry => entry.status === 'expired');
+
+    const waste = async (entries) => {
+        setBusy(true);
+        try {
+            for (const entry of entries) {
+                await onWasteLot(entry.item, entry.lot);
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleWasteExpired = () => {
+        const list = expired.map(entry => `${entry.item.name}: ${entry.lot.remaining} ${entry.item.unit}`).join('\n');
+        if (!window.confirm(`Write off all expired lots as waste?\n\n${list}`)) return;
+        waste(expired);
+    };
+
+    const btn = (variant) => `${styles[variant] || variant} ${styles['btn-sm'] || 'btn-sm'}`;
+
+    return (
+        <div className={styles['prepared-section'] || 'prepared-section'}>
+            <div className={styles['prepared-header'] || 'prepared-header'}>
+                <h2>⏳ Expiring Soon</h2>
+                {expired.length > 0 && (
+                    <button className={btn('btn-danger')} onClick={handleWasteExpired} disabled={busy}>
+                        Waste all expired ({expired.length})
+                    </button>
+                )}
+            </div>
+            <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                Lots expired or expiring within {EXPIRING_SOON_DAYS} days. Stock is used from the earliest-expiring lot first.
+            </p>
+            <div className={styles['data-table-container'] || 'data-table-container'}>
+                <table className={styles['data-table'] || 'data-table'}>
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Received</th>
+                            <th>Expires</th>
+                            <th>Remaining</th>
+                            <th>Value (₹)</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {lots.map(entry => {
+                            const badge = STATUS_BADGES[entry.status];
+                            return (
+                                <tr key={`${entry.item.id}-${entry.lot.id}`}>
+                                    <td><strong>{entry.item.name}</strong></td>
+                                    <td>{formatDate(entry.lot.receivedAt)}</td>
+                                    <td>{formatDate(entry.lot.expiresAt)}</td>
+                                    <td>{entry.lot.remaining} {entry.item.unit}</td>
+                                    <td>₹{entry.value.toFixed(2)}</td>
+                                    <td>
+                                        <span className={`${styles['stock-badge'] || 'stock-badge'} ${styles[badge.className] || badge.className}`}>
+                                            {badge.label}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        {entry.status === 'expired' && (
+                                            <button className={btn('btn-danger')} onClick={() => waste([entry])} disabled={busy}>
+                                                Waste
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ExpiringLotsPanel;
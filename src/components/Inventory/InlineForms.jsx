@@ -1,19 +1,49 @@
 import React, { useState } from 'react';
 import styles from '../InventoryBOM.module.css';
+import { getCompatibleUnits, convertQuantity } from '../../utils/unitUtils';
+import { getPreferredSupplier } from '../../utils/purchaseOrderUtils';
+import { isPerishable } from '../../utils/lotUtils';
 
-export const InlinePurchaseForm = ({ item, onSubmit, onCancel, onError }) => {
+// Units the quantity can be entered in; only shown when the item has more than one
+const UnitSelect = ({ item, value, onChange, disabled }) => {
+    const units = getCompatibleUnits(item);
+    if (units.length < 2) return null;
+    return (
+        <select value={value} onChange={e => onChange(e.target.value)} title="Unit" disabled={disabled}>
+            {units.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+        </select>
+    );
+};
+
+export const InlinePurchaseForm = ({ item, suppliers = [], onSubmit, onCancel, onError }) => {
     const [qty, setQty] = useState('');
+    const [unit, setUnit] = useState(item.unit);
     const [cost, setCost] = useState(item.costPerUnit || '');
+    const [supplierId, setSupplierId] = useState(() => getPreferredSupplier(item, suppliers)?.id || '');
+    const [expiresAt, setExpiresAt] = useState('');
     const [submitting, setSubmitting] = useState(false);
+    const perishable = isPerishable(item);
+
+    // Keep the suggested cost per unit in the unit being entered
+    const handleUnitChange = (newUnit) => {
+        setUnit(newUnit);
+        if (item.costPerUnit) {
+            setCost(Math.round(item.costPerUnit * convertQuantity(1, newUnit, item.unit, item) * 100) / 100);
+        }
+    };
 
     const handleSubmit = async () => {
         if (!qty || Number(qty) <= 0) {
             onError('Enter a valid quantity');
             return;
         }
+        if (perishable && !expiresAt) {
+            onError('Enter the expiry date of this lot');
+            return;
+        }
         setSubmitting(true);
         try {
-            await onSubmit(item, qty, cost);
+            await onSubmit(item, qty, cost, unit, suppliers.find(supplier => supplier.id === supplierId) || null, expiresAt || null);
         } catch (e) {
             console.error(e);
         } finally {
@@ -24,7 +54,17 @@ export const InlinePurchaseForm = ({ item, onSubmit, onCancel, onError }) => {
     return (
         <div className={styles['purchase-inline'] || 'purchase-inline'}>
             <input type="number" placeholder="Qty" value={qty} onChange={e => setQty(e.target.value)} min="0" step="0.1" disabled={submitting} />
-            <input type="number" placeholder="₹/unit" value={cost} onChange={e => setCost(e.target.value)} min="0" step="0.01" disabled={submitting} />
+            <UnitSelect item={item} value={unit} onChange={handleUnitChange} disabled={submitting} />
+            <input type="number" placeholder={`₹/${unit}`} value={cost} onChange={e => setCost(e.target.value)} min="0" step="0.01" disabled={submitting} />
+            {suppliers.length > 0 && (
+                <select value={supplierId} onChange={e => setSupplierId(e.target.value)} title="Supplier" disabled={submitting}>
+                    <option value="">No supplier</option>
+                    {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+                </select>
+            )}
+            {perishable && (
+                <input type="date" value={expiresAt} onChange={e => setExpiresAt(e.target.value)} title="Expiry date" disabled={submitting} />
+            )}
             <button className={`${styles['btn-success'] || 'btn-success'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={handleSubmit} disabled={submitting}>{submitting ? '...' : '✓'}</button>
             <button className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={onCancel} disabled={submitting}>✕</button>
         </div>
@@ -33,6 +73,7 @@ export const InlinePurchaseForm = ({ item, onSubmit, onCancel, onError }) => {
 
 export const InlineWasteForm = ({ item, onSubmit, onCancel, onError }) => {
     const [qty, setQty] = useState('');
+    const [unit, setUnit] = useState(item.unit);
     const [reason, setReason] = useState('');
     const [submitting, setSubmitting] = useState(false);
 
@@ -41,13 +82,13 @@ export const InlineWasteForm = ({ item, onSubmit, onCancel, onError }) => {
             onError('Enter a valid quantity');
             return;
         }
-        if (Number(qty) > item.currentStock) {
+        if (convertQuantity(Number(qty), unit, item.unit, item) > item.currentStock) {
             onError('Cannot waste more quantity than is in stock');
             return;
         }
         setSubmitting(true);
         try {
-            await onSubmit(item, qty, reason);
+            await onSubmit(item, qty, reason, unit);
         } catch (e) {
             console.error(e);
         } finally {
@@ -57,7 +98,8 @@ export const InlineWasteForm = ({ item, onSubmit, onCancel, onError }) => {
 
     return (
         <div className={styles['purchase-inline'] || 'purchase-inline'}>
-            <input type="number" placeholder="Qty" value={qty} onChange={e => setQty(e.target.value)} min="0" max={item.currentStock} step="0.1" title="Waste Quantity" disabled={submitting} />
+            <input type="number" placeholder="Qty" value={qty} onChange={e => setQty(e.target.value)} min="0" step="0.1" title="Waste Quantity" disabled={submitting} />
+            <UnitSelect item={item} value={unit} onChange={setUnit} disabled={submitting} />
             <input type="text" placeholder="Reason" value={reason} onChange={e => setReason(e.target.value)} title="Reason for wasting" disabled={submitting} />
             <button className={`${styles['btn-success'] || 'btn-success'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={handleSubmit} disabled={submitting}>{submitting ? '...' : '✓'}</button>
             <button className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={onCancel} disabled={submitting}>✕</button>
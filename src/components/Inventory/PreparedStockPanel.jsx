@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getLocalDateString } from '../../services/inventoryService';
+import { summarisePreparedItem } from '../../utils/preparedStockUtils';
+import styles from '../InventoryBOM.module.css';
+
+const STATUS_BADGES = {
+    fresh: { className: 'ok', label: '✅ Fresh' },
+    expiring: { className: 'low', label: '⚠️ Expiring' },
+    expired: { className: 'out', label: '⛔ Expired' }
+};
+
+const formatTime = (isoString) => new Date(isoString).toLocaleString([], {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// Production output waiting to be sold, one row per batch. Expired batches are
+// not sold; they and end-of-day leftovers are written off here as waste.
+const PreparedStockPanel = ({ items, onDiscard }) => {
+    const [now, setNow] = useState(() => Date.now());
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const summaries = useMemo(() => {
+        const today = getLocalDateString(new Date(now));
+        return items
+            .map(item => ({ item, ...summarisePreparedItem(item, now, today) }))
+            .filter(summary => summary.batches.length > 0);
+    }, [items, now]);
+
+    if (summaries.length === 0) return null;
+
+    const discard = async (entries, reason) => {
+        setBusy(true);
+        try {
+            for (const { item, batchIds } of entries) {
+                await onDiscard(item, batchIds, reason);
+            }
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDiscardBatch = (item, batch) => {
+        const reason = batch.status === 'expired' ? 'Expired' : 'Discarded';
+        if (!window.confirm(`Discard ${batch.remaining} ${item.unit} of "${item.name}" made ${formatTime(batch.producedAt)}?`)) return;
+        discard([{ item, batchIds: [batch.id] }], reason);
+    };
+
+    const handleDiscardExpired = (summary) => {
+        discard([{ item: summary.item, batchIds: summary.expiredBatchIds }], 'Expired');
+    };
+
+    const handleEndOfDay = () => {
+        const list = summaries.map(summary => `${summary.item.name}: ${summary.remaining} ${summary.item.unit}`).join('\n');
+        if (!window.confirm(`Discard all remaining prepared stock?\n\n${list}`)) return;
+        discard(summaries.map(summary => ({
+            item: summary.item,
+            batchIds: summary.batches.map(batch => batch.id)
+        })), 'End of day discard');
+    };
+
+    const btn = (variant) => `${styles[variant] || variant} ${styles['btn-sm'] || 'btn-sm'}`;
+
+    return (
+        <div className={styles['prepared-section'] || 'prepared-section'}>
+            <div className={styles['prepared-header'] || 'prepared-header'}>
+                <h2>🍲 Prepared Stock</h2>
+                <button className={btn('btn-danger')} onClick={handleEndOfDay} disabled={busy}>
+                    End-of-day discard
+                </button>
+            </div>
+            <div className={styles['data-table-container'] || 'data-table-container'}>
+                <table className={styles['data-table'] || 'data-table'}>
+                    <thead>
+                        <tr>
+                            <th>Item / Batch</th>
+                            <th>Remaining</th>
+                            <th>Cost/Unit (₹)</th>
+                            <th>Value (₹)</th>
+                            <th>Serve By</th>
+                            <th>Status</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {summaries.map(summary => (
+                            <React.Fragment key={summary.item.id}>
+                                <tr className={styles['prepared-item-row'] || 'prepared-item-row'}>
+                                    <td><strong>{summary.item.name}</strong></td>
+                                    <td><strong>{summary.remaining} {summary.item.unit}</strong></td>
+                                    <td></td>
+                                    <td><strong>₹{summary.value.toFixed(2)}</strong></td>
+                                    <td></td>
+                                    <td></td>
+                                    <td>
+                                        {summary.expiredBatchIds.length > 0 && (
+                                            <button className={btn('btn-danger')} onClick={() => handleDiscardExpired(summary)} disabled={busy}>
+                                                Discard expired ({summary.expiredBatchIds.length})
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                                {summary.batches.map(batch => {
+                                    const badge = STATUS_BADGES[batch.status];
+                                    return (
+                                        <tr key={batch.id} className={styles['batch-row'] || 'batch-row'}>
+                                            <td>
+                                                Made {formatTime(batch.producedAt)}
+                                                {batch.leftover && ' • Leftover'}
+                                            </td>
+                                            <td>{batch.remaining} / {batch.quantity} {summary.item.unit}</td>
+                                            <td>₹{batch.costPerUnit.toFixed(2)}</td>
+                                            <td>₹{(batch.remaining * batch.costPerUnit).toFixed(2)}</td>
+                                            <td>{batch.expiresAt ? formatTime(batch.expiresAt) : '—'}</td>
+                                            <td>
+                                                <span className={`${styles['stock-badge'] || 'stock-badge'} ${styles[badge.className] || badge.className}`}>
+                                                    {badge.label}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                <button className={btn('btn-secondary')} onClick={() => handleDiscardBatch(summary.item, batch)} disabled={busy}>
+                                                    Discard
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default PreparedStockPanel;
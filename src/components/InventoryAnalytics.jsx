@@ -4,11 +4,30 @@ import NavigationBar from './NavigationBar';
 import { subscribeToInventory, getAnalyticsData } from '../services/inventoryService';
 import { getShiftHistory } from '../services/shiftService';
 import emailjs from '@emailjs/browser';
-import { db } from '../firebase';
-import { doc, getDoc } from 'firebase/firestore';
+import { db, doc, getDoc } from '../storage';
 import ChronologicalLedger from './Analytics/ChronologicalLedger';
 import MetricsCards from './Analytics/MetricsCards';
 import CategoryBreakdown from './Analytics/CategoryBreakdown';
+import SalesSummary from './Analytics/SalesSummary';
+import UsageReconciliation from './Analytics/UsageReconciliation';
+import StockTakeVariance from './Analytics/StockTakeVariance';
+import SupplierSpend from './Analytics/SupplierSpend';
+import { buildUsageReconciliation } from '../utils/stockUsageUtils';
+import { buildSupplierSpend } from '../utils/purchaseOrderUtils';
+import { ORDER_TYPES } from '../utils/orderTypeUtils';
+
+// Bills and revenue per order type from a daily_metrics doc (stored flat as ordersByType.<type>.<prop>)
+const readOrdersByType = (metric) => {
+    const byType = {};
+    Object.keys(metric).forEach(k => {
+        if (k.startsWith('ordersByType.')) {
+            const [, orderType, prop] = k.split('.');
+            if (!byType[orderType]) byType[orderType] = { count: 0, amount: 0 };
+            byType[orderType][prop] = metric[k] || 0;
+        }
+    });
+    return byType;
+};
 
 const InventoryAnalytics = () => {
     // Top-level state
@@ -25,6 +44,8 @@ const InventoryAnalytics = () => {
     const [purchases, setPurchases] = useState([]);
     const [usages, setUsages] = useState([]);
     const [wastes, setWastes] = useState([]);
+    const [adjustments, setAdjustments] = useState([]);
+    const [stockTakes, setStockTakes] = useState([]);
     const [dailyMetrics, setDailyMetrics] = useState([]);
 
     // Date Range State
@@ -76,7 +97,8 @@ const InventoryAnalytics = () => {
                 setPurchases(data.purchases);
                 setUsages(data.usages);
                 setWastes(data.waste);
-                setDailyMetrics(data.metricsDocs || []);
+                setAdjustments(data.adjustments || []);
+                setStockTakes(data.stockTakes || []);
                 setDailyMetrics(data.metricsDocs || []);
             } catch (err) {
                 setError(err.message);
@@ -122,11 +144,36 @@ const InventoryAnalytics = () => {
             // 2. Format HTML Body
             const totalRevenue = metrics.totalSales || 0;
             const totalOrders = metrics.totalOrders || 0;
-            const dineInTables = metrics.dineInTables || 0;
-            const onlineTables = totalOrders - dineInTables;
+            const ordersByType = readOrdersByType(metrics);
+            const packagingCharges = metrics.packagingCharges || 0;
             const totalCOGS = metrics.totalCOGS || 0;
+            const salesCOGS = metrics.salesCOGS || 0;
             const totalWastageLoss = metrics.totalWastageLoss || 0;
             const grossProfit = totalRevenue - totalCOGS;
+            const netSales = metrics.netSales || 0;
+            const taxCollected = metrics.taxCollected || 0;
+            const serviceCharge = metrics.serviceCharge || 0;
+            const roundOff = metrics.roundOff || 0;
+            const grossSales = metrics.grossSales ?? totalRevenue;
+            const discountTotal = metrics.discountTotal || 0;
+
+            // Unflatten taxByClass dot notation (same storage as itemSales)
+            const taxByClass = { ...(metrics.taxByClass || {}) };
+            Object.keys(metrics).forEach(k => {
+                if (k.startsWith('taxByClass.')) {
+                    const [, classId, prop] = k.split('.');
+                    taxByClass[classId] = { ...(taxByClass[classId] || {}), [prop]: metrics[k] };
+                }
+            });
+
+            const orderTypesHtml = ORDER_TYPES.map(({ id, label }) => {
+                const { count = 0, amount = 0 } = ordersByType[id] || {};
+                return `<li>${label} — Bills: ${count} | Revenue: &#8377;${amount.toFixed(2)}</li>`;
+            }).join("");
+
+            const taxClassesHtml = Object.values(taxByClass).map(tax =>
+                `<li>${tax.name} — Taxable: &#8377;${(tax.taxable || 0).toFixed(2)} | Tax: &#8377;${(tax.amount || 0).toFixed(2)}</li>`
+            ).join("");
 
             // Unflatten itemSales dot notation
             const unflattenedItems = {};
@@ -215,17 +262,27 @@ const InventoryAnalytics = () => {
                 <h2>Daily Sales Report – ${dateStr}</h2>
                 <hr />
                 <h3>Sales Summary</h3>
+                <p><b>Gross Sales:</b> &#8377;${grossSales.toFixed(2)}</p>
+                <p><b>Discounts:</b> -&#8377;${discountTotal.toFixed(2)}</p>
                 <p><b>Total Revenue:</b> &#8377;${totalRevenue.toFixed(2)}</p>
                 <p><b>Total Orders:</b> ${totalOrders}</p>
-                <p><b>Dine-in Tables:</b> ${dineInTables}</p>
-                <p><b>Online Orders:</b> ${onlineTables > 0 ? onlineTables : 0}</p>
+                <h4>By Order Type</h4>
+                <ul>${orderTypesHtml}</ul>
+                <br/>
+                <h3>Tax Summary</h3>
+                <p><b>Net Sales (pre-tax):</b> &#8377;${netSales.toFixed(2)}</p>
+                <p><b>Service Charge:</b> &#8377;${serviceCharge.toFixed(2)}</p>
+                ${packagingCharges ? `<p><b>Packaging Charges:</b> &#8377;${packagingCharges.toFixed(2)}</p>` : ''}
+                <p><b>Tax Collected:</b> &#8377;${taxCollected.toFixed(2)}</p>
+                ${taxClassesHtml ? `<ul>${taxClassesHtml}</ul>` : ''}
+                <p><b>Round Off:</b> &#8377;${roundOff.toFixed(2)}</p>
                 <br/>
                 <h3>Item Sales Breakdown</h3>
                 <ul>${topItemsHtml}</ul>
                 ${shiftSummaryHtml}
                 <br/>
                 <h3>Profit Snapshot</h3>
-                <p><b>Estimated COGS:</b> &#8377;${totalCOGS.toFixed(2)}</p>
+                <p><b>Estimated COGS:</b> &#8377;${totalCOGS.toFixed(2)}${salesCOGS ? ` (&#8377;${salesCOGS.toFixed(2)} deducted by sales)` : ''}</p>
                 <p><b>Gross Profit:</b> &#8377;${grossProfit.toFixed(2)}</p>
                 <p style="color: red;"><b>Reported Wastage Loss:</b> &#8377;${totalWastageLoss.toFixed(2)}</p>
                 <br/>
@@ -345,6 +402,58 @@ const InventoryAnalytics = () => {
         return Object.values(itemMap).sort((a, b) => b.qty - a.qty);
     }, [dailyMetrics]);
 
+    // Gross vs net sales and discounts from Daily Metrics
+    const salesTotals = useMemo(() => {
+        const totals = { grossSales: 0, discountTotal: 0, totalSales: 0, netSales: 0, taxCollected: 0, cancelledAfterFire: 0 };
+        const reasonMap = {};
+        const cancelMap = {};
+        const typeMap = {};
+
+        dailyMetrics.forEach(metric => {
+            totals.totalSales += metric.totalSales || 0;
+            // Days recorded before discounts existed have no gross figure
+            totals.grossSales += metric.grossSales ?? metric.totalSales ?? 0;
+            totals.discountTotal += metric.discountTotal || 0;
+            totals.netSales += metric.netSales || 0;
+            totals.taxCollected += metric.taxCollected || 0;
+            totals.cancelledAfterFire += metric.cancelledAfterFire || 0;
+
+            Object.entries(readOrdersByType(metric)).forEach(([orderType, { count, amount }]) => {
+                if (!typeMap[orderType]) typeMap[orderType] = { count: 0, amount: 0 };
+                typeMap[orderType].count += count;
+                typeMap[orderType].amount += amount;
+            });
+
+            // Handle Firestore dot-notation flattening
+            Object.keys(metric).forEach(k => {
+                if (k.startsWith('discountsByReason.')) {
+                    const [, safeReason, prop] = k.split('.');
+                    if (!reasonMap[safeReason]) reasonMap[safeReason] = { reason: safeReason, count: 0, amount: 0 };
+
+                    if (prop === 'reason') reasonMap[safeReason].reason = metric[k];
+                    else if (prop === 'count') reasonMap[safeReason].count += (metric[k] || 0);
+                    else if (prop === 'amount') reasonMap[safeReason].amount += (metric[k] || 0);
+                } else if (k.startsWith('cancellationsByReason.')) {
+                    const [, safeReason, prop] = k.split('.');
+                    if (!cancelMap[safeReason]) cancelMap[safeReason] = { reason: safeReason, qty: 0, amount: 0 };
+
+                    if (prop === 'reason') cancelMap[safeReason].reason = metric[k];
+                    else if (prop === 'qty') cancelMap[safeReason].qty += (metric[k] || 0);
+                    else if (prop === 'amount') cancelMap[safeReason].amount += (metric[k] || 0);
+                }
+            });
+        });
+
+        return {
+            ...totals,
+            discountsByReason: Object.values(reasonMap).sort((a, b) => b.amount - a.amount),
+            cancellationsByReason: Object.values(cancelMap).sort((a, b) => b.amount - a.amount),
+            ordersByType: ORDER_TYPES
+                .filter(({ id }) => typeMap[id])
+                .map(({ id, label }) => ({ orderType: id, label, ...typeMap[id] }))
+        };
+    }, [dailyMetrics]);
+
     // Chronological Ledger (combined view)
     const ledger = useMemo(() => {
         const events = [];
@@ -359,7 +468,17 @@ const InventoryAnalytics = () => {
             actor: 'System'
         }));
 
-        usages.forEach(u => events.push({
+        usages.forEach(u => events.push(u.source === 'sale' || u.source === 'sale_reversal' ? {
+            id: u.id,
+            type: 'SALE',
+            label: u.source === 'sale'
+                ? `Sold: ${(u.items || []).map(item => `${item.quantity} x ${item.name}`).join(', ')} (${u.recipeName})`
+                : `Stock returned: ${u.recipeName}`,
+            date: u.timestamp?.toDate(),
+            qty: `${u.source === 'sale' ? '-' : '+'}${u.ingredients?.length || 0} ingredients`,
+            value: u.totalCost,
+            actor: 'System'
+        } : {
             id: u.id,
             type: 'PRODUCTION',
             label: `Produced: ${u.quantityProduced || u.targetQuantity} ${u.outputUnit} ${u.recipeName}`,
@@ -379,12 +498,30 @@ const InventoryAnalytics = () => {
             actor: 'System'
         }));
 
+        adjustments.forEach(a => events.push({
+            id: a.id,
+            type: 'ADJUSTMENT',
+            label: `Stock corrected: ${a.itemName} (${a.previousStock} → ${a.newStock})`,
+            date: a.adjustedAt?.toDate(),
+            qty: `${a.difference > 0 ? '+' : ''}${a.difference}`,
+            value: 0,
+            actor: 'System'
+        }));
+
         return events.sort((a, b) => {
             const dateA = a.date ? a.date.getTime() : 0;
             const dateB = b.date ? b.date.getTime() : 0;
             return dateB - dateA; // descending
         });
-    }, [purchases, usages, wastes]);
+    }, [purchases, usages, wastes, adjustments]);
+
+    // Theoretical (sales) vs actual stock usage per inventory item
+    const reconciliation = useMemo(
+        () => buildUsageReconciliation({ usages, wastes, adjustments, inventory }),
+        [usages, wastes, adjustments, inventory]
+    );
+
+    const supplierSpend = useMemo(() => buildSupplierSpend(purchases), [purchases]);
 
 
 
@@ -463,11 +600,19 @@ const InventoryAnalytics = () => {
                     <div className={styles['loading'] || 'loading'}>Loading period data...</div>
                 ) : (
                     <div className={styles['analytics-body'] || 'analytics-body'}>
+                        <SalesSummary salesTotals={salesTotals} />
+
                         <CategoryBreakdown
                             categoricalData={categoricalData}
                             aggregateItemSales={aggregateItemSales}
                         />
 
+                        <UsageReconciliation rows={reconciliation} />
+
+                        <StockTakeVariance stockTakes={stockTakes} />
+
+                        <SupplierSpend rows={supplierSpend} />
+
                         {/* Chronological Ledger */}
                         <ChronologicalLedger ledger={ledger} />
                     </div>
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import NavigationBar from './NavigationBar';
 import { ErrorBanner, SuccessBanner } from './Reusable/LoadingComponents';
 import {
@@ -7,9 +8,16 @@ import {
     updateInventoryItem,
     deleteInventoryItem,
     addPurchaseRecord,
-    addWasteEntry
+    addWasteEntry,
+    discardPreparedStock,
+    subscribeToSuppliers
 } from '../services/inventoryService';
+import { isPreparedItem } from '../utils/preparedStockUtils';
+import { UNITS, normaliseConversions, formatConversion } from '../utils/unitUtils';
+import { COSTING_METHODS, DEFAULT_COSTING_METHOD } from '../utils/costingUtils';
 import { InlinePurchaseForm, InlineWasteForm } from './Inventory/InlineForms';
+import PreparedStockPanel from './Inventory/PreparedStockPanel';
+import ExpiringLotsPanel from './Inventory/ExpiringLotsPanel';
 import styles from './InventoryBOM.module.css';
 
 const CATEGORIES = [
@@ -22,19 +30,20 @@ const CATEGORIES = [
     { value: 'other', label: 'Other' }
 ];
 
-const UNITS = ['kg', 'g', 'liters', 'ml', 'pieces', 'packets', 'dozen'];
-
 const emptyItem = {
     name: '',
     unit: 'kg',
     currentStock: '',
     costPerUnit: '',
     reorderLevel: '',
-    category: 'other'
+    category: 'other',
+    conversions: [],
+    costingMethod: DEFAULT_COSTING_METHOD
 };
 
 const InventoryDashboard = () => {
     const [inventory, setInventory] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
@@ -59,22 +68,30 @@ const InventoryDashboard = () => {
             setInventory(items);
             setLoading(false);
         });
-        return () => unsubscribe();
+        const unsubSuppliers = subscribeToSuppliers(setSuppliers);
+        return () => {
+            unsubscribe();
+            unsubSuppliers();
+        };
     }, []);
 
+    // Production output is shown in its own panel, with its batches
+    const rawInventory = useMemo(() => inventory.filter(item => !isPreparedItem(item)), [inventory]);
+    const preparedItems = useMemo(() => inventory.filter(isPreparedItem), [inventory]);
+
     // Filtered inventory
     const filteredInventory = useMemo(() => {
-        return inventory.filter(item => {
+        return rawInventory.filter(item => {
             const matchesSearch = item.name.toLowerCase().includes(searchTerm.toLowerCase());
             const matchesCategory = categoryFilter === 'all' || item.category === categoryFilter;
             return matchesSearch && matchesCategory;
         });
-    }, [inventory, searchTerm, categoryFilter]);
+    }, [rawInventory, searchTerm, categoryFilter]);
 
     // Low stock items
     const lowStockItems = useMemo(() => {
-        return inventory.filter(item => item.currentStock <= item.reorderLevel && item.reorderLevel > 0);
-    }, [inventory]);
+        return rawInventory.filter(item => item.currentStock <= item.reorderLevel && item.reorderLevel > 0);
+    }, [rawInventory]);
 
     // Form handlers
     const openAddModal = () => {
@@ -91,7 +108,9 @@ const InventoryDashboard = () => {
             currentStock: item.currentStock,
             costPerUnit: item.costPerUnit,
             reorderLevel: item.reorderLevel,
-            category: item.category
+            category: item.category,
+            conversions: (item.conversions || []).map(conversion => ({ ...conversion, factor: String(conversion.factor) })),
+            costingMethod: item.costingMethod || DEFAULT_COSTING_METHOD
         });
         setShowModal(true);
     };
@@ -106,12 +125,39 @@ const InventoryDashboard = () => {
         setFormData(prev => ({ ...prev, [field]: value }));
     };
 
+    // Custom unit conversion rows ("1 packets = 500 g")
+    const addConversionRow = () => {
+        setFormData(prev => ({
+            ...prev,
+            conversions: [...prev.conversions, { unit: 'packets', factor: '', toUnit: prev.unit === 'packets' ? 'g' : prev.unit }]
+        }));
+    };
+
+    const updateConversion = (index, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            conversions: prev.conversions.map((conversion, i) => i === index ? { ...conversion, [field]: value } : conversion)
+        }));
+    };
+
+    const removeConversionRow = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            conversions: prev.conversions.filter((_, i) => i !== index)
+        }));
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         if (!formData.name.trim()) {
             setError('Item name is required');
             return;
         }
+        const { conversions, error: conversionError } = normaliseConversions(formData.conversions);
+        if (conversionError) {
+            setError(conversionError);
+            return;
+        }
         setFormLoading(true);
         try {
             if (editingItem) {
@@ -121,11 +167,13 @@ const InventoryDashboard = () => {
                     currentStock: Number(formData.currentStock) || 0,
                     costPerUnit: Number(formData.costPerUnit) || 0,
                     reorderLevel: Number(formData.reorderLevel) || 0,
-                    category: formData.category
+                    category: formData.category,
+                    conversions,
+                    costingMethod: formData.costingMethod
                 });
                 setSuccess(`"${formData.name}" updated successfully`);
             } else {
-                await addInventoryItem(formData);
+                await addInventoryItem({ ...formData, conversions });
                 setSuccess(`"${formData.name}" added to inventory`);
             }
             closeModal();
@@ -156,15 +204,19 @@ const InventoryDashboard = () => {
         setPurchasingItemId(null);
     };
 
-    const submitPurchase = async (item, qty, cost) => {
+    const submitPurchase = async (item, qty, cost, unit, supplier, expiresAt) => {
         try {
             await addPurchaseRecord({
                 inventoryItemId: item.id,
                 itemName: item.name,
                 quantity: qty,
-                unitCost: cost
+                unitCost: cost,
+                unit,
+                supplierId: supplier?.id,
+                supplierName: supplier?.name,
+                expiresAt: expiresAt || null
             });
-            setSuccess(`Added ${qty} ${item.unit} of "${item.name}" to stock`);
+            setSuccess(`Added ${qty} ${unit} of "${item.name}" to stock`);
             cancelPurchase();
         } catch (err) {
             setError(err.message);
@@ -182,16 +234,16 @@ const InventoryDashboard = () => {
         setWastingItemId(null);
     };
 
-    const submitWaste = async (item, qty, reason) => {
+    const submitWaste = async (item, qty, reason, unit) => {
         try {
             await addWasteEntry({
                 inventoryItemId: item.id,
                 itemName: item.name,
                 quantity: qty,
                 reason: reason || 'Not specified',
-                unitCost: item.costPerUnit || 0
+                unit
             });
-            setSuccess(`Logged ${qty} ${item.unit} of "${item.name}" as waste`);
+            setSuccess(`Logged ${qty} ${unit} of "${item.name}" as waste`);
             cancelWaste();
         } catch (err) {
             setError(err.message);
@@ -199,6 +251,33 @@ const InventoryDashboard = () => {
         }
     };
 
+    // Write off what is left of an expired lot
+    const handleWasteLot = async (item, lot) => {
+        try {
+            await addWasteEntry({
+                inventoryItemId: item.id,
+                itemName: item.name,
+                quantity: lot.remaining,
+                reason: 'Expired',
+                unit: item.unit,
+                lotId: lot.id
+            });
+            setSuccess(`Logged ${lot.remaining} ${item.unit} of expired "${item.name}" as waste`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Prepared stock handlers
+    const handleDiscardPrepared = async (item, batchIds, reason) => {
+        try {
+            const result = await discardPreparedStock(item.id, batchIds, reason);
+            setSuccess(`Discarded ${result.quantity} ${item.unit} of "${item.name}" (₹${result.totalCost.toFixed(2)})`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
     const getStockStatus = (item) => {
         if (item.currentStock <= 0) return 'out';
         if (item.reorderLevel > 0 && item.currentStock <= item.reorderLevel) return 'low';
@@ -232,6 +311,8 @@ const InventoryDashboard = () => {
                 <div className={styles['inventory-header'] || 'inventory-header'}>
                     <h1>📦 Inventory Management</h1>
                     <div className={styles['header-actions'] || 'header-actions'}>
+                        <Link to="/stock-take" className={styles['btn-secondary'] || 'btn-secondary'}>📋 Stock Take</Link>
+                        <Link to="/suppliers" className={styles['btn-secondary'] || 'btn-secondary'}>🚚 Suppliers & Orders</Link>
                         <button className={styles['btn-primary'] || 'btn-primary'} onClick={openAddModal}>+ Add Item</button>
                     </div>
                 </div>
@@ -246,6 +327,10 @@ const InventoryDashboard = () => {
                     </div>
                 )}
 
+                <ExpiringLotsPanel items={rawInventory} onWasteLot={handleWasteLot} />
+
+                <PreparedStockPanel items={preparedItems} onDiscard={handleDiscardPrepared} />
+
                 {/* Search & Filter */}
                 <div className={styles['filter-bar'] || 'filter-bar'}>
                     <input
@@ -270,8 +355,8 @@ const InventoryDashboard = () => {
                 {/* Inventory Table */}
                 {filteredInventory.length === 0 ? (
                     <div className={styles['empty-state'] || 'empty-state'}>
-                        <p>{inventory.length === 0 ? 'No inventory items yet.' : 'No items match your filter.'}</p>
-                        {inventory.length === 0 && (
+                        <p>{rawInventory.length === 0 ? 'No inventory items yet.' : 'No items match your filter.'}</p>
+                        {rawInventory.length === 0 && (
                             <button className={styles['btn-primary'] || 'btn-primary'} onClick={openAddModal}>Add your first item</button>
                         )}
                     </div>
@@ -297,12 +382,20 @@ const InventoryDashboard = () => {
                                             <td><strong>{item.name}</strong></td>
                                             <td><span className={styles['category-badge'] || 'category-badge'}>{item.category}</span></td>
                                             <td>{item.currentStock}</td>
-                                            <td>{item.unit}</td>
-                                            <td>₹{(item.costPerUnit || 0).toFixed(2)}</td>
+                                            <td>
+                                                {item.unit}
+                                                {(item.conversions || []).map(conversion => (
+                                                    <span key={conversion.unit} className={styles['unit-note'] || 'unit-note'}>{formatConversion(conversion)}</span>
+                                                ))}
+                                            </td>
+                                            <td>
+                                                ₹{(item.costPerUnit || 0).toFixed(2)}
+                                                {item.costingMethod === 'fifo' && <span className={styles['unit-note'] || 'unit-note'}>FIFO</span>}
+                                            </td>
                                             <td><span className={`stock-badge ${status}`}>{getStockLabel(status)}</span></td>
                                             <td>
                                                 {purchasingItemId === item.id ? (
-                                                    <InlinePurchaseForm item={item} onSubmit={submitPurchase} onCancel={cancelPurchase} onError={setError} />
+                                                    <InlinePurchaseForm item={item} suppliers={suppliers} onSubmit={submitPurchase} onCancel={cancelPurchase} onError={setError} />
                                                 ) : wastingItemId === item.id ? (
                                                     <InlineWasteForm item={item} onSubmit={submitWaste} onCancel={cancelWaste} onError={setError} />
                                                 ) : (
@@ -387,16 +480,71 @@ const InventoryDashboard = () => {
                                         />
                                     </div>
                                 </div>
-                                <div className={styles['form-group'] || 'form-group'}>
-                                    <label>Reorder Level (alert when stock drops below)</label>
-                                    <input
-                                        type="number"
-                                        value={formData.reorderLevel}
-                                        onChange={(e) => handleFormChange('reorderLevel', e.target.value)}
-                                        placeholder="0"
-                                        min="0"
-                                        step="0.1"
-                                    />
+                                <div className={styles['form-row'] || 'form-row'}>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Reorder Level (alert when stock drops below)</label>
+                                        <input
+                                            type="number"
+                                            value={formData.reorderLevel}
+                                            onChange={(e) => handleFormChange('reorderLevel', e.target.value)}
+                                            placeholder="0"
+                                            min="0"
+                                            step="0.1"
+                                        />
+                                    </div>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Costing Method</label>
+                                        <select
+                                            value={formData.costingMethod}
+                                            onChange={(e) => handleFormChange('costingMethod', e.target.value)}
+                                            title="How stock taken out is costed: at the running average purchase price, or at the price of the oldest purchase first"
+                                        >
+                                            {COSTING_METHODS.map(method => (
+                                                <option key={method.value} value={method.value}>{method.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </div>
+                                <div className={styles['ingredients-section'] || 'ingredients-section'}>
+                                    <h3>Unit Conversions</h3>
+                                    <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                                        kg/g, liters/ml and pieces/dozen convert automatically. Add one for anything else, e.g. 1 packets = 500 g.
+                                    </p>
+                                    {formData.conversions.map((conversion, index) => (
+                                        <div key={index} className={styles['conversion-row'] || 'conversion-row'}>
+                                            <span>1</span>
+                                            <select value={conversion.unit} onChange={(e) => updateConversion(index, 'unit', e.target.value)}>
+                                                {UNITS.map(u => (
+                                                    <option key={u} value={u}>{u}</option>
+                                                ))}
+                                            </select>
+                                            <span>=</span>
+                                            <input
+                                                type="number"
+                                                value={conversion.factor}
+                                                onChange={(e) => updateConversion(index, 'factor', e.target.value)}
+                                                placeholder="Qty"
+                                                min="0"
+                                                step="0.001"
+                                            />
+                                            <select value={conversion.toUnit} onChange={(e) => updateConversion(index, 'toUnit', e.target.value)}>
+                                                {UNITS.map(u => (
+                                                    <option key={u} value={u}>{u}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                type="button"
+                                                className={styles['remove-ingredient-btn'] || 'remove-ingredient-btn'}
+                                                onClick={() => removeConversionRow(index)}
+                                                title="Remove conversion"
+                                            >
+                                                ×
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button type="button" className={styles['add-ingredient-btn'] || 'add-ingredient-btn'} onClick={addConversionRow}>
+                                        + Add Conversion
+                                    </button>
                                 </div>
                                 <div className={styles['form-actions'] || 'form-actions'}>
                                     <button type="button" className={styles['btn-secondary'] || 'btn-secondary'} onClick={closeModal} disabled={formLoading}>
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import NavigationBar from './NavigationBar';
+import LineStatusBadge from './Tables/LineStatusBadge';
+import { subscribeToTables, subscribeToMenuItems, updateTablesInTransaction } from '../services/firebaseService';
+import { getTableName } from '../utils/tableUtils';
+import { isQueueTicket, getQueueLabel } from '../utils/orderTypeUtils';
+import { getLineId } from '../utils/modifierUtils';
+import {
+    KITCHEN_STATIONS,
+    buildKitchenTickets,
+    setTicketLinesStatus,
+    bumpTicket,
+    getTicketAgeLevel,
+    getElapsedMinutes,
+    formatTicketLine
+} from '../utils/kdsUtils';
+
+const STATION_TABS = [{ id: '', label: 'All' }, ...KITCHEN_STATIONS];
+
+const formatElapsed = (minutes) => minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+const getPlaceName = (tableId, table) => isQueueTicket(table) ? getQueueLabel(table) : getTableName(table, tableId);
+
+// Short two-tone chime; needs an AudioContext created from a tap (browser autoplay rules)
+const playChime = (audioContext) => {
+    [880, 1320].forEach((frequency, index) => {
+        const start = audioContext.currentTime + index * 0.25;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.4, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.4);
+    });
+};
+
+// Kitchen display: open orders as tickets, oldest first, for the whole
+// kitchen or one station. Tap a line to start cooking it, bump a ticket when
+// it is ready, recall a bumped ticket if it went out too early.
+const KitchenPage = () => {
+    const [tables, setTables] = useState({});
+    const [menuItems, setMenuItems] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [station, setStation] = useState(() => localStorage.getItem('kdsStation') || '');
+    const [soundOn, setSoundOn] = useState(false);
+    const [busyTicket, setBusyTicket] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+    const audioContextRef = useRef(null);
+    const seenAlertsRef = useRef(null);
+
+    useEffect(() => {
+        const unsubscribeTables = subscribeToTables((updatedTables) => {
+            setTables(updatedTables);
+            setLoading(false);
+        });
+        const unsubscribeMenuItems = subscribeToMenuItems(setMenuItems);
+
+        return () => {
+            unsubscribeTables();
+            unsubscribeMenuItems();
+        };
+    }, []);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 15000);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => () => audioContextRef.current?.close(), []);
+
+    const menuById = useMemo(
+        () => Object.fromEntries(menuItems.map(menuItem => [menuItem.id, menuItem])),
+        [menuItems]
+    );
+
+    const tickets = useMemo(
+        () => buildKitchenTickets(tables, { station, menuById, getPlaceName }),
+        [tables, station, menuById]
+    );
+
+    const stationCounts = useMemo(() => Object.fromEntries(STATION_TABS.map(tab => [
+        tab.id,
+        buildKitchenTickets(tables, { station: tab.id, menuById }).active.length
+    ])), [tables, menuById]);
+
+    // Chime when a firing or cancellation appears that this screen has not shown yet.
+    // Switching station starts a fresh set so old tickets do not chime.
+    useEffect(() => {
+        if (loading) return;
+        const alertKeys = tickets.active.flatMap(ticket => ticket.alertKeys);
+        const seen = seenAlertsRef.current;
+        if (seen?.station === station && alertKeys.some(key => !seen.keys.has(key)) && audioContextRef.current) {
+            playChime(audioContextRef.current);
+        }
+        seenAlertsRef.current = { station, keys: new Set(alertKeys) };
+    }, [tickets, station, loading]);
+
+    const handleStationChange = (stationId) => {
+        setStation(stationId);
+        localStorage.setItem('kdsStation', stationId);
+    };
+
+    const handleToggleSound = () => {
+        if (soundOn) {
+            setSoundOn(false);
+            audioContextRef.current?.close();
+            audioContextRef.current = null;
+            return;
+        }
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            alert('This browser cannot play sounds.');
+            return;
+        }
+        audioContextRef.current = new AudioContextClass();
+        playChime(audioContextRef.current);
+        setSoundOn(true);
+    };
+
+    // Apply a ticket change to the latest copy of its table
+    const updateTicket = async (ticket, updateFn) => {
+        setBusyTicket(ticket.key);
+        const updated = await updateTablesInTransaction([ticket.tableId], (current) => ({
+            [ticket.tableId]: updateFn(current[ticket.tableId])
+        }));
+        setBusyTicket(null);
+        if (!updated) alert('Could not update this ticket. It may have been changed on another device, or the connection is down.');
+    };
+
+    const handleStartLine = (ticket, item) => {
+        if (item.status !== 'queued') return;
+        updateTicket(ticket, table => setTicketLinesStatus(table, ticket.orderId, {
+            fromStatuses: ['queued'], toStatus: 'cooking', lineIds: [getLineId(item)]
+        }));
+    };
+
+    const handleBump = (ticket) => {
+        updateTicket(ticket, table => bumpTicket(table, ticket.orderId, { station, menuById }));
+    };
+
+    const handleRecall = (ticket) => {
+        updateTicket(ticket, table => setTicketLinesStatus(table, ticket.orderId, {
+            fromStatuses: ['ready'], toStatus: 'cooking', station, menuById
+        }));
+    };
+
+    const handleServed = (ticket) => {
+        updateTicket(ticket, table => setTicketLinesStatus(table, ticket.orderId, {
+            fromStatuses: ['ready'], toStatus: 'served', station, menuById
+        }));
+    };
+
+    return (
+        <div className="kitchen-page">
+            <NavigationBar currentPage="kitchen" />
+            <div className="page-content">
+                <div className="kitchen-header">
+                    <div className="kitchen-stations">
+                        {STATION_TABS.map(tab => (
+                            <button
+                                key={tab.id || 'all'}
+                                className={`kitchen-station-btn ${station === tab.id ? 'active' : ''}`}
+                                onClick={() => handleStationChange(tab.id)}
+                            >
+                                {tab.label}
+                                <span className="kitchen-station-count">({stationCounts[tab.id] || 0})</span>
+                            </button>
+                        ))}
+                    </div>
+                    <button className="secondary-btn kitchen-sound-btn" onClick={handleToggleSound}>
+                        {soundOn ? '🔔 Sound on' : '🔕 Enable sound'}
+                    </button>
+                </div>
+
+                {loading ? (
+                    <p>Loading orders...</p>
+                ) : tickets.active.length === 0 ? (
+                    <p className="kitchen-empty">No tickets waiting.</p>
+                ) : (
+                    <div className="kitchen-orders">
+                        {tickets.active.map(ticket => {
+                            const minutes = getElapsedMinutes(ticket.queuedAt, now);
+                            return (
+                                <div key={ticket.key} className={`kitchen-order ${getTicketAgeLevel(minutes)}`}>
+                                    <div className="kitchen-order-header">
+                                        <strong>{ticket.placeName}</strong>
+                                        <span className="kitchen-order-age">{formatElapsed(minutes)}</span>
+                                    </div>
+                                    <div className="kitchen-order-meta">
+                                        Order #{ticket.orderNumber}{ticket.kotCount > 0 ? ` · KOT ${ticket.kotCount}` : ''}
+                                    </div>
+
+                                    {ticket.lines.map(item => (
+                                        <button
+                                            key={getLineId(item)}
+                                            className={`kitchen-line ${item.status}`}
+                                            onClick={() => handleStartLine(ticket, item)}
+                                            disabled={busyTicket === ticket.key}
+                                            title={item.status === 'queued' ? 'Tap to start cooking' : undefined}
+                                        >
+                                            <span className="kitchen-line-info">
+                                                <span className="kitchen-line-name">{formatTicketLine(item)}</span>
+                                                {item.note && <span className="line-note">{item.note}</span>}
+                                            </span>
+                                            <LineStatusBadge status={item.status} />
+                                        </button>
+                                    ))}
+
+                                    {ticket.cancellations.map(cancellation => (
+                                        <div key={cancellation.id} className="kitchen-line cancelled">
+                                            <span className="kitchen-line-info">
+                                                <span className="kitchen-line-name">{cancellation.quantity} x {cancellation.name}</span>
+                                                <span className="kitchen-line-time">{cancellation.reason}</span>
+                                            </span>
+                                            <LineStatusBadge status="cancelled" />
+                                        </div>
+                                    ))}
+
+                                    <button
+                                        className="primary-btn kitchen-bump-btn"
+                                        onClick={() => handleBump(ticket)}
+                                        disabled={busyTicket === ticket.key}
+                                    >
+                                        {ticket.lines.length > 0 ? 'Bump' : 'Acknowledge'}
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {tickets.bumped.length > 0 && (
+                    <div className="kitchen-bumped">
+                        <h3>Recently bumped</h3>
+                        <div className="kitchen-bumped-list">
+                            {tickets.bumped.map(ticket => (
+                                <div key={ticket.key} className="kitchen-bumped-ticket">
+                                    <strong>{ticket.placeName} · #{ticket.orderNumber}</strong>
+                                    <span className="kitchen-bumped-lines">
+                                        {ticket.lines.map(formatTicketLine).join(', ')}
+                                    </span>
+                                    <div className="kitchen-bumped-actions">
+                                        <button className="secondary-btn" onClick={() => handleRecall(ticket)} disabled={busyTicket === ticket.key}>
+                                            Recall
+                                        </button>
+                                        <button className="primary-btn" onClick={() => handleServed(ticket)} disabled={busyTicket === ticket.key}>
+                                            Served
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default KitchenPage;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { login, isAuthenticated, listenToAuthState, register } from '../services/authService';
+import { login, isAuthenticated, isKitchenOnly, listenToAuthState, register } from '../services/authService';
 import './LoginPage.css';
 
 const LoginPage = () => {
@@ -20,8 +20,8 @@ const LoginPage = () => {
   useEffect(() => {
     const unsubscribe = listenToAuthState((user) => {
       if (user && isAuthenticated()) {
-        // Redirect to intended page or default to tables
-        const from = location.state?.from?.pathname || '/tables';
+        // Redirect to intended page or default to tables (kitchen logins go to the kitchen display)
+        const from = isKitchenOnly() ? '/kitchen' : (location.state?.from?.pathname || '/tables');
         navigate(from, { replace: true });
       }
     });
@@ -1,11 +1,33 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { logout, isAuthenticated } from '../services/authService';
-import { getConnectionState, onConnectionStateChange } from '../services/firebaseService';
+import { logout, isAuthenticated, isKitchenOnly } from '../services/authService';
+import { getConnectionState, onConnectionStateChange, flushQueuedWrites } from '../services/firebaseService';
+import {
+  getQueuedWrites,
+  onQueuedWritesChange,
+  getFailedWrites,
+  onFailedWritesChange,
+  requeueFailedWrites,
+  discardFailedWrites
+} from '../services/outboxService';
+
+const FAILED_WRITE_LABELS = {
+  updateTable: 'Table update',
+  deleteTable: 'Table removal',
+  addHistory: 'Checkout'
+};
+
+const describeFailedWrite = (write) => {
+  const place = write.payload?.tableId ?? write.payload?.historyEntry?.tableId;
+  const label = FAILED_WRITE_LABELS[write.type] || write.type;
+  return `${label}${place !== undefined && place !== null ? ` (table ${place})` : ''} at ${new Date(write.queuedAt).toLocaleString()}: ${write.lastError}`;
+};
 
 const NavigationBar = ({ currentPage }) => {
   const navigate = useNavigate();
   const [isOnline, setIsOnline] = useState(getConnectionState());
+  const [queuedWrites, setQueuedWrites] = useState(getQueuedWrites());
+  const [failedWrites, setFailedWrites] = useState(getFailedWrites());
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const menuRef = useRef(null);
 
@@ -14,6 +36,34 @@ const NavigationBar = ({ currentPage }) => {
     return () => unsubscribe();
   }, []);
 
+  // Changes made offline that have not reached the server yet
+  useEffect(() => {
+    const unsubscribe = onQueuedWritesChange(setQueuedWrites);
+    return () => unsubscribe();
+  }, []);
+
+  // Offline changes the server rejected; they wait here until sent again or discarded
+  useEffect(() => {
+    const unsubscribe = onFailedWritesChange(setFailedWrites);
+    return () => unsubscribe();
+  }, []);
+
+  const handleFailedWrites = async () => {
+    const details = failedWrites.map(describeFailedWrite).join('\n');
+    const count = `${failedWrites.length} offline change${failedWrites.length > 1 ? 's were' : ' was'} rejected by the server`;
+    try {
+      if (window.confirm(`${count}:\n\n${details}\n\nSend again now?`)) {
+        await requeueFailedWrites();
+        flushQueuedWrites();
+      } else if (window.confirm('Discard them? They will not be saved.')) {
+        await discardFailedWrites();
+      }
+    } catch (error) {
+      console.error('Error handling failed offline changes:', error);
+      alert('Failed to update the offline changes. Please try again.');
+    }
+  };
+
   // Close menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -36,6 +86,8 @@ const NavigationBar = ({ currentPage }) => {
   };
 
   const showLogoutButton = isAuthenticated();
+  // Kitchen display logins cannot open the other pages
+  const kitchenOnly = isKitchenOnly();
 
   const toggleMenu = () => setIsMenuOpen(!isMenuOpen);
   const closeMenu = () => setIsMenuOpen(false);
@@ -45,7 +97,7 @@ const NavigationBar = ({ currentPage }) => {
       <div className="nav-container">
 
         <div className="nav-brand">
-          <Link to="/tables" onClick={closeMenu} style={{ display: 'flex', alignItems: 'center' }}>
+          <Link to={kitchenOnly ? '/kitchen' : '/tables'} onClick={closeMenu} style={{ display: 'flex', alignItems: 'center' }}>
             <img src="/logo.png" alt="Nahari King Logo" className="navbar-logo" onError={(e) => { e.target.onerror = null; e.target.style.display = 'none'; e.target.nextSibling.style.display = 'block'; }} />
             <span className="navbar-title" style={{ display: 'none' }}>Nahari King</span>
           </Link>
@@ -58,12 +110,21 @@ const NavigationBar = ({ currentPage }) => {
         </div>
 
         <div className={`nav-links-dropdown ${isMenuOpen ? 'open' : ''}`}>
-          <Link to="/tables" className={`nav-link ${currentPage === 'tables' ? 'active' : ''}`} onClick={closeMenu}>Tables</Link>
-          <Link to="/inventory" className={`nav-link ${currentPage === 'inventory' ? 'active' : ''}`} onClick={closeMenu}>Inventory</Link>
-          <Link to="/recipes" className={`nav-link ${currentPage === 'recipes' ? 'active' : ''}`} onClick={closeMenu}>Recipes</Link>
-          <Link to="/analytics" className={`nav-link ${currentPage === 'analytics' ? 'active' : ''}`} onClick={closeMenu}>Analytics</Link>
-          <Link to="/shift" className={`nav-link ${currentPage === 'shift' ? 'active' : ''}`} onClick={closeMenu}>Shift</Link>
-          <Link to="/settings" className={`nav-link ${currentPage === 'settings' ? 'active' : ''}`} onClick={closeMenu}>Settings</Link>
+          {kitchenOnly ? (
+            <Link to="/kitchen" className={`nav-link ${currentPage === 'kitchen' ? 'active' : ''}`} onClick={closeMenu}>Kitchen</Link>
+          ) : (
+            <>
+              <Link to="/tables" className={`nav-link ${currentPage === 'tables' ? 'active' : ''}`} onClick={closeMenu}>Tables</Link>
+              <Link to="/kitchen" className={`nav-link ${currentPage === 'kitchen' ? 'active' : ''}`} onClick={closeMenu}>Kitchen</Link>
+              <Link to="/history" className={`nav-link ${currentPage === 'history' ? 'active' : ''}`} onClick={closeMenu}>History</Link>
+              <Link to="/inventory" className={`nav-link ${currentPage === 'inventory' ? 'active' : ''}`} onClick={closeMenu}>Inventory</Link>
+              <Link to="/recipes" className={`nav-link ${currentPage === 'recipes' ? 'active' : ''}`} onClick={closeMenu}>Recipes</Link>
+              <Link to="/suppliers" className={`nav-link ${currentPage === 'suppliers' ? 'active' : ''}`} onClick={closeMenu}>Suppliers</Link>
+              <Link to="/analytics" className={`nav-link ${currentPage === 'analytics' ? 'active' : ''}`} onClick={closeMenu}>Analytics</Link>
+              <Link to="/shift" className={`nav-link ${currentPage === 'shift' ? 'active' : ''}`} onClick={closeMenu}>Shift</Link>
+              <Link to="/settings" className={`nav-link ${currentPage === 'settings' ? 'active' : ''}`} onClick={closeMenu}>Settings</Link>
+            </>
+          )}
 
           {showLogoutButton && (
             <div className="nav-link logout-option" onClick={handleLogout} style={{ cursor: 'pointer' }}>
@@ -72,6 +133,30 @@ const NavigationBar = ({ currentPage }) => {
                 title={isOnline ? 'Online' : 'Offline'}
                 style={{ position: 'relative', top: '0', display: 'inline-block' }}
               ></div>
+              {queuedWrites.length > 0 && (
+                <span
+                  className={`outbox-count ${queuedWrites[0].lastError ? 'failed' : ''}`}
+                  title={`${queuedWrites.length} change${queuedWrites.length > 1 ? 's' : ''} waiting to sync${queuedWrites[0].lastError ? ` (last error: ${queuedWrites[0].lastError})` : ''}. Click to retry.`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    flushQueuedWrites();
+                  }}
+                >
+                  {queuedWrites.length}
+                </span>
+              )}
+              {failedWrites.length > 0 && (
+                <span
+                  className="outbox-count failed"
+                  title={`${failedWrites.length} offline change${failedWrites.length > 1 ? 's' : ''} rejected by the server. Click for details.`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleFailedWrites();
+                  }}
+                >
+                  !{failedWrites.length}
+                </span>
+              )}
               <span>Logout</span>
             </div>
           )}
@@ -1,9 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
-import { isAuthenticated, listenToAuthState, canAccessSettings, hasPermission } from '../services/authService';
+import { isAuthenticated, listenToAuthState, canAccessSettings, hasPermission, isKitchenOnly } from '../services/authService';
 import LoginPage from './LoginPage';
 
-const ProtectedRoute = ({ children, requiredPermission = null }) => {
+// kitchenAccess marks routes a kitchen-only login may open; every other
+// route sends it back to the kitchen display
+const ProtectedRoute = ({ children, requiredPermission = null, kitchenAccess = false }) => {
   const [authChecked, setAuthChecked] = useState(false);
   const [isAuthorized, setIsAuthorized] = useState(false);
   const navigate = useNavigate();
@@ -20,6 +22,9 @@ const ProtectedRoute = ({ children, requiredPermission = null }) => {
           replace: true
         });
         setIsAuthorized(false);
+      } else if (isKitchenOnly() && !kitchenAccess) {
+        navigate('/kitchen', { replace: true });
+        setIsAuthorized(false);
       } else if (requiredPermission) {
         // Authenticated and permission is required - check permissions
         let authorized = true;
@@ -45,7 +50,7 @@ const ProtectedRoute = ({ children, requiredPermission = null }) => {
     });
 
     return unsubscribe;
-  }, [navigate, location, requiredPermission]);
+  }, [navigate, location, requiredPermission, kitchenAccess]);
 
   // Show loading while checking auth state
   if (!authChecked) {
@@ -62,6 +67,11 @@ const ProtectedRoute = ({ children, requiredPermission = null }) => {
     return <LoginPage />;
   }
 
+  // Kitchen-only login on another page - redirecting to the kitchen display
+  if (isKitchenOnly() && !kitchenAccess) {
+    return null;
+  }
+
   // Show access denied if authenticated but no permission
   if (requiredPermission && !isAuthorized) {
     return (
@@ -10,16 +10,17 @@ import {
     calculateBOM,
     executeProduction
 } from '../services/inventoryService';
+import { isPreparedItem } from '../utils/preparedStockUtils';
+import { UNITS, getCompatibleUnits, areUnitsCompatible } from '../utils/unitUtils';
 import styles from './InventoryBOM.module.css';
 
-const UNITS = ['kg', 'g', 'liters', 'ml', 'pieces', 'packets', 'dozen'];
-
 const emptyRecipe = {
     name: '',
     outputQuantity: '',
     outputUnit: 'kg',
     ingredients: [],
-    linkedMenuItemId: ''
+    linkedMenuItemId: '',
+    holdingHours: ''
 };
 
 const RecipeManagement = () => {
@@ -74,6 +75,9 @@ const RecipeManagement = () => {
         }
     }, [inventory]);
 
+    // Prepared stock is production output, not something a recipe is made from
+    const rawInventory = useMemo(() => inventory.filter(item => !isPreparedItem(item)), [inventory]);
+
     // Recipe form handlers
     const openAddModal = () => {
         setEditingRecipe(null);
@@ -88,7 +92,8 @@ const RecipeManagement = () => {
             outputQuantity: recipe.outputQuantity,
             outputUnit: recipe.outputUnit,
             ingredients: recipe.ingredients.map(ing => ({ ...ing })),
-            linkedMenuItemId: recipe.linkedMenuItemId || ''
+            linkedMenuItemId: recipe.linkedMenuItemId || '',
+            holdingHours: recipe.holdingHours || ''
         });
         setShowModal(true);
     };
@@ -145,6 +150,10 @@ const RecipeManagement = () => {
             setError('Output quantity must be greater than 0');
             return;
         }
+        if (Number(formData.holdingHours) < 0) {
+            setError('Holding time cannot be negative');
+            return;
+        }
         const validIngredients = formData.ingredients.filter(
             ing => ing.inventoryItemId && Number(ing.quantity) > 0
         );
@@ -152,6 +161,14 @@ const RecipeManagement = () => {
             setError('Add at least one ingredient with a valid quantity');
             return;
         }
+        const unitMismatch = validIngredients.find(ing => {
+            const item = inventory.find(i => i.id === ing.inventoryItemId);
+            return item && !areUnitsCompatible(ing.unit, item.unit, item);
+        });
+        if (unitMismatch) {
+            setError(`${unitMismatch.name} is stocked in a unit that cannot be converted from ${unitMismatch.unit}`);
+            return;
+        }
 
         setFormLoading(true);
         try {
@@ -160,7 +177,8 @@ const RecipeManagement = () => {
                 outputQuantity: Number(formData.outputQuantity),
                 outputUnit: formData.outputUnit,
                 ingredients: validIngredients,
-                linkedMenuItemId: formData.linkedMenuItemId
+                linkedMenuItemId: formData.linkedMenuItemId,
+                holdingHours: Number(formData.holdingHours) || 0
             };
 
             if (editingRecipe) {
@@ -218,14 +236,17 @@ const RecipeManagement = () => {
         if (!recipe) return;
 
         if (!window.confirm(
-            `Produce ${targetQuantity} ${recipe.outputUnit} of "${recipe.name}"?\n\nThis will deduct ingredients from inventory stock.`
+            `Produce ${targetQuantity} ${recipe.outputUnit} of "${recipe.name}"?\n\nThis will deduct ingredients from inventory stock and add the output to prepared stock.`
         )) return;
 
         setProducing(true);
         try {
             const result = await executeProduction(recipe, Number(targetQuantity), inventory);
+            const expiry = result.expiresAt
+                ? `, serve by ${new Date(result.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : '';
             setSuccess(
-                `Produced ${result.quantityProduced} ${result.outputUnit} of "${result.recipeName}" — ₹${result.totalCost.toFixed(2)} total cost`
+                `Produced ${result.quantityProduced} ${result.outputUnit} of "${result.recipeName}" — ₹${result.totalCost.toFixed(2)} total cost (₹${result.costPerUnit.toFixed(2)}/${result.outputUnit}${expiry})`
             );
             // Recalculate BOM with updated stock
             setBomResult(null);
@@ -285,6 +306,7 @@ const RecipeManagement = () => {
                                     <h3>{recipe.name}</h3>
                                     <span className={styles['recipe-output'] || 'recipe-output'}>
                                         {recipe.outputQuantity} {recipe.outputUnit}
+                                        {recipe.holdingHours > 0 && ` • holds ${recipe.holdingHours}h`}
                                     </span>
                                 </div>
                                 <div className={styles['recipe-ingredients-preview'] || 'recipe-ingredients-preview'}>
@@ -382,15 +404,22 @@ const RecipeManagement = () => {
                                     {bomResult.scaledIngredients.map((ing, i) => (
                                         <tr key={i} className={!ing.sufficient ? 'insufficient' : ''}>
                                             <td><strong>{ing.name}</strong></td>
-                                            <td>{ing.requiredQty} {ing.unit}</td>
-                                            <td>{ing.currentStock} {ing.unit}</td>
+                                            <td>
+                                                {ing.requiredQty} {ing.unit}
+                                                {!ing.unitError && ing.stockUnit !== ing.unit && (
+                                                    <span className={styles['unit-note'] || 'unit-note'}>= {ing.stockQty} {ing.stockUnit}</span>
+                                                )}
+                                            </td>
+                                            <td>{ing.currentStock} {ing.stockUnit}</td>
                                             <td>₹{ing.costPerUnit.toFixed(2)}</td>
                                             <td>₹{ing.ingredientCost.toFixed(2)}</td>
                                             <td>
-                                                {ing.sufficient ? (
+                                                {ing.unitError ? (
+                                                    <span className={styles['status-icon'] || 'status-icon'} title={ing.unitError}>⚠️ Unit</span>
+                                                ) : ing.sufficient ? (
                                                     <span className={styles['status-icon'] || 'status-icon'} title="Sufficient">✅</span>
                                                 ) : (
-                                                    <span className={styles['status-icon'] || 'status-icon'} title={`Short by ${ing.deficit} ${ing.unit}`}>
+                                                    <span className={styles['status-icon'] || 'status-icon'} title={`Short by ${ing.deficit} ${ing.stockUnit}`}>
                                                         ❌ -{ing.deficit}
                                                     </span>
                                                 )}
@@ -405,7 +434,7 @@ const RecipeManagement = () => {
                                     className={styles['btn-success'] || 'btn-success'}
                                     onClick={handleProduce}
                                     disabled={!bomResult.allInStock || producing}
-                                    title={!bomResult.allInStock ? 'Cannot produce — insufficient stock' : 'Deduct ingredients from stock'}
+                                    title={!bomResult.allInStock ? 'Cannot produce — insufficient stock or incompatible units' : 'Deduct ingredients from stock'}
                                 >
                                     {producing ? 'Producing...' : `🏭 Produce ${bomResult.targetQuantity} ${bomResult.outputUnit}`}
                                 </button>
@@ -455,45 +484,72 @@ const RecipeManagement = () => {
                                             ))}
                                         </select>
                                     </div>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Holding Time (hours)</label>
+                                        <input
+                                            type="number"
+                                            value={formData.holdingHours}
+                                            onChange={(e) => handleFormChange('holdingHours', e.target.value)}
+                                            placeholder="No limit"
+                                            title="How long a produced batch can be served before it must be discarded"
+                                            min="0"
+                                            step="0.5"
+                                        />
+                                    </div>
                                 </div>
 
                                 {/* Ingredients */}
                                 <div className={styles['ingredients-section'] || 'ingredients-section'}>
                                     <h3>Ingredients</h3>
-                                    {formData.ingredients.map((ing, index) => (
-                                        <div key={index} className={styles['ingredient-row'] || 'ingredient-row'}>
-                                            <select
-                                                value={ing.inventoryItemId}
-                                                onChange={(e) => updateIngredient(index, 'inventoryItemId', e.target.value)}
-                                            >
-                                                <option value="">— Select item —</option>
-                                                {inventory.map(item => (
-                                                    <option key={item.id} value={item.id}>
-                                                        {item.name} ({item.currentStock} {item.unit})
-                                                    </option>
-                                                ))}
-                                            </select>
-                                            <input
-                                                type="number"
-                                                value={ing.quantity}
-                                                onChange={(e) => updateIngredient(index, 'quantity', e.target.value)}
-                                                placeholder="Qty"
-                                                min="0.001"
-                                                step="0.001"
-                                            />
-                                            <span style={{ fontSize: '0.85rem', color: '#888', alignSelf: 'center' }}>
-                                                {ing.unit || 'unit'}
-                                            </span>
-                                            <button
-                                                type="button"
-                                                className={styles['remove-ingredient-btn'] || 'remove-ingredient-btn'}
-                                                onClick={() => removeIngredientRow(index)}
-                                                title="Remove ingredient"
-                                            >
-                                                ×
-                                            </button>
-                                        </div>
-                                    ))}
+                                    {formData.ingredients.map((ing, index) => {
+                                        const ingredientItem = rawInventory.find(item => item.id === ing.inventoryItemId);
+                                        return (
+                                            <div key={index} className={styles['ingredient-row'] || 'ingredient-row'}>
+                                                <select
+                                                    value={ing.inventoryItemId}
+                                                    onChange={(e) => updateIngredient(index, 'inventoryItemId', e.target.value)}
+                                                >
+                                                    <option value="">— Select item —</option>
+                                                    {rawInventory.map(item => (
+                                                        <option key={item.id} value={item.id}>
+                                                            {item.name} ({item.currentStock} {item.unit})
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                                <input
+                                                    type="number"
+                                                    value={ing.quantity}
+                                                    onChange={(e) => updateIngredient(index, 'quantity', e.target.value)}
+                                                    placeholder="Qty"
+                                                    min="0.001"
+                                                    step="0.001"
+                                                />
+                                                {ingredientItem ? (
+                                                    <select
+                                                        value={ing.unit}
+                                                        onChange={(e) => updateIngredient(index, 'unit', e.target.value)}
+                                                        title="Unit"
+                                                    >
+                                                        {getCompatibleUnits(ingredientItem).map(u => (
+                                                            <option key={u} value={u}>{u}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    <span style={{ fontSize: '0.85rem', color: '#888', alignSelf: 'center' }}>
+                                                        {ing.unit || 'unit'}
+                                                    </span>
+                                                )}
+                                                <button
+                                                    type="button"
+                                                    className={styles['remove-ingredient-btn'] || 'remove-ingredient-btn'}
+                                                    onClick={() => removeIngredientRow(index)}
+                                                    title="Remove ingredient"
+                                                >
+                                                    ×
+                                                </button>
+                                            </div>
+                                        );
+                                    })}
                                     <button type="button" className={styles['add-ingredient-btn'] || 'add-ingredient-btn'} onClick={addIngredientRow}>
                                         + Add Ingredient
                                     </button>
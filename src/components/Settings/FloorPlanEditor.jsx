@@ -0,0 +1,159 @@
+import React, { useState, useMemo } from 'react';
+import styles from '../SettingsPage.module.css';
+import { updateTable } from '../../services/firebaseService';
+import { TABLE_SHAPES, getTableName, getTableSections } from '../../utils/tableUtils';
+import FloorPlanView from '../Tables/FloorPlanView';
+
+const EMPTY_DRAFT = { name: '', section: '', capacity: '', shape: 'square' };
+
+// Settings > Table Management: drag tables around the floor plan and edit
+// their name, section, seat capacity and shape.
+const FloorPlanEditor = ({ tables, onAddTable, onDeleteTable }) => {
+    const [selectedTableId, setSelectedTableId] = useState(null);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const tableIds = useMemo(() => Object.keys(tables).sort((a, b) => Number(a) - Number(b)), [tables]);
+    const sections = useMemo(() => getTableSections(tables), [tables]);
+    const selectedTable = selectedTableId ? tables[selectedTableId] : null;
+
+    const selectTable = (tableId) => {
+        const table = tables[tableId];
+        setSelectedTableId(tableId);
+        setDraft({
+            name: table?.name || '',
+            section: table?.section || '',
+            capacity: table?.capacity ? String(table.capacity) : '',
+            shape: TABLE_SHAPES.includes(table?.shape) ? table.shape : 'square'
+        });
+    };
+
+    const handleMoveTable = async (tableId, position) => {
+        await updateTable(tableId, { position });
+    };
+
+    const handleSave = async () => {
+        if (!selectedTableId) return;
+        const capacity = draft.capacity === '' ? 0 : Math.floor(Number(draft.capacity));
+        if (Number.isNaN(capacity) || capacity < 0) {
+            alert('Capacity must be a whole number of seats.');
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            await updateTable(selectedTableId, {
+                name: draft.name.trim(),
+                section: draft.section.trim(),
+                capacity,
+                shape: draft.shape
+            });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!selectedTableId) return;
+        await onDeleteTable(selectedTableId);
+        setSelectedTableId(null);
+        setDraft(EMPTY_DRAFT);
+    };
+
+    return (
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+            <div style={{ flex: '3 1 480px', minWidth: 0 }}>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '0.5rem' }}>
+                    Drag tables to arrange the floor plan. Click a table to edit it.
+                </p>
+                <FloorPlanView
+                    tables={tables}
+                    tableIds={tableIds}
+                    onMoveTable={handleMoveTable}
+                    renderTable={(tableId, table) => (
+                        <div
+                            className={`floor-table table-btn ${String(selectedTableId) === String(tableId) ? 'current' : 'empty'}`}
+                            onClick={() => selectTable(tableId)}
+                        >
+                            {table?.name || tableId}
+                            {table?.capacity > 0 && <span className="table-capacity">{table.capacity} seats</span>}
+                        </div>
+                    )}
+                />
+            </div>
+
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ flex: '1 1 240px', backgroundColor: 'var(--card-bg)' }}>
+                <button className={styles['add-table-btn'] || 'add-table-btn'} onClick={onAddTable} style={{ width: '100%', marginBottom: '1rem' }}>
+                    Add New Table
+                </button>
+
+                {!selectedTable ? (
+                    <p className={styles['metric-subtitle'] || 'metric-subtitle'}>Select a table to edit its details.</p>
+                ) : (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                        <h3>{getTableName(selectedTable, selectedTableId)}</h3>
+                        <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                            Orders: {selectedTable.orders?.length || 0} · Total: ₹{selectedTable.total || 0}
+                        </p>
+
+                        <label>
+                            Name
+                            <input
+                                type="text"
+                                value={draft.name}
+                                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                                placeholder={`Table ${selectedTableId}`}
+                                className={styles['form-input'] || 'form-input'}
+                            />
+                        </label>
+                        <label>
+                            Section
+                            <input
+                                type="text"
+                                list="floor-plan-sections"
+                                value={draft.section}
+                                onChange={(e) => setDraft(prev => ({ ...prev, section: e.target.value }))}
+                                placeholder="e.g. Terrace"
+                                className={styles['form-input'] || 'form-input'}
+                            />
+                            <datalist id="floor-plan-sections">
+                                {sections.map(name => <option key={name} value={name} />)}
+                            </datalist>
+                        </label>
+                        <label>
+                            Seats
+                            <input
+                                type="number"
+                                min="0"
+                                value={draft.capacity}
+                                onChange={(e) => setDraft(prev => ({ ...prev, capacity: e.target.value }))}
+                                className={styles['form-input'] || 'form-input'}
+                            />
+                        </label>
+                        <label>
+                            Shape
+                            <select
+                                value={draft.shape}
+                                onChange={(e) => setDraft(prev => ({ ...prev, shape: e.target.value }))}
+                                className={styles['form-input'] || 'form-input'}
+                            >
+                                {TABLE_SHAPES.map(shape => (
+                                    <option key={shape} value={shape}>{shape.charAt(0).toUpperCase() + shape.slice(1)}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <button className={styles['primary-btn'] || 'primary-btn'} onClick={handleSave} disabled={isSaving}>
+                            {isSaving ? 'Saving...' : 'Save Table'}
+                        </button>
+                        <button className={styles['delete-table-btn'] || 'delete-table-btn'} onClick={handleDelete}>
+                            Delete Table
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FloorPlanEditor;
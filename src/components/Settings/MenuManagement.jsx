@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback } from 'react';
 import styles from '../SettingsPage.module.css';
 import { useDrag, useDrop } from 'react-dnd';
 import Form from '../Reusable/Form';
+import ModifierGroupsEditor from './ModifierGroupsEditor';
+import StockLinkEditor from './StockLinkEditor';
 import { useApiOperation } from '../../hooks/useApiOperations';
 import {
     subscribeToMenuItems,
@@ -12,13 +14,20 @@ import {
     toggleMenuItemAvailability,
     retryWithBackoff
 } from '../../services/firebaseService';
-import { serverTimestamp } from 'firebase/firestore';
+import { getTaxSettings } from '../../services/shiftService';
+import { DEFAULT_TAX_SETTINGS } from '../../utils/taxUtils';
+import { KITCHEN_STATIONS, getStationLabel } from '../../utils/kdsUtils';
+import { getStockLink } from '../../utils/stockUsageUtils';
+import { serverTimestamp } from '../../storage';
 
 const ITEM_TYPE = 'MENU_ITEM';
 
 const MenuManagement = () => {
     const [menuItems, setMenuItems] = useState([]);
     const [editingItem, setEditingItem] = useState(null);
+    const [modifierItem, setModifierItem] = useState(null);
+    const [stockItem, setStockItem] = useState(null);
+    const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
 
     const addMenuItemOperation = useApiOperation(addMenuItemFirebase, {
         successMessage: 'Menu item added successfully!',
@@ -55,6 +64,37 @@ const MenuManagement = () => {
         };
     }, []);
 
+    useEffect(() => {
+        getTaxSettings()
+            .then(setTaxSettings)
+            .catch(error => console.error('Error loading tax settings:', error));
+    }, []);
+
+    const getTaxClassName = (classId) => {
+        const taxClass = taxSettings.taxClasses.find(tc => tc.id === classId);
+        return taxClass ? taxClass.name : null;
+    };
+
+    // Empty value means the item follows the configured default class
+    const taxClassOptions = (
+        <>
+            <option value="">Default ({getTaxClassName(taxSettings.defaultTaxClass) || 'none'})</option>
+            {taxSettings.taxClasses.map(taxClass => (
+                <option key={taxClass.id} value={taxClass.id}>{taxClass.name}</option>
+            ))}
+        </>
+    );
+
+    // Kitchen station whose display shows the item; unassigned items only show under All
+    const stationOptions = (
+        <>
+            <option value="">No station</option>
+            {KITCHEN_STATIONS.map(station => (
+                <option key={station.id} value={station.id}>{station.label}</option>
+            ))}
+        </>
+    );
+
     const moveMenuItem = useCallback(async (dragIndex, hoverIndex) => {
         const draggedItemLocal = menuItems[dragIndex];
         const newMenuItems = [...menuItems];
@@ -79,6 +119,8 @@ const MenuManagement = () => {
             price: parseFloat(formData.price),
             available: formData.available,
             category: formData.category || 'Main Course',
+            taxClass: formData.taxClass || '',
+            station: formData.station || '',
             sequence: menuItems.length + 1,
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
@@ -91,7 +133,9 @@ const MenuManagement = () => {
             name: formData.name.trim(),
             price: parseFloat(formData.price),
             available: Boolean(formData.available),
-            category: formData.category || 'Main Course'
+            category: formData.category || 'Main Course',
+            taxClass: formData.taxClass || '',
+            station: formData.station || ''
         };
         if (!editingItem.id) throw new Error('Invalid item ID');
 
@@ -102,6 +146,30 @@ const MenuManagement = () => {
         setEditingItem(null);
     };
 
+    const handleSaveModifierGroups = async (modifierGroups) => {
+        await updateMenuItemOperation.execute(modifierItem.id, {
+            modifierGroups,
+            updatedAt: serverTimestamp()
+        });
+        setModifierItem(null);
+    };
+
+    const handleSaveStockLink = async (stockLink) => {
+        await updateMenuItemOperation.execute(stockItem.id, {
+            stockLink,
+            updatedAt: serverTimestamp()
+        });
+        setStockItem(null);
+    };
+
+    const formatStockLink = (item) => {
+        const link = getStockLink(item);
+        if (!link) return null;
+        return link.type === 'recipe'
+            ? `Stock: ${link.portionSize} of recipe per item`
+            : `Stock: ${link.ingredients.map(ingredient => `${ingredient.quantity} ${ingredient.unit} ${ingredient.name}`).join(', ')}`;
+    };
+
     const handleDeleteMenuItem = async (itemId) => {
         if (window.confirm('Are you sure you want to delete this menu item?')) {
             await deleteMenuItemOperation.execute(itemId);
@@ -141,8 +209,18 @@ const MenuManagement = () => {
                 <div className={styles['item-handle'] || 'item-handle'}>⋮⋮</div>
                 <div className={styles['item-details'] || 'item-details'}>
                     <div className={styles['item-name'] || 'item-name'}>{item.name}</div>
-                    <div className={styles['item-category'] || 'item-category'}>{item.category}</div>
+                    <div className={styles['item-category'] || 'item-category'}>
+                        {item.category}{item.taxClass && getTaxClassName(item.taxClass) ? ` · ${getTaxClassName(item.taxClass)}` : ''}{item.station ? ` · ${getStationLabel(item.station)}` : ''}
+                    </div>
                     <div className={styles['item-price'] || 'item-price'}>₹{item.price}</div>
+                    {item.modifierGroups?.length > 0 && (
+                        <div className={styles['item-category'] || 'item-category'}>
+                            {item.modifierGroups.map(group => `${group.name} (${group.options.length})`).join(' · ')}
+                        </div>
+                    )}
+                    {getStockLink(item) && (
+                        <div className={styles['item-category'] || 'item-category'}>{formatStockLink(item)}</div>
+                    )}
                 </div>
                 <div className={styles['item-actions'] || 'item-actions'}>
                     <button
@@ -158,6 +236,18 @@ const MenuManagement = () => {
                     >
                         Edit
                     </button>
+                    <button
+                        className={styles['edit-btn'] || 'edit-btn'}
+                        onClick={() => setModifierItem(item)}
+                    >
+                        Options
+                    </button>
+                    <button
+                        className={styles['edit-btn'] || 'edit-btn'}
+                        onClick={() => setStockItem(item)}
+                    >
+                        Stock
+                    </button>
                     <button
                         className={styles['delete-btn'] || 'delete-btn'}
                         onClick={() => handleDeleteMenuItem(item.id)}
@@ -177,7 +267,7 @@ const MenuManagement = () => {
             <div className={styles['add-item-form'] || 'add-item-form'}>
                 <h3>Add New Menu Item</h3>
                 <Form
-                    initialValues={{ name: '', price: '', category: '', available: true }}
+                    initialValues={{ name: '', price: '', category: '', taxClass: '', station: '', available: true }}
                     validationRules={{
                         name: { required: true },
                         price: { required: true, custom: (value) => (isNaN(value) || parseFloat(value) <= 0) ? 'Please enter a valid price' : '' }
@@ -189,6 +279,8 @@ const MenuManagement = () => {
                         { name: 'name', label: 'Item Name', type: 'text', required: true, placeholder: 'Enter item name' },
                         { name: 'price', label: 'Price', type: 'number', required: true, placeholder: 'Enter price', step: '0.01', min: '0.01' },
                         { name: 'category', label: 'Category', type: 'select', inputProps: { children: (<><option value="">Select Category</option><option value="Appetizer">Appetizer</option><option value="Main Course">Main Course</option><option value="Dessert">Dessert</option><option value="Beverage">Beverage</option></>) } },
+                        { name: 'taxClass', label: 'Tax Class', type: 'select', inputProps: { children: taxClassOptions } },
+                        { name: 'station', label: 'Kitchen Station', type: 'select', inputProps: { children: stationOptions } },
                         { name: 'available', label: 'Available', type: 'checkbox' }
                     ]}
                 />
@@ -198,7 +290,7 @@ const MenuManagement = () => {
                 <div className={styles['edit-item-form'] || 'edit-item-form'}>
                     <h3>Edit Menu Item</h3>
                     <Form
-                        initialValues={editingItem}
+                        initialValues={{ ...editingItem, taxClass: editingItem.taxClass || '', station: editingItem.station || '' }}
                         validationRules={{
                             name: { required: true },
                             price: { required: true, custom: (value) => (isNaN(value) || parseFloat(value) <= 0) ? 'Please enter a valid price' : '' }
@@ -212,12 +304,32 @@ const MenuManagement = () => {
                             { name: 'name', label: 'Item Name', type: 'text', required: true, placeholder: 'Enter item name' },
                             { name: 'price', label: 'Price', type: 'number', required: true, placeholder: 'Enter price', step: '0.01', min: '0.01' },
                             { name: 'category', label: 'Category', type: 'select', inputProps: { children: (<><option value="Appetizer">Appetizer</option><option value="Main Course">Main Course</option><option value="Dessert">Dessert</option><option value="Beverage">Beverage</option></>) } },
+                            { name: 'taxClass', label: 'Tax Class', type: 'select', inputProps: { children: taxClassOptions } },
+                            { name: 'station', label: 'Kitchen Station', type: 'select', inputProps: { children: stationOptions } },
                             { name: 'available', label: 'Available', type: 'checkbox' }
                         ]}
                     />
                 </div>
             )}
 
+            {modifierItem && (
+                <ModifierGroupsEditor
+                    item={modifierItem}
+                    onSave={handleSaveModifierGroups}
+                    onClose={() => setModifierItem(null)}
+                    saving={updateMenuItemOperation.loading}
+                />
+            )}
+
+            {stockItem && (
+                <StockLinkEditor
+                    item={stockItem}
+                    onSave={handleSaveStockLink}
+                    onClose={() => setStockItem(null)}
+                    saving={updateMenuItemOperation.loading}
+                />
+            )}
+
             <div className={styles['menu-items-list'] || 'menu-items-list'}>
                 <h3>Menu Items (Drag to reorder)</h3>
                 {menuItems.length === 0 ? (
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import styles from '../SettingsPage.module.css';
+import { normaliseModifierGroups, createModifierId } from '../../utils/modifierUtils';
+
+const newOption = () => ({ id: createModifierId('option'), name: '', price: '' });
+
+const newGroup = (type) => ({
+    id: createModifierId('group'),
+    name: type === 'variant' ? 'Size' : 'Add-ons',
+    type,
+    maxSelect: 0,
+    options: [newOption()]
+});
+
+// Settings > Menu Management: variants (choose one) and add-ons (choose any)
+// for one menu item. Option prices are added to the item price when ordered.
+const ModifierGroupsEditor = ({ item, onSave, onClose, saving }) => {
+    const [groups, setGroups] = useState(() => (item.modifierGroups || []).map(group => ({
+        ...group,
+        options: (group.options || []).map(option => ({ ...option, price: String(option.price ?? '') }))
+    })));
+    const [error, setError] = useState('');
+
+    const updateGroup = (groupId, changes) => {
+        setGroups(prev => prev.map(group => group.id === groupId ? { ...group, ...changes } : group));
+    };
+
+    const updateOption = (groupId, optionId, changes) => {
+        setGroups(prev => prev.map(group => group.id !== groupId ? group : {
+            ...group,
+            options: group.options.map(option => option.id === optionId ? { ...option, ...changes } : option)
+        }));
+    };
+
+    const handleSave = async () => {
+        const { groups: normalised, error: validationError } = normaliseModifierGroups(groups);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        await onSave(normalised);
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content" style={{ maxWidth: '640px', maxHeight: '85vh', overflowY: 'auto' }}>
+                <h3>Options: {item.name} (₹{item.price})</h3>
+
+                {groups.length === 0 && (
+                    <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                        No variants or add-ons yet. Variants (e.g. Half / Full) must be chosen when ordering; add-ons are optional extras.
+                    </p>
+                )}
+
+                {groups.map(group => (
+                    <div key={group.id} style={{ border: '1px solid #e0e0e0', borderRadius: '8px', padding: '0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                            <input
+                                type="text"
+                                value={group.name}
+                                onChange={(e) => updateGroup(group.id, { name: e.target.value })}
+                                placeholder="Group name"
+                                className="form-input"
+                                style={{ flex: 2 }}
+                            />
+                            <select
+                                value={group.type}
+                                onChange={(e) => updateGroup(group.id, { type: e.target.value })}
+                                className="form-input"
+                                style={{ flex: 1 }}
+                            >
+                                <option value="variant">Variant (choose one)</option>
+                                <option value="addon">Add-on (choose any)</option>
+                            </select>
+                            {group.type === 'addon' && (
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={group.maxSelect || ''}
+                                    onChange={(e) => updateGroup(group.id, { maxSelect: e.target.value })}
+                                    placeholder="Max"
+                                    title="Most add-ons that can be chosen (blank = no limit)"
+                                    className="form-input"
+                                    style={{ width: '70px' }}
+                                />
+                            )}
+                            <button
+                                className={styles['delete-btn'] || 'delete-btn'}
+                                onClick={() => setGroups(prev => prev.filter(g => g.id !== group.id))}
+                            >
+                                Remove
+                            </button>
+                        </div>
+
+                        {group.options.map(option => (
+                            <div key={option.id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', paddingLeft: '1rem' }}>
+                                <input
+                                    type="text"
+                                    value={option.name}
+                                    onChange={(e) => updateOption(group.id, option.id, { name: e.target.value })}
+                                    placeholder="Option name"
+                                    className="form-input"
+                                    style={{ flex: 2 }}
+                                />
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    value={option.price}
+                                    onChange={(e) => updateOption(group.id, option.id, { price: e.target.value })}
+                                    placeholder="+₹"
+                                    className="form-input"
+                                    style={{ flex: 1 }}
+                                />
+                                <button
+                                    className="secondary-btn"
+                                    onClick={() => updateGroup(group.id, { options: group.options.filter(o => o.id !== option.id) })}
+                                    title="Remove option"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                        <button
+                            className="secondary-btn"
+                            onClick={() => updateGroup(group.id, { options: [...group.options, newOption()] })}
+                            style={{ alignSelf: 'flex-start', marginLeft: '1rem' }}
+                        >
+                            + Option
+                        </button>
+                    </div>
+                ))}
+
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button className="secondary-btn" onClick={() => setGroups(prev => [...prev, newGroup('variant')])}>
+                        + Variant Group
+                    </button>
+                    <button className="secondary-btn" onClick={() => setGroups(prev => [...prev, newGroup('addon')])}>
+                        + Add-on Group
+                    </button>
+                </div>
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleSave} className="primary-btn" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Options'}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={saving}>
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ModifierGroupsEditor;
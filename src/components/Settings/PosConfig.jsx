@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import styles from '../SettingsPage.module.css';
-import { getPaymentMethods, updatePaymentMethods } from '../../services/shiftService';
+import { getPaymentMethods, updatePaymentMethods, getPrinterSettings, updatePrinterSettings, getReceiptSettings, updateReceiptSettings, getTaxSettings, updateTaxSettings, getOrderTypeSettings, updateOrderTypeSettings, getBillNumberSettings, updateBillNumberSettings } from '../../services/shiftService';
+import { DEFAULT_PRINTER_SETTINGS } from '../../utils/printUtils';
+import { DEFAULT_RECEIPT_SETTINGS } from '../../utils/receiptUtils';
+import { DEFAULT_TAX_SETTINGS, ROUND_OFF_MODES } from '../../utils/taxUtils';
+import { DEFAULT_ORDER_TYPE_SETTINGS, QUEUE_ORDER_TYPES } from '../../utils/orderTypeUtils';
+import { DEFAULT_BILL_NUMBER_SETTINGS, MAX_INVOICE_NUMBER_LENGTH, normalizeBillNumberSettings, getFinancialYear, formatBillNumber } from '../../utils/billNumberUtils';
+import { ensureBillCounters } from '../../services/firebaseService';
 import { generateDataExport, downloadJsonFile } from '../../utils/exportUtils';
 import { performFactoryReset } from '../../utils/clearUtils';
 import { importDataToFirestore } from '../../utils/importUtils';
@@ -11,6 +17,28 @@ const PosConfig = () => {
     const [isUpdatingMethods, setIsUpdatingMethods] = useState(false);
     const [isExporting, setIsExporting] = useState(false);
 
+    // Printer State
+    const [printerSettings, setPrinterSettings] = useState(DEFAULT_PRINTER_SETTINGS);
+    const [isUpdatingPrinter, setIsUpdatingPrinter] = useState(false);
+
+    // Bill / Receipt State
+    const [receiptSettings, setReceiptSettings] = useState(DEFAULT_RECEIPT_SETTINGS);
+    const [isSavingReceipt, setIsSavingReceipt] = useState(false);
+
+    // Tax & Service Charge State
+    const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
+    const [newTaxClass, setNewTaxClass] = useState({ name: '', rate: '' });
+    const [isSavingTax, setIsSavingTax] = useState(false);
+
+    // Order Types State
+    const [orderTypeSettings, setOrderTypeSettings] = useState(DEFAULT_ORDER_TYPE_SETTINGS);
+    const [newAggregator, setNewAggregator] = useState('');
+    const [isSavingOrderTypes, setIsSavingOrderTypes] = useState(false);
+
+    // Bill number state
+    const [billNumberSettings, setBillNumberSettings] = useState(DEFAULT_BILL_NUMBER_SETTINGS);
+    const [isSavingBillNumbers, setIsSavingBillNumbers] = useState(false);
+
     // Import State
     const [isImporting, setIsImporting] = useState(false);
     const [importProgress, setImportProgress] = useState('');
@@ -108,8 +136,189 @@ const PosConfig = () => {
             }
         };
         loadMethods();
+        getPrinterSettings().then(setPrinterSettings);
+        // Saving a section that failed to load would overwrite it with the defaults shown
+        const reportLoadError = (section) => (error) => {
+            console.error(`Error loading ${section} settings:`, error);
+            alert(`Failed to load the ${section} settings. Reload before changing them.`);
+        };
+        getReceiptSettings().then(setReceiptSettings).catch(reportLoadError('bill'));
+        getTaxSettings().then(setTaxSettings).catch(reportLoadError('tax'));
+        getOrderTypeSettings().then(setOrderTypeSettings).catch(reportLoadError('order type'));
+        getBillNumberSettings().then(setBillNumberSettings);
     }, []);
 
+    const handleReceiptFieldChange = (field, value) => {
+        setReceiptSettings(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleSaveReceiptSettings = async () => {
+        setIsSavingReceipt(true);
+        try {
+            await updateReceiptSettings(receiptSettings);
+            alert('Bill settings saved.');
+        } catch (error) {
+            console.error('Error saving receipt settings:', error);
+            alert('Failed to save bill settings.');
+        } finally {
+            setIsSavingReceipt(false);
+        }
+    };
+
+    const handleTaxFieldChange = (field, value) => {
+        setTaxSettings(prev => ({ ...prev, [field]: value }));
+    };
+
+    const handleTaxClassChange = (classId, field, value) => {
+        setTaxSettings(prev => ({
+            ...prev,
+            taxClasses: prev.taxClasses.map(taxClass => taxClass.id === classId ? { ...taxClass, [field]: value } : taxClass)
+        }));
+    };
+
+    const handleAddTaxClass = () => {
+        const name = newTaxClass.name.trim();
+        if (!name) return;
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `class-${Date.now()}`;
+        if (taxSettings.taxClasses.some(taxClass => taxClass.id === id)) {
+            alert('A tax class with this name already exists.');
+            return;
+        }
+        setTaxSettings(prev => ({
+            ...prev,
+            taxClasses: [...prev.taxClasses, { id, name, rate: newTaxClass.rate }]
+        }));
+        setNewTaxClass({ name: '', rate: '' });
+    };
+
+    const handleRemoveTaxClass = (classId) => {
+        if (classId === taxSettings.defaultTaxClass) {
+            alert('Cannot remove the default tax class. Choose another default first.');
+            return;
+        }
+        setTaxSettings(prev => ({
+            ...prev,
+            taxClasses: prev.taxClasses.filter(taxClass => taxClass.id !== classId)
+        }));
+    };
+
+    const handleSaveTaxSettings = async () => {
+        const taxClasses = taxSettings.taxClasses.map(taxClass => ({ ...taxClass, rate: Number(taxClass.rate) }));
+        if (taxClasses.some(taxClass => Number.isNaN(taxClass.rate) || taxClass.rate < 0 || taxClass.rate > 100)) {
+            alert('Tax rates must be between 0 and 100.');
+            return;
+        }
+        const serviceChargeRate = Number(taxSettings.serviceChargeRate) || 0;
+        if (serviceChargeRate < 0 || serviceChargeRate > 100) {
+            alert('Service charge must be between 0 and 100.');
+            return;
+        }
+        const roundOffTo = Number(taxSettings.roundOffTo);
+        if (!(roundOffTo > 0)) {
+            alert('Round-off step must be greater than 0.');
+            return;
+        }
+
+        const updatedSettings = { ...taxSettings, taxClasses, serviceChargeRate, roundOffTo };
+        setIsSavingTax(true);
+        try {
+            await updateTaxSettings(updatedSettings);
+            setTaxSettings(updatedSettings);
+            alert('Tax settings saved. Open orders are repriced as they are edited.');
+        } catch (error) {
+            console.error('Error saving tax settings:', error);
+            alert('Failed to save tax settings.');
+        } finally {
+            setIsSavingTax(false);
+        }
+    };
+
+    const handlePackagingChargeChange = (orderType, value) => {
+        setOrderTypeSettings(prev => ({
+            ...prev,
+            packagingCharges: { ...prev.packagingCharges, [orderType]: value }
+        }));
+    };
+
+    const handleAddAggregator = () => {
+        const name = newAggregator.trim();
+        if (!name || orderTypeSettings.aggregators.includes(name)) return;
+        setOrderTypeSettings(prev => ({ ...prev, aggregators: [...prev.aggregators, name] }));
+        setNewAggregator('');
+    };
+
+    const handleRemoveAggregator = (name) => {
+        setOrderTypeSettings(prev => ({ ...prev, aggregators: prev.aggregators.filter(aggregator => aggregator !== name) }));
+    };
+
+    const handleSaveOrderTypeSettings = async () => {
+        const packagingCharges = {};
+        for (const { id, label } of QUEUE_ORDER_TYPES) {
+            const amount = Number(orderTypeSettings.packagingCharges[id]) || 0;
+            if (amount < 0) {
+                alert(`${label} packaging charge cannot be negative.`);
+                return;
+            }
+            packagingCharges[id] = amount;
+        }
+
+        const updatedSettings = { ...orderTypeSettings, packagingCharges };
+        setIsSavingOrderTypes(true);
+        try {
+            await updateOrderTypeSettings(updatedSettings);
+            setOrderTypeSettings(updatedSettings);
+            alert('Order type settings saved. New takeaway and delivery orders use the new charges.');
+        } catch (error) {
+            console.error('Error saving order type settings:', error);
+            alert('Failed to save order type settings.');
+        } finally {
+            setIsSavingOrderTypes(false);
+        }
+    };
+
+    const handleBillNumberFieldChange = (field, value) => {
+        setBillNumberSettings(prev => ({ ...prev, [field]: value }));
+    };
+
+    // Number the first bill of the current financial year would get with the settings as edited
+    const normalizedBillNumberSettings = normalizeBillNumberSettings(billNumberSettings);
+    const sampleBillNumber = formatBillNumber(1, getFinancialYear(new Date(), normalizedBillNumberSettings), normalizedBillNumberSettings);
+
+    const handleSaveBillNumberSettings = async () => {
+        const updatedSettings = normalizedBillNumberSettings;
+        if (sampleBillNumber.length > MAX_INVOICE_NUMBER_LENGTH && !window.confirm(`Bill numbers like ${sampleBillNumber} are longer than the ${MAX_INVOICE_NUMBER_LENGTH} characters GST allows. Save anyway?`)) {
+            return;
+        }
+
+        setIsSavingBillNumbers(true);
+        try {
+            await updateBillNumberSettings(updatedSettings);
+            setBillNumberSettings(updatedSettings);
+            // A new outlet code numbers bills on counters that do not exist yet
+            ensureBillCounters().catch(error => console.error('Error starting bill counters:', error));
+            alert('Bill number settings saved. New bills use the new format.');
+        } catch (error) {
+            console.error('Error saving bill number settings:', error);
+            alert('Failed to save bill number settings.');
+        } finally {
+            setIsSavingBillNumbers(false);
+        }
+    };
+
+    const handlePrinterSettingChange = async (field, value) => {
+        const previousSettings = printerSettings;
+        const updatedSettings = { ...printerSettings, [field]: value };
+        setIsUpdatingPrinter(true);
+        setPrinterSettings(updatedSettings);
+        try {
+            await updatePrinterSettings(updatedSettings);
+        } catch (error) {
+            console.error('Error saving printer settings:', error);
+            setPrinterSettings(previousSettings); // revert on error
+        }
+        setIsUpdatingPrinter(false);
+    };
+
     const handleAddPaymentMethod = async () => {
         if (!newPaymentMethod.trim()) return;
         const methodStr = newPaymentMethod.trim();
@@ -191,6 +400,376 @@ const PosConfig = () => {
                 </div>
             </div>
 
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
+                <h3>Printer</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
+                    Paper size and output used for kitchen order tickets (KOT) and customer bills. 'Browser' opens the print dialog; 'ESC/POS' sends raw commands to a serial/USB thermal printer, or downloads them if none is connected.
+                </p>
+
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <select
+                        value={printerSettings.paperWidth}
+                        onChange={(e) => handlePrinterSettingChange('paperWidth', Number(e.target.value))}
+                        className={styles['form-input'] || 'form-input'}
+                        style={{ flex: 1, margin: 0 }}
+                        disabled={isUpdatingPrinter}
+                    >
+                        <option value={58}>58mm roll</option>
+                        <option value={80}>80mm roll</option>
+                    </select>
+                    <select
+                        value={printerSettings.output}
+                        onChange={(e) => handlePrinterSettingChange('output', e.target.value)}
+                        className={styles['form-input'] || 'form-input'}
+                        style={{ flex: 1, margin: 0 }}
+                        disabled={isUpdatingPrinter}
+                    >
+                        <option value="browser">Browser print</option>
+                        <option value="escpos">ESC/POS</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
+                <h3>Tax & Service Charge</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
+                    Tax classes are assigned per menu item in Menu Management; items without one use the default class. The service charge is levied on the pre-tax amount and taxed with the items.
+                </p>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Menu prices</span>
+                        <select
+                            value={taxSettings.pricesIncludeTax ? 'inclusive' : 'exclusive'}
+                            onChange={(e) => handleTaxFieldChange('pricesIncludeTax', e.target.value === 'inclusive')}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        >
+                            <option value="inclusive">Include tax</option>
+                            <option value="exclusive">Exclude tax (added at billing)</option>
+                        </select>
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Service charge (%)</span>
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.5"
+                            value={taxSettings.serviceChargeRate}
+                            onChange={(e) => handleTaxFieldChange('serviceChargeRate', e.target.value)}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Round off</span>
+                        <select
+                            value={taxSettings.roundOff}
+                            onChange={(e) => handleTaxFieldChange('roundOff', e.target.value)}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        >
+                            {ROUND_OFF_MODES.map(mode => (
+                                <option key={mode} value={mode}>{mode === 'none' ? 'No rounding' : `Round ${mode}`}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="0.01"
+                            step="0.01"
+                            value={taxSettings.roundOffTo}
+                            onChange={(e) => handleTaxFieldChange('roundOffTo', e.target.value)}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ width: '90px', margin: 0 }}
+                            disabled={taxSettings.roundOff === 'none'}
+                            title="Round to the nearest multiple of this amount (₹)"
+                        />
+                    </label>
+
+                    <h4 style={{ margin: '10px 0 0' }}>Tax Classes</h4>
+                    {taxSettings.taxClasses.map(taxClass => (
+                        <div key={taxClass.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', padding: '8px 12px', background: 'var(--page-bg)', border: '1px solid var(--border-color)', borderRadius: '8px' }}>
+                            <input
+                                type="text"
+                                value={taxClass.name}
+                                onChange={(e) => handleTaxClassChange(taxClass.id, 'name', e.target.value)}
+                                className={styles['form-input'] || 'form-input'}
+                                style={{ flex: 1, margin: 0 }}
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.5"
+                                value={taxClass.rate}
+                                onChange={(e) => handleTaxClassChange(taxClass.id, 'rate', e.target.value)}
+                                className={styles['form-input'] || 'form-input'}
+                                style={{ width: '80px', margin: 0 }}
+                            />
+                            <span>%</span>
+                            <label style={{ fontSize: '0.8rem', whiteSpace: 'nowrap' }}>
+                                <input
+                                    type="radio"
+                                    name="default-tax-class"
+                                    checked={taxSettings.defaultTaxClass === taxClass.id}
+                                    onChange={() => handleTaxFieldChange('defaultTaxClass', taxClass.id)}
+                                /> Default
+                            </label>
+                            <button
+                                className={styles['delete-btn'] || 'delete-btn'}
+                                onClick={() => handleRemoveTaxClass(taxClass.id)}
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <input
+                            type="text"
+                            value={newTaxClass.name}
+                            onChange={(e) => setNewTaxClass(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="New class name (e.g. Alcohol)"
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                        <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            step="0.5"
+                            value={newTaxClass.rate}
+                            onChange={(e) => setNewTaxClass(prev => ({ ...prev, rate: e.target.value }))}
+                            placeholder="Rate %"
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ width: '90px', margin: 0 }}
+                        />
+                        <button
+                            className={styles['primary-btn'] || 'primary-btn'}
+                            onClick={handleAddTaxClass}
+                            disabled={!newTaxClass.name.trim()}
+                        >
+                            Add
+                        </button>
+                    </div>
+
+                    <button
+                        className={styles['primary-btn'] || 'primary-btn'}
+                        onClick={handleSaveTaxSettings}
+                        disabled={isSavingTax}
+                    >
+                        {isSavingTax ? 'Saving...' : 'Save Tax Settings'}
+                    </button>
+                </div>
+            </div>
+
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
+                <h3>Order Types</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
+                    Packaging charge added to each takeaway, delivery or aggregator bill (in menu prices, taxed in the default tax class; 0 for none), and the delivery platforms offered for aggregator orders.
+                </p>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    {QUEUE_ORDER_TYPES.map(({ id, label }) => (
+                        <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                            <span style={{ flex: 1 }}>{label} packaging (₹)</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.5"
+                                value={orderTypeSettings.packagingCharges[id]}
+                                onChange={(e) => handlePackagingChargeChange(id, e.target.value)}
+                                className={styles['form-input'] || 'form-input'}
+                                style={{ width: '100px', margin: 0 }}
+                            />
+                        </label>
+                    ))}
+
+                    <h4 style={{ margin: '0.5rem 0 0' }}>Delivery Platforms</h4>
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <input
+                            type="text"
+                            value={newAggregator}
+                            onChange={(e) => setNewAggregator(e.target.value)}
+                            placeholder="Add platform..."
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                            onKeyPress={(e) => e.key === 'Enter' && handleAddAggregator()}
+                        />
+                        <button
+                            className={styles['primary-btn'] || 'primary-btn'}
+                            onClick={handleAddAggregator}
+                            disabled={!newAggregator.trim()}
+                        >
+                            Add
+                        </button>
+                    </div>
+                    {orderTypeSettings.aggregators.map(name => (
+                        <div key={name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 16px', background: 'var(--page-bg)', border: '1px solid var(--border-color)', borderRadius: '8px' }}>
+                            <span style={{ fontWeight: '500' }}>{name}</span>
+                            <button
+                                className={styles['delete-btn'] || 'delete-btn'}
+                                onClick={() => handleRemoveAggregator(name)}
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+
+                    <button
+                        className={styles['primary-btn'] || 'primary-btn'}
+                        onClick={handleSaveOrderTypeSettings}
+                        disabled={isSavingOrderTypes}
+                    >
+                        {isSavingOrderTypes ? 'Saving...' : 'Save Order Type Settings'}
+                    </button>
+                </div>
+            </div>
+
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
+                <h3>Customer Bill</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
+                    Header and footer printed on customer bills. Each GST class from the tax settings is printed as equal CGST and SGST lines.
+                </p>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    <input
+                        type="text"
+                        value={receiptSettings.restaurantName}
+                        onChange={(e) => handleReceiptFieldChange('restaurantName', e.target.value)}
+                        placeholder="Restaurant name"
+                        className={styles['form-input'] || 'form-input'}
+                        style={{ margin: 0 }}
+                    />
+                    <input
+                        type="text"
+                        value={receiptSettings.address}
+                        onChange={(e) => handleReceiptFieldChange('address', e.target.value)}
+                        placeholder="Address"
+                        className={styles['form-input'] || 'form-input'}
+                        style={{ margin: 0 }}
+                    />
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <input
+                            type="text"
+                            value={receiptSettings.phone}
+                            onChange={(e) => handleReceiptFieldChange('phone', e.target.value)}
+                            placeholder="Phone"
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                        <input
+                            type="text"
+                            value={receiptSettings.gstin}
+                            onChange={(e) => handleReceiptFieldChange('gstin', e.target.value.toUpperCase())}
+                            placeholder="GSTIN"
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                    </div>
+                    <input
+                        type="text"
+                        value={receiptSettings.footer}
+                        onChange={(e) => handleReceiptFieldChange('footer', e.target.value)}
+                        placeholder="Footer message"
+                        className={styles['form-input'] || 'form-input'}
+                        style={{ margin: 0 }}
+                    />
+                    <button
+                        className={styles['primary-btn'] || 'primary-btn'}
+                        onClick={handleSaveReceiptSettings}
+                        disabled={isSavingReceipt}
+                    >
+                        {isSavingReceipt ? 'Saving...' : 'Save Bill Settings'}
+                    </button>
+                </div>
+            </div>
+
+            <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
+                <h3>Bill Numbers</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
+                    Bills are numbered in sequence with no gaps, starting again from 1 each financial year. Each outlet code has its own sequence; leave it empty for a single outlet.
+                </p>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Prefix</span>
+                        <input
+                            type="text"
+                            value={billNumberSettings.prefix}
+                            onChange={(e) => handleBillNumberFieldChange('prefix', e.target.value.toUpperCase())}
+                            placeholder="e.g. NK"
+                            maxLength={8}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Outlet code</span>
+                        <input
+                            type="text"
+                            value={billNumberSettings.outletCode}
+                            onChange={(e) => handleBillNumberFieldChange('outletCode', e.target.value.toUpperCase())}
+                            placeholder="Single outlet"
+                            maxLength={8}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Financial year starts</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max="31"
+                            value={billNumberSettings.financialYearStartDay}
+                            onChange={(e) => handleBillNumberFieldChange('financialYearStartDay', e.target.value)}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ width: '70px', margin: 0 }}
+                        />
+                        <select
+                            value={billNumberSettings.financialYearStartMonth}
+                            onChange={(e) => handleBillNumberFieldChange('financialYearStartMonth', Number(e.target.value))}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        >
+                            {Array.from({ length: 12 }, (_, index) => (
+                                <option key={index + 1} value={index + 1}>
+                                    {new Date(2001, index, 1).toLocaleString([], { month: 'long' })}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                        <span style={{ flex: 1 }}>Sequence digits</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max="8"
+                            value={billNumberSettings.sequenceDigits}
+                            onChange={(e) => handleBillNumberFieldChange('sequenceDigits', e.target.value)}
+                            className={styles['form-input'] || 'form-input'}
+                            style={{ flex: 1, margin: 0 }}
+                        />
+                    </label>
+
+                    <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ margin: 0 }}>
+                        First bill this financial year: <strong>{sampleBillNumber}</strong>
+                        {sampleBillNumber.length > MAX_INVOICE_NUMBER_LENGTH && (
+                            <span style={{ color: '#dc3545' }}> · longer than the {MAX_INVOICE_NUMBER_LENGTH} characters GST allows</span>
+                        )}
+                    </p>
+
+                    <button
+                        className={styles['primary-btn'] || 'primary-btn'}
+                        onClick={handleSaveBillNumberSettings}
+                        disabled={isSavingBillNumbers}
+                    >
+                        {isSavingBillNumbers ? 'Saving...' : 'Save Bill Number Settings'}
+                    </button>
+                </div>
+            </div>
+
             <div className={styles['analytics-card'] || 'analytics-card'} style={{ maxWidth: '600px', backgroundColor: 'var(--card-bg)', marginTop: '2rem' }}>
                 <h3>Data Management</h3>
                 <p className={styles['metric-subtitle'] || 'metric-subtitle'} style={{ marginBottom: '1rem' }}>
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import styles from '../SettingsPage.module.css';
+import { subscribeToInventory, subscribeToRecipes } from '../../services/inventoryService';
+import { STOCK_LINK_TYPES, normaliseStockLink } from '../../utils/stockUsageUtils';
+import { isPreparedItem } from '../../utils/preparedStockUtils';
+import { getCompatibleUnits, areUnitsCompatible } from '../../utils/unitUtils';
+
+const newIngredient = () => ({ inventoryItemId: '', name: '', quantity: '', unit: '' });
+
+// Settings > Menu Management: the stock one sold item uses, deducted at checkout.
+// Either a portion of a recipe's output (served from its prepared stock when
+// there is some) or a direct list of raw inventory items.
+const StockLinkEditor = ({ item, onSave, onClose, saving }) => {
+    const [recipes, setRecipes] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [type, setType] = useState(item.stockLink?.type || '');
+    const [recipeId, setRecipeId] = useState(item.stockLink?.recipeId || '');
+    const [portionSize, setPortionSize] = useState(String(item.stockLink?.portionSize ?? ''));
+    const [ingredients, setIngredients] = useState(() => (item.stockLink?.ingredients || []).map(ingredient => ({
+        ...ingredient,
+        quantity: String(ingredient.quantity)
+    })));
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const unsubscribeRecipes = subscribeToRecipes(setRecipes);
+        const unsubscribeInventory = subscribeToInventory(setInventory);
+        return () => {
+            unsubscribeRecipes();
+            unsubscribeInventory();
+        };
+    }, []);
+
+    const selectedRecipe = recipes.find(recipe => recipe.id === recipeId);
+
+    const updateIngredient = (index, changes) => {
+        setIngredients(prev => prev.map((ingredient, i) => i === index ? { ...ingredient, ...changes } : ingredient));
+    };
+
+    const handleIngredientItemChange = (index, inventoryItemId) => {
+        const inventoryItem = inventory.find(entry => entry.id === inventoryItemId);
+        updateIngredient(index, {
+            inventoryItemId,
+            name: inventoryItem?.name || '',
+            unit: inventoryItem?.unit || ''
+        });
+    };
+
+    const handleSave = async () => {
+        if (type === 'ingredients') {
+            const mismatch = ingredients.find(ingredient => {
+                const inventoryItem = inventory.find(entry => entry.id === ingredient.inventoryItemId);
+                return inventoryItem && !areUnitsCompatible(ingredient.unit, inventoryItem.unit, inventoryItem);
+            });
+            if (mismatch) {
+                setError(`${mismatch.name} is stocked in a unit that cannot be converted from ${mismatch.unit}.`);
+                return;
+            }
+        }
+        const { link, error: validationError } = normaliseStockLink(
+            type ? { type, recipeId, portionSize, ingredients } : null,
+            recipes
+        );
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        await onSave(link);
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content" style={{ maxWidth: '560px', maxHeight: '85vh', overflowY: 'auto' }}>
+                <h3>Stock: {item.name}</h3>
+                <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                    Stock deducted for every one sold, when the bill is settled.
+                </p>
+
+                <select value={type} onChange={(e) => setType(e.target.value)} className="form-input">
+                    <option value="">Does not use stock</option>
+                    {STOCK_LINK_TYPES.map(linkType => (
+                        <option key={linkType.id} value={linkType.id}>{linkType.label}</option>
+                    ))}
+                </select>
+
+                {type === 'recipe' && (
+                    <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                        <select value={recipeId} onChange={(e) => setRecipeId(e.target.value)} className="form-input" style={{ flex: 2 }}>
+                            <option value="">Select recipe</option>
+                            {recipes.map(recipe => (
+                                <option key={recipe.id} value={recipe.id}>
+                                    {recipe.name} ({recipe.outputQuantity} {recipe.outputUnit})
+                                </option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.001"
+                            value={portionSize}
+                            onChange={(e) => setPortionSize(e.target.value)}
+                            placeholder="Portion"
+                            title="Recipe output used per item sold"
+                            className="form-input"
+                            style={{ flex: 1 }}
+                        />
+                        <span>{selectedRecipe?.outputUnit || ''}</span>
+                    </div>
+                )}
+
+                {type === 'ingredients' && (
+                    <>
+                        {ingredients.map((ingredient, index) => {
+                            const stockItem = inventory.find(entry => entry.id === ingredient.inventoryItemId);
+                            return (
+                                <div key={index} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                                    <select
+                                        value={ingredient.inventoryItemId}
+                                        onChange={(e) => handleIngredientItemChange(index, e.target.value)}
+                                        className="form-input"
+                                        style={{ flex: 2 }}
+                                    >
+                                        <option value="">Select inventory item</option>
+                                        {inventory.filter(inventoryItem => !isPreparedItem(inventoryItem)).map(inventoryItem => (
+                                            <option key={inventoryItem.id} value={inventoryItem.id}>{inventoryItem.name}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.001"
+                                        value={ingredient.quantity}
+                                        onChange={(e) => updateIngredient(index, { quantity: e.target.value })}
+                                        placeholder="Qty"
+                                        title="Quantity per item sold"
+                                        className="form-input"
+                                        style={{ flex: 1 }}
+                                    />
+                                    {stockItem ? (
+                                        <select
+                                            value={ingredient.unit}
+                                            onChange={(e) => updateIngredient(index, { unit: e.target.value })}
+                                            className="form-input"
+                                            style={{ width: 'auto' }}
+                                            title="Unit"
+                                        >
+                                            {getCompatibleUnits(stockItem).map(unit => (
+                                                <option key={unit} value={unit}>{unit}</option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <span style={{ minWidth: '40px' }}>{ingredient.unit}</span>
+                                    )}
+                                    <button
+                                        className="secondary-btn"
+                                        onClick={() => setIngredients(prev => prev.filter((_, i) => i !== index))}
+                                        title="Remove ingredient"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            );
+                        })}
+                        <button
+                            className="secondary-btn"
+                            onClick={() => setIngredients(prev => [...prev, newIngredient()])}
+                            style={{ alignSelf: 'flex-start' }}
+                        >
+                            + Ingredient
+                        </button>
+                    </>
+                )}
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleSave} className="primary-btn" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Stock Link'}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={saving}>
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockLinkEditor;
@@ -14,8 +14,10 @@ import {
   updateTable,
   deleteTable as deleteTableFirebase,
 } from '../services/firebaseService';
+import { getTableName, getNextTableId, getDiningTables } from '../utils/tableUtils';
 import { useRenderPerformance, useFunctionPerformance, monitorFirebaseOperation } from '../utils/performanceMonitor';
 import MenuManagement from './Settings/MenuManagement';
+import FloorPlanEditor from './Settings/FloorPlanEditor';
 
 const SettingsPage = () => {
   // Define item types for drag and drop
@@ -26,9 +28,7 @@ const SettingsPage = () => {
 
   // Function to add a new table
   const addNewTable = async () => {
-    // Get all existing table IDs and find the highest one
-    const existingTableIds = Object.keys(tables).map(Number);
-    const newTableId = existingTableIds.length > 0 ? Math.max(...existingTableIds) + 1 : 11; // Start from 11 if no tables exist
+    const newTableId = getNextTableId(tables);
     const newTable = {
       id: newTableId,
       orders: [],
@@ -40,7 +40,7 @@ const SettingsPage = () => {
 
   // Function to delete a table
   const deleteTable = async (tableId) => {
-    if (window.confirm(`Are you sure you want to delete Table ${tableId}? This will remove all orders from this table.`)) {
+    if (window.confirm(`Are you sure you want to delete ${getTableName(tables[tableId], tableId)}? This will remove all orders from this table.`)) {
       await deleteTableFirebase(tableId);
     }
   };
@@ -125,29 +125,7 @@ const SettingsPage = () => {
             {activeTab === 'tables' && (
               <div className={styles['settings-section'] || 'settings-section'}>
                 <h2>Table Management</h2>
-                <div className={styles['tables-management'] || 'tables-management'}>
-                  <div className={styles['table-actions'] || 'table-actions'}>
-                    <button className={styles['add-table-btn'] || 'add-table-btn'} onClick={addNewTable}>
-                      Add New Table
-                    </button>
-                  </div>
-
-                  <div className={styles['tables-grid'] || 'tables-grid'}>
-                    {Object.entries(tables).map(([tableId, tableData]) => (
-                      <div key={tableId} className={styles['table-card'] || 'table-card'}>
-                        <h3>Table {tableId}</h3>
-                        <p>Orders: {tableData.orders?.length || 0}</p>
-                        <p>Total: ₹{tableData.total || 0}</p>
-                        <button
-                          className={styles['delete-table-btn'] || 'delete-table-btn'}
-                          onClick={() => deleteTable(tableId)}
-                        >
-                          Delete Table
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                </div>
+                <FloorPlanEditor tables={getDiningTables(tables)} onAddTable={addNewTable} onDeleteTable={deleteTable} />
               </div>
             )}
 
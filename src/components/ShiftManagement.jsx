@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import NavigationBar from './NavigationBar';
-import { db } from '../firebase';
-import { doc, collection, onSnapshot, query, orderBy } from 'firebase/firestore';
+import { db, doc, collection, onSnapshot, query, orderBy } from '../storage';
 import { getCurrentShift, startShift, addPayout, closeShift, getPaymentMethods } from '../services/shiftService';
 
 const ShiftManagement = () => {
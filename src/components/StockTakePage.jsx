@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import NavigationBar from './NavigationBar';
+import { ErrorBanner, SuccessBanner } from './Reusable/LoadingComponents';
+import {
+    subscribeToInventory,
+    subscribeToStockTakes,
+    startStockTake,
+    recordStockCount,
+    clearStockCount,
+    commitStockTake,
+    cancelStockTake
+} from '../services/inventoryService';
+import { getCurrentUser } from '../services/authService';
+import { isPreparedItem } from '../utils/preparedStockUtils';
+import { getCompatibleUnits } from '../utils/unitUtils';
+import { buildStockTakeLines, summariseStockTake } from '../utils/stockTakeUtils';
+import styles from './InventoryBOM.module.css';
+
+const formatDate = (timestamp) => timestamp?.toDate
+    ? timestamp.toDate().toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+    : '—';
+
+const formatSigned = (value, prefix = '') => `${value > 0 ? '+' : value < 0 ? '-' : ''}${prefix}${Math.abs(value).toFixed(prefix ? 2 : 3).replace(/\.?0+$/, '') || '0'}`;
+
+const VarianceTable = ({ lines }) => (
+    <div className={styles['data-table-container'] || 'data-table-container'}>
+        <table className={styles['data-table'] || 'data-table'}>
+            <thead>
+                <tr>
+                    <th>Item</th>
+                    <th>Expected</th>
+                    <th>Counted</th>
+                    <th>Variance</th>
+                    <th>Value (₹)</th>
+                </tr>
+            </thead>
+            <tbody>
+                {lines.map(line => (
+                    <tr key={line.inventoryItemId} className={line.difference < 0 ? 'low-stock' : ''}>
+                        <td><strong>{line.name}</strong></td>
+                        <td>{line.expected} {line.unit}</td>
+                        <td>{line.counted} {line.unit}</td>
+                        <td>{formatSigned(line.difference)} {line.unit}</td>
+                        <td className={line.varianceValue < 0 ? 'text-danger' : undefined}>{formatSigned(line.varianceValue, '₹')}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </div>
+);
+
+const SummaryStats = ({ summary }) => (
+    <div className={styles['bom-summary'] || 'bom-summary'}>
+        <div className={styles['bom-stat'] || 'bom-stat'}>
+            <span className={styles['bom-stat-label'] || 'bom-stat-label'}>Items Counted</span>
+            <span className={styles['bom-stat-value'] || 'bom-stat-value'}>{summary.itemsCounted}</span>
+        </div>
+        <div className={styles['bom-stat'] || 'bom-stat'}>
+            <span className={styles['bom-stat-label'] || 'bom-stat-label'}>With Variance</span>
+            <span className={styles['bom-stat-value'] || 'bom-stat-value'}>{summary.itemsWithVariance}</span>
+        </div>
+        <div className={styles['bom-stat'] || 'bom-stat'}>
+            <span className={styles['bom-stat-label'] || 'bom-stat-label'}>Shortage</span>
+            <span className={`${styles['bom-stat-value'] || 'bom-stat-value'} ${styles['short'] || 'short'}`}>₹{Math.abs(summary.shortageValue).toFixed(2)}</span>
+        </div>
+        <div className={styles['bom-stat'] || 'bom-stat'}>
+            <span className={styles['bom-stat-label'] || 'bom-stat-label'}>Surplus</span>
+            <span className={styles['bom-stat-value'] || 'bom-stat-value'}>₹{summary.surplusValue.toFixed(2)}</span>
+        </div>
+        <div className={styles['bom-stat'] || 'bom-stat'}>
+            <span className={styles['bom-stat-label'] || 'bom-stat-label'}>Net</span>
+            <span className={`${styles['bom-stat-value'] || 'bom-stat-value'} ${styles['cost'] || 'cost'}`}>{formatSigned(summary.netValue, '₹')}</span>
+        </div>
+    </div>
+);
+
+// Physical count of raw stock. Several devices can count into the same open
+// session (e.g. one in the cold room, one in dry store); committing it
+// corrects stock and keeps the variance report.
+const StockTakePage = () => {
+    const [stockTakes, setStockTakes] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const [sessionName, setSessionName] = useState('');
+    const [searchTerm, setSearchTerm] = useState('');
+    const [drafts, setDrafts] = useState({});
+    const [savingItemId, setSavingItemId] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [viewingId, setViewingId] = useState(null);
+
+    useEffect(() => {
+        let loadedCount = 0;
+        const checkLoaded = () => {
+            loadedCount++;
+            if (loadedCount >= 2) setLoading(false);
+        };
+
+        const unsubStockTakes = subscribeToStockTakes((data) => {
+            setStockTakes(data);
+            checkLoaded();
+        });
+        const unsubInventory = subscribeToInventory((data) => {
+            setInventory(data);
+            checkLoaded();
+        });
+
+        return () => {
+            unsubStockTakes();
+            unsubInventory();
+        };
+    }, []);
+
+    const openSession = stockTakes.find(session => session.status === 'open') || null;
+    const pastSessions = stockTakes.filter(session => session.status === 'committed');
+    const viewing = pastSessions.find(session => session.id === viewingId) || null;
+
+    // Prepared stock is accounted for by its batches, not counted
+    const countableItems = useMemo(() => inventory.filter(item => !isPreparedItem(item)), [inventory]);
+    const inventoryById = useMemo(() => Object.fromEntries(inventory.map(item => [item.id, item])), [inventory]);
+
+    const visibleItems = useMemo(() => countableItems.filter(item =>
+        item.name.toLowerCase().includes(searchTerm.toLowerCase())
+    ), [countableItems, searchTerm]);
+
+    const previewLines = useMemo(
+        () => openSession ? buildStockTakeLines(openSession.counts, inventoryById) : [],
+        [openSession, inventoryById]
+    );
+    const previewSummary = summariseStockTake(previewLines);
+
+    const getUserName = () => getCurrentUser()?.email || null;
+
+    const updateDraft = (item, changes) => {
+        setDrafts(prev => ({ ...prev, [item.id]: { quantity: '', unit: item.unit, ...prev[item.id], ...changes } }));
+    };
+
+    const handleStart = async () => {
+        setBusy(true);
+        try {
+            await startStockTake({ name: sessionName, startedBy: getUserName() });
+            setSessionName('');
+            setDrafts({});
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSaveCount = async (item) => {
+        const draft = drafts[item.id];
+        if (!draft || draft.quantity === '' || Number(draft.quantity) < 0) {
+            setError(`Enter the counted quantity of ${item.name}`);
+            return;
+        }
+        setSavingItemId(item.id);
+        try {
+            await recordStockCount(openSession.id, item, {
+                quantity: draft.quantity,
+                unit: draft.unit,
+                countedBy: getUserName()
+            });
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[item.id];
+                return next;
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSavingItemId(null);
+        }
+    };
+
+    const handleClearCount = async (item) => {
+        setSavingItemId(item.id);
+        try {
+            await clearStockCount(openSession.id, item.id);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSavingItemId(null);
+        }
+    };
+
+    const handleCommit = async () => {
+        if (!window.confirm(
+            `Commit "${openSession.name}"?\n\n${previewSummary.itemsWithVariance} of ${previewSummary.itemsCounted} counted items will be corrected (net ₹${previewSummary.netValue.toFixed(2)}).`
+        )) return;
+        setBusy(true);
+        try {
+            const summary = await commitStockTake(openSession.id, { committedBy: getUserName() });
+            setSuccess(`Stock take committed — ${summary.itemsWithVariance} item${summary.itemsWithVariance !== 1 ? 's' : ''} corrected`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm(`Cancel "${openSession.name}"? Counts are discarded and stock is not changed.`)) return;
+        setBusy(true);
+        try {
+            await cancelStockTake(openSession.id, { cancelledBy: getUserName() });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className={styles['inventory-page'] || 'inventory-page'}>
+                <NavigationBar currentPage="inventory" />
+                <div className={styles['inventory-content'] || 'inventory-content'}>
+                    <div className={styles['loading'] || 'loading'}>Loading stock takes...</div>
+                </div>
+            </div>
+        );
+    }
+
+    const counts = openSession?.counts || {};
+
+    return (
+        <div className={styles['inventory-page'] || 'inventory-page'}>
+            <NavigationBar currentPage="inventory" />
+            <div className={styles['inventory-content'] || 'inventory-content'}>
+                {error && <ErrorBanner message={error} onClose={() => setError('')} />}
+                {success && <SuccessBanner message={success} onClose={() => setSuccess('')} autoDismiss={3000} />}
+
+                <div className={styles['inventory-header'] || 'inventory-header'}>
+                    <h1>📋 Stock Take</h1>
+                    <div className={styles['header-actions'] || 'header-actions'}>
+                        <Link to="/inventory" className={styles['btn-secondary'] || 'btn-secondary'}>← Inventory</Link>
+                    </div>
+                </div>
+
+                {!openSession ? (
+                    <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                        <h2>Start a count</h2>
+                        <div className={styles['bom-controls'] || 'bom-controls'}>
+                            <div className={`${styles['form-group'] || 'form-group'} ${styles['recipe-select'] || 'recipe-select'}`}>
+                                <label>Name (optional)</label>
+                                <input
+                                    type="text"
+                                    value={sessionName}
+                                    onChange={(e) => setSessionName(e.target.value)}
+                                    placeholder="e.g. Month-end count"
+                                />
+                            </div>
+                            <div className={styles['form-group'] || 'form-group'}>
+                                <label>&nbsp;</label>
+                                <button className={styles['btn-primary'] || 'btn-primary'} onClick={handleStart} disabled={busy}>
+                                    Start Stock Take
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                ) : (
+                    <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                        <div className={styles['prepared-header'] || 'prepared-header'}>
+                            <h2>{openSession.name}</h2>
+                            <div className={styles['actions-cell'] || 'actions-cell'}>
+                                <button className={styles['btn-secondary'] || 'btn-secondary'} onClick={handleCancel} disabled={busy}>Cancel</button>
+                                <button
+                                    className={styles['btn-success'] || 'btn-success'}
+                                    onClick={handleCommit}
+                                    disabled={busy || previewLines.length === 0}
+                                >
+                                    Commit ({previewLines.length} of {countableItems.length} counted)
+                                </button>
+                            </div>
+                        </div>
+                        <p className={styles['metric-subtitle'] || 'metric-subtitle'}>
+                            Started {formatDate(openSession.startedAt)}{openSession.startedBy ? ` by ${openSession.startedBy}` : ''}.
+                            Counts from every device appear here as they are saved.
+                        </p>
+
+                        <SummaryStats summary={previewSummary} />
+
+                        <div className={styles['filter-bar'] || 'filter-bar'}>
+                            <input
+                                className={styles['search-input'] || 'search-input'}
+                                type="text"
+                                placeholder="Search items..."
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                            />
+                        </div>
+
+                        <div className={styles['data-table-container'] || 'data-table-container'}>
+                            <table className={styles['data-table'] || 'data-table'}>
+                                <thead>
+                                    <tr>
+                                        <th>Item</th>
+                                        <th>System Stock</th>
+                                        <th>Counted</th>
+                                        <th>Variance</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {visibleItems.map(item => {
+                                        const count = counts[item.id];
+                                        const draft = drafts[item.id];
+                                        const difference = count ? count.counted - count.systemStock : 0;
+                                        return (
+                                            <tr key={item.id}>
+                                                <td>
+                                                    <strong>{item.name}</strong>
+                                                    <span className={styles['unit-note'] || 'unit-note'}>{item.category}</span>
+                                                </td>
+                                                <td>{item.currentStock} {item.unit}</td>
+                                                <td>
+                                                    <div className={styles['purchase-inline'] || 'purchase-inline'}>
+                                                        <input
+                                                            type="number"
+                                                            value={draft?.quantity ?? ''}
+                                                            onChange={(e) => updateDraft(item, { quantity: e.target.value })}
+                                                            onKeyDown={(e) => e.key === 'Enter' && handleSaveCount(item)}
+                                                            placeholder={count ? `${count.enteredQuantity}` : 'Qty'}
+                                                            min="0"
+                                                            step="0.001"
+                                                            disabled={savingItemId === item.id}
+                                                        />
+                                                        {getCompatibleUnits(item).length > 1 ? (
+                                                            <select
+                                                                value={draft?.unit ?? count?.enteredUnit ?? item.unit}
+                                                                onChange={(e) => updateDraft(item, { unit: e.target.value })}
+                                                                disabled={savingItemId === item.id}
+                                                            >
+                                                                {getCompatibleUnits(item).map(unit => (
+                                                                    <option key={unit} value={unit}>{unit}</option>
+                                                                ))}
+                                                            </select>
+                                                        ) : (
+                                                            <span>{item.unit}</span>
+                                                        )}
+                                                    </div>
+                                                    {count && (
+                                                        <span className={styles['unit-note'] || 'unit-note'}>
+                                                            {count.counted} {item.unit}{count.countedBy ? ` · ${count.countedBy}` : ''}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td className={difference < 0 ? 'text-danger' : undefined}>
+                                                    {count ? `${formatSigned(Math.round(difference * 1000) / 1000)} ${item.unit}` : '—'}
+                                                </td>
+                                                <td>
+                                                    <div className={styles['actions-cell'] || 'actions-cell'}>
+                                                        <button
+                                                            className={`${styles['btn-success'] || 'btn-success'} ${styles['btn-sm'] || 'btn-sm'}`}
+                                                            onClick={() => handleSaveCount(item)}
+                                                            disabled={savingItemId === item.id || !draft}
+                                                        >
+                                                            {count ? 'Recount' : 'Save'}
+                                                        </button>
+                                                        {count && (
+                                                            <button
+                                                                className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`}
+                                                                onClick={() => handleClearCount(item)}
+                                                                disabled={savingItemId === item.id}
+                                                            >
+                                                                Clear
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* Past variance reports */}
+                <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                    <h2>Variance Reports</h2>
+                    {pastSessions.length === 0 ? (
+                        <p className={styles['empty-state'] || 'empty-state'}>No committed stock takes yet.</p>
+                    ) : (
+                        <div className={styles['data-table-container'] || 'data-table-container'}>
+                            <table className={styles['data-table'] || 'data-table'}>
+                                <thead>
+                                    <tr>
+                                        <th>Stock Take</th>
+                                        <th>Committed</th>
+                                        <th>Items</th>
+                                        <th>Net Variance (₹)</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pastSessions.map(session => (
+                                        <tr key={session.id}>
+                                            <td><strong>{session.name}</strong></td>
+                                            <td>{formatDate(session.committedAt)}{session.committedBy ? ` · ${session.committedBy}` : ''}</td>
+                                            <td>{session.summary?.itemsWithVariance ?? 0} / {session.summary?.itemsCounted ?? 0}</td>
+                                            <td className={session.summary?.netValue < 0 ? 'text-danger' : undefined}>
+                                                {formatSigned(session.summary?.netValue || 0, '₹')}
+                                            </td>
+                                            <td>
+                                                <button
+                                                    className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`}
+                                                    onClick={() => setViewingId(viewingId === session.id ? null : session.id)}
+                                                >
+                                                    {viewingId === session.id ? 'Hide' : 'View'}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {viewing && (
+                        <div className={styles['bom-results'] || 'bom-results'}>
+                            <SummaryStats summary={viewing.summary} />
+                            <VarianceTable lines={viewing.lines || []} />
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StockTakePage;
@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import NavigationBar from './NavigationBar';
+import { ErrorBanner, SuccessBanner } from './Reusable/LoadingComponents';
+import {
+    subscribeToInventory,
+    subscribeToSuppliers,
+    subscribeToPurchaseOrders,
+    addSupplier,
+    updateSupplier,
+    deleteSupplier,
+    createPurchaseOrders,
+    updatePurchaseOrderLines,
+    placePurchaseOrder,
+    receivePurchaseOrder,
+    cancelPurchaseOrder
+} from '../services/inventoryService';
+import { getCurrentUser } from '../services/authService';
+import { isPreparedItem } from '../utils/preparedStockUtils';
+import {
+    OPEN_PO_STATUSES,
+    PO_STATUS_LABELS,
+    buildReorderDrafts,
+    getSuggestedOrderQuantity,
+    summariseOrder
+} from '../utils/purchaseOrderUtils';
+import PurchaseOrderCard from './Suppliers/PurchaseOrderCard';
+import PriceHistory from './Suppliers/PriceHistory';
+import styles from './InventoryBOM.module.css';
+
+const PAYMENT_TERMS = ['On delivery', 'Net 7', 'Net 15', 'Net 30'];
+
+const emptySupplier = {
+    name: '',
+    contactName: '',
+    phone: '',
+    email: '',
+    paymentTerms: 'On delivery',
+    itemIds: [],
+    notes: ''
+};
+
+const formatDate = (timestamp) => timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })
+    : '—';
+
+const SupplierManagement = () => {
+    const [suppliers, setSuppliers] = useState([]);
+    const [orders, setOrders] = useState([]);
+    const [inventory, setInventory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    // Modal state
+    const [showModal, setShowModal] = useState(false);
+    const [editingSupplier, setEditingSupplier] = useState(null);
+    const [formData, setFormData] = useState(emptySupplier);
+    const [formLoading, setFormLoading] = useState(false);
+
+    const [historySupplierId, setHistorySupplierId] = useState(null);
+    const [generating, setGenerating] = useState(false);
+
+    // Subscribe to real-time data
+    useEffect(() => {
+        let loadedCount = 0;
+        const checkLoaded = () => {
+            loadedCount++;
+            if (loadedCount >= 3) setLoading(false);
+        };
+
+        const unsubSuppliers = subscribeToSuppliers((data) => {
+            setSuppliers(data);
+            checkLoaded();
+        });
+        const unsubOrders = subscribeToPurchaseOrders((data) => {
+            setOrders(data);
+            checkLoaded();
+        });
+        const unsubInventory = subscribeToInventory((data) => {
+            setInventory(data);
+            checkLoaded();
+        });
+
+        return () => {
+            unsubSuppliers();
+            unsubOrders();
+            unsubInventory();
+        };
+    }, []);
+
+    // Prepared stock is made in-house, never bought
+    const rawInventory = useMemo(() => inventory.filter(item => !isPreparedItem(item)), [inventory]);
+    const inventoryById = useMemo(() => Object.fromEntries(rawInventory.map(item => [item.id, item])), [rawInventory]);
+
+    const openOrders = orders.filter(order => OPEN_PO_STATUSES.includes(order.status));
+    const closedOrders = orders.filter(order => !OPEN_PO_STATUSES.includes(order.status));
+    const reorder = useMemo(() => buildReorderDrafts(rawInventory, suppliers, orders), [rawInventory, suppliers, orders]);
+    const historySupplier = suppliers.find(supplier => supplier.id === historySupplierId) || null;
+
+    const getUserName = () => getCurrentUser()?.email || null;
+
+    // Supplier form handlers
+    const openAddModal = () => {
+        setEditingSupplier(null);
+        setFormData(emptySupplier);
+        setShowModal(true);
+    };
+
+    const openEditModal = (supplier) => {
+        setEditingSupplier(supplier);
+        setFormData({
+            name: supplier.name,
+            contactName: supplier.contactName || '',
+            phone: supplier.phone || '',
+            email: supplier.email || '',
+            paymentTerms: supplier.paymentTerms || '',
+            itemIds: supplier.itemIds || [],
+            notes: supplier.notes || ''
+        });
+        setShowModal(true);
+    };
+
+    const closeModal = () => {
+        setShowModal(false);
+        setEditingSupplier(null);
+        setFormData(emptySupplier);
+    };
+
+    const handleFormChange = (field, value) => {
+        setFormData(prev => ({ ...prev, [field]: value }));
+    };
+
+    const toggleSuppliedItem = (itemId) => {
+        setFormData(prev => ({
+            ...prev,
+            itemIds: prev.itemIds.includes(itemId)
+                ? prev.itemIds.filter(id => id !== itemId)
+                : [...prev.itemIds, itemId]
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.name.trim()) {
+            setError('Supplier name is required');
+            return;
+        }
+
+        setFormLoading(true);
+        try {
+            const data = {
+                name: formData.name.trim(),
+                contactName: formData.contactName.trim(),
+                phone: formData.phone.trim(),
+                email: formData.email.trim(),
+                paymentTerms: formData.paymentTerms.trim(),
+                itemIds: formData.itemIds,
+                notes: formData.notes.trim()
+            };
+
+            if (editingSupplier) {
+                await updateSupplier(editingSupplier.id, data);
+                setSuccess(`"${data.name}" updated`);
+            } else {
+                await addSupplier(data);
+                setSuccess(`"${data.name}" added`);
+            }
+            closeModal();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setFormLoading(false);
+        }
+    };
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Delete supplier "${supplier.name}"?`)) return;
+        try {
+            await deleteSupplier(supplier.id);
+            setSuccess(`"${supplier.name}" deleted`);
+            if (historySupplierId === supplier.id) setHistorySupplierId(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    // Purchase order handlers
+    const handleGenerateOrders = async () => {
+        if (reorder.drafts.length === 0) return;
+        setGenerating(true);
+        try {
+            await createPurchaseOrders(reorder.drafts, { createdBy: getUserName() });
+            setSuccess(`${reorder.drafts.length} draft purchase order${reorder.drafts.length !== 1 ? 's' : ''} created`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    // A blank draft listing everything the supplier supplies, low items pre-filled
+    const handleNewOrder = async (supplier) => {
+        const lines = (supplier.itemIds || [])
+            .map(itemId => inventoryById[itemId])
+            .filter(Boolean)
+            .map(item => ({
+                inventoryItemId: item.id,
+                name: item.name,
+                unit: item.unit,
+                quantity: item.reorderLevel > 0 ? getSuggestedOrderQuantity(item) : 0,
+                unitCost: supplier.prices?.[item.id]?.unitCost ?? (Number(item.costPerUnit) || 0),
+                receivedQuantity: 0,
+                receivedCost: 0
+            }));
+        if (lines.length === 0) {
+            setError(`Add the items ${supplier.name} supplies before creating an order`);
+            return;
+        }
+        try {
+            await createPurchaseOrders([{ supplierId: supplier.id, supplierName: supplier.name, lines }], { createdBy: getUserName() });
+            setSuccess(`Draft order for ${supplier.name} created`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleSaveDraft = async (order, lines) => {
+        try {
+            await updatePurchaseOrderLines(order.id, lines);
+            setSuccess('Draft saved');
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handlePlace = async (order, lines) => {
+        try {
+            await placePurchaseOrder(order.id, lines, { orderedBy: getUserName() });
+            setSuccess(`Order placed with ${order.supplierName}`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleReceive = async (order, received) => {
+        try {
+            const result = await receivePurchaseOrder(order.id, received, { receivedBy: getUserName() });
+            setSuccess(result.status === 'received'
+                ? `Order from ${order.supplierName} fully received (₹${result.receivedCost.toFixed(2)})`
+                : `Partial delivery from ${order.supplierName} received (₹${result.receivedCost.toFixed(2)})`);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleCancelOrder = async (order) => {
+        const message = order.status === 'partially_received'
+            ? `Close the order from ${order.supplierName}? Items not yet delivered will no longer be expected.`
+            : `Cancel the order from ${order.supplierName}?`;
+        if (!window.confirm(message)) return;
+        try {
+            await cancelPurchaseOrder(order.id, { cancelledBy: getUserName() });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className={styles['inventory-page'] || 'inventory-page'}>
+                <NavigationBar currentPage="suppliers" />
+                <div className={styles['inventory-content'] || 'inventory-content'}>
+                    <div className={styles['loading'] || 'loading'}>Loading suppliers...</div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles['inventory-page'] || 'inventory-page'}>
+            <NavigationBar currentPage="suppliers" />
+            <div className={styles['inventory-content'] || 'inventory-content'}>
+                {error && <ErrorBanner message={error} onClose={() => setError('')} />}
+                {success && <SuccessBanner message={success} onClose={() => setSuccess('')} autoDismiss={3000} />}
+
+                <div className={styles['inventory-header'] || 'inventory-header'}>
+                    <h1>🚚 Suppliers & Purchase Orders</h1>
+                    <div className={styles['header-actions'] || 'header-actions'}>
+                        <button className={styles['btn-primary'] || 'btn-primary'} onClick={openAddModal}>+ Add Supplier</button>
+                    </div>
+                </div>
+
+                {/* Reorder suggestions */}
+                {(reorder.drafts.length > 0 || reorder.unassigned.length > 0) && (
+                    <div className={styles['low-stock-banner'] || 'low-stock-banner'}>
+                        <span className={styles['alert-icon'] || 'alert-icon'}>⚠️</span>
+                        <span className={styles['alert-text'] || 'alert-text'}>
+                            {reorder.drafts.reduce((sum, draft) => sum + draft.lines.length, 0)} item(s) below reorder level and not on order
+                            {reorder.unassigned.length > 0 && ` • No supplier for: ${reorder.unassigned.map(item => item.name).join(', ')}`}
+                        </span>
+                        {reorder.drafts.length > 0 && (
+                            <button className={`${styles['btn-primary'] || 'btn-primary'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={handleGenerateOrders} disabled={generating}>
+                                {generating ? 'Creating...' : `Create ${reorder.drafts.length} draft order${reorder.drafts.length !== 1 ? 's' : ''}`}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* Suppliers */}
+                {suppliers.length === 0 ? (
+                    <div className={styles['empty-state'] || 'empty-state'}>
+                        <p>No suppliers yet. Add your suppliers and the items they supply to start ordering.</p>
+                        <button className={styles['btn-primary'] || 'btn-primary'} onClick={openAddModal}>Add Supplier</button>
+                    </div>
+                ) : (
+                    <div className={styles['data-table-container'] || 'data-table-container'}>
+                        <table className={styles['data-table'] || 'data-table'}>
+                            <thead>
+                                <tr>
+                                    <th>Supplier</th>
+                                    <th>Contact</th>
+                                    <th>Payment Terms</th>
+                                    <th>Items Supplied</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suppliers.map(supplier => (
+                                    <tr key={supplier.id}>
+                                        <td>
+                                            <strong>{supplier.name}</strong>
+                                            {supplier.notes && <span className={styles['unit-note'] || 'unit-note'}>{supplier.notes}</span>}
+                                        </td>
+                                        <td>
+                                            {supplier.contactName || '—'}
+                                            {(supplier.phone || supplier.email) && (
+                                                <span className={styles['unit-note'] || 'unit-note'}>
+                                                    {[supplier.phone, supplier.email].filter(Boolean).join(' • ')}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>{supplier.paymentTerms || '—'}</td>
+                                        <td>
+                                            {(supplier.itemIds || [])
+                                                .map(itemId => inventoryById[itemId]?.name)
+                                                .filter(Boolean)
+                                                .join(', ') || '—'}
+                                        </td>
+                                        <td>
+                                            <div className={styles['actions-cell'] || 'actions-cell'}>
+                                                <button className={`${styles['btn-success'] || 'btn-success'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={() => handleNewOrder(supplier)}>New Order</button>
+                                                <button
+                                                    className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`}
+                                                    onClick={() => setHistorySupplierId(historySupplierId === supplier.id ? null : supplier.id)}
+                                                >
+                                                    {historySupplierId === supplier.id ? 'Hide Prices' : 'Prices'}
+                                                </button>
+                                                <button className={`${styles['btn-secondary'] || 'btn-secondary'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={() => openEditModal(supplier)}>Edit</button>
+                                                <button className={`${styles['btn-danger'] || 'btn-danger'} ${styles['btn-sm'] || 'btn-sm'}`} onClick={() => handleDelete(supplier)}>Del</button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {historySupplier && (
+                    <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                        <h2>📈 Price History — {historySupplier.name}</h2>
+                        <PriceHistory supplier={historySupplier} />
+                    </div>
+                )}
+
+                {/* Open purchase orders */}
+                <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                    <h2>📦 Open Purchase Orders</h2>
+                    {openOrders.length === 0 ? (
+                        <p className={styles['empty-state'] || 'empty-state'}>No open purchase orders.</p>
+                    ) : (
+                        openOrders.map(order => (
+                            <PurchaseOrderCard
+                                key={`${order.id}-${order.status}-${order.receipts?.length || 0}-${order.lines.length}`}
+                                order={order}
+                                inventoryById={inventoryById}
+                                onSaveDraft={handleSaveDraft}
+                                onPlace={handlePlace}
+                                onReceive={handleReceive}
+                                onCancel={handleCancelOrder}
+                            />
+                        ))
+                    )}
+                </div>
+
+                {/* Past purchase orders */}
+                {closedOrders.length > 0 && (
+                    <div className={styles['bom-calculator'] || 'bom-calculator'}>
+                        <h2>Past Purchase Orders</h2>
+                        <div className={styles['data-table-container'] || 'data-table-container'}>
+                            <table className={styles['data-table'] || 'data-table'}>
+                                <thead>
+                                    <tr>
+                                        <th>Supplier</th>
+                                        <th>Ordered</th>
+                                        <th>Status</th>
+                                        <th>Ordered (₹)</th>
+                                        <th>Received (₹)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {closedOrders.map(order => {
+                                        const summary = summariseOrder(order);
+                                        return (
+                                            <tr key={order.id}>
+                                                <td><strong>{order.supplierName}</strong></td>
+                                                <td>{formatDate(order.orderedAt || order.createdAt)}</td>
+                                                <td>{PO_STATUS_LABELS[order.status]}</td>
+                                                <td>₹{summary.orderedTotal.toFixed(2)}</td>
+                                                <td className={summary.receivedTotal > summary.orderedTotal ? 'text-danger' : undefined}>
+                                                    ₹{summary.receivedTotal.toFixed(2)}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+
+                {/* Add/Edit Supplier Modal */}
+                {showModal && (
+                    <div className={styles['modal-overlay'] || 'modal-overlay'} onClick={closeModal}>
+                        <div className={styles['modal-content'] || 'modal-content'} onClick={(e) => e.stopPropagation()} style={{ maxWidth: '640px' }}>
+                            <h2>{editingSupplier ? 'Edit Supplier' : 'New Supplier'}</h2>
+                            <form onSubmit={handleSubmit}>
+                                <div className={styles['form-group'] || 'form-group'}>
+                                    <label>Supplier Name *</label>
+                                    <input
+                                        type="text"
+                                        value={formData.name}
+                                        onChange={(e) => handleFormChange('name', e.target.value)}
+                                        placeholder="e.g. Al-Noor Meat Traders"
+                                        required
+                                        autoFocus
+                                    />
+                                </div>
+                                <div className={styles['form-row'] || 'form-row'}>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Contact Person</label>
+                                        <input type="text" value={formData.contactName} onChange={(e) => handleFormChange('contactName', e.target.value)} />
+                                    </div>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Phone</label>
+                                        <input type="tel" value={formData.phone} onChange={(e) => handleFormChange('phone', e.target.value)} />
+                                    </div>
+                                </div>
+                                <div className={styles['form-row'] || 'form-row'}>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Email</label>
+                                        <input type="email" value={formData.email} onChange={(e) => handleFormChange('email', e.target.value)} />
+                                    </div>
+                                    <div className={styles['form-group'] || 'form-group'}>
+                                        <label>Payment Terms</label>
+                                        <input
+                                            type="text"
+                                            list="payment-terms"
+                                            value={formData.paymentTerms}
+                                            onChange={(e) => handleFormChange('paymentTerms', e.target.value)}
+                                        />
+                                        <datalist id="payment-terms">
+                                            {PAYMENT_TERMS.map(terms => <option key={terms} value={terms} />)}
+                                        </datalist>
+                                    </div>
+                                </div>
+                                <div className={styles['form-group'] || 'form-group'}>
+                                    <label>Items Supplied</label>
+                                    <div className={styles['supplied-items'] || 'supplied-items'}>
+                                        {rawInventory.map(item => (
+                                            <label key={item.id}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={formData.itemIds.includes(item.id)}
+                                                    onChange={() => toggleSuppliedItem(item.id)}
+                                                />
+                                                {item.name}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                                <div className={styles['form-group'] || 'form-group'}>
+                                    <label>Notes</label>
+                                    <input type="text" value={formData.notes} onChange={(e) => handleFormChange('notes', e.target.value)} placeholder="e.g. Delivers before 9am, closed Fridays" />
+                                </div>
+
+                                <div className={styles['form-actions'] || 'form-actions'}>
+                                    <button type="button" className={styles['btn-secondary'] || 'btn-secondary'} onClick={closeModal} disabled={formLoading}>
+                                        Cancel
+                                    </button>
+                                    <button type="submit" className={styles['btn-primary'] || 'btn-primary'} disabled={formLoading}>
+                                        {formLoading ? 'Saving...' : editingSupplier ? 'Update' : 'Add Supplier'}
+                                    </button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SupplierManagement;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { subscribeToSupplierPurchases } from '../../services/inventoryService';
+import { buildPriceHistory } from '../../utils/purchaseOrderUtils';
+import styles from '../InventoryBOM.module.css';
+
+const formatDate = (date) => date ? date.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' }) : '—';
+
+// What a supplier has charged for each item, newest purchase first
+const PriceHistory = ({ supplier }) => {
+    const [purchases, setPurchases] = useState(null);
+
+    useEffect(() => {
+        const unsubscribe = subscribeToSupplierPurchases(supplier.id, setPurchases);
+        return () => unsubscribe();
+    }, [supplier.id]);
+
+    const history = useMemo(() => buildPriceHistory(purchases || []), [purchases]);
+
+    if (purchases === null) {
+        return <div className={styles['loading'] || 'loading'}>Loading price history...</div>;
+    }
+    if (history.length === 0) {
+        return <p className={styles['empty-state'] || 'empty-state'}>No purchases from {supplier.name} yet.</p>;
+    }
+
+    return (
+        <div className={styles['data-table-container'] || 'data-table-container'}>
+            <table className={styles['data-table'] || 'data-table'}>
+                <thead>
+                    <tr>
+                        <th>Item / Date</th>
+                        <th>Quantity</th>
+                        <th>Price (₹)</th>
+                        <th>Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {history.map(item => (
+                        <React.Fragment key={item.inventoryItemId}>
+                            <tr className={styles['prepared-item-row'] || 'prepared-item-row'}>
+                                <td colSpan={4}><strong>{item.itemName}</strong></td>
+                            </tr>
+                            {item.entries.map(entry => (
+                                <tr key={entry.id} className={styles['batch-row'] || 'batch-row'}>
+                                    <td>{formatDate(entry.date)}</td>
+                                    <td>{entry.quantity} {item.unit}</td>
+                                    <td>₹{entry.unitCost.toFixed(2)}/{item.unit}</td>
+                                    <td className={entry.change > 0 ? 'text-danger' : undefined}>
+                                        {entry.change === null || entry.change === 0
+                                            ? '—'
+                                            : `${entry.change > 0 ? '▲' : '▼'} ₹${Math.abs(entry.change).toFixed(2)}`}
+                                    </td>
+                                </tr>
+                            ))}
+                        </React.Fragment>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default PriceHistory;
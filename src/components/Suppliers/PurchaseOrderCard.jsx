@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { PO_STATUS_LABELS, getOutstandingQuantity, summariseOrder } from '../../utils/purchaseOrderUtils';
+import { isPerishable } from '../../utils/lotUtils';
+import styles from '../InventoryBOM.module.css';
+
+const STATUS_BADGES = {
+    draft: 'low',
+    ordered: 'ok',
+    partially_received: 'low',
+    received: 'ok',
+    cancelled: 'out'
+};
+
+const formatDate = (timestamp) => timestamp?.toDate
+    ? timestamp.toDate().toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })
+    : '—';
+
+// One purchase order: drafts are edited and placed, placed orders are
+// received (in full or in part, at the price actually paid, with the expiry
+// date of each perishable lot)
+const PurchaseOrderCard = ({ order, inventoryById = {}, onSaveDraft, onPlace, onReceive, onCancel }) => {
+    const [lines, setLines] = useState(() => order.lines.map(line => ({ ...line })));
+    const [receipt, setReceipt] = useState(() => Object.fromEntries(order.lines.map(line => [
+        line.inventoryItemId,
+        { quantity: getOutstandingQuantity(line) || '', unitCost: line.unitCost, expiresAt: '' }
+    ])));
+    const [busy, setBusy] = useState(false);
+
+    const isDraft = order.status === 'draft';
+    const isReceivable = order.status === 'ordered' || order.status === 'partially_received';
+    const summary = summariseOrder(isDraft ? { lines: lines.map(line => ({ ...line, quantity: Number(line.quantity) || 0, unitCost: Number(line.unitCost) || 0 })) } : order);
+
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const updateLine = (index, field, value) => {
+        setLines(prev => prev.map((line, i) => i === index ? { ...line, [field]: value } : line));
+    };
+
+    const updateReceipt = (inventoryItemId, field, value) => {
+        setReceipt(prev => ({ ...prev, [inventoryItemId]: { ...prev[inventoryItemId], [field]: value } }));
+    };
+
+    const draftLines = () => lines.map(line => ({
+        ...line,
+        quantity: Number(line.quantity) || 0,
+        unitCost: Number(line.unitCost) || 0
+    }));
+
+    const handleReceive = () => run(() => onReceive(order, order.lines.map(line => ({
+        inventoryItemId: line.inventoryItemId,
+        quantity: Number(receipt[line.inventoryItemId]?.quantity) || 0,
+        unitCost: Number(receipt[line.inventoryItemId]?.unitCost) || 0,
+        expiresAt: receipt[line.inventoryItemId]?.expiresAt || null
+    }))));
+
+    const btn = (variant) => `${styles[variant] || variant} ${styles['btn-sm'] || 'btn-sm'}`;
+
+    return (
+        <div className={styles['po-card'] || 'po-card'}>
+            <div className={styles['prepared-header'] || 'prepared-header'}>
+                <div>
+                    <h3>{order.supplierName}</h3>
+                    <span className={styles['unit-note'] || 'unit-note'}>
+                        Created {formatDate(order.createdAt)}
+                        {order.orderedAt && ` • Ordered ${formatDate(order.orderedAt)}`}
+                        {order.lastReceivedAt && ` • Last received ${formatDate(order.lastReceivedAt)}`}
+                    </span>
+                </div>
+                <span className={`${styles['stock-badge'] || 'stock-badge'} ${styles[STATUS_BADGES[order.status]] || STATUS_BADGES[order.status]}`}>
+                    {PO_STATUS_LABELS[order.status]}
+                </span>
+            </div>
+
+            <div className={styles['data-table-container'] || 'data-table-container'}>
+                <table className={styles['data-table'] || 'data-table'}>
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Ordered</th>
+                            <th>Price (₹)</th>
+                            {!isDraft && <th>Received</th>}
+                            {!isDraft && <th>Paid (₹)</th>}
+                            {isReceivable && <th>Receive Now</th>}
+                            {isDraft && <th></th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {(isDraft ? lines : order.lines).map((line, index) => {
+                            const paidPerUnit = line.receivedQuantity > 0 ? line.receivedCost / line.receivedQuantity : null;
+                            return (
+                                <tr key={line.inventoryItemId}>
+                                    <td><strong>{line.name}</strong></td>
+                                    <td>
+                                        {isDraft ? (
+                                            <div className={styles['purchase-inline'] || 'purchase-inline'}>
+                                                <input type="number" value={line.quantity} onChange={e => updateLine(index, 'quantity', e.target.value)} min="0" step="0.1" disabled={busy} />
+                                                <span>{line.unit}</span>
+                                            </div>
+                                        ) : `${line.quantity} ${line.unit}`}
+                                    </td>
+                                    <td>
+                                        {isDraft ? (
+                                            <div className={styles['purchase-inline'] || 'purchase-inline'}>
+                                                <input type="number" value={line.unitCost} onChange={e => updateLine(index, 'unitCost', e.target.value)} min="0" step="0.01" disabled={busy} />
+                                                <span>/{line.unit}</span>
+                                            </div>
+                                        ) : `₹${Number(line.unitCost).toFixed(2)}/${line.unit}`}
+                                    </td>
+                                    {!isDraft && <td>{line.receivedQuantity || 0} {line.unit}</td>}
+                                    {!isDraft && (
+                                        <td className={paidPerUnit !== null && paidPerUnit > line.unitCost ? 'text-danger' : undefined}>
+                                            {paidPerUnit !== null ? `₹${line.receivedCost.toFixed(2)} (₹${paidPerUnit.toFixed(2)}/${line.unit})` : '—'}
+                                        </td>
+                                    )}
+                                    {isReceivable && (
+                                        <td>
+                                            {getOutstandingQuantity(line) > 0 ? (
+                                                <div className={styles['purchase-inline'] || 'purchase-inline'}>
+                                                    <input
+                                                        type="number"
+                                                        placeholder="Qty"
+                                                        value={receipt[line.inventoryItemId]?.quantity ?? ''}
+                                                        onChange={e => updateReceipt(line.inventoryItemId, 'quantity', e.target.value)}
+                                                        min="0"
+                                                        step="0.1"
+                                                        disabled={busy}
+                                                    />
+                                                    <input
+                                                        type="number"
+                                                        placeholder={`₹/${line.unit}`}
+                                                        value={receipt[line.inventoryItemId]?.unitCost ?? ''}
+                                                        onChange={e => updateReceipt(line.inventoryItemId, 'unitCost', e.target.value)}
+                                                        min="0"
+                                                        step="0.01"
+                                                        title="Price actually paid"
+                                                        disabled={busy}
+                                                    />
+                                                    {isPerishable(inventoryById[line.inventoryItemId]) && (
+                                                        <input
+                                                            type="date"
+                                                            value={receipt[line.inventoryItemId]?.expiresAt ?? ''}
+                                                            onChange={e => updateReceipt(line.inventoryItemId, 'expiresAt', e.target.value)}
+                                                            title="Expiry date"
+                                                            disabled={busy}
+                                                        />
+                                                    )}
+                                                </div>
+                                            ) : '✅'}
+                                        </td>
+                                    )}
+                                    {isDraft && (
+                                        <td>
+                                            <button className={btn('btn-secondary')} onClick={() => setLines(prev => prev.filter((_, i) => i !== index))} disabled={busy} title="Remove line">×</button>
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className={styles['po-footer'] || 'po-footer'}>
+                <span>
+                    Ordered <strong>₹{summary.orderedTotal.toFixed(2)}</strong>
+                    {!isDraft && <> • Received <strong>₹{summary.receivedTotal.toFixed(2)}</strong></>}
+                </span>
+                <div className={styles['actions-cell'] || 'actions-cell'}>
+                    {isDraft && (
+                        <>
+                            <button className={btn('btn-secondary')} onClick={() => run(() => onSaveDraft(order, draftLines()))} disabled={busy}>Save Draft</button>
+                            <button className={btn('btn-primary')} onClick={() => run(() => onPlace(order, draftLines()))} disabled={busy}>Place Order</button>
+                        </>
+                    )}
+                    {isReceivable && (
+                        <button className={btn('btn-success')} onClick={handleReceive} disabled={busy}>Receive</button>
+                    )}
+                    {(isDraft || isReceivable) && (
+                        <button className={btn('btn-danger')} onClick={() => run(() => onCancel(order))} disabled={busy}>
+                            {order.status === 'partially_received' ? 'Close' : 'Cancel'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseOrderCard;
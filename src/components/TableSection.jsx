@@ -1,8 +1,23 @@
 import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 import { useTableContext } from '../context/TableContext';
 import { useMenu } from '../hooks/useMenu';
-import { DndProvider, useDrag, useDrop } from 'react-dnd';
+import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
+import { getPrinterSettings, getOrderTypeSettings } from '../services/shiftService';
+import { hasPermission, isAdmin } from '../services/authService';
+import { hasUnfiredChanges, printKitchenTicket } from '../utils/kotUtils';
+import { getDiscountAmount, formatDiscountLabel } from '../utils/discountUtils';
+import DiscountModal from './Tables/DiscountModal';
+import ModifierPicker from './Tables/ModifierPicker';
+import CancelLineModal from './Tables/CancelLineModal';
+import LineStatusBadge from './Tables/LineStatusBadge';
+import { TableButton, OrderDropZone, DraggableLine } from './Tables/TransferTargets';
+import FloorPlanView from './Tables/FloorPlanView';
+import OrderQueue from './Tables/OrderQueue';
+import { getTableName, getTableStatus as getStatusForTable, getDiningTables } from '../utils/tableUtils';
+import { DEFAULT_ORDER_TYPE_SETTINGS, isQueueTicket, isQueueTicketId } from '../utils/orderTypeUtils';
+import { getLineId, getLineLabel, hasModifierGroups } from '../utils/modifierUtils';
+import { getFiredQuantity, getLineStatusLabel } from '../utils/lineStatusUtils';
 
 const TableSection = () => {
   // Consume Contexts
@@ -13,17 +28,43 @@ const TableSection = () => {
     addOrderToTable,
     addItemToOrder,
     updateItemQuantity,
+    cancelFiredQuantity,
+    setLineStatus,
+    applyLineDiscount,
+    fireKitchenTicket,
     clearTable,
     clearOrder,
     removeOrder,
+    moveOrder,
+    mergeTables,
+    transferItem,
     addNewTable,
+    openQueueTicket,
     deleteTable,
     initiateCheckoutOrder,
     initiateCheckoutTable
   } = useTableContext();
 
   const { menuItems } = useMenu();
+  const [printerSettings, setPrinterSettings] = useState(null);
+  const [discountTarget, setDiscountTarget] = useState(null); // { orderId, item }
+  const [modifierTarget, setModifierTarget] = useState(null); // { orderId, menuItem }
+  const [cancelTarget, setCancelTarget] = useState(null); // { orderId, item, newQuantity, cancelledQuantity }
+  const [tableView, setTableView] = useState('grid'); // 'grid' | 'floor'
+  const [orderTypeSettings, setOrderTypeSettings] = useState(DEFAULT_ORDER_TYPE_SETTINGS);
+  const canDiscount = hasPermission('apply_discount') || isAdmin();
 
+  useEffect(() => {
+    getPrinterSettings().then(setPrinterSettings);
+    getOrderTypeSettings()
+      .then(setOrderTypeSettings)
+      .catch(error => {
+        console.error('Error loading order type settings:', error);
+        alert('Could not load the order type settings, so packaging charges may be wrong. Check the connection and reload.');
+      });
+  }, []);
+
+  const isTicket = isQueueTicket(tables[currentTable]);
   const currentTableData = tables[currentTable] || {
     id: currentTable,
     orders: [],
@@ -51,6 +92,12 @@ const TableSection = () => {
 
   const handleAddOrder = () => addOrderToTable(currentTable);
 
+  const handleCreateTicket = async (orderType, details) => {
+    const ticketId = await openQueueTicket(orderType, details, orderTypeSettings);
+    setCurrentTable(ticketId);
+  };
+
+  // Quantity of the plain line (no modifiers, no note) for a menu item
   const handleQuantityChange = (orderId, menuItemId, newQuantity) => {
     const menuItem = menuItems.find(item => item.id === menuItemId);
     if (!menuItem) return;
@@ -59,7 +106,8 @@ const TableSection = () => {
     const order = table.orders.find(ord => ord.id === orderId);
     if (!order) return;
 
-    const existingItem = order.items.find(item => item.id === menuItemId);
+    const existingItem = order.items.find(item => getLineId(item) === String(menuItemId));
+    if (existingItem && requestCancellation(order, existingItem, newQuantity)) return;
 
     if (newQuantity <= 0) {
       if (existingItem) updateItemQuantity(currentTable, orderId, menuItemId, 0);
@@ -76,11 +124,60 @@ const TableSection = () => {
     }
   };
 
+  // Lines with modifiers or a note are adjusted directly; adding new ones goes through the picker
+  const handleLineQuantityChange = (order, item, newQuantity) => {
+    if (requestCancellation(order, item, newQuantity)) return;
+    updateItemQuantity(currentTable, order.id, getLineId(item), Math.max(0, newQuantity));
+  };
+
+  // Going below what the kitchen has been sent needs a reason (see CancelLineModal)
+  const requestCancellation = (order, item, newQuantity) => {
+    const firedQuantity = Math.min(item.quantity, getFiredQuantity(order, item));
+    const quantity = Math.max(0, newQuantity);
+    if (quantity >= firedQuantity) return false;
+    setCancelTarget({ orderId: order.id, item, newQuantity: quantity, cancelledQuantity: firedQuantity - quantity });
+    return true;
+  };
+
+  const handleConfirmCancellation = async (cancellation) => {
+    if (!cancelTarget) return;
+    const cancelled = await cancelFiredQuantity(currentTable, cancelTarget.orderId, getLineId(cancelTarget.item), cancelTarget.newQuantity, cancellation);
+    if (!cancelled) throw new Error('The item has changed - please try again.');
+    setCancelTarget(null);
+  };
+
+  const handleAddWithModifiers = async (choices) => {
+    if (!modifierTarget) return;
+    await addItemToOrder(currentTable, modifierTarget.orderId, modifierTarget.menuItem, choices);
+    setModifierTarget(null);
+  };
+
   // Use Context `initiateCheckoutOrder` so the Checkout Modal handles the rest
   const handleClearOrder = (orderId) => {
     initiateCheckoutOrder(currentTable, orderId);
   };
 
+  // Send only the lines the kitchen has not seen yet
+  const handleFireKitchenTicket = async (orderId) => {
+    const ticket = await fireKitchenTicket(currentTable, orderId);
+    if (!ticket) {
+      alert('Nothing new to send to the kitchen for this order.');
+      return;
+    }
+    try {
+      await printKitchenTicket(ticket, printerSettings || undefined);
+    } catch (error) {
+      console.error('Error printing KOT:', error);
+      alert('KOT saved but printing failed. Please check the printer.');
+    }
+  };
+
+  const handleApplyLineDiscount = async (discount) => {
+    if (!discountTarget) return;
+    await applyLineDiscount(currentTable, discountTarget.orderId, getLineId(discountTarget.item), discount);
+    setDiscountTarget(null);
+  };
+
   const handleRemoveOrder = (orderId) => {
     if (window.confirm('Are you sure you want to remove this order?')) {
       removeOrder(currentTable, orderId);
@@ -99,85 +196,155 @@ const TableSection = () => {
     }
   };
 
-  // Get all table IDs sorted
+  // Drag-and-drop transfers between tables (see Tables/TransferTargets)
+  const handleDropOrder = async ({ tableId: fromTableId, orderId }, toTableId) => {
+    const fromName = getTableName(tables[fromTableId], fromTableId);
+    const toName = getTableName(tables[toTableId], toTableId);
+    if (!window.confirm(`Move this order from ${fromName} to ${toName}?`)) return;
+    const moved = await moveOrder(fromTableId, toTableId, orderId);
+    if (!moved) {
+      alert('Failed to move the order. Please check your connection and try again.');
+      return;
+    }
+    setCurrentTable(toTableId);
+  };
+
+  const handleDropTable = async ({ tableId: fromTableId }, toTableId) => {
+    const fromName = getTableName(tables[fromTableId], fromTableId);
+    const toName = getTableName(tables[toTableId], toTableId);
+    if (!window.confirm(`Merge ${fromName} into ${toName}? All its orders will be billed on ${toName}.`)) return;
+    const merged = await mergeTables(fromTableId, toTableId);
+    if (!merged) {
+      alert('Failed to merge tables. Please check your connection and try again.');
+      return;
+    }
+    setCurrentTable(toTableId);
+  };
+
+  const handleDropLine = async (line, toTableId, toOrderId) => {
+    let quantity = line.quantity;
+    if (line.quantity > 1) {
+      const answer = window.prompt(`How many ${line.name} to transfer? (1-${line.quantity})`, String(line.quantity));
+      if (answer === null) return;
+      quantity = Math.floor(Number(answer));
+      if (!(quantity >= 1 && quantity <= line.quantity)) {
+        alert(`Enter a quantity between 1 and ${line.quantity}.`);
+        return;
+      }
+    }
+
+    const transferred = await transferItem({
+      fromTableId: line.tableId,
+      fromOrderId: line.orderId,
+      toTableId,
+      toOrderId,
+      lineId: line.lineId,
+      quantity
+    });
+    if (!transferred) {
+      alert('Failed to transfer the item. Please check your connection and try again.');
+    }
+  };
+
+  // Get all table IDs sorted (takeaway / delivery tickets are listed in the order queue)
   const allTableIds = useMemo(() => {
-    return Object.keys(tables).map(Number).sort((a, b) => a - b);
+    return Object.keys(getDiningTables(tables)).map(Number).sort((a, b) => a - b);
   }, [tables]);
 
-  const getTableStatus = (tableId) => {
-    const table = tables[tableId];
-    if (!table) return 'empty';
+  // Go back to the floor once the open ticket has been settled and removed
+  useEffect(() => {
+    if (isQueueTicketId(currentTable) && !tables[currentTable]) {
+      setCurrentTable(allTableIds[0] ?? 1);
+    }
+  }, [currentTable, tables, allTableIds, setCurrentTable]);
+
+  const getTableStatus = (tableId) => getStatusForTable(tables[tableId], currentTable === tableId);
 
-    const hasActiveOrders = table.orders.length > 0 && table.total > 0;
-    const hasEmptyOrders = table.orders.length > 0 && table.total === 0;
+  const renderTableButton = (tableId, extraClass = '') => {
+    const table = tables[tableId];
+    const activeOrders = table ? table.orders.filter(order => order.total > 0).length : 0;
+    const emptyOrders = table ? table.orders.filter(order => order.total === 0).length : 0;
 
-    if (currentTable === tableId && hasActiveOrders) return 'current-active';
-    if (currentTable === tableId && hasEmptyOrders) return 'current-empty';
-    if (currentTable === tableId) return 'current';
-    if (hasActiveOrders) return 'has-orders';
-    if (hasEmptyOrders) return 'has-empty-orders';
-    return 'empty';
+    return (
+      <TableButton
+        key={tableId}
+        tableId={tableId}
+        className={`table-btn ${getTableStatus(tableId)} ${extraClass}`}
+        canDrag={Boolean(table && table.total > 0)}
+        onClick={() => handleTableSwitch(tableId)}
+        onDropOrder={handleDropOrder}
+        onDropTable={handleDropTable}
+        onDropLine={handleDropLine}
+      >
+        {table?.name || tableId}
+        {activeOrders > 0 && <span className="order-count">({activeOrders})</span>}
+        {emptyOrders > 0 && <span className="empty-order-count">(E:{emptyOrders})</span>}
+        {extraClass && table?.capacity > 0 && <span className="table-capacity">{table.capacity} seats</span>}
+      </TableButton>
+    );
   };
 
-  // Drag and Drop ordering logic inside order items
-  const ORDER_ITEM_TYPE = 'ORDER_ITEM';
+  const formatStatusTime = (item) => {
+    const at = item.statusTimes?.[item.status];
+    return at ? `${getLineStatusLabel(item.status)} since ${new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : undefined;
+  };
 
-  const moveItemInOrder = async (orderId, fromIndex, toIndex) => {
-    const table = tables[currentTable];
-    if (!table) return;
-    const orderIndex = table.orders.findIndex(order => order.id === orderId);
-    if (orderIndex === -1) return;
-    const order = table.orders[orderIndex];
-    const newItems = [...order.items];
-    const [movedItem] = newItems.splice(fromIndex, 1);
-    newItems.splice(toIndex, 0, movedItem);
-    for (let i = 0; i < newItems.length; i++) {
-      if (i < order.items.length) {
-        await updateItemQuantity(currentTable, orderId, newItems[i].id, newItems[i].quantity);
-      }
-    }
+  // Ready lines (bumped on the kitchen display) are marked served from their badge
+  const getServeHandler = (order, item) => {
+    if (item?.status !== 'ready') return undefined;
+    return async (e) => {
+      e.stopPropagation();
+      await setLineStatus(currentTable, order.id, getLineId(item), 'served');
+    };
   };
 
-  const OrderItemRow = ({ item, order, index }) => {
-    const [{ isDragging }, drag] = useDrag({
-      type: ORDER_ITEM_TYPE,
-      item: { index, orderId: order.id },
-      collect: (monitor) => ({ isDragging: monitor.isDragging() }),
-    });
+  const getBadgeTitle = (item) => item?.status === 'ready' ? `${formatStatusTime(item)} · tap when served` : formatStatusTime(item);
 
-    const [, drop] = useDrop({
-      accept: ORDER_ITEM_TYPE,
-      hover: (draggedItem) => {
-        if (draggedItem.orderId === order.id && draggedItem.index !== index) {
-          moveItemInOrder(order.id, draggedItem.index, index);
-          draggedItem.index = index;
-        }
-      },
-    });
+  // An order line with modifiers or a note, listed under the menu grid
+  const OrderItemRow = ({ item, order }) => {
+    const lineGross = item.price * item.quantity;
+    const lineDiscount = getDiscountAmount(item.discount, lineGross);
 
     return (
-      <div ref={(node) => drag(drop(node))} className="order-item" style={{ opacity: isDragging ? 0.5 : 1 }}>
+      <DraggableLine tableId={currentTable} orderId={order.id} item={item} className="order-item menu-item-quantity">
         <div className="item-info">
-          <span className="item-name">{item.name}</span>
+          <span className="item-name">
+            {getLineLabel(item)} <LineStatusBadge status={item.status} title={getBadgeTitle(item)} onClick={getServeHandler(order, item)} />
+          </span>
           <span className="item-price">₹{item.price}</span>
+          {item.note && <span className="line-note">{item.note}</span>}
+          {lineDiscount > 0 && (
+            <span className="line-discount-label" title={item.discount.note || ''}>
+              -₹{lineDiscount.toFixed(2)} {formatDiscountLabel(item.discount)}
+            </span>
+          )}
         </div>
         <div className="item-controls">
           <button
             className="quantity-btn minus"
-            onClick={() => handleQuantityChange(order.id, item.id, item.quantity - 1)}
+            onClick={() => handleLineQuantityChange(order, item, item.quantity - 1)}
           >
             -
           </button>
           <span className="quantity">{item.quantity}</span>
           <button
             className="quantity-btn plus"
-            onClick={() => handleQuantityChange(order.id, item.id, item.quantity + 1)}
+            onClick={() => handleLineQuantityChange(order, item, item.quantity + 1)}
           >
             +
           </button>
-          <span className="item-total">₹{(item.price * item.quantity).toFixed(2)}</span>
+          <span className="item-total">₹{(lineGross - lineDiscount).toFixed(2)}</span>
+          {canDiscount && (
+            <button
+              className={`line-discount-btn ${lineDiscount > 0 ? 'active' : ''}`}
+              onClick={() => setDiscountTarget({ orderId: order.id, item })}
+              title="Discount this item"
+            >
+              %
+            </button>
+          )}
         </div>
-      </div>
+      </DraggableLine>
     );
   };
 
@@ -186,35 +353,44 @@ const TableSection = () => {
       <div className="table-section">
         <div className="table-switcher">
           <div className="table-switcher-controls">
-            <div className="table-buttons-container">
-              <div className="table-buttons">
-                {allTableIds.map(tableId => (
-                  <button
-                    key={tableId}
-                    className={`table-btn ${getTableStatus(tableId)}`}
-                    onClick={() => handleTableSwitch(tableId)}
-                  >
-                    {tableId}
-                    {tables[tableId] && (
-                      <>
-                        {tables[tableId].orders.filter(order => order.total > 0).length > 0 && (
-                          <span className="order-count">({tables[tableId].orders.filter(order => order.total > 0).length})</span>
-                        )}
-                        {tables[tableId].orders.filter(order => order.total === 0).length > 0 && (
-                          <span className="empty-order-count">(E:{tables[tableId].orders.filter(order => order.total === 0).length})</span>
-                        )}
-                      </>
-                    )}
-                  </button>
-                ))}
-              </div>
+            <div className="table-view-toggle">
+              <button className={tableView === 'grid' ? 'active' : ''} onClick={() => setTableView('grid')}>
+                Grid
+              </button>
+              <button className={tableView === 'floor' ? 'active' : ''} onClick={() => setTableView('floor')}>
+                Floor Plan
+              </button>
             </div>
+            {tableView === 'floor' ? (
+              <FloorPlanView
+                tables={tables}
+                tableIds={allTableIds}
+                renderTable={(tableId) => renderTableButton(tableId, 'floor-table')}
+              />
+            ) : (
+              <div className="table-buttons-container">
+                <div className="table-buttons">
+                  {allTableIds.map(tableId => renderTableButton(tableId))}
+                </div>
+              </div>
+            )}
           </div>
+          <OrderQueue
+            tables={tables}
+            orderTypeSettings={orderTypeSettings}
+            renderTicket={(tableId) => renderTableButton(tableId)}
+            onCreateTicket={handleCreateTicket}
+          />
         </div>
 
         <div className="current-table-info">
           <div className="table-header">
-            <h2>Table {currentTable}</h2>
+            <h2>
+              {getTableName(currentTableData, currentTable)}
+              {isTicket && currentTableData.customer?.name && currentTableData.customer?.phone && (
+                <span className="ticket-phone"> · {currentTableData.customer.phone}</span>
+              )}
+            </h2>
             <div className="table-stats">
               <div className="stat-item">
                 <span className="stat-label">Orders:</span>
@@ -231,11 +407,25 @@ const TableSection = () => {
         <div className="orders-container">
           <div className="orders-list">
             {currentTableData.orders.map((order, orderIndex) => (
-              <div key={order.id} className="order-section">
+              <OrderDropZone
+                key={order.id}
+                tableId={currentTable}
+                order={order}
+                canDrag={order.items.length > 0}
+                onDropLine={handleDropLine}
+              >
                 <h3>
                   Order {orderIndex + 1}
                   <span className="order-total">₹{order.total.toFixed(2)}</span>
                   <div className="order-buttons">
+                    <button
+                      className={`kot-order-btn ${hasUnfiredChanges(order) ? 'pending' : ''}`}
+                      onClick={() => handleFireKitchenTicket(order.id)}
+                      disabled={!hasUnfiredChanges(order)}
+                      title={order.kotCount ? `${order.kotCount} KOT(s) sent` : 'Send to kitchen'}
+                    >
+                      KOT
+                    </button>
                     <button
                       className="clear-order-btn"
                       onClick={() => handleClearOrder(order.id)}
@@ -257,14 +447,30 @@ const TableSection = () => {
                 <div className="order-items">
                   <div className="menu-items-grid">
                     {menuItems.map((menuItem) => {
-                      const existingItem = order.items.find(item => item.id === menuItem.id);
+                      const existingItem = order.items.find(item => getLineId(item) === String(menuItem.id));
+                      const hasOptions = hasModifierGroups(menuItem);
                       const quantity = existingItem ? existingItem.quantity : 0;
+                      const lineGross = existingItem ? existingItem.price * quantity : 0;
+                      const lineDiscount = existingItem ? getDiscountAmount(existingItem.discount, lineGross) : 0;
 
                       return (
-                        <div key={menuItem.id} className="menu-item-quantity">
+                        <DraggableLine
+                          key={menuItem.id}
+                          tableId={currentTable}
+                          orderId={order.id}
+                          item={existingItem}
+                          className="menu-item-quantity"
+                        >
                           <div className="menu-item-info">
-                            <span className="item-name">{menuItem.name}</span>
+                            <span className="item-name">
+                              {menuItem.name} {existingItem && <LineStatusBadge status={existingItem.status} title={getBadgeTitle(existingItem)} onClick={getServeHandler(order, existingItem)} />}
+                            </span>
                             <span className="item-price">₹{menuItem.price}</span>
+                            {lineDiscount > 0 && (
+                              <span className="line-discount-label" title={existingItem.discount.note || ''}>
+                                -₹{lineDiscount.toFixed(2)} {formatDiscountLabel(existingItem.discount)}
+                              </span>
+                            )}
                           </div>
                           <div className="item-controls">
                             <button
@@ -276,18 +482,49 @@ const TableSection = () => {
                             <span className="quantity">{quantity}</span>
                             <button
                               className="quantity-btn plus"
-                              onClick={() => handleQuantityChange(order.id, menuItem.id, quantity + 1)}
+                              onClick={() => hasOptions
+                                ? setModifierTarget({ orderId: order.id, menuItem })
+                                : handleQuantityChange(order.id, menuItem.id, quantity + 1)}
+                              title={hasOptions ? 'Choose options' : undefined}
                             >
                               +
                             </button>
-                            <span className="item-total">₹{(menuItem.price * quantity).toFixed(2)}</span>
+                            <span className="item-total">₹{(lineGross > 0 ? lineGross - lineDiscount : menuItem.price * quantity).toFixed(2)}</span>
+                            <button
+                              className="line-note-btn"
+                              onClick={() => setModifierTarget({ orderId: order.id, menuItem })}
+                              title={hasOptions ? 'Choose options / add a note' : 'Add with a note'}
+                            >
+                              ✎
+                            </button>
+                            {canDiscount && existingItem && (
+                              <button
+                                className={`line-discount-btn ${lineDiscount > 0 ? 'active' : ''}`}
+                                onClick={() => setDiscountTarget({ orderId: order.id, item: existingItem })}
+                                title="Discount this item"
+                              >
+                                %
+                              </button>
+                            )}
                           </div>
-                        </div>
+                        </DraggableLine>
                       );
                     })}
                   </div>
+                  {order.items.filter(item => getLineId(item) !== String(item.id)).map(item => (
+                    <OrderItemRow key={getLineId(item)} item={item} order={order} />
+                  ))}
+                  {(order.cancellations || []).length > 0 && (
+                    <div className="order-cancellations">
+                      {order.cancellations.map(cancellation => (
+                        <div key={cancellation.id} className="order-cancellation" title={cancellation.note || ''}>
+                          <LineStatusBadge status="cancelled" /> {cancellation.quantity} x {cancellation.name} · {cancellation.reason}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
-              </div>
+              </OrderDropZone>
             ))}
 
             <div className="add-order-section">
@@ -304,20 +541,50 @@ const TableSection = () => {
             onClick={handleClearTable}
             disabled={currentTableData.total === 0}
           >
-            Checkout Table
+            {isTicket ? 'Checkout Order' : 'Checkout Table'}
           </button>
           <button
             className="delete-table-btn-action"
             onClick={() => {
-              if (window.confirm(`Are you sure you want to delete Table ${currentTable}? This will remove all orders from this table.`)) {
-                deleteTable(currentTable);
+              if (window.confirm(`Are you sure you want to delete ${getTableName(currentTableData, currentTable)}? This will remove all orders from this ${isTicket ? 'ticket' : 'table'}.`)) {
+                deleteTable(currentTable).catch(error => {
+                  console.error('Error deleting table:', error);
+                  alert('Failed to delete. Check the connection and try again.');
+                });
               }
             }}
           >
-            Delete Table
+            {isTicket ? 'Delete Order' : 'Delete Table'}
           </button>
         </div>
       </div>
+
+      {discountTarget && (
+        <DiscountModal
+          title={`Discount: ${getLineLabel(discountTarget.item)}`}
+          initialDiscount={discountTarget.item.discount}
+          onApply={handleApplyLineDiscount}
+          onRemove={discountTarget.item.discount ? () => handleApplyLineDiscount(null) : null}
+          onClose={() => setDiscountTarget(null)}
+        />
+      )}
+
+      {cancelTarget && (
+        <CancelLineModal
+          itemName={getLineLabel(cancelTarget.item)}
+          cancelledQuantity={cancelTarget.cancelledQuantity}
+          onConfirm={handleConfirmCancellation}
+          onClose={() => setCancelTarget(null)}
+        />
+      )}
+
+      {modifierTarget && (
+        <ModifierPicker
+          menuItem={modifierTarget.menuItem}
+          onAdd={handleAddWithModifiers}
+          onClose={() => setModifierTarget(null)}
+        />
+      )}
     </DndProvider>
   );
 };
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { voidHistoryEntry, refundHistoryEntry, getConnectionState } from '../../services/firebaseService';
+import { getPaymentMethods } from '../../services/shiftService';
+import { getCurrentUser } from '../../services/authService';
+import { getRefundableLines, getRefundableAmount, buildAdjustment } from '../../utils/refundUtils';
+
+// Voids a settled bill in full or refunds individual lines of it.
+// Requires the void_refund permission (checked by the caller).
+const BillAdjustmentModal = ({ entry, mode, onClose }) => {
+    const isVoid = mode === 'void';
+    const [quantities, setQuantities] = useState({}); // { [lineKey]: qty }
+    const [paymentMethods, setPaymentMethods] = useState(['Cash', 'UPI']);
+    const [method, setMethod] = useState(entry.paymentMethod && entry.paymentMethod !== 'Split' ? entry.paymentMethod : 'Cash');
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (isVoid) return;
+        getPaymentMethods().then(methods => {
+            if (methods) setPaymentMethods(methods);
+        });
+    }, [isVoid]);
+
+    const lines = useMemo(() => getRefundableLines(entry), [entry]);
+
+    // Preview of what will be paid back
+    const preview = useMemo(() => {
+        try {
+            return buildAdjustment(entry, isVoid ? null : quantities);
+        } catch (err) {
+            return { amount: 0, error: err.message };
+        }
+    }, [entry, isVoid, quantities]);
+
+    const handleSubmit = async () => {
+        if (!getConnectionState()) {
+            setError('You are currently offline. Please connect to void or refund bills.');
+            return;
+        }
+        if (preview.error) {
+            setError(preview.error);
+            return;
+        }
+        if (!(preview.amount > 0)) {
+            setError(isVoid ? 'Nothing left to void on this bill.' : 'Select the items to refund.');
+            return;
+        }
+        if (!reason.trim()) {
+            setError(`Enter the reason for the ${isVoid ? 'void' : 'refund'}.`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const performedBy = getCurrentUser()?.email || null;
+            if (isVoid) {
+                await voidHistoryEntry(entry.id, { reason, performedBy });
+            } else {
+                await refundHistoryEntry(entry.id, { quantities, method, reason, performedBy });
+            }
+            alert(`${isVoid ? 'Voided' : 'Refunded'} ₹${preview.amount.toFixed(2)}.`);
+            onClose();
+        } catch (err) {
+            setError(err.message || `Failed to ${mode} bill.`);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>{isVoid ? 'Void' : 'Refund'} Bill{entry.billNumber ? ` #${entry.billNumber}` : ''}</h3>
+                <div style={{ color: '#666', textAlign: 'center' }}>
+                    Table {entry.tableId} · ₹{Number(entry.total || 0).toFixed(2)}
+                    {entry.refundedTotal > 0 && ` · ₹${entry.refundedTotal.toFixed(2)} already refunded`}
+                </div>
+
+                {isVoid ? (
+                    <div style={{ textAlign: 'center' }}>
+                        The remaining ₹{getRefundableAmount(entry).toFixed(2)} is reversed on the original payment methods.
+                    </div>
+                ) : (
+                    <>
+                        <div style={{ maxHeight: '240px', overflowY: 'auto', border: '1px solid #e0e0e0', borderRadius: '8px', padding: '0.5rem' }}>
+                            {lines.map(line => (
+                                <label key={line.key} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.4rem' }}>
+                                    <span style={{ flex: 1 }}>
+                                        {line.name}
+                                        <span style={{ color: '#666', fontSize: '0.85rem' }}> ({line.remaining} of {line.quantity} refundable)</span>
+                                    </span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max={line.remaining}
+                                        value={quantities[line.key] || 0}
+                                        onChange={(e) => setQuantities(prev => ({ ...prev, [line.key]: Math.max(0, Math.floor(Number(e.target.value) || 0)) }))}
+                                        className="form-input"
+                                        style={{ width: '70px', padding: '0.3rem' }}
+                                        disabled={line.remaining === 0}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <select value={method} onChange={(e) => setMethod(e.target.value)} className="form-input">
+                            {paymentMethods.map(paymentMethod => (
+                                <option key={paymentMethod} value={paymentMethod}>Refund via {paymentMethod}</option>
+                            ))}
+                        </select>
+                    </>
+                )}
+
+                <div className="total-amount" style={{ textAlign: 'center', fontSize: '1.8rem', fontWeight: 'bold' }}>
+                    -₹{(preview.amount || 0).toFixed(2)}
+                </div>
+
+                <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="Reason (required)"
+                    className="form-input"
+                />
+
+                {(error || preview.error) && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error || preview.error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleSubmit} className="primary-btn" disabled={isSubmitting} style={{ background: '#dc3545' }}>
+                        {isSubmitting ? 'Saving...' : (isVoid ? 'Void Bill' : 'Refund')}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={isSubmitting}>
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default BillAdjustmentModal;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { getCurrentUser } from '../../services/authService';
+import { CANCEL_REASONS, validateCancellation } from '../../utils/lineStatusUtils';
+
+// Asks why quantity the kitchen has already been sent is being cancelled.
+// Decreases that stay within the unfired quantity never reach this modal.
+const CancelLineModal = ({ itemName, cancelledQuantity, onConfirm, onClose }) => {
+    const [reason, setReason] = useState('');
+    const [note, setNote] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleConfirm = async () => {
+        const validationError = validateCancellation({ reason, note });
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const user = getCurrentUser();
+        try {
+            await onConfirm({ reason, note: note.trim(), cancelledBy: user?.email || null });
+        } catch (err) {
+            setError(err.message || 'Failed to cancel the item.');
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>Cancel {cancelledQuantity} x {itemName}</h3>
+                <p style={{ margin: 0, color: '#666666', fontSize: '0.9rem' }}>
+                    The kitchen has already been sent this item. Cancellations are reported separately.
+                </p>
+
+                <select value={reason} onChange={(e) => setReason(e.target.value)} className="form-input" autoFocus>
+                    <option value="">Select reason...</option>
+                    {CANCEL_REASONS.map(code => (
+                        <option key={code} value={code}>{code}</option>
+                    ))}
+                </select>
+
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder={reason === 'Other' ? 'Note (required)' : 'Note (optional)'}
+                    className="form-input"
+                />
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleConfirm} className="primary-btn" disabled={isSubmitting}>
+                        {isSubmitting ? 'Cancelling...' : 'Cancel Item'}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={isSubmitting}>
+                        Keep Item
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CancelLineModal;
@@ -1,60 +1,164 @@
 import React, { useState, useEffect } from 'react';
 import { useTableContext } from '../../context/TableContext';
 import { addHistory as addHistoryFirebase } from '../../services/firebaseService';
-import { getPaymentMethods } from '../../services/shiftService';
+import { getPaymentMethods, getPrinterSettings, getReceiptSettings, getTaxSettings } from '../../services/shiftService';
+import { buildReceipt, printReceipt, downloadReceiptPdf } from '../../utils/receiptUtils';
+import { getOrdersBreakdown, priceOrder } from '../../utils/taxUtils';
+import { formatDiscountLabel } from '../../utils/discountUtils';
+import { validatePayments, getPaymentMethodLabel } from '../../utils/splitUtils';
+import { isQueueTicket, getQueueLabel, getOrderDetails } from '../../utils/orderTypeUtils';
+import { hasPermission, isAdmin } from '../../services/authService';
+import DiscountModal from './DiscountModal';
+import SplitPaymentPanel from './SplitPaymentPanel';
 
 const CheckoutModal = () => {
-    const { checkoutModal, setCheckoutModal, clearOrder, clearTable } = useTableContext();
+    const { checkoutModal, setCheckoutModal, clearOrder, clearTable, closeQueueTicket } = useTableContext();
     const [paymentMethods, setPaymentMethods] = useState(['Cash', 'UPI']);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [receipt, setReceipt] = useState(null); // Bill for the completed checkout
+    const [isQueuedOffline, setIsQueuedOffline] = useState(false); // Saved to the offline outbox, no bill number yet
+    const [receiptSettings, setReceiptSettings] = useState(null);
+    const [printerSettings, setPrinterSettings] = useState(null);
+    const [taxSettings, setTaxSettings] = useState(undefined);
+    const [settingsError, setSettingsError] = useState('');
+    const [billDiscount, setBillDiscount] = useState(null);
+    const [isDiscountModalOpen, setIsDiscountModalOpen] = useState(false);
+    const [isSplitting, setIsSplitting] = useState(false);
+    const [includePackaging, setIncludePackaging] = useState(true);
 
     useEffect(() => {
-        const loadMethods = async () => {
-            const methods = await getPaymentMethods();
-            if (methods) setPaymentMethods(methods);
+        const loadSettings = async () => {
+            setSettingsError('');
+            try {
+                const [methods, receiptConfig, printerConfig, taxConfig] = await Promise.all([
+                    getPaymentMethods(),
+                    getReceiptSettings(),
+                    getPrinterSettings(),
+                    getTaxSettings()
+                ]);
+                if (methods) setPaymentMethods(methods);
+                setReceiptSettings(receiptConfig);
+                setPrinterSettings(printerConfig);
+                setTaxSettings(taxConfig);
+            } catch (error) {
+                // Never bill with default tax or bill settings in place of the outlet's own
+                console.error('Error loading checkout settings:', error);
+                setSettingsError('Could not load the tax and bill settings. Check the connection and reopen checkout.');
+            }
         };
         if (checkoutModal.isOpen) {
-            loadMethods();
+            loadSettings();
         }
     }, [checkoutModal.isOpen]);
 
     if (!checkoutModal.isOpen) return null;
 
-    const handleCheckoutSubmit = async (paymentMethod) => {
+    const canDiscount = hasPermission('apply_discount') || isAdmin();
+
+    // Orders being settled, repriced with the settings loaded above, and their
+    // breakdown (including any bill discount). Not billable until taxSettings loads.
+    const checkoutOrders = (checkoutModal.type === 'order'
+        ? [checkoutModal.itemsToClear?.orderToClear].filter(Boolean)
+        : (checkoutModal.itemsToClear?.table?.orders || [])
+    ).map(order => priceOrder(order, order.items || [], taxSettings));
+    // Takeaway / delivery tickets carry an optional packaging charge for the bill
+    const sourceTable = checkoutModal.itemsToClear?.table || null;
+    const isTicket = isQueueTicket(sourceTable);
+    const ticketPackaging = isTicket ? Number(sourceTable.packagingCharge) || 0 : 0;
+    const checkoutBreakdown = getOrdersBreakdown(checkoutOrders, taxSettings, billDiscount, includePackaging ? ticketPackaging : 0);
+
+    const closeModal = () => {
+        setReceipt(null);
+        setIsQueuedOffline(false);
+        setBillDiscount(null);
+        setIsSplitting(false);
+        setIncludePackaging(true);
+        setCheckoutModal({ isOpen: false, type: null, targetId: null, targetTableId: null, total: 0, itemsToClear: null });
+    };
+
+    const handlePrintBill = async () => {
+        try {
+            await printReceipt(receipt, receiptSettings, printerSettings);
+        } catch (error) {
+            console.error('Error printing bill:', error);
+            alert('Failed to print bill. Please check the printer and try again.');
+        }
+    };
+
+    const handleDownloadBill = async () => {
+        try {
+            await downloadReceiptPdf(receipt, receiptSettings, printerSettings?.paperWidth);
+        } catch (error) {
+            console.error('Error generating bill PDF:', error);
+            alert('Failed to generate bill PDF.');
+        }
+    };
+
+    // payments: [{ label, method, amount }] adding up to the bill total.
+    // A single-method checkout is just one part covering the whole bill.
+    const handleCheckoutSubmit = async (payments) => {
         if (isSubmitting) return;
+        if (settingsError || !taxSettings) {
+            alert(settingsError || 'The tax and bill settings are still loading. Please wait a moment.');
+            return;
+        }
         const { type, targetId, targetTableId, itemsToClear } = checkoutModal;
 
+        const paymentError = validatePayments(payments, checkoutBreakdown.total);
+        if (paymentError) {
+            alert(paymentError);
+            return;
+        }
+
         setIsSubmitting(true);
         try {
+            let historyEntry;
+            const paymentMethod = getPaymentMethodLabel(payments);
             if (type === 'order') {
-                const { orderToClear } = itemsToClear;
-                const historyEntry = {
+                const { table } = itemsToClear;
+                historyEntry = {
                     tableId: targetTableId,
-                    orders: [orderToClear],
-                    total: orderToClear.total,
+                    ...getOrderDetails(table),
+                    orders: checkoutOrders,
+                    total: checkoutBreakdown.total,
+                    breakdown: checkoutBreakdown,
                     paymentMethod,
+                    payments,
                     timestamp: new Date().toLocaleString()
                 };
                 // Wait for network confirmation before clearing UI
-                await addHistoryFirebase(historyEntry);
-                clearOrder(targetTableId, targetId);
+                const saved = await addHistoryFirebase(historyEntry);
+                if (!saved) throw new Error('Failed to save history entry');
+                historyEntry.billNumber = saved.billNumber;
+                setIsQueuedOffline(Boolean(saved.queued));
+                // A ticket leaves the queue once its last order is paid
+                const isLastOrder = (table?.orders || []).every(order => order.id === targetId || !(order.total > 0));
+                if (isQueueTicket(table) && isLastOrder) closeQueueTicket(targetTableId);
+                else clearOrder(targetTableId, targetId);
             } else if (type === 'table') {
                 const { table } = itemsToClear;
-                const historyEntry = {
+                historyEntry = {
                     id: Date.now().toString(),
                     tableId: targetId,
-                    orders: table.orders,
-                    total: table.total,
+                    ...getOrderDetails(table),
+                    orders: checkoutOrders,
+                    total: checkoutBreakdown.total,
+                    breakdown: checkoutBreakdown,
                     paymentMethod,
+                    payments,
                     timestamp: new Date().toLocaleString()
                 };
                 // Wait for network confirmation before clearing UI
-                await addHistoryFirebase(historyEntry);
-                clearTable(targetId);
+                const saved = await addHistoryFirebase(historyEntry);
+                if (!saved) throw new Error('Failed to save history entry');
+                historyEntry.billNumber = saved.billNumber;
+                setIsQueuedOffline(Boolean(saved.queued));
+                if (isQueueTicket(table)) closeQueueTicket(targetId);
+                else clearTable(targetId);
             }
 
-            // Close modal only on success
-            setCheckoutModal({ isOpen: false, type: null, targetId: null, targetTableId: null, total: 0, itemsToClear: null });
+            // Switch to the bill step only on success
+            setReceipt(buildReceipt(historyEntry));
         } catch (error) {
             console.error("Checkout error:", error);
             alert("Checkout failed. Please check your connection and try again.");
@@ -63,6 +167,49 @@ const CheckoutModal = () => {
         }
     };
 
+    if (receipt) {
+        return (
+            <div className="modal-overlay">
+                <div className="modal-content">
+                    <h3>Payment Received</h3>
+                    <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
+                        <div style={{ fontSize: '1.1rem', color: '#666' }}>
+                            {isQueuedOffline ? 'Saved offline · bill number assigned once back online' : `Bill No. ${receipt.billNumber}`}
+                        </div>
+                        <div className="total-amount" style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>
+                            ₹{receipt.grandTotal.toFixed(2)}
+                        </div>
+                        <div style={{ color: '#666' }}>
+                            Paid by {receipt.paymentMethod} · tax ₹{receipt.totalTax.toFixed(2)}
+                        </div>
+                        {receipt.payments.length > 1 && (
+                            <div style={{ color: '#666', fontSize: '0.9rem', marginTop: '0.5rem' }}>
+                                {receipt.payments.map((payment, index) => (
+                                    <div key={index}>
+                                        {payment.label}: {payment.method} ₹{payment.amount.toFixed(2)}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+                        <button onClick={handlePrintBill} className="primary-btn">
+                            Print Bill
+                        </button>
+                        <button onClick={handleDownloadBill} className="primary-btn">
+                            Download PDF
+                        </button>
+                    </div>
+
+                    <button onClick={closeModal} className="secondary-btn">
+                        Done
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="modal-overlay">
             <div className="modal-content">
@@ -70,31 +217,102 @@ const CheckoutModal = () => {
                 <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
                     <div style={{ fontSize: '1.1rem', color: '#666' }}>Total Amount</div>
                     <div className="total-amount" style={{ fontSize: '2.5rem', fontWeight: 'bold' }}>
-                        ₹{checkoutModal.total.toFixed(2)}
+                        {taxSettings ? `₹${checkoutBreakdown.total.toFixed(2)}` : '...'}
                     </div>
+                    {taxSettings && checkoutBreakdown.discount > 0 && (
+                        <div style={{ color: '#666' }}>
+                            Gross ₹{checkoutBreakdown.gross.toFixed(2)} · Discount -₹{checkoutBreakdown.discount.toFixed(2)}
+                        </div>
+                    )}
+                    {billDiscount && (
+                        <div style={{ color: '#e65100', fontSize: '0.9rem' }}>
+                            Bill discount: {formatDiscountLabel(billDiscount)}
+                        </div>
+                    )}
+                    {isTicket && (
+                        <div style={{ color: '#666', marginTop: '0.5rem' }}>
+                            {getQueueLabel(sourceTable)}
+                            {sourceTable.customer?.phone && sourceTable.customer?.name ? ` · ${sourceTable.customer.phone}` : ''}
+                        </div>
+                    )}
+                    {ticketPackaging > 0 && (
+                        <label style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', color: '#666' }}>
+                            <input
+                                type="checkbox"
+                                checked={includePackaging}
+                                onChange={(e) => setIncludePackaging(e.target.checked)}
+                                disabled={isSubmitting}
+                            />
+                            Packaging charge ₹{ticketPackaging.toFixed(2)}
+                        </label>
+                    )}
                 </div>
 
-                <h4 style={{ textAlign: 'center', color: '#666', marginBottom: '1rem' }}>Select Payment Method</h4>
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
-                    {paymentMethods.map(method => (
-                        <button
-                            key={method}
-                            onClick={() => handleCheckoutSubmit(method)}
-                            className="primary-btn"
-                            style={method === 'Cash' ? { background: 'linear-gradient(135deg, #28a745, #218838)' } : {}}
-                        >
-                            {method}
+                {settingsError && (
+                    <div style={{ color: '#dc3545', textAlign: 'center', marginBottom: '1rem' }}>
+                        {settingsError}
+                    </div>
+                )}
+
+                {canDiscount && (
+                    <button onClick={() => setIsDiscountModalOpen(true)} className="secondary-btn" disabled={isSubmitting}>
+                        {billDiscount ? 'Edit Bill Discount' : 'Add Bill Discount'}
+                    </button>
+                )}
+
+                {isSplitting ? (
+                    <SplitPaymentPanel
+                        total={checkoutBreakdown.total}
+                        orders={checkoutOrders}
+                        paymentMethods={paymentMethods}
+                        disabled={isSubmitting}
+                        onConfirm={handleCheckoutSubmit}
+                        onCancel={() => setIsSplitting(false)}
+                    />
+                ) : (
+                    <>
+                        <h4 style={{ textAlign: 'center', color: '#666', marginBottom: '1rem' }}>Select Payment Method</h4>
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+                            {paymentMethods.map(method => (
+                                <button
+                                    key={method}
+                                    onClick={() => handleCheckoutSubmit([{ label: 'Full', method, amount: checkoutBreakdown.total }])}
+                                    className="primary-btn"
+                                    style={method === 'Cash' ? { background: 'linear-gradient(135deg, #28a745, #218838)' } : {}}
+                                >
+                                    {method}
+                                </button>
+                            ))}
+                        </div>
+                        <button onClick={() => setIsSplitting(true)} className="secondary-btn" disabled={isSubmitting}>
+                            Split Bill
                         </button>
-                    ))}
-                </div>
+                    </>
+                )}
 
                 <button
-                    onClick={() => setCheckoutModal({ isOpen: false, type: null, targetId: null, targetTableId: null, total: 0, itemsToClear: null })}
+                    onClick={closeModal}
                     className="secondary-btn"
                 >
                     Cancel
                 </button>
             </div>
+
+            {isDiscountModalOpen && (
+                <DiscountModal
+                    title="Bill Discount"
+                    initialDiscount={billDiscount}
+                    onApply={(discount) => {
+                        setBillDiscount(discount);
+                        setIsDiscountModalOpen(false);
+                    }}
+                    onRemove={billDiscount ? () => {
+                        setBillDiscount(null);
+                        setIsDiscountModalOpen(false);
+                    } : null}
+                    onClose={() => setIsDiscountModalOpen(false)}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { getCurrentUser } from '../../services/authService';
+import { DISCOUNT_REASONS, validateDiscount } from '../../utils/discountUtils';
+
+// Collects a percentage/flat discount with its mandatory reason code.
+// Used for single order lines (TableSection) and whole bills (CheckoutModal).
+const DiscountModal = ({ title, initialDiscount, onApply, onRemove, onClose }) => {
+    const [type, setType] = useState(initialDiscount?.type || 'percent');
+    const [value, setValue] = useState(initialDiscount?.value ?? '');
+    const [reason, setReason] = useState(initialDiscount?.reason || '');
+    const [note, setNote] = useState(initialDiscount?.note || '');
+    const [error, setError] = useState('');
+
+    const handleApply = () => {
+        const discount = { type, value: Number(value), reason, note: note.trim() };
+        const validationError = validateDiscount(discount);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        const user = getCurrentUser();
+        onApply({
+            ...discount,
+            appliedBy: user?.email || null,
+            appliedAt: new Date().toISOString()
+        });
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>{title}</h3>
+
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <select value={type} onChange={(e) => setType(e.target.value)} className="form-input" style={{ flex: 1 }}>
+                        <option value="percent">Percentage (%)</option>
+                        <option value="flat">Flat amount (₹)</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        step={type === 'percent' ? '1' : '0.01'}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        placeholder={type === 'percent' ? '%' : '₹'}
+                        className="form-input"
+                        style={{ flex: 1 }}
+                        autoFocus
+                    />
+                </div>
+
+                <select value={reason} onChange={(e) => setReason(e.target.value)} className="form-input">
+                    <option value="">Select reason...</option>
+                    {DISCOUNT_REASONS.map(code => (
+                        <option key={code} value={code}>{code}</option>
+                    ))}
+                </select>
+
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder={reason === 'Other' ? 'Note (required)' : 'Note (optional)'}
+                    className="form-input"
+                />
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: onRemove ? '1fr 1fr' : '1fr', gap: '1rem' }}>
+                    <button onClick={handleApply} className="primary-btn">
+                        Apply Discount
+                    </button>
+                    {onRemove && (
+                        <button onClick={onRemove} className="secondary-btn" style={{ color: '#dc3545' }}>
+                            Remove Discount
+                        </button>
+                    )}
+                </div>
+
+                <button onClick={onClose} className="secondary-btn">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default DiscountModal;
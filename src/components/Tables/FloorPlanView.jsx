@@ -0,0 +1,96 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { useDrag, useDrop } from 'react-dnd';
+import { getTablePosition, getTableSections } from '../../utils/tableUtils';
+
+const FLOOR_TABLE_TYPE = 'FLOOR_TABLE';
+
+const clampPercent = (value) => Math.round(Math.min(97, Math.max(3, value)) * 10) / 10;
+
+const PositionedTable = ({ tableId, table, position, movable, children }) => {
+    const [{ isDragging }, drag] = useDrag({
+        type: FLOOR_TABLE_TYPE,
+        item: { tableId, position },
+        canDrag: () => movable,
+        collect: (monitor) => ({ isDragging: monitor.isDragging() })
+    });
+
+    return (
+        <div
+            ref={drag}
+            className={`floor-table-slot ${table?.shape || 'square'}`}
+            style={{ left: `${position.x}%`, top: `${position.y}%`, opacity: isDragging ? 0.4 : 1, cursor: movable ? 'move' : undefined }}
+        >
+            {children}
+        </div>
+    );
+};
+
+// Floor-plan canvas with section tabs. Tables are placed by their saved position;
+// with onMoveTable set (Settings editor) they can be dragged to a new spot.
+const FloorPlanView = ({ tables, tableIds, renderTable, onMoveTable = null }) => {
+    const [section, setSection] = useState('');
+    const canvasRef = useRef(null);
+    const sections = useMemo(() => getTableSections(tables), [tables]);
+    const activeSection = sections.includes(section) ? section : '';
+
+    const [{ isOver }, drop] = useDrop({
+        accept: FLOOR_TABLE_TYPE,
+        drop: (dragged, monitor) => {
+            const offset = monitor.getDifferenceFromInitialOffset();
+            const rect = canvasRef.current?.getBoundingClientRect();
+            if (!offset || !rect || !onMoveTable) return;
+            onMoveTable(dragged.tableId, {
+                x: clampPercent(dragged.position.x + (offset.x / rect.width) * 100),
+                y: clampPercent(dragged.position.y + (offset.y / rect.height) * 100)
+            });
+        },
+        collect: (monitor) => ({ isOver: monitor.isOver() })
+    });
+
+    return (
+        <div className="floor-plan">
+            {sections.length > 0 && (
+                <div className="floor-plan-sections">
+                    <button className={`floor-plan-section-btn ${activeSection === '' ? 'active' : ''}`} onClick={() => setSection('')}>
+                        All
+                    </button>
+                    {sections.map(name => (
+                        <button
+                            key={name}
+                            className={`floor-plan-section-btn ${activeSection === name ? 'active' : ''}`}
+                            onClick={() => setSection(name)}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div
+                ref={(node) => {
+                    canvasRef.current = node;
+                    drop(node);
+                }}
+                className={`floor-plan-canvas ${isOver ? 'drag-over' : ''}`}
+            >
+                {tableIds.map((tableId, index) => {
+                    const table = tables[tableId];
+                    if (activeSection && table?.section?.trim() !== activeSection) return null;
+                    return (
+                        <PositionedTable
+                            key={tableId}
+                            tableId={tableId}
+                            table={table}
+                            position={getTablePosition(table, index)}
+                            movable={Boolean(onMoveTable)}
+                        >
+                            {renderTable(tableId, table)}
+                        </PositionedTable>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default FloorPlanView;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { getLineStatusLabel } from '../../utils/lineStatusUtils';
+
+// Kitchen status of an order line (see lineStatusUtils); nothing for lines not sent yet.
+// With onClick the badge becomes a button (e.g. marking a ready line served).
+const LineStatusBadge = ({ status, title, onClick }) => {
+    if (!status) return null;
+    if (onClick) {
+        return (
+            <button type="button" className={`line-status-badge ${status} actionable`} title={title} onClick={onClick}>
+                {getLineStatusLabel(status)}
+            </button>
+        );
+    }
+    return (
+        <span className={`line-status-badge ${status}`} title={title}>
+            {getLineStatusLabel(status)}
+        </span>
+    );
+};
+
+export default LineStatusBadge;
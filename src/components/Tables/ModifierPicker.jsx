@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { resolveModifiers, validateModifierSelection, getModifiedPrice } from '../../utils/modifierUtils';
+
+// Picks variants / add-ons and a cooking note for one menu item before it is
+// added to an order (see modifierUtils). Variants preselect their first option.
+const ModifierPicker = ({ menuItem, onAdd, onClose }) => {
+    const [selection, setSelection] = useState(() => {
+        const initial = {};
+        (menuItem.modifierGroups || []).forEach(group => {
+            if (group.type === 'variant' && group.options?.length > 0) initial[group.id] = [group.options[0].id];
+        });
+        return initial;
+    });
+    const [note, setNote] = useState('');
+    const [error, setError] = useState('');
+
+    const modifiers = resolveModifiers(menuItem, selection);
+    const unitPrice = getModifiedPrice(menuItem.price, modifiers);
+
+    const toggleOption = (group, optionId) => {
+        setError('');
+        setSelection(prev => {
+            if (group.type === 'variant') return { ...prev, [group.id]: [optionId] };
+            const picked = prev[group.id] || [];
+            return {
+                ...prev,
+                [group.id]: picked.includes(optionId) ? picked.filter(id => id !== optionId) : [...picked, optionId]
+            };
+        });
+    };
+
+    const handleAdd = () => {
+        const validationError = validateModifierSelection(menuItem, selection);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        onAdd({ modifiers, note });
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>{menuItem.name}</h3>
+
+                {(menuItem.modifierGroups || []).filter(group => group.options?.length > 0).map(group => (
+                    <div key={group.id} className="modifier-group">
+                        <div className="modifier-group-title">
+                            {group.name}
+                            <span className="modifier-group-hint">
+                                {group.type === 'variant' ? 'Choose one' : (group.maxSelect > 0 ? `Up to ${group.maxSelect}` : 'Optional')}
+                            </span>
+                        </div>
+                        {group.options.map(option => (
+                            <label key={option.id} className="modifier-option">
+                                <input
+                                    type={group.type === 'variant' ? 'radio' : 'checkbox'}
+                                    name={`modifier-${group.id}`}
+                                    checked={(selection[group.id] || []).includes(option.id)}
+                                    onChange={() => toggleOption(group, option.id)}
+                                />
+                                <span>{option.name}</span>
+                                {option.price > 0 && <span className="modifier-option-price">+₹{option.price}</span>}
+                            </label>
+                        ))}
+                    </div>
+                ))}
+
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Note for the kitchen (e.g. less spicy)"
+                    className="form-input"
+                    maxLength={120}
+                />
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleAdd} className="primary-btn">
+                        Add · ₹{unitPrice.toFixed(2)}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn">
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ModifierPicker;
@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { QUEUE_ORDER_TYPES, isQueueTicket, getOrderType, validateQueueOrder } from '../../utils/orderTypeUtils';
+
+const EMPTY_DETAILS = { name: '', phone: '', aggregator: '' };
+
+const NewTicketModal = ({ orderType, aggregators, onCreate, onClose }) => {
+    const [details, setDetails] = useState({ ...EMPTY_DETAILS, aggregator: aggregators[0] || '' });
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const label = QUEUE_ORDER_TYPES.find(type => type.id === orderType)?.label;
+
+    const handleSubmit = async () => {
+        const validationError = validateQueueOrder(orderType, details);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            await onCreate(orderType, details);
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to start the order.');
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>New {label} Order</h3>
+                {orderType === 'aggregator' && (
+                    <select
+                        value={details.aggregator}
+                        onChange={(e) => setDetails(prev => ({ ...prev, aggregator: e.target.value }))}
+                        className="form-input"
+                    >
+                        {aggregators.length === 0 && <option value="">No platforms - add them in Settings</option>}
+                        {aggregators.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                )}
+                <input
+                    type="text"
+                    value={details.name}
+                    onChange={(e) => setDetails(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Customer name"
+                    className="form-input"
+                    autoFocus
+                />
+                <input
+                    type="tel"
+                    value={details.phone}
+                    onChange={(e) => setDetails(prev => ({ ...prev, phone: e.target.value }))}
+                    placeholder={orderType === 'delivery' ? 'Phone (required)' : 'Phone'}
+                    className="form-input"
+                />
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleSubmit} className="primary-btn" disabled={isSubmitting}>
+                        {isSubmitting ? 'Starting...' : 'Start Order'}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={isSubmitting}>
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Takeaway, delivery and aggregator tickets, kept apart from the table grid.
+// Tickets are rendered by the caller (renderTicket) so they take part in the
+// same drag-and-drop transfers as table buttons.
+const OrderQueue = ({ tables, orderTypeSettings, renderTicket, onCreateTicket }) => {
+    const [filter, setFilter] = useState('');
+    const [newTicketType, setNewTicketType] = useState(null);
+
+    const ticketIds = useMemo(() => Object.keys(tables)
+        .filter(tableId => isQueueTicket(tables[tableId]))
+        .sort((a, b) => String(tables[a].createdAt || '').localeCompare(String(tables[b].createdAt || ''))), [tables]);
+
+    const visibleIds = filter ? ticketIds.filter(tableId => getOrderType(tables[tableId]) === filter) : ticketIds;
+
+    return (
+        <div className="order-queue">
+            <div className="order-queue-header">
+                <div className="table-view-toggle">
+                    <button className={filter === '' ? 'active' : ''} onClick={() => setFilter('')}>
+                        All ({ticketIds.length})
+                    </button>
+                    {QUEUE_ORDER_TYPES.map(type => (
+                        <button key={type.id} className={filter === type.id ? 'active' : ''} onClick={() => setFilter(type.id)}>
+                            {type.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="order-queue-actions">
+                    {QUEUE_ORDER_TYPES.map(type => (
+                        <button key={type.id} className="add-order-btn" onClick={() => setNewTicketType(type.id)}>
+                            + {type.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {visibleIds.length === 0 ? (
+                <div className="order-queue-empty">No open {filter ? QUEUE_ORDER_TYPES.find(type => type.id === filter).label.toLowerCase() : 'takeaway or delivery'} orders.</div>
+            ) : (
+                <div className="table-buttons order-queue-tickets">
+                    {visibleIds.map(tableId => renderTicket(tableId))}
+                </div>
+            )}
+
+            {newTicketType && (
+                <NewTicketModal
+                    orderType={newTicketType}
+                    aggregators={orderTypeSettings.aggregators || []}
+                    onCreate={onCreateTicket}
+                    onClose={() => setNewTicketType(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default OrderQueue;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { subscribeToTables, restoreHistoryEntry, getConnectionState } from '../../services/firebaseService';
+import { getCurrentUser } from '../../services/authService';
+import { isTableFree, getDiningTables } from '../../utils/tableUtils';
+import { getPlaceLabel, isQueueTicketId } from '../../utils/orderTypeUtils';
+
+// Reopens a settled bill onto its original table or any free one.
+// Takeaway / delivery bills can also go back into the queue as their original ticket.
+// Used from the history list on TablesPage and from HistoryPage.
+const RestoreBillModal = ({ entry, onClose }) => {
+    const [tables, setTables] = useState(null);
+    const [selectedTableId, setSelectedTableId] = useState('');
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        // Live table state so a table taken meanwhile drops out of the list
+        const unsubscribe = subscribeToTables(setTables);
+        return () => unsubscribe();
+    }, []);
+
+    const freeTableIds = useMemo(() => {
+        if (!tables) return [];
+        const diningTables = getDiningTables(tables);
+        const ids = Object.keys(diningTables).filter(tableId => isTableFree(diningTables[tableId]));
+        // The original table is offered even if its document was deleted since
+        const originalId = String(entry.tableId);
+        if (!tables[originalId] && !ids.includes(originalId)) ids.push(originalId);
+        // An original queue ticket is listed after the tables
+        return ids.sort((a, b) => (Number(isQueueTicketId(a)) - Number(isQueueTicketId(b))) || Number(a) - Number(b));
+    }, [tables, entry.tableId]);
+
+    // Original table by default, otherwise the first free one
+    const targetTableId = freeTableIds.includes(selectedTableId)
+        ? selectedTableId
+        : (freeTableIds.includes(String(entry.tableId)) ? String(entry.tableId) : (freeTableIds[0] || ''));
+
+    const handleRestore = async () => {
+        if (!getConnectionState()) {
+            setError('You are currently offline. Please connect to restore bills.');
+            return;
+        }
+        if (!targetTableId) {
+            setError('No free table is available. Clear a table first.');
+            return;
+        }
+        if (!reason.trim()) {
+            setError('Enter the reason for reopening this bill.');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await restoreHistoryEntry(entry.id, targetTableId, {
+                reason,
+                restoredBy: getCurrentUser()?.email || null
+            });
+            const placeLabel = isQueueTicketId(targetTableId) ? getPlaceLabel(entry) : `Table ${targetTableId}`;
+            alert(`Bill${entry.billNumber ? ` #${entry.billNumber}` : ''} reopened on ${placeLabel}.`);
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to restore bill.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-content">
+                <h3>Restore Bill{entry.billNumber ? ` #${entry.billNumber}` : ''}</h3>
+                <div style={{ color: '#666', textAlign: 'center' }}>
+                    {getPlaceLabel(entry)} · ₹{Number(entry.total || 0).toFixed(2)}
+                    <div style={{ fontSize: '0.85rem' }}>
+                        The sale is removed from today&apos;s totals and the shift until the bill is settled again.
+                    </div>
+                </div>
+
+                {tables === null ? (
+                    <div className="loading">Loading tables...</div>
+                ) : (
+                    <select
+                        value={targetTableId}
+                        onChange={(e) => setSelectedTableId(e.target.value)}
+                        className="form-input"
+                        disabled={freeTableIds.length === 0}
+                    >
+                        {freeTableIds.length === 0 && <option value="">No free tables</option>}
+                        {freeTableIds.map(tableId => (
+                            <option key={tableId} value={tableId}>
+                                {isQueueTicketId(tableId) ? getPlaceLabel(entry) : `Table ${tableId}`}{tableId === String(entry.tableId) ? ' (original)' : ''}
+                            </option>
+                        ))}
+                    </select>
+                )}
+
+                <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="Reason (required)"
+                    className="form-input"
+                    autoFocus
+                />
+
+                {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <button onClick={handleRestore} className="primary-btn" disabled={isSubmitting || tables === null}>
+                        {isSubmitting ? 'Restoring...' : 'Restore'}
+                    </button>
+                    <button onClick={onClose} className="secondary-btn" disabled={isSubmitting}>
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RestoreBillModal;
@@ -0,0 +1,255 @@
+import React, { useState, useMemo } from 'react';
+import {
+    splitEvenly,
+    getSplitLines,
+    allocateByItems,
+    validateItemAssignments,
+    validatePayments
+} from '../../utils/splitUtils';
+
+const SPLIT_MODES = [
+    { id: 'amount', label: 'By Amount' },
+    { id: 'even', label: 'Evenly' },
+    { id: 'items', label: 'By Items' }
+];
+
+const MAX_GUESTS = 20;
+
+// Split-payment step of the checkout modal. Produces a list of
+// { label, method, amount } parts that add up to the bill total.
+const SplitPaymentPanel = ({ total, orders, paymentMethods, onConfirm, onCancel, disabled }) => {
+    const defaultMethod = paymentMethods[0] || 'Cash';
+    const [mode, setMode] = useState('amount');
+    const [parts, setParts] = useState([
+        { method: 'Cash', amount: '' },
+        { method: paymentMethods.find(m => m !== 'Cash') || defaultMethod, amount: '' }
+    ]);
+    const [guests, setGuests] = useState(2);
+    const [guestMethods, setGuestMethods] = useState([]);
+    const [assignments, setAssignments] = useState({}); // { [lineKey]: { [guestIndex]: qty } }
+    const [error, setError] = useState('');
+
+    const lines = useMemo(() => getSplitLines(orders), [orders]);
+
+    // Lines nobody has touched yet belong entirely to the first guest
+    const effectiveAssignments = useMemo(() => {
+        const result = {};
+        lines.forEach(line => {
+            result[line.key] = assignments[line.key] || { 0: line.quantity };
+        });
+        return result;
+    }, [lines, assignments]);
+
+    const guestAmounts = useMemo(() => {
+        if (mode === 'even') return splitEvenly(total, guests);
+        if (mode === 'items') return allocateByItems(lines, effectiveAssignments, guests, total);
+        return [];
+    }, [mode, total, guests, lines, effectiveAssignments]);
+
+    const allocated = parts.reduce((sum, part) => sum + (Number(part.amount) || 0), 0);
+    const remaining = Math.round((total - allocated) * 100) / 100;
+
+    const handleGuestsChange = (value) => {
+        const count = Math.min(MAX_GUESTS, Math.max(1, Math.floor(Number(value) || 1)));
+        setGuests(count);
+        // Drop assignments to guests that no longer exist
+        setAssignments(prev => {
+            const next = {};
+            Object.entries(prev).forEach(([key, perGuest]) => {
+                next[key] = Object.fromEntries(Object.entries(perGuest).filter(([guestIndex]) => Number(guestIndex) < count));
+            });
+            return next;
+        });
+    };
+
+    const handlePartChange = (index, field, value) => {
+        setParts(prev => prev.map((part, i) => i === index ? { ...part, [field]: value } : part));
+    };
+
+    const handleAssignmentChange = (lineKey, guestIndex, value) => {
+        const quantity = Math.max(0, Math.floor(Number(value) || 0));
+        setAssignments(prev => ({
+            ...prev,
+            [lineKey]: { ...effectiveAssignments[lineKey], [guestIndex]: quantity }
+        }));
+    };
+
+    const getGuestMethod = (index) => guestMethods[index] || defaultMethod;
+
+    const handleGuestMethodChange = (index, method) => {
+        setGuestMethods(prev => {
+            const next = [...prev];
+            next[index] = method;
+            return next;
+        });
+    };
+
+    const handleConfirm = () => {
+        let payments;
+        if (mode === 'amount') {
+            payments = parts.map((part, index) => ({
+                label: `Part ${index + 1}`,
+                method: part.method,
+                amount: Number(part.amount) || 0
+            }));
+        } else {
+            if (mode === 'items') {
+                const assignmentError = validateItemAssignments(lines, effectiveAssignments);
+                if (assignmentError) {
+                    setError(assignmentError);
+                    return;
+                }
+            }
+            payments = guestAmounts.map((amount, index) => ({
+                label: `Guest ${index + 1}`,
+                method: getGuestMethod(index),
+                amount
+            }));
+            // A guest assigned no items has nothing to pay
+            if (mode === 'items') payments = payments.filter(payment => payment.amount > 0);
+        }
+
+        const paymentError = validatePayments(payments, total);
+        if (paymentError) {
+            setError(paymentError);
+            return;
+        }
+
+        setError('');
+        onConfirm(payments);
+    };
+
+    const methodSelect = (value, onChange) => (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className="form-input" style={{ flex: 1 }}>
+            {paymentMethods.map(method => (
+                <option key={method} value={method}>{method}</option>
+            ))}
+        </select>
+    );
+
+    return (
+        <>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem' }}>
+                {SPLIT_MODES.map(splitMode => (
+                    <button
+                        key={splitMode.id}
+                        onClick={() => { setMode(splitMode.id); setError(''); }}
+                        className={mode === splitMode.id ? 'primary-btn' : 'secondary-btn'}
+                        style={{ padding: '0.6rem' }}
+                    >
+                        {splitMode.label}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'amount' && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    {parts.map((part, index) => (
+                        <div key={index} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                            {methodSelect(part.method, (method) => handlePartChange(index, 'method', method))}
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={part.amount}
+                                onChange={(e) => handlePartChange(index, 'amount', e.target.value)}
+                                onFocus={() => {
+                                    // Pre-fill the outstanding balance into an empty part
+                                    if (!part.amount && remaining > 0) handlePartChange(index, 'amount', String(remaining));
+                                }}
+                                placeholder="₹"
+                                className="form-input"
+                                style={{ flex: 1 }}
+                            />
+                            {parts.length > 1 && (
+                                <button
+                                    onClick={() => setParts(prev => prev.filter((_, i) => i !== index))}
+                                    className="secondary-btn"
+                                    style={{ padding: '0.5rem 0.8rem' }}
+                                    title="Remove part"
+                                >
+                                    ×
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <button
+                            onClick={() => setParts(prev => [...prev, { method: defaultMethod, amount: '' }])}
+                            className="secondary-btn"
+                            style={{ padding: '0.5rem 1rem' }}
+                        >
+                            + Add Part
+                        </button>
+                        <span style={{ color: remaining === 0 ? '#28a745' : '#dc3545', fontWeight: 600 }}>
+                            Remaining: ₹{remaining.toFixed(2)}
+                        </span>
+                    </div>
+                </div>
+            )}
+
+            {(mode === 'even' || mode === 'items') && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <span style={{ flex: 1 }}>Guests</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max={MAX_GUESTS}
+                            value={guests}
+                            onChange={(e) => handleGuestsChange(e.target.value)}
+                            className="form-input"
+                            style={{ width: '90px' }}
+                        />
+                    </label>
+
+                    {mode === 'items' && (
+                        <div style={{ maxHeight: '220px', overflowY: 'auto', border: '1px solid #e0e0e0', borderRadius: '8px', padding: '0.5rem' }}>
+                            {lines.map(line => (
+                                <div key={line.key} style={{ marginBottom: '0.5rem' }}>
+                                    <div style={{ fontWeight: 600 }}>{line.quantity} x {line.name}</div>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+                                        {Array.from({ length: guests }, (_, guestIndex) => (
+                                            <label key={guestIndex} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.85rem' }}>
+                                                G{guestIndex + 1}
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max={line.quantity}
+                                                    value={effectiveAssignments[line.key][guestIndex] || 0}
+                                                    onChange={(e) => handleAssignmentChange(line.key, guestIndex, e.target.value)}
+                                                    className="form-input"
+                                                    style={{ width: '60px', padding: '0.3rem' }}
+                                                />
+                                            </label>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {guestAmounts.map((amount, index) => (
+                        <div key={index} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                            <span style={{ flex: 1 }}>Guest {index + 1}: <strong>₹{amount.toFixed(2)}</strong></span>
+                            {methodSelect(getGuestMethod(index), (method) => handleGuestMethodChange(index, method))}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && <div style={{ color: '#dc3545', fontSize: '0.9rem' }}>{error}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                <button onClick={handleConfirm} className="primary-btn" disabled={disabled}>
+                    Settle Split
+                </button>
+                <button onClick={onCancel} className="secondary-btn" disabled={disabled}>
+                    Back
+                </button>
+            </div>
+        </>
+    );
+};
+
+export default SplitPaymentPanel;
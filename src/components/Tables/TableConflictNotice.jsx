@@ -0,0 +1,28 @@
+import React from 'react';
+import { useTableContext } from '../../context/TableContext';
+import { getTableName } from '../../utils/tableUtils';
+
+// Edits that could not be applied as made because another device changed the
+// same table at the same time (see tableMergeUtils). Stays until dismissed.
+const TableConflictNotice = () => {
+    const { tables, tableConflicts, dismissTableConflicts } = useTableContext();
+    if (tableConflicts.length === 0) return null;
+
+    return (
+        <div className="table-conflict-notice" role="alert">
+            <div>
+                <strong>⚠️ Changed on another device at the same time</strong>
+                <ul>
+                    {tableConflicts.map(conflict => (
+                        <li key={conflict.id}>
+                            {getTableName(tables[conflict.tableId], conflict.tableId)}: {conflict.message}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+            <button onClick={dismissTableConflicts} aria-label="Dismiss conflict notice">×</button>
+        </div>
+    );
+};
+
+export default TableConflictNotice;
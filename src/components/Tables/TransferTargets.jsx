@@ -0,0 +1,86 @@
+import React from 'react';
+import { useDrag, useDrop } from 'react-dnd';
+import { getLineId, getLineLabel } from '../../utils/modifierUtils';
+
+// Drag-and-drop pieces for moving work between tables in TableSection:
+// - drag an order onto a table button to move it there
+// - drag a table button onto another to merge the two into one bill
+// - drag an item line onto a table button or another order to transfer it
+const TRANSFER_TYPES = {
+    ORDER: 'TRANSFER_ORDER',
+    TABLE: 'TRANSFER_TABLE',
+    LINE: 'TRANSFER_LINE'
+};
+
+export const TableButton = ({ tableId, className, canDrag, onClick, onDropOrder, onDropTable, onDropLine, children }) => {
+    const [{ isDragging }, drag] = useDrag({
+        type: TRANSFER_TYPES.TABLE,
+        item: { tableId },
+        canDrag: () => canDrag,
+        collect: (monitor) => ({ isDragging: monitor.isDragging() })
+    });
+
+    const [{ isOver, canDrop }, drop] = useDrop({
+        accept: [TRANSFER_TYPES.ORDER, TRANSFER_TYPES.TABLE, TRANSFER_TYPES.LINE],
+        canDrop: (dragged) => String(dragged.tableId) !== String(tableId),
+        drop: (dragged, monitor) => {
+            const type = monitor.getItemType();
+            if (type === TRANSFER_TYPES.ORDER) onDropOrder(dragged, tableId);
+            else if (type === TRANSFER_TYPES.TABLE) onDropTable(dragged, tableId);
+            else if (type === TRANSFER_TYPES.LINE) onDropLine(dragged, tableId, null);
+        },
+        collect: (monitor) => ({ isOver: monitor.isOver(), canDrop: monitor.canDrop() })
+    });
+
+    return (
+        <button
+            ref={(node) => drag(drop(node))}
+            className={`${className} ${isOver && canDrop ? 'drop-target' : ''}`}
+            style={{ opacity: isDragging ? 0.5 : 1 }}
+            onClick={onClick}
+        >
+            {children}
+        </button>
+    );
+};
+
+export const OrderDropZone = ({ tableId, order, canDrag, onDropLine, children }) => {
+    const [{ isDragging }, drag] = useDrag({
+        type: TRANSFER_TYPES.ORDER,
+        item: { tableId, orderId: order.id },
+        canDrag: () => canDrag,
+        collect: (monitor) => ({ isDragging: monitor.isDragging() })
+    });
+
+    const [{ isOver, canDrop }, drop] = useDrop({
+        accept: TRANSFER_TYPES.LINE,
+        canDrop: (dragged) => dragged.orderId !== order.id,
+        drop: (dragged) => onDropLine(dragged, tableId, order.id),
+        collect: (monitor) => ({ isOver: monitor.isOver(), canDrop: monitor.canDrop() })
+    });
+
+    return (
+        <div
+            ref={(node) => drag(drop(node))}
+            className={`order-section ${isOver && canDrop ? 'drop-target' : ''}`}
+            style={{ opacity: isDragging ? 0.5 : 1 }}
+        >
+            {children}
+        </div>
+    );
+};
+
+export const DraggableLine = ({ tableId, orderId, item, className, children }) => {
+    const [{ isDragging }, drag] = useDrag({
+        type: TRANSFER_TYPES.LINE,
+        item: { tableId, orderId, lineId: item ? getLineId(item) : null, name: item ? getLineLabel(item) : '', quantity: item?.quantity || 0 },
+        canDrag: () => Boolean(item && item.quantity > 0),
+        collect: (monitor) => ({ isDragging: monitor.isDragging() })
+    });
+
+    return (
+        <div ref={drag} className={className} style={{ opacity: isDragging ? 0.5 : 1 }}>
+            {children}
+        </div>
+    );
+};
@@ -2,6 +2,10 @@ import React, { useState, useEffect, useCallback } from 'react';
 import NavigationBar from './NavigationBar';
 import TableSection from './TableSection';
 import CheckoutModal from './Tables/CheckoutModal';
+import RestoreBillModal from './Tables/RestoreBillModal';
+import TableConflictNotice from './Tables/TableConflictNotice';
+import { getPlaceLabel, isQueueTicketId } from '../utils/orderTypeUtils';
+import { getLineLabel } from '../utils/modifierUtils';
 import { TableProvider, useTableContext } from '../context/TableContext';
 import { useMenu } from '../hooks/useMenu';
 import {
@@ -9,10 +13,9 @@ import {
   subscribeToHistory,
   clearAllHistory,
   getConnectionState,
-  onConnectionStateChange,
-  updateTable
+  onConnectionStateChange
 } from '../services/firebaseService';
-import { Timestamp } from 'firebase/firestore';
+import { Timestamp } from '../storage';
 
 // Inner component that consumes global state
 const TablesPageContent = () => {
@@ -26,12 +29,13 @@ const TablesPageContent = () => {
     return String(timestamp);
   };
 
-  const { tablesRef, loading: tableLoading } = useTableContext();
+  const { loading: tableLoading } = useTableContext();
   const { menuItems, loading: menuLoading } = useMenu();
 
   const [history, setHistory] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
   const [isOnline, setIsOnline] = useState(getConnectionState());
+  const [restoreEntry, setRestoreEntry] = useState(null); // History entry being reopened
   const [loadingHistory, setLoadingHistory] = useState(true);
 
   // Monitor connection state changes
@@ -71,36 +75,13 @@ const TablesPageContent = () => {
     }
   }, []);
 
-  const restoreOrder = useCallback(async (historyEntry) => {
+  const restoreOrder = useCallback((historyEntry) => {
     if (!isOnline) {
       alert('You are currently offline. Please connect to restore orders.');
       return;
     }
-
-    if (window.confirm(`Restore order for Table ${historyEntry.tableId}?`)) {
-      const currentTableData = tablesRef.current[historyEntry.tableId] || {
-        id: historyEntry.tableId,
-        orders: [],
-        total: 0
-      };
-
-      const restoredOrders = historyEntry.orders.map((order, index) => ({
-        ...order,
-        id: currentTableData.orders.length + index + 1 // Generate new unique IDs
-      }));
-
-      const allOrders = [...currentTableData.orders, ...restoredOrders];
-      const newTotal = allOrders.reduce((sum, order) => sum + order.total, 0);
-
-      const updatedTable = {
-        ...currentTableData,
-        orders: allOrders,
-        total: newTotal
-      };
-
-      await updateTable(historyEntry.tableId, updatedTable); // Write to Firebase
-    }
-  }, [isOnline, tablesRef]);
+    setRestoreEntry(historyEntry);
+  }, [isOnline]);
 
   const isLoading = tableLoading || menuLoading || loadingHistory;
 
@@ -114,6 +95,8 @@ const TablesPageContent = () => {
         </div>
       ) : (
         <div className="page-content">
+          <TableConflictNotice />
+
           {/* Note how TableSection takes 0 props now! It pulls everything dynamically from hooks & context */}
           <TableSection />
 
@@ -150,17 +133,22 @@ const TablesPageContent = () => {
                       <div key={entry.id} className="history-item">
                         <div className="history-header-row">
                           <div className="history-info">
-                            <span className="table-number">Table {entry.tableId}</span>
+                            <span className="table-number">{getPlaceLabel(entry)}</span>
                             <span className="timestamp">{formatTimestamp(entry.timestamp)}</span>
                             <span className="total-amount">₹{entry.total}</span>
+                            {entry.status === 'restored' && (
+                              <span className="bill-status" title={entry.restoreReason}>Reopened {isQueueTicketId(entry.restoredToTableId) ? 'in the order queue' : `on Table ${entry.restoredToTableId}`}</span>
+                            )}
                           </div>
                           <div className="history-actions">
-                            <button
-                              className="restore-btn"
-                              onClick={() => restoreOrder(entry)}
-                            >
-                              Restore
-                            </button>
+                            {!entry.status && !entry.type && (
+                              <button
+                                className="restore-btn"
+                                onClick={() => restoreOrder(entry)}
+                              >
+                                Restore
+                              </button>
+                            )}
                           </div>
                         </div>
 
@@ -171,7 +159,7 @@ const TablesPageContent = () => {
                               <div className="history-items">
                                 {order.items.map((item, itemIndex) => (
                                   <div key={`${entry.id}-${orderIndex}-${itemIndex}`} className="history-item-row">
-                                    <span className="item-name">{item.name}</span>
+                                    <span className="item-name">{getLineLabel(item)}</span>
                                     <span className="item-qty">x{item.quantity}</span>
                                     <span className="item-price">₹{(item.price * item.quantity).toFixed(2)}</span>
                                   </div>
@@ -192,6 +180,9 @@ const TablesPageContent = () => {
       )}
 
       <CheckoutModal />
+      {restoreEntry && (
+        <RestoreBillModal entry={restoreEntry} onClose={() => setRestoreEntry(null)} />
+      )}
     </div>
   );
 };
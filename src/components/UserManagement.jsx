@@ -196,6 +196,7 @@ const UserManagement = () => {
                     <>
                       <option value="user">User</option>
                       <option value="manager">Manager</option>
+                      <option value="kitchen">Kitchen (display only)</option>
                       <option value="admin">Admin</option>
                     </>
                   )
@@ -8,7 +8,7 @@ import {
     toggleMenuItemAvailability as firebaseToggleAvailability,
     retryWithBackoff
 } from '../services/firebaseService';
-import { serverTimestamp } from 'firebase/firestore';
+import { serverTimestamp } from '../storage';
 
 export const useMenu = () => {
     const [menuItems, setMenuItems] = useState([]);
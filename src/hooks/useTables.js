@@ -1,10 +1,45 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { subscribeToTables, updateTable, deleteTable as deleteTableFirebase, addHistory as addHistoryFirebase } from '../services/firebaseService';
+import { subscribeToTables, updateTable, updateTablesInTransaction, deleteTable as deleteTableFirebase, addHistory as addHistoryFirebase, addLineCancellation, onTableConflict } from '../services/firebaseService';
+import { getTaxSettings } from '../services/shiftService';
+import { buildKitchenTicket } from '../utils/kotUtils';
+import { priceOrder, getOrdersBreakdown, DEFAULT_TAX_SETTINGS } from '../utils/taxUtils';
+import { moveOrderToTable, mergeTableOrders, transferOrderLine, getNextTableId } from '../utils/tableUtils';
+import { createQueueTicket, getOrderDetails, isQueueTicket, getQueueLabel } from '../utils/orderTypeUtils';
+import { buildOrderLine, getLineId } from '../utils/modifierUtils';
+import { withLineStatus, getFiredQuantity, buildCancellation } from '../utils/lineStatusUtils';
+
+const TAX_SETTINGS_RETRY_DELAY = 30000;
 
 export const useTables = () => {
     const [tables, setTables] = useState({});
     const [loading, setLoading] = useState(true);
+    const [tableConflicts, setTableConflicts] = useState([]); // [{ id, tableId, orderId, lineId, message }]
     const tablesRef = useRef({});
+    const taxSettingsRef = useRef(DEFAULT_TAX_SETTINGS);
+
+    useEffect(() => {
+        // Tax configuration used to price orders as items change. Retried until it
+        // loads; until then orders show default-priced totals. Nothing is billed
+        // at those: checkout and deleteTable reprice every order from its items
+        // with settings they load themselves.
+        let retryTimer = null;
+        let cancelled = false;
+        const loadTaxSettings = () => {
+            getTaxSettings()
+                .then(settings => {
+                    taxSettingsRef.current = settings;
+                })
+                .catch(error => {
+                    console.error('Error loading tax settings, retrying:', error);
+                    if (!cancelled) retryTimer = setTimeout(loadTaxSettings, TAX_SETTINGS_RETRY_DELAY);
+                });
+        };
+        loadTaxSettings();
+        return () => {
+            cancelled = true;
+            clearTimeout(retryTimer);
+        };
+    }, []);
 
     useEffect(() => {
         // Initialize with default tables 1-10 if empty
@@ -41,6 +76,19 @@ export const useTables = () => {
         return () => unsubscribe();
     }, []);
 
+    // Edits merged with another device's changes that could not be applied as made
+    useEffect(() => {
+        const unsubscribe = onTableConflict(({ tableId, conflicts }) => {
+            setTableConflicts(prev => [
+                ...prev,
+                ...conflicts.map((conflict, index) => ({ ...conflict, tableId, id: `${Date.now()}-${tableId}-${index}` }))
+            ]);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    const dismissTableConflicts = useCallback(() => setTableConflicts([]), []);
+
     const addOrderToTable = useCallback(async (tableId) => {
         const table = tablesRef.current[tableId];
         if (!table) return;
@@ -60,10 +108,12 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
     }, []);
 
-    const addItemToOrder = useCallback(async (tableId, orderId, menuItem) => {
+    // choices: { modifiers[], note } picked in the modifier picker; the same
+    // dish with the same choices adds to the existing line
+    const addItemToOrder = useCallback(async (tableId, orderId, menuItem, choices = {}) => {
         const table = tablesRef.current[tableId];
         if (!table) return;
 
@@ -71,7 +121,8 @@ export const useTables = () => {
         if (orderIndex === -1) return;
 
         const order = table.orders[orderIndex];
-        const existingItemIndex = order.items.findIndex(item => item.id === menuItem.id);
+        const newLine = buildOrderLine(menuItem, choices);
+        const existingItemIndex = order.items.findIndex(item => getLineId(item) === getLineId(newLine));
 
         let updatedItems;
         if (existingItemIndex > -1) {
@@ -81,15 +132,11 @@ export const useTables = () => {
                 quantity: updatedItems[existingItemIndex].quantity + 1
             };
         } else {
-            updatedItems = [...order.items, { ...menuItem, quantity: 1 }];
+            updatedItems = [...order.items, newLine];
         }
 
         const updatedOrders = [...table.orders];
-        updatedOrders[orderIndex] = {
-            ...order,
-            items: updatedItems,
-            total: updatedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
-        };
+        updatedOrders[orderIndex] = priceOrder(order, updatedItems, taxSettingsRef.current);
 
         const updatedTable = {
             ...table,
@@ -102,10 +149,10 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
     }, []);
 
-    const updateItemQuantity = useCallback(async (tableId, orderId, itemId, newQuantity) => {
+    const updateItemQuantity = useCallback(async (tableId, orderId, lineId, newQuantity) => {
         if (newQuantity < 0) return;
         const table = tablesRef.current[tableId];
         if (!table) return;
@@ -114,12 +161,12 @@ export const useTables = () => {
         if (orderIndex === -1) return;
 
         const order = table.orders[orderIndex];
-        const itemIndex = order.items.findIndex(item => item.id === itemId);
+        const itemIndex = order.items.findIndex(item => getLineId(item) === String(lineId));
         if (itemIndex === -1) return;
 
         let updatedItems;
         if (newQuantity === 0) {
-            updatedItems = order.items.filter(item => item.id !== itemId);
+            updatedItems = order.items.filter((item, index) => index !== itemIndex);
         } else {
             updatedItems = [...order.items];
             updatedItems[itemIndex] = {
@@ -128,11 +175,147 @@ export const useTables = () => {
             };
         }
 
+        const updatedOrders = [...table.orders];
+        updatedOrders[orderIndex] = priceOrder(order, updatedItems, taxSettingsRef.current);
+
+        const updatedTable = {
+            ...table,
+            orders: updatedOrders,
+            total: updatedOrders.reduce((sum, order) => sum + order.total, 0)
+        };
+
+        // Optimistic UI Update
+        const newlyUpdatedTables = { ...tablesRef.current, [tableId]: updatedTable };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await updateTable(tableId, updatedTable, table);
+    }, []);
+
+    // Set or clear (discount = null) a discount on one order line
+    const applyLineDiscount = useCallback(async (tableId, orderId, lineId, discount) => {
+        const table = tablesRef.current[tableId];
+        if (!table) return;
+
+        const orderIndex = table.orders.findIndex(order => order.id === orderId);
+        if (orderIndex === -1) return;
+
+        const order = table.orders[orderIndex];
+        if (!order.items.some(item => getLineId(item) === String(lineId))) return;
+
+        const updatedItems = order.items.map(item => getLineId(item) === String(lineId) ? { ...item, discount: discount || null } : item);
+
+        const updatedOrders = [...table.orders];
+        updatedOrders[orderIndex] = priceOrder(order, updatedItems, taxSettingsRef.current);
+
+        const updatedTable = {
+            ...table,
+            orders: updatedOrders,
+            total: updatedOrders.reduce((sum, order) => sum + order.total, 0)
+        };
+
+        // Optimistic UI Update
+        const newlyUpdatedTables = { ...tablesRef.current, [tableId]: updatedTable };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await updateTable(tableId, updatedTable, table);
+    }, []);
+
+    // Build the next KOT for an order and mark its lines as fired to the kitchen
+    const fireKitchenTicket = useCallback(async (tableId, orderId) => {
+        const table = tablesRef.current[tableId];
+        if (!table) return null;
+
+        const orderIndex = table.orders.findIndex(order => order.id === orderId);
+        if (orderIndex === -1) return null;
+
+        const order = table.orders[orderIndex];
+        const result = buildKitchenTicket(tableId, order, orderIndex, isQueueTicket(table) ? getQueueLabel(table).toUpperCase() : undefined);
+        if (!result) return null;
+
+        // Lines with newly fired quantity go (back) into the kitchen queue
+        const firedKeys = new Set(result.ticket.items.map(line => line.key));
         const updatedOrders = [...table.orders];
         updatedOrders[orderIndex] = {
             ...order,
-            items: updatedItems,
-            total: updatedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0)
+            items: order.items.map(item => firedKeys.has(getLineId(item)) ? withLineStatus(item, 'queued', result.ticket.timestamp) : item),
+            firedItems: result.firedItems,
+            kotCount: result.ticket.kotNumber,
+            lastKotAt: result.ticket.timestamp
+        };
+
+        const updatedTable = {
+            ...table,
+            orders: updatedOrders
+        };
+
+        // Optimistic UI Update
+        const newlyUpdatedTables = { ...tablesRef.current, [tableId]: updatedTable };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await updateTable(tableId, updatedTable, table);
+        return result.ticket;
+    }, []);
+
+    // Kitchen view: move a fired line to its next status (cooking, ready, served)
+    const setLineStatus = useCallback(async (tableId, orderId, lineId, status) => {
+        const table = tablesRef.current[tableId];
+        if (!table) return false;
+
+        const orderIndex = table.orders.findIndex(order => order.id === orderId);
+        if (orderIndex === -1) return false;
+
+        const order = table.orders[orderIndex];
+        if (!order.items.some(item => getLineId(item) === String(lineId))) return false;
+
+        const updatedOrders = [...table.orders];
+        updatedOrders[orderIndex] = {
+            ...order,
+            items: order.items.map(item => getLineId(item) === String(lineId) ? withLineStatus(item, status) : item)
+        };
+
+        const updatedTable = {
+            ...table,
+            orders: updatedOrders
+        };
+
+        // Optimistic UI Update
+        const newlyUpdatedTables = { ...tablesRef.current, [tableId]: updatedTable };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await updateTable(tableId, updatedTable, table);
+        return true;
+    }, []);
+
+    // Reduce a line below the quantity already sent to the kitchen.
+    // cancellation: { reason, note, cancelledBy } - required, see lineStatusUtils
+    const cancelFiredQuantity = useCallback(async (tableId, orderId, lineId, newQuantity, cancellation) => {
+        const table = tablesRef.current[tableId];
+        if (!table) return false;
+
+        const orderIndex = table.orders.findIndex(order => order.id === orderId);
+        if (orderIndex === -1) return false;
+
+        const order = table.orders[orderIndex];
+        const item = order.items.find(line => getLineId(line) === String(lineId));
+        if (!item) return false;
+
+        const quantity = Math.max(0, Math.floor(newQuantity));
+        const cancelledQuantity = Math.min(item.quantity, getFiredQuantity(order, item)) - quantity;
+        if (cancelledQuantity <= 0) return false;
+
+        const record = buildCancellation(item, cancelledQuantity, cancellation);
+        const updatedItems = quantity === 0
+            ? order.items.filter(line => line !== item)
+            : order.items.map(line => line === item ? { ...line, quantity } : line);
+
+        const updatedOrders = [...table.orders];
+        updatedOrders[orderIndex] = {
+            ...priceOrder(order, updatedItems, taxSettingsRef.current),
+            cancellations: [...(order.cancellations || []), record]
         };
 
         const updatedTable = {
@@ -146,7 +329,9 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
+        await addLineCancellation({ ...record, tableId, orderId, ...getOrderDetails(table) });
+        return true;
     }, []);
 
     const clearOrder = useCallback(async (tableId, orderId) => {
@@ -155,7 +340,7 @@ export const useTables = () => {
 
         const updatedOrders = table.orders.map(order => {
             if (String(order.id) === String(orderId)) {
-                return { ...order, items: [], total: 0 };
+                return { ...priceOrder(order, [], taxSettingsRef.current), firedItems: {}, kotCount: 0, cancellations: [] };
             }
             return order;
         });
@@ -171,7 +356,7 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
     }, []);
 
     const removeOrder = useCallback(async (tableId, orderId) => {
@@ -190,7 +375,7 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
     }, []);
 
     const clearTable = useCallback(async (tableId) => {
@@ -208,12 +393,44 @@ export const useTables = () => {
         tablesRef.current = newlyUpdatedTables;
         setTables(newlyUpdatedTables);
 
-        await updateTable(tableId, updatedTable);
+        await updateTable(tableId, updatedTable, table);
     }, []);
 
+    // Changes spanning two tables go through a transaction on the latest server
+    // state; local state is updated from what was committed, not optimistically
+    const commitTables = useCallback(async (tableIds, updateFn) => {
+        const updated = await updateTablesInTransaction(tableIds, updateFn);
+        if (!updated) return false;
+
+        const newlyUpdatedTables = { ...tablesRef.current, ...updated };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+        return true;
+    }, []);
+
+    const moveOrder = useCallback(async (fromTableId, toTableId, orderId) => {
+        return commitTables([fromTableId, toTableId], (current) =>
+            moveOrderToTable(current, String(fromTableId), String(toTableId), orderId)
+        );
+    }, [commitTables]);
+
+    const mergeTables = useCallback(async (fromTableId, toTableId) => {
+        return commitTables([fromTableId, toTableId], (current) =>
+            mergeTableOrders(current, String(fromTableId), String(toTableId))
+        );
+    }, [commitTables]);
+
+    // transfer: { fromTableId, fromOrderId, toTableId, toOrderId (optional), lineId, quantity }
+    const transferItem = useCallback(async (transfer) => {
+        const fromTableId = String(transfer.fromTableId);
+        const toTableId = String(transfer.toTableId);
+        return commitTables([fromTableId, toTableId], (current) =>
+            transferOrderLine(current, { ...transfer, fromTableId, toTableId, toOrderId: transfer.toOrderId || null }, taxSettingsRef.current)
+        );
+    }, [commitTables]);
+
     const addNewTable = useCallback(async () => {
-        const existingTableIds = Object.keys(tablesRef.current).map(Number);
-        const newTableId = existingTableIds.length > 0 ? Math.max(...existingTableIds) + 1 : 11;
+        const newTableId = getNextTableId(tablesRef.current);
         const newTable = {
             id: newTableId,
             orders: [],
@@ -223,16 +440,42 @@ export const useTables = () => {
         return newTableId;
     }, []);
 
+    // Start a takeaway / delivery / aggregator ticket in the order queue; returns its id
+    const openQueueTicket = useCallback(async (orderType, details, orderTypeSettings) => {
+        const ticket = createQueueTicket(orderType, details, orderTypeSettings);
+
+        // Optimistic UI Update
+        const newlyUpdatedTables = { ...tablesRef.current, [ticket.id]: ticket };
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await updateTable(ticket.id, ticket);
+        return ticket.id;
+    }, []);
+
+    // Remove a settled queue ticket (tables are cleared instead, since they stay on the floor)
+    const closeQueueTicket = useCallback(async (ticketId) => {
+        const newlyUpdatedTables = { ...tablesRef.current };
+        delete newlyUpdatedTables[ticketId];
+        tablesRef.current = newlyUpdatedTables;
+        setTables(newlyUpdatedTables);
+
+        await deleteTableFirebase(ticketId);
+    }, []);
+
     const deleteTable = useCallback(async (tableId) => {
         const table = tablesRef.current[tableId];
         if (table && table.orders.length > 0) {
             const nonEmptyOrders = table.orders.filter(order => order.total > 0);
             if (nonEmptyOrders.length > 0) {
+                const breakdown = getOrdersBreakdown(nonEmptyOrders, await getTaxSettings());
                 const historyEntry = {
                     id: Date.now().toString(),
                     tableId,
+                    ...getOrderDetails(table),
                     orders: nonEmptyOrders,
-                    total: table.total,
+                    total: breakdown.total,
+                    breakdown,
                     timestamp: new Date().toLocaleString()
                 };
                 await addHistoryFirebase(historyEntry);
@@ -245,13 +488,24 @@ export const useTables = () => {
     return {
         tables,
         loading,
+        tableConflicts,
+        dismissTableConflicts,
         addOrderToTable,
         addItemToOrder,
         updateItemQuantity,
+        applyLineDiscount,
+        fireKitchenTicket,
+        setLineStatus,
+        cancelFiredQuantity,
         clearOrder,
         removeOrder,
         clearTable,
+        moveOrder,
+        mergeTables,
+        transferItem,
         addNewTable,
+        openQueueTicket,
+        closeQueueTicket,
         deleteTable,
         tablesRef
     };
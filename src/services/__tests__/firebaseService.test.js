@@ -0,0 +1,48 @@
+// Checkout history against the in-memory storage backend (see jest.config.js)
+
+import { addHistory, getPagedHistory, getHistorySummary } from '../firebaseService';
+
+const checkout = (tableId, total, paymentMethod = 'Cash') => ({
+  tableId,
+  orders: [{ items: [{ id: 'tea', name: 'Tea', price: total, quantity: 1 }], total }],
+  total,
+  paymentMethod
+});
+
+describe('checkout history', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await addHistory(checkout('1', 100));
+    await addHistory(checkout('2', 40, 'UPI'));
+    await addHistory(checkout('3', 60));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers each saved bill in order', async () => {
+    const { entries } = await getPagedHistory({}, null, 10);
+    const numbers = entries.map(entry => entry.billNumber).reverse();
+    expect(numbers).toHaveLength(3);
+    expect(new Set(numbers).size).toBe(3);
+    expect([...numbers].sort()).toEqual(numbers);
+  });
+
+  it('pages through the bills newest first', async () => {
+    const first = await getPagedHistory({}, null, 2);
+    expect(first.entries.map(entry => entry.tableId)).toEqual(['3', '2']);
+    expect(first.hasMore).toBe(true);
+
+    const second = await getPagedHistory({}, first.lastVisible, 2);
+    expect(second.entries.map(entry => entry.tableId)).toEqual(['1']);
+    expect(second.hasMore).toBe(false);
+  });
+
+  it('filters by payment method', async () => {
+    const { entries } = await getPagedHistory({ paymentMethod: 'Cash' }, null, 10);
+    expect(entries.map(entry => entry.tableId)).toEqual(['3', '1']);
+    expect(await getHistorySummary({ paymentMethod: 'Cash' })).toEqual({ count: 2, total: 160 });
+  });
+});
@@ -1,4 +1,13 @@
 import {
+  db,
+  auth,
+  doc,
+  setDoc,
+  getDoc,
+  collection,
+  query,
+  where,
+  getDocs,
   signInWithEmailAndPassword,
   signOut,
   onAuthStateChanged,
@@ -6,9 +15,8 @@ import {
   updatePassword,
   reauthenticateWithCredential,
   EmailAuthProvider
-} from 'firebase/auth';
-import { db, auth } from '../firebase';
-import { doc, setDoc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
+} from '../storage';
+import { ensureBillCounters } from './firebaseService';
 
 // Rate limiting constants
 const MAX_LOGIN_ATTEMPTS = 5;
@@ -165,6 +173,11 @@ class AuthService {
         this.currentUser = null;
       }
 
+      // Start the bill counters other staff's checkouts number bills on
+      if (this.isAdmin()) {
+        ensureBillCounters().catch(error => console.error('Error starting bill counters:', error));
+      }
+
       // Notify all listeners after user data is fully loaded
       this.authListeners.forEach(callback => callback(this.currentUser));
     });
@@ -180,10 +193,12 @@ class AuthService {
     };
   }
 
-  // Check if user has required permission
+  // Check if user has required permission. Users stored before a permission was
+  // added to their role's defaults still get it (firestore.rules does the same).
   hasPermission(permission) {
     if (!this.currentUser) return false;
-    return this.currentUser.permissions?.includes(permission) || false;
+    return this.currentUser.permissions?.includes(permission)
+      || Boolean(this.currentUser.role && this.getDefaultPermissions(this.currentUser.role).includes(permission));
   }
 
   // Check if user is admin
@@ -191,6 +206,11 @@ class AuthService {
     return this.currentUser?.role === 'admin';
   }
 
+  // Check if user only operates the kitchen display (wall tablet logins)
+  isKitchenOnly() {
+    return this.currentUser?.role === 'kitchen';
+  }
+
   // Login with rate limiting
   async login(email, password) {
     try {
@@ -435,9 +455,10 @@ class AuthService {
   // Get default permissions based on role
   getDefaultPermissions(role) {
     const permissions = {
-      admin: ['settings_access', 'menu_management', 'user_management', 'order_history', 'reports'],
-      manager: ['settings_access', 'menu_management', 'order_history'],
-      user: ['order_history']
+      admin: ['settings_access', 'menu_management', 'user_management', 'order_history', 'reports', 'apply_discount', 'void_refund'],
+      manager: ['settings_access', 'menu_management', 'order_history', 'apply_discount', 'void_refund'],
+      user: ['order_history'],
+      kitchen: []
     };
 
     return permissions[role] || permissions.user;
@@ -493,6 +514,7 @@ export const register = authService.register.bind(authService);
 export const changePassword = authService.changePassword.bind(authService);
 export const hasPermission = authService.hasPermission.bind(authService);
 export const isAdmin = authService.isAdmin.bind(authService);
+export const isKitchenOnly = authService.isKitchenOnly.bind(authService);
 export const isAuthenticated = authService.isAuthenticated.bind(authService);
 export const getCurrentUser = authService.getCurrentUser.bind(authService);
 export const canAccessSettings = authService.canAccessSettings.bind(authService);
@@ -17,8 +17,8 @@
 // - Leverages real-time listeners for instant UI updates
 // - Includes performance monitoring for optimization insights
 
-import { db } from '../firebase';
 import {
+  db,
   collection,
   doc,
   setDoc,
@@ -31,12 +31,16 @@ import {
   orderBy,
   where,
   writeBatch,
+  runTransaction,
   serverTimestamp,
   Timestamp,
   limit,
   startAfter,
-  increment
-} from 'firebase/firestore';
+  increment,
+  getAggregateFromServer,
+  count,
+  sum
+} from '../storage';
 
 // Helper for local date keys
 export const getLocalDateString = (d = new Date()) => {
@@ -48,12 +52,46 @@ export const getLocalDateString = (d = new Date()) => {
 
 // Import performance monitoring utilities
 import { monitorFirebaseOperation, monitorFirestoreListener } from '../utils/performanceMonitor';
-import { getCurrentShift } from './shiftService';
+import { getCurrentShift, getTaxSettings } from './shiftService';
+import { isTableFree, getTableTotal } from '../utils/tableUtils';
+import { mergeTableEdit } from '../utils/tableMergeUtils';
+import { DEFAULT_TAX_SETTINGS } from '../utils/taxUtils';
+import { normalizeBillNumberSettings, getFinancialYear, getBillCounterId, formatBillNumber } from '../utils/billNumberUtils';
+import { buildAdjustment, negateOrders, scaleBreakdown } from '../utils/refundUtils';
+import {
+  getHistorySearchFields,
+  normalizeHistoryFilters,
+  validateHistoryFilters,
+  getTableIdVariants,
+  getBillNumberVariants,
+  SPLIT_PAYMENT_FILTER
+} from '../utils/historyFilterUtils';
+import { getOrderType, getOrderDetails, getQueueLabel, isQueueTicketId } from '../utils/orderTypeUtils';
+import { planSaleUsage, readSaleStock, writeSaleUsage } from './inventoryService';
+import { restoreBatches } from '../utils/preparedStockUtils';
+import {
+  createIdempotencyKey,
+  enqueueWrite,
+  removeQueuedWrite,
+  markQueuedWriteFailed,
+  moveQueuedWriteToFailed,
+  getQueuedWrites,
+  getQueuedWritesAsync,
+  onQueuedWritesChange
+} from './outboxService';
 
 // Collection references
 const tablesCollection = collection(db, 'tables');
 const historyCollection = collection(db, 'history');
 const menuItemsCollection = collection(db, 'menuItems');
+const countersCollection = collection(db, 'counters');
+// Single running bill counter used before bills were numbered per outlet and financial year
+const legacyBillCounterRef = doc(countersCollection, 'bills');
+const posConfigRef = doc(db, 'settings', 'posConfig');
+const auditLogsCollection = collection(db, 'audit_logs');
+const lineCancellationsCollection = collection(db, 'line_cancellations');
+const usageLogsCollection = collection(db, 'usage_logs');
+const writeReceiptsCollection = collection(db, 'write_receipts');
 
 
 
@@ -192,6 +230,8 @@ const updateConnectionState = (state) => {
 if (typeof window !== 'undefined') {
   window.addEventListener('online', () => {
     updateConnectionState(true);
+    // Send what was captured while offline
+    flushQueuedWrites();
   });
 
   window.addEventListener('offline', () => {
@@ -211,6 +251,19 @@ export const onConnectionStateChange = (callback) => {
   };
 };
 
+// Writes go to the offline outbox while offline, and while earlier offline writes are
+// still waiting, so they reach the server in the order they were made
+const shouldQueueWrites = () => !isOnline || getQueuedWrites().length > 0;
+
+// Firestore could not reach the server, or gave up waiting for it; only these
+// are worth retrying
+const isNetworkError = (error) => ['unavailable', 'deadline-exceeded'].includes(error?.code);
+
+const queueWrite = async (type, payload, key = createIdempotencyKey(type)) => {
+  await enqueueWrite({ key, type, payload });
+  if (isOnline) flushQueuedWrites();
+};
+
 // Get all tables data with performance monitoring and caching
 export const getAllTables = async () => {
   try {
@@ -256,16 +309,47 @@ export const getAllTables = async () => {
   }
 };
 
-// Subscribe to real-time tables updates
+// Table writes still in the offline outbox, applied over the server's tables
+const applyQueuedTableWrites = (serverTables) => {
+  const tables = { ...serverTables };
+  getQueuedWrites().forEach(write => {
+    if (write.type === 'updateTable') {
+      const { tableId, tableData, base } = write.payload;
+      const table = base
+        ? mergeTableEdit(base, tableData, tables[tableId] || null, getCached('taxSettings') || DEFAULT_TAX_SETTINGS).table
+        : { ...tables[tableId], ...tableData };
+      if (table) tables[tableId] = table;
+      else delete tables[tableId];
+    } else if (write.type === 'deleteTable') {
+      delete tables[write.payload.tableId];
+    }
+  });
+  return tables;
+};
+
+// Subscribe to real-time tables updates; changes waiting in the offline outbox are
+// shown on top of the server's data until they have been sent
 export const subscribeToTables = (callback) => {
-  const unsubscribe = onSnapshot(tablesCollection, (snapshot) => {
+  let serverTables = null;
+
+  const unsubscribeSnapshot = onSnapshot(tablesCollection, (snapshot) => {
     const tables = {};
     snapshot.forEach((doc) => {
       tables[doc.id] = doc.data();
     });
-    callback(tables);
+    serverTables = tables;
+    callback(applyQueuedTableWrites(serverTables));
   });
 
+  const unsubscribeQueue = onQueuedWritesChange(() => {
+    if (serverTables) callback(applyQueuedTableWrites(serverTables));
+  });
+
+  const unsubscribe = () => {
+    unsubscribeSnapshot();
+    unsubscribeQueue();
+  };
+
   // Return wrapped unsubscribe for performance monitoring
   return monitorFirestoreListener('tables_subscription', unsubscribe);
 };
@@ -292,15 +376,104 @@ export const getTable = async (tableId) => {
   }
 };
 
-// Update or create table with performance monitoring, caching, and batch optimization
-export const updateTable = async (tableId, tableData) => {
+// Conflict notices for table edits another device got in the way of (see tableMergeUtils)
+let tableConflictListeners = [];
+
+export const onTableConflict = (callback) => {
+  tableConflictListeners.push(callback);
+  return () => {
+    tableConflictListeners = tableConflictListeners.filter(cb => cb !== callback);
+  };
+};
+
+const notifyTableConflicts = (tableId, conflicts) => {
+  if (conflicts.length === 0) return;
+  tableConflictListeners.forEach(callback => callback({ tableId, conflicts }));
+};
+
+// Tax settings used to reprice orders merged with another device's changes
+const getMergeTaxSettings = async () => {
+  const cachedSettings = getCached('taxSettings');
+  if (cachedSettings) return cachedSettings;
+  const settings = await getTaxSettings();
+  setCached('taxSettings', settings);
+  return settings;
+};
+
+// Write one table edit inside a transaction. Every write bumps the table's version;
+// if the version moved on since `base` was read, another device wrote in between
+// and the edit is merged into the server copy instead of overwriting it.
+// Returns { table, conflicts }; table is null when nothing was written.
+const applyTableEdit = async (transaction, tableId, base, tableData) => {
+  const tableRef = doc(tablesCollection, tableId);
+  const tableSnap = await transaction.get(tableRef);
+  const current = tableSnap.exists() ? tableSnap.data() : null;
+  const currentVersion = current?.version || 0;
+
+  const result = base && currentVersion !== (base.version || 0)
+    ? mergeTableEdit(base, tableData, current, await getMergeTaxSettings())
+    : { table: tableData, conflicts: [] };
+  if (!result.table) return result;
+
+  const table = { ...result.table, version: currentVersion + 1 };
+  // merge: true keeps fields this device does not know about (e.g. floor-plan fields)
+  transaction.set(tableRef, table, { merge: true });
+  return { table, conflicts: result.conflicts };
+};
+
+const writeTableEdit = async (tableId, base, tableData) => {
   try {
-    // Check connection state before proceeding
-    if (!isOnline) {
-      console.warn('Device is offline, cannot update table');
-      return;
+    const result = await monitorFirebaseOperation('updateTable', async () =>
+      runTransaction(db, (transaction) => applyTableEdit(transaction, tableId, base, tableData))
+    );
+    clearCache('tables');
+    notifyTableConflicts(tableId, result.conflicts);
+  } catch (error) {
+    console.error('Error updating table:', error);
+    // Connection dropped before the write reached the server
+    if (isNetworkError(error)) {
+      await queueWrite('updateTable', { tableId, tableData, base }).catch(queueError => console.error('Error queueing table update:', queueError));
     }
+  }
+};
+
+// Edits to a table are written one at a time, in the order they were made. An edit
+// made on top of one that is still waiting to be written is folded into it, so a
+// burst of taps on one table costs a single write.
+const TABLE_WRITE_DELAY = 50; // ms to wait for further edits before writing
+const tableWriteQueues = {};
+
+const scheduleTableWrite = (tableId, base, tableData) => {
+  if (!tableWriteQueues[tableId]) tableWriteQueues[tableId] = { waiting: null, last: Promise.resolve() };
+  const queue = tableWriteQueues[tableId];
+
+  if (queue.waiting && base && base === queue.waiting.tableData) {
+    queue.waiting.tableData = tableData;
+    return queue.waiting.written;
+  }
 
+  const edit = { base, tableData };
+  edit.written = queue.last
+    .then(() => new Promise(resolve => setTimeout(resolve, TABLE_WRITE_DELAY)))
+    .then(() => {
+      if (queue.waiting === edit) queue.waiting = null;
+      return writeTableEdit(tableId, edit.base, edit.tableData);
+    });
+  queue.waiting = edit;
+  queue.last = edit.written;
+  return edit.written;
+};
+
+/**
+ * Update or create a table
+ * @param {string|number} tableId
+ * @param {Object} tableData - The table after the edit
+ * @param {Object|null} base - The table the edit was made on. With it, changes
+ *   made on another device in the meantime are merged rather than overwritten;
+ *   without it the table is written as given.
+ */
+export const updateTable = async (tableId, tableData, base = null) => {
+  try {
     // Validate tableId is a string
     if (typeof tableId !== 'string' && typeof tableId !== 'number') {
       console.error('Invalid tableId:', tableId);
@@ -316,54 +489,55 @@ export const updateTable = async (tableId, tableData) => {
       return;
     }
 
-    // Debounce rapid updates to prevent excessive Firebase calls
-    if (!updateTable._pendingUpdates) {
-      updateTable._pendingUpdates = {};
+    if (shouldQueueWrites()) {
+      await queueWrite('updateTable', { tableId: stringTableId, tableData, base: base || null });
+      return;
     }
 
-    // Clear any pending timeout for this table
-    if (updateTable._pendingUpdates[stringTableId]) {
-      clearTimeout(updateTable._pendingUpdates[stringTableId]);
+    await scheduleTableWrite(stringTableId, base, tableData);
+  } catch (error) {
+    console.error('Error updating table:', error);
+  }
+};
+
+// Read-modify-write several tables in one transaction, so moving orders between tables can
+// never lose or duplicate them. updateFn receives { [tableId]: table|null } with the latest
+// server state and returns the tables to write; it may run more than once if the transaction retries.
+export const updateTablesInTransaction = async (tableIds, updateFn) => {
+  try {
+    if (!isOnline) {
+      console.warn('Device is offline, cannot update tables');
+      return false;
     }
 
-    // Store the latest data to apply when timeout completes
-    updateTable._pendingUpdates[stringTableId] = tableData;
-
-    // Create a small delay to debounce rapid updates
-    await new Promise(resolve => {
-      updateTable._pendingUpdates[stringTableId] = setTimeout(async () => {
-        try {
-          // Clear relevant cache entries
-          clearCache('tables');
-
-          // Monitor the operation
-          await monitorFirebaseOperation('updateTable', async () => {
-            // Add timeout to prevent hanging, clearing it to avoid memory leaks
-            let timeoutId;
-            const timeoutPromise = new Promise((_, reject) => {
-              timeoutId = setTimeout(() => reject(new Error('Firebase timeout')), 60000);
-            });
-
-            try {
-              // Use merge: true to avoid completely overwriting the document and losing data 
-              // from concurrent updates by other waiters
-              const firebasePromise = setDoc(doc(tablesCollection, stringTableId), tableData, { merge: true });
-              await Promise.race([firebasePromise, timeoutPromise]);
-            } finally {
-              if (timeoutId) clearTimeout(timeoutId);
-            }
-          });
-        } catch (error) {
-          console.error('Error updating table:', error);
-        } finally {
-          // Clean up the pending update reference
-          delete updateTable._pendingUpdates[stringTableId];
-          resolve();
-        }
-      }, 50); // 50ms debounce period
-    });
+    // Reads the server's tables, so offline changes to them have to be sent first
+    if (getQueuedWrites().length > 0 && !(await flushQueuedWrites())) {
+      console.warn('Offline changes are still being sent, cannot update tables');
+      return false;
+    }
+
+    const stringTableIds = [...new Set(tableIds.map(String))];
+
+    const updatedTables = await monitorFirebaseOperation('updateTablesInTransaction', async () => runTransaction(db, async (transaction) => {
+      const currentTables = {};
+      for (const tableId of stringTableIds) {
+        const tableSnap = await transaction.get(doc(tablesCollection, tableId));
+        currentTables[tableId] = tableSnap.exists() ? tableSnap.data() : null;
+      }
+
+      const updates = updateFn(currentTables);
+      return Object.fromEntries(Object.entries(updates).map(([tableId, tableData]) => {
+        const table = { ...tableData, version: (currentTables[String(tableId)]?.version || 0) + 1 };
+        transaction.set(doc(tablesCollection, String(tableId)), table, { merge: true });
+        return [tableId, table];
+      }));
+    }));
+
+    clearCache('tables');
+    return updatedTables;
   } catch (error) {
-    console.error('Error updating table:', error);
+    console.error('Error updating tables in transaction:', error);
+    return false;
   }
 };
 
@@ -379,6 +553,11 @@ export const deleteTable = async (tableId) => {
     // Convert to string if it's a number
     const stringTableId = String(tableId);
 
+    if (shouldQueueWrites()) {
+      await queueWrite('deleteTable', { tableId: stringTableId });
+      return;
+    }
+
     // Monitor the operation
     await monitorFirebaseOperation('deleteTable', async () => {
       await deleteDoc(doc(tablesCollection, stringTableId));
@@ -429,7 +608,432 @@ export const subscribeToHistory = (callback) => {
   return monitorFirestoreListener('history_subscription', unsubscribe);
 };
 
-// Add a history entry with performance monitoring
+// Query constraints for the history filters (see historyFilterUtils). Several
+// of these together need the composite indexes in FIRESTORE_INDEXES.md.
+const buildHistoryConstraints = (filters) => {
+  const filterError = validateHistoryFilters(filters);
+  if (filterError) throw new Error(filterError);
+
+  const { start, end, tableId, paymentMethod, shiftId, minAmount, maxAmount, itemName, billNumber } = normalizeHistoryFilters(filters);
+  const constraints = [];
+  if (start) constraints.push(where('timestamp', '>=', Timestamp.fromDate(start)));
+  if (end) constraints.push(where('timestamp', '<', Timestamp.fromDate(end)));
+  if (tableId) constraints.push(where('tableId', 'in', getTableIdVariants(tableId)));
+  if (billNumber) constraints.push(where('billNumber', 'in', getBillNumberVariants(billNumber)));
+  // A split bill is listed under each of its methods; 'Split' finds the split bills themselves
+  if (paymentMethod === SPLIT_PAYMENT_FILTER) constraints.push(where('paymentMethod', '==', SPLIT_PAYMENT_FILTER));
+  else if (paymentMethod) constraints.push(where('paymentMethods', 'array-contains', paymentMethod));
+  if (shiftId) constraints.push(where('shiftId', '==', shiftId));
+  if (minAmount !== null) constraints.push(where('total', '>=', minAmount));
+  if (maxAmount !== null) constraints.push(where('total', '<=', maxAmount));
+  if (itemName) constraints.push(where('itemNames', 'array-contains', itemName));
+  return constraints;
+};
+
+// Get one page of history matching the filters, newest first. Pass the
+// lastVisible of the previous page to get the next one.
+export const getPagedHistory = async (filters = {}, lastDoc = null, pageSize = 25) => {
+  return await monitorFirebaseOperation('getPagedHistory', async () => {
+    // One extra document tells whether there is another page
+    let q = query(historyCollection, ...buildHistoryConstraints(filters), orderBy('timestamp', 'desc'), limit(pageSize + 1));
+    if (lastDoc) {
+      q = query(q, startAfter(lastDoc));
+    }
+
+    const historySnapshot = await getDocs(q);
+    const pageDocs = historySnapshot.docs.slice(0, pageSize);
+    const entries = pageDocs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const lastVisible = pageDocs[pageDocs.length - 1] || null;
+
+    return { entries, lastVisible, hasMore: historySnapshot.docs.length > pageSize };
+  });
+};
+
+// Count and total of all history matching the filters, worked out by the
+// server without reading the bills. Voids and refunds count with their
+// negative totals, so the total is net sales, but they are not bills, so they
+// are left out of the count. A reopened (restored) bill is settled again as a
+// new bill, so it is taken back out of both; a '!=' filter cannot do that, as
+// it would also drop every bill without a status.
+export const getHistorySummary = async (filters = {}) => {
+  return await monitorFirebaseOperation('getHistorySummary', async () => {
+    const constraints = buildHistoryConstraints(filters);
+    const aggregates = { count: count(), total: sum('total') };
+    const [all, restored, adjustments] = await Promise.all([
+      getAggregateFromServer(query(historyCollection, ...constraints), aggregates),
+      getAggregateFromServer(query(historyCollection, ...constraints, where('status', '==', 'restored')), aggregates),
+      getAggregateFromServer(query(historyCollection, ...constraints, where('type', 'in', ['void', 'refund'])), { count: count() })
+    ]);
+    return {
+      count: all.data().count - restored.data().count - adjustments.data().count,
+      total: (all.data().total || 0) - (restored.data().total || 0)
+    };
+  });
+};
+
+// Add the fields the history filters match on (see getHistorySearchFields) to
+// bills saved before they existed. Goes through the history a page at a time;
+// returns the number of bills updated.
+export const backfillHistorySearchFields = async (pageSize = 200) => {
+  return await monitorFirebaseOperation('backfillHistorySearchFields', async () => {
+    let updated = 0;
+    let lastDoc = null;
+    for (;;) {
+      let q = query(historyCollection, orderBy('__name__'), limit(pageSize));
+      if (lastDoc) {
+        q = query(q, startAfter(lastDoc));
+      }
+      const historySnapshot = await getDocs(q);
+      if (historySnapshot.empty) break;
+
+      const batch = writeBatch(db);
+      let batchSize = 0;
+      historySnapshot.docs.forEach((historyDoc) => {
+        const entry = historyDoc.data();
+        if (Array.isArray(entry.itemNames) && Array.isArray(entry.paymentMethods)) return;
+        batch.update(doc(historyCollection, historyDoc.id), getHistorySearchFields(entry, extractSoldItems(entry)));
+        batchSize++;
+      });
+      if (batchSize > 0) await batch.commit();
+      updated += batchSize;
+
+      lastDoc = historySnapshot.docs[historySnapshot.docs.length - 1];
+      if (historySnapshot.docs.length < pageSize) break;
+    }
+    return updated;
+  });
+};
+
+// Collect the sold lines of a history entry
+const extractSoldItems = (historyEntry) => {
+  if (Array.isArray(historyEntry.orders)) {
+    return historyEntry.orders.flatMap(order => order.items || []);
+  }
+
+  // Legacy entries without an orders array - walk the entry for item-like objects
+  const itemsList = [];
+  const extractItems = (obj) => {
+    if (!obj) return;
+    if (Array.isArray(obj)) {
+      obj.forEach(extractItems);
+    } else if (typeof obj === 'object') {
+      if (obj.name && (obj.price !== undefined || obj.quantity !== undefined)) {
+        itemsList.push(obj);
+      } else {
+        Object.values(obj).forEach(extractItems);
+      }
+    }
+  };
+  extractItems(historyEntry);
+  return itemsList;
+};
+
+// daily_metrics increments for a settled bill (sign -1 reverses a previously booked bill).
+// countBill: false leaves order/table/discount counts alone, for partial refunds.
+const buildDailyMetricsUpdates = (historyEntry, dateStr, sign = 1, { countBill = true } = {}) => {
+  const revenue = Number(historyEntry.total) || 0;
+  const itemsList = extractSoldItems(historyEntry);
+
+  let ordersCount = 0;
+  if (Array.isArray(historyEntry.orders)) {
+    ordersCount = historyEntry.orders.length;
+  } else if (itemsList.length > 0) {
+    ordersCount = 1;
+  }
+
+  const orderType = getOrderType(historyEntry);
+  const dineInTables = orderType === 'dine_in' && historyEntry.tableId ? 1 : 0;
+
+  const updates = {
+    date: dateStr,
+    totalSales: increment(sign * revenue),
+    lastUpdated: serverTimestamp()
+  };
+  if (countBill) {
+    updates.totalOrders = increment(sign * ordersCount);
+    updates.dineInTables = increment(sign * dineInTables);
+  }
+
+  // Bills and revenue per order type (dine_in, takeaway, delivery, aggregator)
+  if (countBill) updates[`ordersByType.${orderType}.count`] = increment(sign);
+  updates[`ordersByType.${orderType}.amount`] = increment(sign * revenue);
+
+  // Sum per item first - the same dish can appear in several orders on one bill
+  const itemSales = {};
+  for (const item of itemsList) {
+    if (!item.name) continue;
+    const safeName = item.name.replace(/[^a-zA-Z0-9]/g, "_");
+    const qty = Number(item.quantity) || 1;
+    const entry = itemSales[safeName] || { name: item.name, qty: 0, revenue: 0 };
+    entry.qty += qty;
+    entry.revenue += (Number(item.price) || 0) * qty;
+    itemSales[safeName] = entry;
+  }
+
+  for (const [safeName, { name, qty, revenue: itemRevenue }] of Object.entries(itemSales)) {
+    updates[`itemSales.${safeName}.name`] = name;
+    updates[`itemSales.${safeName}.qty`] = increment(sign * qty);
+    updates[`itemSales.${safeName}.revenue`] = increment(sign * itemRevenue);
+  }
+
+  // Tax engine breakdown (net sales, tax per class, service charge, round-off)
+  const breakdown = historyEntry.breakdown;
+  if (breakdown) {
+    updates.netSales = increment(sign * (breakdown.net || 0));
+    updates.taxCollected = increment(sign * (breakdown.totalTax || 0));
+    updates.serviceCharge = increment(sign * (breakdown.serviceCharge || 0));
+    updates.roundOff = increment(sign * (breakdown.roundOff || 0));
+    updates.packagingCharges = increment(sign * (breakdown.packagingCharge || 0));
+
+    for (const tax of breakdown.taxes || []) {
+      const safeClass = String(tax.classId).replace(/[^a-zA-Z0-9]/g, "_");
+      updates[`taxByClass.${safeClass}.name`] = tax.name;
+      updates[`taxByClass.${safeClass}.rate`] = tax.rate;
+      updates[`taxByClass.${safeClass}.taxable`] = increment(sign * (tax.taxable || 0));
+      updates[`taxByClass.${safeClass}.amount`] = increment(sign * (tax.amount || 0));
+    }
+
+    // Gross (menu value) vs discounts, so analytics can show gross vs net sales
+    updates.grossSales = increment(sign * (breakdown.gross ?? breakdown.subtotal ?? 0));
+    updates.discountTotal = increment(sign * (breakdown.discount || 0));
+
+    // Sum per reason first - one bill can carry several discounts with the same reason
+    const discountsByReason = {};
+    for (const discount of breakdown.discounts || []) {
+      const reason = discount.reason || 'Unspecified';
+      const entry = discountsByReason[reason] || { count: 0, amount: 0 };
+      entry.count += 1;
+      entry.amount += discount.amount || 0;
+      discountsByReason[reason] = entry;
+    }
+    for (const [reason, { count, amount }] of Object.entries(discountsByReason)) {
+      const safeReason = reason.replace(/[^a-zA-Z0-9]/g, "_");
+      updates[`discountsByReason.${safeReason}.reason`] = reason;
+      if (countBill) updates[`discountsByReason.${safeReason}.count`] = increment(sign * count);
+      updates[`discountsByReason.${safeReason}.amount`] = increment(sign * amount);
+    }
+  }
+
+  return updates;
+};
+
+// Payments recorded on a history entry; entries from before split payments have a single method
+const getEntryPayments = (historyEntry) => {
+  if (Array.isArray(historyEntry.payments) && historyEntry.payments.length > 0) {
+    return historyEntry.payments;
+  }
+  return [{ method: historyEntry.paymentMethod || 'Cash', amount: Number(historyEntry.total) || 0 }];
+};
+
+// Shift calculatedTotals increments for a set of payments (sign -1 reverses them)
+const buildShiftTotalsUpdates = (payments, sign = 1) => {
+  // Sum per method first - a split bill can have several parts on the same method
+  const methodTotals = {};
+  payments.forEach(payment => {
+    methodTotals[payment.method] = (methodTotals[payment.method] || 0) + (Number(payment.amount) || 0);
+  });
+
+  const totalRevenue = Object.values(methodTotals).reduce((sum, amount) => sum + amount, 0);
+  const cash = methodTotals.Cash || 0;
+  const nonCash = totalRevenue - cash;
+
+  const ctUpdates = {
+    totalRevenue: increment(sign * totalRevenue)
+  };
+  if (cash) {
+    ctUpdates.cashSales = increment(sign * cash);
+    ctUpdates.expectedCash = increment(sign * cash);
+  }
+  if (nonCash) {
+    ctUpdates.upiSales = increment(sign * nonCash);
+    const breakdown = {};
+    Object.entries(methodTotals).forEach(([method, amount]) => {
+      if (method !== 'Cash') breakdown[method] = increment(sign * amount);
+    });
+    ctUpdates.paymentMethodBreakdown = breakdown;
+  }
+  return ctUpdates;
+};
+
+// Last number of the old running counter (counters/bills) when the counter for the
+// year in progress is first created, or null once another counter carried it on.
+// The first counter created after the upgrade takes over from it, so the year's
+// numbers never repeat the bills already issued in it.
+const readLegacyBillCount = async (transaction) => {
+  const legacySnap = await transaction.get(legacyBillCounterRef);
+  return legacySnap.exists() && !legacySnap.data().migratedTo ? legacySnap.data().lastNumber || 0 : null;
+};
+
+const buildBillCounter = (lastNumber, billSettings, financialYear) => ({
+  lastNumber,
+  outletCode: billSettings.outletCode,
+  financialYear: financialYear.id,
+  updatedAt: serverTimestamp()
+});
+
+// Create the outlet's bill counters for this financial year and the next, so no
+// checkout has to: only admins may create counters (see firestore.rules), the
+// rest may only take the next number. Run when an admin signs in and after the
+// bill number settings change. Returns the number of counters created.
+export const ensureBillCounters = async () => {
+  return await monitorFirebaseOperation('ensureBillCounters', async () => runTransaction(db, async (transaction) => {
+    const configSnap = await transaction.get(posConfigRef);
+    const billSettings = normalizeBillNumberSettings(configSnap.exists() ? configSnap.data().billNumberSettings : null);
+    const thisYear = getFinancialYear(getLocalDateString(), billSettings);
+    const nextYear = getFinancialYear(
+      new Date(thisYear.startYear + 1, billSettings.financialYearStartMonth - 1, billSettings.financialYearStartDay),
+      billSettings
+    );
+    const years = [thisYear, nextYear];
+    const counterRefs = years.map(financialYear => doc(countersCollection, getBillCounterId(billSettings.outletCode, financialYear)));
+    const counterSnaps = await Promise.all(counterRefs.map(counterRef => transaction.get(counterRef)));
+    const legacyCount = counterSnaps[0].exists() ? null : await readLegacyBillCount(transaction);
+
+    let created = 0;
+    years.forEach((financialYear, index) => {
+      if (counterSnaps[index].exists()) return;
+      const lastNumber = index === 0 && legacyCount !== null ? legacyCount : 0;
+      transaction.set(counterRefs[index], buildBillCounter(lastNumber, billSettings, financialYear));
+      created++;
+    });
+    if (legacyCount !== null) {
+      transaction.set(legacyBillCounterRef, { migratedTo: counterRefs[0].id, migratedAt: serverTimestamp() }, { merge: true });
+    }
+    return created;
+  }));
+};
+
+// Save a bill under historyId. The history id doubles as the idempotency key of a
+// checkout replayed from the offline outbox: if the bill is already saved it is
+// returned as it is, without another bill number or a second stock deduction.
+// Stock for stock-linked menu items is deducted in the same transaction, so the
+// bill and its stockUsage are saved together or not at all; a replayed checkout
+// is deducted when it reaches the server.
+// The bill number comes from the outlet's counter for the financial year of the
+// sale (see billNumberUtils), taken in the same transaction so it has no gaps.
+// The counter is normally there already (see ensureBillCounters); if it is not,
+// only an admin's checkout can start it.
+// shiftId is the shift open when the sale was made (a replayed checkout passes the
+// one captured when it was queued); left out, the shift open now is used.
+const saveHistory = async (historyId, historyEntry, { metricsDate = getLocalDateString(), capturedAt = null, shiftId: saleShiftId } = {}) => {
+  const shiftId = saleShiftId !== undefined ? saleShiftId : await getCheckoutShiftId();
+  const paymentMethod = historyEntry.paymentMethod || 'Cash';
+  const dateStr = metricsDate;
+  const historyRef = doc(historyCollection, historyId);
+  const salePlan = await planSaleUsage(extractSoldItems(historyEntry));
+
+  // Financial year whose counter this checkout has to start, if any
+  let startsCounter = null;
+
+  // Monitor the operation
+  // Runs as a transaction so the bill counter increments exactly once per saved bill
+  const saved = await monitorFirebaseOperation('addHistory', async () => runTransaction(db, async (transaction) => {
+    const existingSnap = await transaction.get(historyRef);
+    if (existingSnap.exists()) {
+      return { billNumber: existingSnap.data().billNumber, duplicate: true };
+    }
+
+    // Read here rather than from the settings cache: a bill must never be
+    // numbered on a stale outlet code or financial year start. Every signed-in
+    // user may read settings/posConfig (see firestore.rules).
+    const configSnap = await transaction.get(posConfigRef);
+    const billSettings = normalizeBillNumberSettings(configSnap.exists() ? configSnap.data().billNumberSettings : null);
+    const financialYear = getFinancialYear(dateStr, billSettings);
+    const counterId = getBillCounterId(billSettings.outletCode, financialYear);
+    const counterRef = doc(countersCollection, counterId);
+    const counterSnap = await transaction.get(counterRef);
+
+    let lastNumber = counterSnap.exists() ? counterSnap.data().lastNumber || 0 : 0;
+    const legacyCount = counterSnap.exists() ? null : await readLegacyBillCount(transaction);
+    if (legacyCount !== null) lastNumber = legacyCount;
+    const billSequence = lastNumber + 1;
+    const nextBillNumber = formatBillNumber(billSequence, financialYear, billSettings);
+    const saleStock = salePlan ? await readSaleStock(transaction, salePlan) : null;
+
+    if (legacyCount !== null) {
+      transaction.set(legacyBillCounterRef, { migratedTo: counterId, migratedAt: serverTimestamp() }, { merge: true });
+    }
+
+    if (counterSnap.exists()) {
+      transaction.update(counterRef, { lastNumber: billSequence, updatedAt: serverTimestamp() });
+    } else {
+      startsCounter = financialYear.label;
+      transaction.set(counterRef, buildBillCounter(billSequence, billSettings, financialYear));
+    }
+
+    // A deduction that cannot be worked out (bad recipe data) is lost, and never holds up the bill
+    let stockUsage = null;
+    try {
+      stockUsage = salePlan ? writeSaleUsage(transaction, salePlan, saleStock, { historyId, billNumber: nextBillNumber, metricsDate: dateStr }) : null;
+    } catch (error) {
+      console.error('Error deducting stock for bill:', nextBillNumber, error);
+    }
+
+    transaction.set(historyRef, {
+      ...historyEntry,
+      billNumber: nextBillNumber,
+      billSequence,
+      financialYear: financialYear.id,
+      outletCode: billSettings.outletCode,
+      ...getHistorySearchFields({ ...historyEntry, paymentMethod }, extractSoldItems(historyEntry)), // for the history filters
+      paymentMethod,
+      shiftId,
+      metricsDate: dateStr, // daily_metrics doc the bill was booked under, needed to reverse it
+      ...(stockUsage && { stockUsage }), // what was deducted, so reopening the bill can put it back
+      ...(capturedAt && { capturedOfflineAt: capturedAt }),
+      timestamp: serverTimestamp()
+    });
+
+    // --- CLIENT SIDE AGGREGATION MVP ---
+    const dailyRef = doc(db, 'daily_metrics', dateStr);
+    transaction.set(dailyRef, buildDailyMetricsUpdates(historyEntry, dateStr), { merge: true });
+
+    // --- SHIFT TRACKING ---
+    if (shiftId) {
+      const shiftRef = doc(db, 'shifts', shiftId);
+      const ctUpdates = buildShiftTotalsUpdates(getEntryPayments(historyEntry));
+      transaction.set(shiftRef, { calculatedTotals: ctUpdates }, { merge: true });
+    }
+    // -----------------------------------
+
+    return { billNumber: nextBillNumber, duplicate: false };
+  })).catch(error => {
+    if (startsCounter && error?.code === 'permission-denied') {
+      throw new Error(`Bill numbering for ${startsCounter} has not been started yet. An admin needs to sign in once to start it.`);
+    }
+    throw error;
+  });
+
+  const { billNumber } = saved;
+  if (saved.duplicate) {
+    console.log('History entry already saved with ID:', historyId, 'bill number:', billNumber);
+    return { id: historyId, billNumber };
+  }
+
+  console.log('History entry added successfully with ID:', historyId, 'bill number:', billNumber);
+
+  return { id: historyId, billNumber };
+};
+
+// Id of the shift open now. Offline, when the shift cannot be looked up, it is the
+// last one seen on this device, so queued checkouts still land in their shift.
+let lastCheckoutShiftId = null;
+const getCheckoutShiftId = async () => {
+  // Offline lookups only see the local cache, which may not hold the shift at all
+  if (!isOnline && lastCheckoutShiftId !== null) return lastCheckoutShiftId;
+  try {
+    const currentShift = await getCurrentShift();
+    lastCheckoutShiftId = currentShift ? currentShift.id : null;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    console.warn('Could not look up the open shift, using the last one seen:', error);
+  }
+  return lastCheckoutShiftId;
+};
+
+// Add a history entry with performance monitoring. While offline the checkout is
+// queued in the offline outbox and saved on reconnect: it returns { queued: true }
+// with no bill number yet.
 export const addHistory = async (historyEntry) => {
   try {
     console.log('Adding history entry:', historyEntry);
@@ -441,99 +1045,446 @@ export const addHistory = async (historyEntry) => {
     }
 
     const historyId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    const metricsDate = getLocalDateString();
+    const capturedAt = new Date().toISOString();
+
+    if (shouldQueueWrites()) {
+      // Booked under the day and shift of the sale, however late it reaches the server
+      const shiftId = await getCheckoutShiftId();
+      await queueWrite('addHistory', { historyEntry, metricsDate, capturedAt, shiftId }, historyId);
+      return { id: historyId, billNumber: null, queued: true };
+    }
 
-    // Monitor the operation
-    await monitorFirebaseOperation('addHistory', async () => {
-      const batch = writeBatch(db);
+    const shiftId = await getCheckoutShiftId();
+    try {
+      return await saveHistory(historyId, historyEntry, { metricsDate, shiftId });
+    } catch (error) {
+      // Connection dropped mid-checkout: replaying under the same id cannot double-post
+      if (!isNetworkError(error)) throw error;
+      await queueWrite('addHistory', { historyEntry, metricsDate, capturedAt, shiftId }, historyId);
+      return { id: historyId, billNumber: null, queued: true };
+    }
+  } catch (error) {
+    console.error('Error adding history:', error);
+    return false;
+  }
+};
 
-      const currentShift = await getCurrentShift();
-      const shiftId = currentShift ? currentShift.id : null;
-      const paymentMethod = historyEntry.paymentMethod || 'Cash';
+// ================================================
+// Offline outbox replay
+// ================================================
+// Writes queued while offline (see outboxService) are sent one at a time in the
+// order they were made. A write that fails for lack of a connection stays at the
+// front of the queue and the rest wait behind it, so a later write never
+// overtakes an earlier one. A write the server rejects for good is moved to the
+// failed writes (shown in the navigation bar) and the queue carries on.
+
+// Apply a queued table write once: its key is recorded in write_receipts in the same
+// transaction. Table updates are merged like any other edit (see applyTableEdit).
+const applyQueuedTableWrite = (key, type, { tableId, tableData, base = null }) => runTransaction(db, async (transaction) => {
+  const receiptRef = doc(writeReceiptsCollection, key);
+  const receiptSnap = await transaction.get(receiptRef);
+  if (receiptSnap.exists()) return { conflicts: [] };
+
+  let result = { conflicts: [] };
+  if (type === 'deleteTable') transaction.delete(doc(tablesCollection, tableId));
+  else result = await applyTableEdit(transaction, tableId, base, tableData);
+  transaction.set(receiptRef, { type, tableId, appliedAt: serverTimestamp() });
+  return result;
+});
+
+const replayQueuedWrite = async (write) => {
+  switch (write.type) {
+    case 'updateTable':
+    case 'deleteTable': {
+      const result = await monitorFirebaseOperation('replayTableWrite', () => applyQueuedTableWrite(write.key, write.type, write.payload));
+      clearCache('tables');
+      notifyTableConflicts(write.payload.tableId, result.conflicts);
+      return;
+    }
+    case 'addHistory': {
+      // Checkouts queued before the shift was captured have no shiftId and take the open one
+      const { historyEntry, metricsDate, capturedAt, shiftId } = write.payload;
+      await saveHistory(write.key, historyEntry, { metricsDate, capturedAt, shiftId });
+      return;
+    }
+    default:
+      throw new Error(`Unknown queued write type: ${write.type}`);
+  }
+};
 
-      batch.set(doc(historyCollection, historyId), {
-        ...historyEntry,
-        paymentMethod,
-        shiftId,
-        timestamp: serverTimestamp()
+const QUEUE_RETRY_DELAY = 30000; // Retry a failed replay after 30 seconds
+let flushPromise = null;
+let queueRetryTimer = null;
+
+const replayQueue = async () => {
+  let writes = await getQueuedWritesAsync();
+  while (writes.length > 0 && isOnline) {
+    const write = writes[0];
+    try {
+      await replayQueuedWrite(write);
+    } catch (error) {
+      console.error('Error replaying queued write:', write.type, write.key, error);
+      if (isNetworkError(error)) {
+        await markQueuedWriteFailed(write.seq, error);
+        clearTimeout(queueRetryTimer);
+        queueRetryTimer = setTimeout(flushQueuedWrites, QUEUE_RETRY_DELAY);
+        return false;
+      }
+      await moveQueuedWriteToFailed(write.seq, error);
+      writes = getQueuedWrites();
+      continue;
+    }
+    await removeQueuedWrite(write.seq);
+    writes = getQueuedWrites();
+  }
+  return writes.length === 0;
+};
+
+/**
+ * Send the writes waiting in the offline outbox, in order. Calls made while a
+ * replay is running share it.
+ * @returns {Promise<boolean>} Whether the queue is now empty
+ */
+export const flushQueuedWrites = () => {
+  if (!isOnline) return Promise.resolve(false);
+  if (!flushPromise) {
+    flushPromise = replayQueue()
+      .catch(error => {
+        console.error('Error flushing offline outbox:', error);
+        return false;
+      })
+      .finally(() => {
+        flushPromise = null;
       });
+  }
+  return flushPromise;
+};
 
-      // --- CLIENT SIDE AGGREGATION MVP ---
-      const dateStr = getLocalDateString();
-      const dailyRef = doc(db, 'daily_metrics', dateStr);
+// Writes left over from an earlier session are sent once the queue has loaded
+getQueuedWritesAsync().then(writes => {
+  if (writes.length > 0) flushQueuedWrites();
+});
+
+// daily_metrics date a history entry was booked under (older entries only have their timestamp)
+const getEntryMetricsDate = (historyEntry) => {
+  if (historyEntry.metricsDate) return historyEntry.metricsDate;
+  const timestamp = historyEntry.timestamp;
+  if (timestamp && typeof timestamp.toDate === 'function') return getLocalDateString(timestamp.toDate());
+  const parsed = new Date(timestamp);
+  return Number.isNaN(parsed.getTime()) ? getLocalDateString() : getLocalDateString(parsed);
+};
 
-      const revenue = Number(historyEntry.total) || 0;
-      let ordersCount = 0;
-      const itemsList = [];
-      const extractItems = (obj) => {
-        if (!obj) return;
-        if (Array.isArray(obj)) {
-          obj.forEach(extractItems);
-        } else if (typeof obj === 'object') {
-          if (obj.name && (obj.price !== undefined || obj.quantity !== undefined)) {
-            itemsList.push(obj);
-          } else {
-            Object.values(obj).forEach(extractItems);
+// Put back the stock a bill deducted (see writeSaleUsage) and take its cost out of COGS
+// on the day it was booked. Prepared stock goes back into the batches it came from.
+// The reversal is logged as a negative sale usage.
+// stockById holds the inventory items that still exist, leaving out any deleted since the sale.
+const reverseStockUsage = (transaction, stockUsage, { historyId, billNumber, stockById }) => {
+  const negate = (ingredients) => ingredients.map(ingredient => ({ ...ingredient, quantityUsed: -ingredient.quantityUsed }));
+
+  stockUsage.ingredients
+    .filter(ingredient => stockById[ingredient.inventoryItemId])
+    .forEach(ingredient => {
+      transaction.update(doc(db, 'inventory_items', ingredient.inventoryItemId), {
+        currentStock: increment(ingredient.quantityUsed),
+        ...(ingredient.batches ? { batches: restoreBatches(stockById[ingredient.inventoryItemId].batches, ingredient.batches) } : {}),
+        lastBillId: String(historyId), // checked by firestore.rules
+        lastUpdated: serverTimestamp()
+      });
+    });
+
+  transaction.set(doc(usageLogsCollection), {
+    source: 'sale_reversal',
+    historyId: String(historyId),
+    billNumber,
+    recipeName: billNumber ? `Bill #${billNumber} reopened` : 'Sale reopened',
+    ingredients: negate(stockUsage.ingredients),
+    ...(stockUsage.theoretical ? { theoretical: negate(stockUsage.theoretical) } : {}),
+    totalCost: -stockUsage.totalCost,
+    preparedCost: -(stockUsage.preparedCost || 0),
+    timestamp: serverTimestamp()
+  });
+
+  transaction.set(doc(db, 'daily_metrics', stockUsage.metricsDate), {
+    date: stockUsage.metricsDate,
+    totalCOGS: increment(-stockUsage.totalCost),
+    salesCOGS: increment(-stockUsage.totalCost),
+    lastUpdated: serverTimestamp()
+  }, { merge: true });
+};
+
+// Reopen a settled bill onto a free table.
+// Reverses the bill's daily_metrics and shift totals, marks the history entry as restored,
+// writes its orders back to the table and records who did it and why - all in one
+// transaction, so a bill can never be reversed without its orders reappearing.
+export const restoreHistoryEntry = async (historyId, targetTableId, { reason, restoredBy = null }) => {
+  return await monitorFirebaseOperation('restoreHistoryEntry', async () => {
+    try {
+      if (!reason || !reason.trim()) {
+        throw new Error('A reason is required to restore a bill');
+      }
+
+      const stringTableId = String(targetTableId);
+      const historyRef = doc(historyCollection, String(historyId));
+      const tableRef = doc(tablesCollection, stringTableId);
+
+      await runTransaction(db, async (transaction) => {
+        const historySnap = await transaction.get(historyRef);
+        const tableSnap = await transaction.get(tableRef);
+
+        if (!historySnap.exists()) throw new Error('Bill not found');
+        const entry = historySnap.data();
+        if (entry.type) throw new Error('Voids and refunds cannot be restored');
+        if (entry.status) throw new Error(`Bill #${entry.billNumber ?? historyId} has already been ${entry.status}`);
+
+        const table = tableSnap.exists() ? tableSnap.data() : null;
+        if (!isTableFree(table)) throw new Error(`Table ${stringTableId} is not free`);
+
+        // Inventory items the bill deducted that still exist (all reads before any write)
+        const stockSnaps = await Promise.all((entry.stockUsage?.ingredients || []).map(ingredient =>
+          transaction.get(doc(db, 'inventory_items', ingredient.inventoryItemId))
+        ));
+        const stockById = Object.fromEntries(stockSnaps
+          .filter(stockSnap => stockSnap.exists())
+          .map(stockSnap => [stockSnap.id, stockSnap.data()]));
+
+        // 1. Orders back on the table (fired quantities kept so the kitchen is not re-sent them)
+        const restoredOrders = (entry.orders || []).map((order, index) => ({
+          ...order,
+          id: order.id ?? `restored-${Date.now()}-${index}`
+        }));
+        // A takeaway / delivery bill reopened as its original ticket goes back in the queue
+        const queueFields = isQueueTicketId(stringTableId) && stringTableId === String(entry.tableId)
+          ? {
+            ...getOrderDetails(entry),
+            name: getQueueLabel(entry),
+            packagingCharge: entry.breakdown?.packagingCharge || 0,
+            createdAt: new Date().toISOString()
           }
+          : {};
+        transaction.set(tableRef, {
+          id: table?.id ?? (isQueueTicketId(stringTableId) ? stringTableId : Number(targetTableId)),
+          orders: restoredOrders,
+          total: getTableTotal(restoredOrders),
+          version: (table?.version || 0) + 1,
+          ...queueFields
+        }, { merge: true });
+
+        // 2. Reverse the sales booked for the bill
+        const dateStr = getEntryMetricsDate(entry);
+        transaction.set(doc(db, 'daily_metrics', dateStr), buildDailyMetricsUpdates(entry, dateStr, -1), { merge: true });
+
+        if (entry.shiftId) {
+          const ctUpdates = buildShiftTotalsUpdates(getEntryPayments(entry), -1);
+          transaction.set(doc(db, 'shifts', entry.shiftId), { calculatedTotals: ctUpdates }, { merge: true });
         }
-      };
 
-      extractItems(historyEntry);
+        // Stock the bill deducted goes back; it is deducted again when the order is settled.
+        // The deduction was saved with the bill (see saveHistory), so none can still be on its way.
+        if (entry.stockUsage?.ingredients?.length > 0) {
+          reverseStockUsage(transaction, entry.stockUsage, { historyId, billNumber: entry.billNumber ?? null, stockById });
+        }
 
-      if (Array.isArray(historyEntry.orders)) {
-        ordersCount = historyEntry.orders.length;
-      } else if (itemsList.length > 0) {
-        ordersCount = 1;
-      }
+        // 3. Keep the entry (and its bill number) but mark it as reopened
+        transaction.update(historyRef, {
+          status: 'restored',
+          restoredAt: serverTimestamp(),
+          restoredBy,
+          restoreReason: reason.trim(),
+          restoredToTableId: stringTableId
+        });
 
-      const dineInTables = historyEntry.tableId ? 1 : 0;
+        // 4. Audit trail
+        transaction.set(doc(auditLogsCollection), {
+          action: 'bill_restored',
+          historyId: String(historyId),
+          billNumber: entry.billNumber ?? null,
+          amount: Number(entry.total) || 0,
+          fromTableId: entry.tableId ?? null,
+          toTableId: stringTableId,
+          reason: reason.trim(),
+          performedBy: restoredBy,
+          timestamp: serverTimestamp()
+        });
+      });
 
-      const updates = {
-        date: dateStr,
-        totalSales: increment(revenue),
-        totalOrders: increment(ordersCount),
-        dineInTables: increment(dineInTables),
-        lastUpdated: serverTimestamp()
-      };
+      clearCache('tables');
+      return true;
+    } catch (error) {
+      console.error('Error restoring history entry:', error);
+      throw error;
+    }
+  });
+};
 
-      for (const item of itemsList) {
-        if (!item.name) continue;
-        const safeName = item.name.replace(/[^a-zA-Z0-9]/g, "_");
-        const qty = Number(item.quantity) || 1;
-        const itemRevenue = (Number(item.price) || 0) * qty;
+// Share each original payment method in a reversed amount, so a void gives money back the way it came in
+const splitAcrossPayments = (payments, amount) => {
+  const paid = payments.reduce((sum, payment) => sum + (Number(payment.amount) || 0), 0);
+  let allocated = 0;
+  return payments.map((payment, index) => {
+    const share = index === payments.length - 1
+      ? Math.round((amount - allocated) * 100) / 100
+      : Math.round((paid > 0 ? amount * (Number(payment.amount) || 0) / paid : 0) * 100) / 100;
+    allocated += share;
+    return { label: payment.label || 'Full', method: payment.method, amount: share };
+  }).filter(payment => payment.amount !== 0);
+};
 
-        updates[`itemSales.${safeName}.name`] = item.name;
-        updates[`itemSales.${safeName}.qty`] = increment(qty);
-        updates[`itemSales.${safeName}.revenue`] = increment(itemRevenue);
-      }
+// Record a void or refund against a settled bill as a negative compensating history entry.
+// The correction is booked on today's daily_metrics and the open shift (where the money
+// actually leaves the drawer); the original entry only gets its refund tally and status.
+const adjustHistoryEntry = async (type, historyId, { quantities = null, method = null, reason, performedBy = null }) => {
+  if (!reason || !reason.trim()) {
+    throw new Error(`A reason is required to ${type} a bill`);
+  }
 
-      batch.set(dailyRef, updates, { merge: true });
+  const historyRef = doc(historyCollection, String(historyId));
+  const adjustmentId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+  const currentShift = await getCurrentShift();
+  const dateStr = getLocalDateString();
 
-      // --- SHIFT TRACKING ---
-      if (shiftId) {
-        const shiftRef = doc(db, 'shifts', shiftId);
-        const ctUpdates = {
-          totalRevenue: increment(revenue)
-        };
-        if (paymentMethod === 'Cash') {
-          ctUpdates.cashSales = increment(revenue);
-          ctUpdates.expectedCash = increment(revenue);
-        } else {
-          ctUpdates.upiSales = increment(revenue);
-          const breakdown = {};
-          breakdown[paymentMethod] = increment(revenue);
-          ctUpdates.paymentMethodBreakdown = breakdown;
-        }
-        batch.set(shiftRef, { calculatedTotals: ctUpdates }, { merge: true });
-      }
+  return await runTransaction(db, async (transaction) => {
+    const historySnap = await transaction.get(historyRef);
+    if (!historySnap.exists()) throw new Error('Bill not found');
+    const entry = historySnap.data();
 
-      await batch.commit();
-      // -----------------------------------
+    if (entry.type) throw new Error('Voids and refunds cannot be adjusted again');
+    if (['restored', 'voided', 'refunded'].includes(entry.status)) {
+      throw new Error(`Bill #${entry.billNumber ?? historyId} has already been ${entry.status}`);
+    }
+
+    const adjustment = buildAdjustment(entry, type === 'void' ? null : (quantities || {}));
+    if (!(adjustment.amount > 0)) throw new Error('Nothing to refund on this bill');
+
+    const payments = type === 'void'
+      ? splitAcrossPayments(getEntryPayments(entry), adjustment.amount)
+      : [{ label: 'Refund', method: method || entry.paymentMethod || 'Cash', amount: adjustment.amount }];
+    const shiftId = currentShift ? currentShift.id : (entry.shiftId || null);
+
+    // 1. Compensating entry - every amount negative
+    transaction.set(doc(historyCollection, adjustmentId), {
+      type,
+      originalHistoryId: String(historyId),
+      originalBillNumber: entry.billNumber ?? null,
+      tableId: entry.tableId ?? null,
+      ...getOrderDetails(entry),
+      orders: negateOrders(adjustment.orders),
+      ...getHistorySearchFields({ payments }, adjustment.orders.flatMap(order => order.items || [])),
+      total: -adjustment.amount,
+      breakdown: scaleBreakdown(adjustment.breakdown, -1),
+      paymentMethod: payments.length === 1 ? payments[0].method : 'Split',
+      payments: payments.map(payment => ({ ...payment, amount: -payment.amount })),
+      reason: reason.trim(),
+      performedBy,
+      shiftId,
+      metricsDate: dateStr,
+      timestamp: serverTimestamp()
     });
 
-    console.log('History entry added successfully with ID:', historyId);
-    return true;
+    // 2. Take the amount back out of today's sales and the shift
+    const reversal = { tableId: entry.tableId ?? null, orderType: getOrderType(entry), orders: adjustment.orders, total: adjustment.amount, breakdown: adjustment.breakdown };
+    transaction.set(
+      doc(db, 'daily_metrics', dateStr),
+      buildDailyMetricsUpdates(reversal, dateStr, -1, { countBill: type === 'void' }),
+      { merge: true }
+    );
+    if (shiftId) {
+      transaction.set(doc(db, 'shifts', shiftId), { calculatedTotals: buildShiftTotalsUpdates(payments, -1) }, { merge: true });
+    }
+
+    // 3. Refund tally and status on the original bill
+    const refundedItems = { ...(entry.refundedItems || {}) };
+    Object.entries(adjustment.quantities).forEach(([lineKey, qty]) => {
+      refundedItems[lineKey] = (refundedItems[lineKey] || 0) + qty;
+    });
+    let status = 'partially_refunded';
+    if (type === 'void') status = 'voided';
+    else if (adjustment.isFull) status = 'refunded';
+
+    transaction.update(historyRef, {
+      status,
+      refundedItems,
+      refundedTotal: Math.round(((Number(entry.refundedTotal) || 0) + adjustment.amount) * 100) / 100,
+      adjustmentIds: [...(entry.adjustmentIds || []), adjustmentId],
+      lastAdjustedAt: serverTimestamp()
+    });
+
+    // 4. Audit trail
+    transaction.set(doc(auditLogsCollection), {
+      action: type === 'void' ? 'bill_voided' : 'bill_refunded',
+      historyId: String(historyId),
+      adjustmentId,
+      billNumber: entry.billNumber ?? null,
+      amount: adjustment.amount,
+      fromTableId: entry.tableId ?? null,
+      toTableId: null,
+      reason: reason.trim(),
+      performedBy,
+      timestamp: serverTimestamp()
+    });
+
+    return { id: adjustmentId, amount: adjustment.amount, status };
+  });
+};
+
+// Void a settled bill in full (whatever has not been refunded yet)
+export const voidHistoryEntry = async (historyId, { reason, performedBy = null }) => {
+  return await monitorFirebaseOperation('voidHistoryEntry', async () => {
+    try {
+      return await adjustHistoryEntry('void', historyId, { reason, performedBy });
+    } catch (error) {
+      console.error('Error voiding history entry:', error);
+      throw error;
+    }
+  });
+};
+
+// Refund chosen quantities of a settled bill's lines ({ [lineKey]: qty }, see refundUtils)
+export const refundHistoryEntry = async (historyId, { quantities, method, reason, performedBy = null }) => {
+  return await monitorFirebaseOperation('refundHistoryEntry', async () => {
+    try {
+      return await adjustHistoryEntry('refund', historyId, { quantities, method, reason, performedBy });
+    } catch (error) {
+      console.error('Error refunding history entry:', error);
+      throw error;
+    }
+  });
+};
+
+// Record kitchen-fired quantity cancelled from an open order (see lineStatusUtils).
+// Booked on today's daily_metrics by reason, separately from sales: the cancelled
+// quantity never reaches a bill, so nothing else would account for it.
+export const addLineCancellation = async (cancellation) => {
+  try {
+    return await monitorFirebaseOperation('addLineCancellation', async () => {
+      const currentShift = await getCurrentShift();
+      const dateStr = getLocalDateString();
+      const amount = Number(cancellation.amount) || 0;
+      const quantity = Number(cancellation.quantity) || 0;
+      const safeReason = String(cancellation.reason).replace(/[^a-zA-Z0-9]/g, "_");
+
+      const batch = writeBatch(db);
+      const cancellationRef = doc(lineCancellationsCollection);
+      batch.set(cancellationRef, {
+        ...cancellation,
+        shiftId: currentShift ? currentShift.id : null,
+        metricsDate: dateStr,
+        timestamp: serverTimestamp()
+      });
+      batch.set(doc(db, 'daily_metrics', dateStr), {
+        date: dateStr,
+        cancelledAfterFire: increment(amount),
+        [`cancellationsByReason.${safeReason}.reason`]: cancellation.reason,
+        [`cancellationsByReason.${safeReason}.qty`]: increment(quantity),
+        [`cancellationsByReason.${safeReason}.amount`]: increment(amount),
+        lastUpdated: serverTimestamp()
+      }, { merge: true });
+
+      await batch.commit();
+      return cancellationRef.id;
+    });
   } catch (error) {
-    console.error('Error adding history:', error);
+    console.error('Error recording line cancellation:', error);
     return false;
   }
 };
@@ -613,16 +1564,18 @@ export const batchAddHistory = async (historyEntries) => {
 
           // Aggregate metrics for batch
           hasMetricsToUpdate = true;
-          const revenue = Number(entry.total) || 0;
-
-          shiftTotals.totalRevenue += revenue;
-          if (paymentMethod === 'Cash') {
-            shiftTotals.cashSales += revenue;
-          } else {
-            shiftTotals.upiSales += revenue;
-            if (!shiftTotals.breakdown[paymentMethod]) shiftTotals.breakdown[paymentMethod] = 0;
-            shiftTotals.breakdown[paymentMethod] += revenue;
-          }
+
+          getEntryPayments({ ...entry, paymentMethod }).forEach(({ method, amount }) => {
+            const revenue = Number(amount) || 0;
+            shiftTotals.totalRevenue += revenue;
+            if (method === 'Cash') {
+              shiftTotals.cashSales += revenue;
+            } else {
+              shiftTotals.upiSales += revenue;
+              if (!shiftTotals.breakdown[method]) shiftTotals.breakdown[method] = 0;
+              shiftTotals.breakdown[method] += revenue;
+            }
+          });
 
           // Replace increment(0) with actual values if we could, but since increment() is a FieldTransform, 
           // we can't easily sum them in memory unless we keep a JS running total. Let's build a JS memory total first.
@@ -630,27 +1583,14 @@ export const batchAddHistory = async (historyEntries) => {
       });
 
       // Better approach: Calculate JS memory totals for the entire batch first, then issue ONE increment
-      const batchTotals = { sales: 0, orders: 0, tables: 0, items: {} };
+      const batchTotals = { sales: 0, orders: 0, tables: 0, items: {}, byType: {} };
       historyEntries.forEach(entry => {
         if (!entry) return;
         batchTotals.sales += (Number(entry.total) || 0);
 
         let ordersCount = 0;
-        const itemsList = [];
-        const extractItems = (obj) => {
-          if (!obj) return;
-          if (Array.isArray(obj)) {
-            obj.forEach(extractItems);
-          } else if (typeof obj === 'object') {
-            if (obj.name && (obj.price !== undefined || obj.quantity !== undefined)) {
-              itemsList.push(obj);
-            } else {
-              Object.values(obj).forEach(extractItems);
-            }
-          }
-        };
-
-        extractItems(entry);
+        // Only the order lines - fired-item snapshots and cancellations are not sales
+        const itemsList = extractSoldItems(entry);
 
         if (Array.isArray(entry.orders)) {
           ordersCount = entry.orders.length;
@@ -659,7 +1599,11 @@ export const batchAddHistory = async (historyEntries) => {
         }
 
         batchTotals.orders += ordersCount;
-        batchTotals.tables += entry.tableId ? 1 : 0;
+        const orderType = getOrderType(entry);
+        batchTotals.tables += orderType === 'dine_in' && entry.tableId ? 1 : 0;
+        if (!batchTotals.byType[orderType]) batchTotals.byType[orderType] = { count: 0, amount: 0 };
+        batchTotals.byType[orderType].count += 1;
+        batchTotals.byType[orderType].amount += (Number(entry.total) || 0);
 
         for (const item of itemsList) {
           if (!item.name) continue;
@@ -678,6 +1622,11 @@ export const batchAddHistory = async (historyEntries) => {
         dailyUpdates.totalOrders = increment(batchTotals.orders);
         dailyUpdates.dineInTables = increment(batchTotals.tables);
 
+        Object.entries(batchTotals.byType).forEach(([orderType, { count, amount }]) => {
+          dailyUpdates[`ordersByType.${orderType}.count`] = increment(count);
+          dailyUpdates[`ordersByType.${orderType}.amount`] = increment(amount);
+        });
+
         Object.keys(batchTotals.items).forEach(safeName => {
           const item = batchTotals.items[safeName];
           dailyUpdates[`itemSales.${safeName}.name`] = item.name;
@@ -1,10 +1,11 @@
 // Inventory & Recipe/BOM Service Layer
 // ================================================
 // Manages inventory items, recipes (Bill of Materials), purchase records,
-// and production execution with real-time Firestore sync.
+// suppliers and purchase orders, production execution, prepared stock, stock
+// used by sales and stock takes with real-time Firestore sync.
 
-import { db } from '../firebase';
 import {
+    db,
     collection,
     doc,
     getDocs,
@@ -20,8 +21,18 @@ import {
     where,
     Timestamp,
     setDoc,
-    increment
-} from 'firebase/firestore';
+    increment,
+    arrayUnion,
+    runTransaction,
+    limit,
+    deleteField
+} from '../storage';
+import { buildSaleUsage, buildSaleDeductions, costUsage, toStockUnits } from '../utils/stockUsageUtils';
+import { convertQuantity, areUnitsCompatible } from '../utils/unitUtils';
+import { buildStockTakeLines, summariseStockTake, getCommittedStock } from '../utils/stockTakeUtils';
+import { PREPARED_CATEGORY, getPreparedItemId, createBatch, discardBatches } from '../utils/preparedStockUtils';
+import { OPEN_PO_STATUSES, applyReceipt } from '../utils/purchaseOrderUtils';
+import { DEFAULT_COSTING_METHOD, addCostLayer, consumeCost, consumeCostFromItems } from '../utils/costingUtils';
 
 // Helper for local date keys
 export const getLocalDateString = (d = new Date()) => {
@@ -36,6 +47,11 @@ const inventoryCollection = collection(db, 'inventory_items');
 const recipesCollection = collection(db, 'recipes');
 const purchaseRecordsCollection = collection(db, 'purchase_records');
 const wasteEntriesCollection = collection(db, 'waste_entries');
+const usageLogsCollection = collection(db, 'usage_logs');
+const stockAdjustmentsCollection = collection(db, 'stock_adjustments');
+const stockTakesCollection = collection(db, 'stock_takes');
+const suppliersCollection = collection(db, 'suppliers');
+const purchaseOrdersCollection = collection(db, 'purchase_orders');
 
 // ================================================
 // INVENTORY ITEMS
@@ -68,7 +84,9 @@ export function subscribeToInventory(callback) {
 
 /**
  * Add a new inventory item
- * @param {Object} data - { name, unit, currentStock, costPerUnit, reorderLevel, category }
+ * @param {Object} data - { name, unit, currentStock, costPerUnit, reorderLevel, category, conversions?, costingMethod? }
+ *   conversions: custom unit conversions, see utils/unitUtils
+ *   costingMethod: 'average' or 'fifo', see utils/costingUtils; opening stock is costed at costPerUnit
  * @returns {string} New document ID
  */
 export async function addInventoryItem(data) {
@@ -79,6 +97,9 @@ export async function addInventoryItem(data) {
         costPerUnit: Number(data.costPerUnit) || 0,
         reorderLevel: Number(data.reorderLevel) || 0,
         category: data.category || 'other',
+        conversions: data.conversions || [],
+        costingMethod: data.costingMethod || DEFAULT_COSTING_METHOD,
+        costLayers: [],
         lastUpdated: serverTimestamp()
     });
     return docRef.id;
@@ -91,10 +112,37 @@ export async function addInventoryItem(data) {
  */
 export async function updateInventoryItem(id, data) {
     const docRef = doc(db, 'inventory_items', id);
-    await updateDoc(docRef, {
+    if (data.currentStock === undefined) {
+        await updateDoc(docRef, {
+            ...data,
+            lastUpdated: serverTimestamp()
+        });
+        return;
+    }
+
+    // A hand-edited stock level is a correction; log it for the usage reconciliation
+    const itemSnap = await getDoc(docRef);
+    if (!itemSnap.exists()) throw new Error('Inventory item not found');
+    const previousStock = Number(itemSnap.data().currentStock) || 0;
+    const newStock = Number(data.currentStock) || 0;
+
+    const batch = writeBatch(db);
+    batch.update(docRef, {
         ...data,
         lastUpdated: serverTimestamp()
     });
+    if (newStock !== previousStock) {
+        batch.set(doc(stockAdjustmentsCollection), {
+            inventoryItemId: id,
+            itemName: data.name || itemSnap.data().name,
+            previousStock,
+            newStock,
+            difference: Math.round((newStock - previousStock) * 1000) / 1000,
+            reason: data.adjustmentReason || 'Manual edit',
+            adjustedAt: serverTimestamp()
+        });
+    }
+    await batch.commit();
 }
 
 /**
@@ -110,39 +158,74 @@ export async function deleteInventoryItem(id) {
 // PURCHASE RECORDS (Stock-In)
 // ================================================
 
+// Purchase record for a delivery of an item, in the item's unit.
+// Throws if the entered unit cannot be converted to the item's unit.
+const preparePurchase = (item, data) => {
+    const totalCost = Number(data.quantity) * Number(data.unitCost);
+    const quantity = convertQuantity(Number(data.quantity), data.unit || item.unit, item.unit, item);
+    const unitCost = quantity > 0 ? Math.round((totalCost / quantity) * 10000) / 10000 : 0;
+    return {
+        quantity,
+        unitCost,
+        record: {
+            inventoryItemId: data.inventoryItemId,
+            itemName: data.itemName || item.name,
+            quantity,
+            unit: item.unit,
+            unitCost,
+            totalCost,
+            enteredQuantity: Number(data.quantity),
+            enteredUnit: data.unit || item.unit,
+            supplierId: data.supplierId || null,
+            supplierName: data.supplierName || null,
+            expiresAt: data.expiresAt || null,
+            purchaseDate: serverTimestamp()
+        }
+    };
+};
+
+// Supplier's last price for an item, used when drafting purchase orders
+const supplierPriceUpdate = (inventoryItemId, unitCost, unit) => ({
+    [`prices.${inventoryItemId}`]: { unitCost, unit, updatedAt: new Date().toISOString() },
+    updatedAt: serverTimestamp()
+});
+
 /**
- * Record a purchase — adds stock to an inventory item and logs the purchase
- * @param {Object} data - { inventoryItemId, itemName, quantity, unitCost }
+ * Record a purchase — adds stock to an inventory item as a new lot and logs the purchase
+ * @param {Object} data - { inventoryItemId, itemName, quantity, unitCost, unit?, supplierId?, supplierName?, expiresAt? }
+ *   quantity and unitCost are in `unit` (default: the item's unit) and stored in the item's unit;
+ *   expiresAt is the lot's expiry date (YYYY-MM-DD), see utils/lotUtils
  * @returns {string} Purchase record ID
  */
 export async function addPurchaseRecord(data) {
-    const batch = writeBatch(db);
+    const itemRef = doc(db, 'inventory_items', data.inventoryItemId);
 
-    // 1. Create purchase record
-    const purchaseRef = doc(purchaseRecordsCollection);
-    batch.set(purchaseRef, {
-        inventoryItemId: data.inventoryItemId,
-        itemName: data.itemName,
-        quantity: Number(data.quantity),
-        unitCost: Number(data.unitCost),
-        totalCost: Number(data.quantity) * Number(data.unitCost),
-        purchaseDate: serverTimestamp()
-    });
+    // The item's cost layers are read and rewritten, so two purchases never overwrite each other
+    return await runTransaction(db, async (transaction) => {
+        const itemSnap = await transaction.get(itemRef);
+        if (!itemSnap.exists()) throw new Error('Inventory item not found');
+        const item = itemSnap.data();
 
-    // 2. Increment stock on the inventory item
-    const itemRef = doc(db, 'inventory_items', data.inventoryItemId);
-    const itemSnap = await getDoc(itemRef);
-    if (!itemSnap.exists()) throw new Error('Inventory item not found');
+        const { quantity, unitCost, record } = preparePurchase(item, data);
 
-    const currentStock = itemSnap.data().currentStock || 0;
-    batch.update(itemRef, {
-        currentStock: currentStock + Number(data.quantity),
-        costPerUnit: Number(data.unitCost), // Update latest cost
-        lastUpdated: serverTimestamp()
-    });
+        // 1. Create purchase record
+        const purchaseRef = doc(purchaseRecordsCollection);
+        transaction.set(purchaseRef, record);
 
-    await batch.commit();
-    return purchaseRef.id;
+        // 2. Add stock to the inventory item as a new cost layer
+        transaction.update(itemRef, {
+            currentStock: (item.currentStock || 0) + quantity,
+            ...addCostLayer(item, { id: purchaseRef.id, quantity, unitCost, expiresAt: data.expiresAt }),
+            lastUpdated: serverTimestamp()
+        });
+
+        // 3. Remember the supplier's price
+        if (data.supplierId) {
+            transaction.update(doc(db, 'suppliers', data.supplierId), supplierPriceUpdate(data.inventoryItemId, unitCost, item.unit));
+        }
+
+        return purchaseRef.id;
+    });
 }
 
 /**
@@ -167,53 +250,373 @@ export function subscribeToPurchaseRecords(inventoryItemId, callback) {
 }
 
 // ================================================
-// WASTE RECORDS (Stock-Out/Loss)
+// SUPPLIERS
 // ================================================
 
 /**
- * Record waste — deducts stock from an inventory item and logs the waste
- * @param {Object} data - { inventoryItemId, itemName, quantity, reason, unitCost }
- * @returns {string} Waste record ID
+ * Subscribe to suppliers (see utils/purchaseOrderUtils)
+ * @param {Function} callback - Called with suppliers sorted by name
+ * @returns {Function} Unsubscribe function
  */
-export async function addWasteEntry(data) {
+export function subscribeToSuppliers(callback) {
+    const q = query(suppliersCollection, orderBy('name'));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error('Error subscribing to suppliers:', error);
+    });
+}
+
+/**
+ * Add a supplier
+ * @param {Object} data - { name, contactName, phone, email, paymentTerms, itemIds, notes }
+ * @returns {string} New document ID
+ */
+export async function addSupplier(data) {
+    const docRef = await addDoc(suppliersCollection, {
+        name: data.name.trim(),
+        contactName: data.contactName?.trim() || '',
+        phone: data.phone?.trim() || '',
+        email: data.email?.trim() || '',
+        paymentTerms: data.paymentTerms?.trim() || '',
+        itemIds: data.itemIds || [],
+        notes: data.notes?.trim() || '',
+        prices: {},
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return docRef.id;
+}
+
+/**
+ * Update a supplier's details and the items they supply
+ * @param {string} id - Document ID
+ * @param {Object} data - Fields to update
+ */
+export async function updateSupplier(id, data) {
+    await updateDoc(doc(db, 'suppliers', id), {
+        ...data,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Delete a supplier. Past purchases keep the supplier's name.
+ * @param {string} id - Document ID
+ * @throws {Error} While the supplier has open purchase orders
+ */
+export async function deleteSupplier(id) {
+    const openSnapshot = await getDocs(query(
+        purchaseOrdersCollection,
+        where('supplierId', '==', id),
+        where('status', 'in', OPEN_PO_STATUSES),
+        limit(1)
+    ));
+    if (!openSnapshot.empty) throw new Error('This supplier has open purchase orders; receive or cancel them first');
+    await deleteDoc(doc(db, 'suppliers', id));
+}
+
+/**
+ * Subscribe to a supplier's recent purchases (price history)
+ * @param {string} supplierId
+ * @param {Function} callback - Called with purchase records, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSupplierPurchases(supplierId, callback) {
+    const q = query(
+        purchaseRecordsCollection,
+        where('supplierId', '==', supplierId),
+        orderBy('purchaseDate', 'desc'),
+        limit(100)
+    );
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error('Error subscribing to supplier purchases:', error);
+    });
+}
+
+// ================================================
+// PURCHASE ORDERS
+// ================================================
+
+/**
+ * Subscribe to recent purchase orders
+ * @param {Function} callback - Called with orders, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToPurchaseOrders(callback) {
+    const q = query(purchaseOrdersCollection, orderBy('createdAt', 'desc'), limit(50));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error('Error subscribing to purchase orders:', error);
+    });
+}
+
+/**
+ * Create draft purchase orders (e.g. from buildReorderDrafts)
+ * @param {Array} drafts - [{ supplierId, supplierName, lines[] }]
+ * @param {Object} options - { createdBy }
+ * @returns {Array} New order IDs
+ */
+export async function createPurchaseOrders(drafts, { createdBy = null } = {}) {
     const batch = writeBatch(db);
+    const ids = drafts.map(draft => {
+        const orderRef = doc(purchaseOrdersCollection);
+        batch.set(orderRef, {
+            supplierId: draft.supplierId,
+            supplierName: draft.supplierName,
+            status: 'draft',
+            lines: draft.lines,
+            receipts: [],
+            createdBy,
+            createdAt: serverTimestamp()
+        });
+        return orderRef.id;
+    });
+    await batch.commit();
+    return ids;
+}
+
+/**
+ * Save the lines of a draft purchase order
+ * @param {string} orderId
+ * @param {Array} lines - Order lines; lines with no quantity are dropped
+ */
+export async function updatePurchaseOrderLines(orderId, lines) {
+    await updateDoc(doc(db, 'purchase_orders', orderId), {
+        lines: lines.filter(line => Number(line.quantity) > 0)
+    });
+}
 
-    // 1. Create waste record
-    const wasteRef = doc(wasteEntriesCollection);
-    batch.set(wasteRef, {
-        inventoryItemId: data.inventoryItemId,
-        itemName: data.itemName,
-        quantity: Number(data.quantity),
-        reason: data.reason || 'Not specified',
-        unitCost: Number(data.unitCost),
-        totalCost: Number(data.quantity) * Number(data.unitCost),
-        wasteDate: serverTimestamp()
+/**
+ * Place a draft purchase order with the supplier
+ * @param {string} orderId
+ * @param {Array} lines - Final order lines
+ * @param {Object} options - { orderedBy }
+ */
+export async function placePurchaseOrder(orderId, lines, { orderedBy = null } = {}) {
+    const orderLines = lines.filter(line => Number(line.quantity) > 0);
+    if (orderLines.length === 0) throw new Error('Add a quantity for at least one item');
+    await updateDoc(doc(db, 'purchase_orders', orderId), {
+        lines: orderLines,
+        status: 'ordered',
+        orderedBy,
+        orderedAt: serverTimestamp()
     });
+}
+
+/**
+ * Receive goods against a purchase order. Each received line is booked as a
+ * purchase from the order's supplier at the price actually paid; anything
+ * not yet delivered stays outstanding.
+ * @param {string} orderId
+ * @param {Array} received - [{ inventoryItemId, quantity, unitCost, expiresAt? }] in the order line's unit
+ * @param {Object} options - { receivedBy }
+ * @returns {Object} { status, receivedCost }
+ */
+export async function receivePurchaseOrder(orderId, received, { receivedBy = null } = {}) {
+    const entries = received.filter(entry => Number(entry.quantity) > 0);
+    if (entries.length === 0) throw new Error('Enter a received quantity for at least one item');
+
+    return runTransaction(db, async (transaction) => {
+        const orderRef = doc(db, 'purchase_orders', orderId);
+        const orderSnap = await transaction.get(orderRef);
+        if (!orderSnap.exists()) throw new Error('Purchase order not found');
+        const order = orderSnap.data();
+        if (!['ordered', 'partially_received'].includes(order.status)) {
+            throw new Error('Only placed purchase orders can be received');
+        }
+
+        const itemRefs = entries.map(entry => doc(db, 'inventory_items', entry.inventoryItemId));
+        const itemSnaps = await Promise.all(itemRefs.map(ref => transaction.get(ref)));
+        const supplierRef = doc(db, 'suppliers', order.supplierId);
+        const supplierSnap = await transaction.get(supplierRef);
 
-    // 2. Decrement stock on the inventory item
+        // All reads done — now write
+        const receiptLines = [];
+        const supplierPrices = {};
+        entries.forEach((entry, index) => {
+            const line = order.lines.find(orderLine => orderLine.inventoryItemId === entry.inventoryItemId);
+            if (!line) throw new Error('Received item is not on this purchase order');
+            if (!itemSnaps[index].exists()) throw new Error(`"${line.name}" is no longer in inventory`);
+            const item = itemSnaps[index].data();
+
+            const { quantity, unitCost, record } = preparePurchase(item, {
+                inventoryItemId: entry.inventoryItemId,
+                itemName: line.name,
+                quantity: entry.quantity,
+                unitCost: entry.unitCost,
+                unit: line.unit,
+                supplierId: order.supplierId,
+                supplierName: order.supplierName,
+                expiresAt: entry.expiresAt
+            });
+            const purchaseRef = doc(purchaseRecordsCollection);
+            transaction.set(purchaseRef, {
+                ...record,
+                purchaseOrderId: orderId,
+                expectedUnitCost: convertQuantity(line.unitCost, item.unit, line.unit, item)
+            });
+            transaction.update(itemRefs[index], {
+                currentStock: (item.currentStock || 0) + quantity,
+                ...addCostLayer(item, { id: purchaseRef.id, quantity, unitCost, expiresAt: entry.expiresAt }),
+                lastUpdated: serverTimestamp()
+            });
+            Object.assign(supplierPrices, supplierPriceUpdate(entry.inventoryItemId, unitCost, item.unit));
+            receiptLines.push({
+                inventoryItemId: entry.inventoryItemId,
+                quantity: Number(entry.quantity),
+                unitCost: Number(entry.unitCost),
+                expiresAt: entry.expiresAt || null
+            });
+        });
+
+        const { lines, status } = applyReceipt(order.lines, receiptLines);
+        transaction.update(orderRef, {
+            lines,
+            status,
+            receipts: arrayUnion({ receivedAt: new Date().toISOString(), receivedBy, lines: receiptLines }),
+            lastReceivedAt: serverTimestamp()
+        });
+        if (supplierSnap.exists()) transaction.update(supplierRef, supplierPrices);
+
+        return {
+            status,
+            receivedCost: receiptLines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)
+        };
+    });
+}
+
+/**
+ * Cancel a purchase order; anything already received stays booked
+ * @param {string} orderId
+ * @param {Object} options - { cancelledBy }
+ */
+export async function cancelPurchaseOrder(orderId, { cancelledBy = null } = {}) {
+    await updateDoc(doc(db, 'purchase_orders', orderId), {
+        status: 'cancelled',
+        cancelledBy,
+        cancelledAt: serverTimestamp()
+    });
+}
+
+// ================================================
+// WASTE RECORDS (Stock-Out/Loss)
+// ================================================
+
+/**
+ * Record waste — deducts stock from an inventory item and logs the waste,
+ * costed from the item's cost layers (see utils/costingUtils)
+ * @param {Object} data - { inventoryItemId, itemName, quantity, reason, unit?, lotId? }
+ *   quantity is in `unit` (default: the item's unit); lotId takes it from that lot first (an expired lot)
+ * @returns {string} Waste record ID
+ */
+export async function addWasteEntry(data) {
     const itemRef = doc(db, 'inventory_items', data.inventoryItemId);
-    const itemSnap = await getDoc(itemRef);
-    if (!itemSnap.exists()) throw new Error('Inventory item not found');
 
-    const currentStock = itemSnap.data().currentStock || 0;
-    const newStock = Math.max(0, currentStock - Number(data.quantity));
+    return await runTransaction(db, async (transaction) => {
+        const itemSnap = await transaction.get(itemRef);
+        if (!itemSnap.exists()) throw new Error('Inventory item not found');
+        const item = itemSnap.data();
 
-    batch.update(itemRef, {
-        currentStock: newStock,
-        lastUpdated: serverTimestamp()
+        // Throws if the unit cannot be converted to the item's unit
+        const quantity = convertQuantity(Number(data.quantity), data.unit || item.unit, item.unit, item);
+        const { cost, unitCost, costLayers, costPerUnit } = consumeCost(item, quantity, { lotId: data.lotId });
+
+        // 1. Create waste record
+        const wasteRef = doc(wasteEntriesCollection);
+        transaction.set(wasteRef, {
+            inventoryItemId: data.inventoryItemId,
+            itemName: data.itemName,
+            quantity,
+            unit: item.unit,
+            reason: data.reason || 'Not specified',
+            unitCost,
+            totalCost: cost,
+            enteredQuantity: Number(data.quantity),
+            enteredUnit: data.unit || item.unit,
+            lotId: data.lotId || null,
+            wasteDate: serverTimestamp()
+        });
+
+        // 2. Decrement stock and its cost layers on the inventory item
+        const currentStock = item.currentStock || 0;
+        const newStock = Math.max(0, currentStock - quantity);
+
+        transaction.update(itemRef, {
+            currentStock: newStock,
+            costLayers,
+            costPerUnit,
+            lastUpdated: serverTimestamp()
+        });
+
+        // 3. Update daily_metrics for Wastage Loss (MVP Spark Client-Side)
+        const dateStr = getLocalDateString();
+        transaction.set(doc(db, 'daily_metrics', dateStr), {
+            date: dateStr,
+            totalWastageLoss: increment(cost),
+            lastUpdated: serverTimestamp()
+        }, { merge: true });
+
+        return wasteRef.id;
     });
+}
 
-    // 3. Update daily_metrics for Wastage Loss (MVP Spark Client-Side)
-    const dateStr = getLocalDateString();
-    const totalWastageCost = Number(data.quantity) * Number(data.unitCost);
-    batch.set(doc(db, 'daily_metrics', dateStr), {
-        date: dateStr,
-        totalWastageLoss: increment(totalWastageCost),
-        lastUpdated: serverTimestamp()
-    }, { merge: true });
+/**
+ * Discard batches of prepared stock (expired, or left over at the end of the day).
+ * Logs one waste entry per batch at the batch's own cost.
+ * @param {string} preparedItemId - Prepared inventory item
+ * @param {Array} batchIds - Batches to discard
+ * @param {string} reason - e.g. 'Expired', 'End of day discard'
+ * @returns {Object} { quantity, totalCost } discarded
+ */
+export async function discardPreparedStock(preparedItemId, batchIds, reason) {
+    const itemRef = doc(db, 'inventory_items', preparedItemId);
 
-    await batch.commit();
-    return wasteRef.id;
+    return await runTransaction(db, async (transaction) => {
+        const itemSnap = await transaction.get(itemRef);
+        if (!itemSnap.exists()) throw new Error('Prepared item not found');
+        const item = itemSnap.data();
+
+        const { batches, discarded } = discardBatches(item.batches, batchIds);
+        if (discarded.length === 0) throw new Error('These batches have already been used or discarded');
+
+        // 1. One waste record per batch
+        discarded.forEach(batch => {
+            transaction.set(doc(wasteEntriesCollection), {
+                inventoryItemId: preparedItemId,
+                itemName: item.name,
+                quantity: batch.remaining,
+                reason: reason || 'Not specified',
+                unitCost: batch.costPerUnit,
+                totalCost: batch.remaining * batch.costPerUnit,
+                batchId: batch.id,
+                producedAt: batch.producedAt,
+                wasteDate: serverTimestamp()
+            });
+        });
+
+        // 2. Take the batches out of stock
+        const quantity = Math.round(discarded.reduce((sum, batch) => sum + batch.remaining, 0) * 1000) / 1000;
+        const totalCost = discarded.reduce((sum, batch) => sum + batch.remaining * batch.costPerUnit, 0);
+        transaction.update(itemRef, {
+            batches,
+            currentStock: increment(-quantity),
+            lastUpdated: serverTimestamp()
+        });
+
+        // 3. Wastage loss (the cost is already in COGS from production)
+        const dateStr = getLocalDateString();
+        transaction.set(doc(db, 'daily_metrics', dateStr), {
+            date: dateStr,
+            totalWastageLoss: increment(totalCost),
+            lastUpdated: serverTimestamp()
+        }, { merge: true });
+
+        return { quantity, totalCost: Math.round(totalCost * 100) / 100 };
+    });
 }
 
 // ================================================
@@ -240,8 +643,9 @@ export function subscribeToRecipes(callback) {
 
 /**
  * Add a new recipe
- * @param {Object} data - { name, outputQuantity, outputUnit, ingredients[], linkedMenuItemId? }
+ * @param {Object} data - { name, outputQuantity, outputUnit, ingredients[], linkedMenuItemId?, holdingHours? }
  *   ingredients: [{ inventoryItemId, name, quantity, unit }]
+ *   holdingHours: how long its prepared stock can be served after production (0 = no limit)
  * @returns {string} New document ID
  */
 export async function addRecipe(data) {
@@ -256,6 +660,7 @@ export async function addRecipe(data) {
             unit: ing.unit
         })),
         linkedMenuItemId: data.linkedMenuItemId || null,
+        holdingHours: Number(data.holdingHours) || 0,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
     });
@@ -278,6 +683,9 @@ export async function updateRecipe(id, data) {
             unit: ing.unit
         }));
     }
+    if (data.holdingHours !== undefined) {
+        updateData.holdingHours = Number(data.holdingHours) || 0;
+    }
     await updateDoc(docRef, updateData);
 }
 
@@ -295,11 +703,16 @@ export async function deleteRecipe(id) {
 // ================================================
 
 /**
- * Calculate Bill of Materials for a target quantity
+ * Calculate Bill of Materials for a target quantity.
+ * Recipe quantities are converted to each inventory item's unit (see utils/unitUtils);
+ * an ingredient whose unit cannot be converted is flagged with unitError.
+ * Ingredients are costed from the items' cost layers (see utils/costingUtils),
+ * exactly as production would consume them.
  * @param {Object} recipe - Recipe object with ingredients[]
  * @param {number} targetQuantity - Desired output quantity
  * @param {Array} inventoryItems - Current inventory items array
  * @returns {Object} { scaledIngredients[], totalCost, allInStock, multiplier }
+ *   scaledIngredients: requiredQty in the recipe unit; stockQty, currentStock and deficit in stockUnit
  */
 export function calculateBOM(recipe, targetQuantity, inventoryItems) {
     const multiplier = targetQuantity / recipe.outputQuantity;
@@ -310,25 +723,42 @@ export function calculateBOM(recipe, targetQuantity, inventoryItems) {
             item => item.id === ingredient.inventoryItemId
         );
 
+        const unit = ingredient.unit || inventoryItem?.unit || '';
+        const stockUnit = inventoryItem ? inventoryItem.unit : unit;
+        const unitError = areUnitsCompatible(unit, stockUnit, inventoryItem)
+            ? null
+            : `Recipe uses ${unit} but stock is kept in ${stockUnit}`;
+        const stockQty = unitError ? 0 : convertQuantity(requiredQty, unit, stockUnit, inventoryItem);
+
         const currentStock = inventoryItem ? inventoryItem.currentStock : 0;
-        const costPerUnit = inventoryItem ? inventoryItem.costPerUnit : 0;
-        const ingredientCost = requiredQty * costPerUnit;
-        const sufficient = currentStock >= requiredQty;
-        const deficit = sufficient ? 0 : requiredQty - currentStock;
+        const sufficient = !unitError && currentStock >= stockQty;
+        const deficit = sufficient || unitError ? 0 : stockQty - currentStock;
 
         return {
             inventoryItemId: ingredient.inventoryItemId,
             name: ingredient.name,
-            unit: ingredient.unit,
+            unit,
             requiredQty: Math.round(requiredQty * 1000) / 1000, // 3 decimal precision
+            stockUnit,
+            stockQty: Math.round(stockQty * 1000) / 1000,
             currentStock,
-            costPerUnit,
-            ingredientCost: Math.round(ingredientCost * 100) / 100,
             sufficient,
-            deficit: Math.round(deficit * 1000) / 1000
+            deficit: Math.round(deficit * 1000) / 1000,
+            unitError
         };
     });
 
+    // costPerUnit is per stock unit: the layer price(s) this quantity would come from
+    const inventoryById = Object.fromEntries(inventoryItems.map(item => [item.id, item]));
+    const { costs } = consumeCostFromItems(inventoryById, scaledIngredients.map(ing => ({
+        inventoryItemId: ing.inventoryItemId,
+        quantity: ing.stockQty
+    })));
+    scaledIngredients.forEach((ing, index) => {
+        ing.costPerUnit = costs[index].unitCost;
+        ing.ingredientCost = costs[index].cost;
+    });
+
     const totalCost = scaledIngredients.reduce(
         (sum, ing) => sum + ing.ingredientCost, 0
     );
@@ -349,63 +779,115 @@ export function calculateBOM(recipe, targetQuantity, inventoryItems) {
 // PRODUCTION EXECUTION
 // ================================================
 
+// Throws when a BOM cannot be produced: incompatible units or not enough stock
+const validateProduction = (bom) => {
+    const unitErrors = bom.scaledIngredients.filter(ing => ing.unitError);
+    if (unitErrors.length > 0) {
+        throw new Error(`Incompatible units: ${unitErrors.map(ing => `${ing.name} (${ing.unitError})`).join(', ')}`);
+    }
+
+    if (!bom.allInStock) {
+        const shortages = bom.scaledIngredients
+            .filter(ing => !ing.sufficient)
+            .map(ing => `${ing.name}: need ${ing.stockQty} ${ing.stockUnit}, have ${ing.currentStock}`)
+            .join(', ');
+        throw new Error(`Insufficient stock: ${shortages}`);
+    }
+};
+
 /**
- * Execute production — deduct ingredients from inventory stock
+ * Execute production — deduct ingredients from inventory stock and add the output
+ * to the recipe's prepared stock as a new batch (see utils/preparedStockUtils).
+ * Ingredients are costed from their cost layers, which is the COGS booked.
  * @param {Object} recipe - Recipe object
  * @param {number} targetQuantity - Quantity being produced
  * @param {Array} inventoryItems - Current inventory for validation
  * @returns {Object} Production result summary
  */
 export async function executeProduction(recipe, targetQuantity, inventoryItems) {
-    const bom = calculateBOM(recipe, targetQuantity, inventoryItems);
+    // Checked against what the screen shows first, then again inside the transaction
+    validateProduction(calculateBOM(recipe, targetQuantity, inventoryItems));
 
-    if (!bom.allInStock) {
-        const shortages = bom.scaledIngredients
-            .filter(ing => !ing.sufficient)
-            .map(ing => `${ing.name}: need ${ing.requiredQty} ${ing.unit}, have ${ing.currentStock}`)
-            .join(', ');
-        throw new Error(`Insufficient stock: ${shortages}`);
-    }
+    const itemIds = [...new Set(recipe.ingredients.map(ingredient => ingredient.inventoryItemId))];
 
-    const batch = writeBatch(db);
+    // Cost layers are read and rewritten in one transaction so concurrent stock movements are not lost
+    const { bom, outputBatch } = await runTransaction(db, async (transaction) => {
+        const itemSnaps = await Promise.all(itemIds.map(itemId => transaction.get(doc(db, 'inventory_items', itemId))));
+        const freshItems = itemSnaps
+            .filter(itemSnap => itemSnap.exists())
+            .map(itemSnap => ({ id: itemSnap.id, ...itemSnap.data() }));
+        const bom = calculateBOM(recipe, targetQuantity, freshItems);
+        validateProduction(bom);
 
-    // 1. Deduct each ingredient from inventory using atomic operations
-    for (const ingredient of bom.scaledIngredients) {
-        const itemRef = doc(db, 'inventory_items', ingredient.inventoryItemId);
-        // Use increment with negative value for atomic deduction, avoiding race conditions
-        batch.update(itemRef, {
-            currentStock: increment(-ingredient.requiredQty),
-            lastUpdated: serverTimestamp()
+        // 1. Deduct each ingredient from inventory, taking its cost layers with it
+        const { updates } = consumeCostFromItems(
+            Object.fromEntries(freshItems.map(item => [item.id, item])),
+            bom.scaledIngredients.map(ing => ({ inventoryItemId: ing.inventoryItemId, quantity: ing.stockQty }))
+        );
+        const deducted = {};
+        bom.scaledIngredients.forEach(ing => {
+            deducted[ing.inventoryItemId] = (deducted[ing.inventoryItemId] || 0) + ing.stockQty;
+        });
+        Object.entries(deducted).forEach(([itemId, quantity]) => {
+            transaction.update(doc(db, 'inventory_items', itemId), {
+                currentStock: increment(-Math.round(quantity * 1000) / 1000),
+                ...updates[itemId],
+                lastUpdated: serverTimestamp()
+            });
         });
-    }
 
-    // 2. Log usage
-    const usageRef = doc(collection(db, 'usage_logs'));
-    batch.set(usageRef, {
-        recipeId: recipe.id,
-        recipeName: recipe.name,
-        targetQuantity,
-        outputUnit: recipe.outputUnit,
-        multiplier: bom.multiplier,
-        ingredients: bom.scaledIngredients.map(ing => ({
-            inventoryItemId: ing.inventoryItemId,
-            name: ing.name,
-            quantityUsed: ing.requiredQty,
-            unit: ing.unit
-        })),
-        totalCost: bom.totalCost,
-        timestamp: serverTimestamp()
-    });
+        // 2. Log usage
+        const usageRef = doc(usageLogsCollection);
+        const preparedItemId = getPreparedItemId(recipe.id);
+        transaction.set(usageRef, {
+            source: 'production',
+            preparedItemId,
+            recipeId: recipe.id,
+            recipeName: recipe.name,
+            targetQuantity,
+            outputUnit: recipe.outputUnit,
+            multiplier: bom.multiplier,
+            ingredients: bom.scaledIngredients.map(ing => ({
+                inventoryItemId: ing.inventoryItemId,
+                name: ing.name,
+                quantityUsed: ing.stockQty,
+                unit: ing.stockUnit,
+                costPerUnit: ing.costPerUnit,
+                cost: ing.ingredientCost
+            })),
+            totalCost: bom.totalCost,
+            timestamp: serverTimestamp()
+        });
 
-    // 3. Update daily_metrics for COGS (MVP Spark Client-Side)
-    const dateStr = getLocalDateString();
-    batch.set(doc(db, 'daily_metrics', dateStr), {
-        date: dateStr,
-        totalCOGS: increment(bom.totalCost),
-        lastUpdated: serverTimestamp()
-    }, { merge: true });
+        // 3. Add the output to prepared stock at this run's cost per unit
+        const outputBatch = createBatch({
+            id: usageRef.id,
+            usageLogId: usageRef.id,
+            quantity: targetQuantity,
+            totalCost: bom.totalCost,
+            holdingHours: Number(recipe.holdingHours) || 0
+        });
+        transaction.set(doc(db, 'inventory_items', preparedItemId), {
+            name: recipe.name,
+            category: PREPARED_CATEGORY,
+            recipeId: recipe.id,
+            unit: recipe.outputUnit,
+            currentStock: increment(targetQuantity),
+            costPerUnit: outputBatch.costPerUnit,
+            batches: arrayUnion(outputBatch),
+            lastUpdated: serverTimestamp()
+        }, { merge: true });
 
-    await batch.commit();
+        // 4. Update daily_metrics for COGS (MVP Spark Client-Side)
+        const dateStr = getLocalDateString();
+        transaction.set(doc(db, 'daily_metrics', dateStr), {
+            date: dateStr,
+            totalCOGS: increment(bom.totalCost),
+            lastUpdated: serverTimestamp()
+        }, { merge: true });
+
+        return { bom, outputBatch };
+    });
 
     return {
         success: true,
@@ -413,10 +895,293 @@ export async function executeProduction(recipe, targetQuantity, inventoryItems)
         quantityProduced: targetQuantity,
         outputUnit: recipe.outputUnit,
         totalCost: bom.totalCost,
+        costPerUnit: outputBatch.costPerUnit,
+        expiresAt: outputBatch.expiresAt,
         ingredientsUsed: bom.scaledIngredients.length
     };
 }
 
+// ================================================
+// SALES USAGE (Stock-Out at checkout)
+// ================================================
+
+/**
+ * Look up what a bill's stock-linked menu items use (see utils/stockUsageUtils).
+ * Runs before the checkout transaction: menu links and recipes are settings, not
+ * stock, so they need not be read inside it.
+ * @param {Array} items - Sold order lines
+ * @returns {Object|null} Sale plan for readSaleStock and writeSaleUsage, or null if nothing on the bill is linked
+ */
+export async function planSaleUsage(items) {
+    const linkedSnapshot = await getDocs(query(collection(db, 'menuItems'), where('stockLink', '!=', null)));
+    const menuById = Object.fromEntries(linkedSnapshot.docs.map(menuDoc => [menuDoc.id, { id: menuDoc.id, ...menuDoc.data() }]));
+    const soldItems = items.filter(item => menuById[item.id]);
+    if (soldItems.length === 0) return null;
+
+    const recipeIds = [...new Set(soldItems
+        .map(item => menuById[item.id].stockLink)
+        .filter(link => link?.type === 'recipe')
+        .map(link => link.recipeId))];
+    const recipeSnaps = await Promise.all(recipeIds.map(recipeId => getDoc(doc(db, 'recipes', recipeId))));
+    const recipesById = Object.fromEntries(recipeSnaps
+        .filter(recipeSnap => recipeSnap.exists())
+        .map(recipeSnap => [recipeSnap.id, { id: recipeSnap.id, ...recipeSnap.data() }]));
+
+    const usage = buildSaleUsage(soldItems, menuById, recipesById);
+    if (usage.ingredients.length === 0) return null;
+    return { soldItems, menuById, recipesById, usage };
+}
+
+/**
+ * Read the stock a sale plan deducts from, inside the checkout transaction
+ * (a transaction makes all of its reads before any write)
+ * @param {Object} transaction
+ * @param {Object} plan - From planSaleUsage
+ * @returns {Object} { preparedById, inventoryById } - inventory items deleted since the link was set up are left out
+ */
+export async function readSaleStock(transaction, plan) {
+    const preparedSnaps = await Promise.all(Object.keys(plan.recipesById)
+        .map(recipeId => transaction.get(doc(db, 'inventory_items', getPreparedItemId(recipeId)))));
+    const preparedById = Object.fromEntries(preparedSnaps
+        .filter(preparedSnap => preparedSnap.exists())
+        .map(preparedSnap => [preparedSnap.id, { id: preparedSnap.id, ...preparedSnap.data() }]));
+
+    const itemIds = [...new Set(plan.usage.ingredients.map(ingredient => ingredient.inventoryItemId))];
+    const itemSnaps = await Promise.all(itemIds.map(itemId => transaction.get(doc(db, 'inventory_items', itemId))));
+    const inventoryById = Object.fromEntries(itemSnaps
+        .filter(itemSnap => itemSnap.exists())
+        .map(itemSnap => [itemSnap.id, itemSnap.data()]));
+
+    return { preparedById, inventoryById };
+}
+
+/**
+ * Deduct the stock used by a settled bill's stock-linked menu items and book
+ * its cost as COGS, in the transaction that saves the bill, so a bill is never
+ * saved without its deduction. Everything is worked out before the first write.
+ * Recipe portions come out of prepared stock first; their cost was booked as
+ * COGS when the batch was produced, so only raw ingredients add to COGS here.
+ * Each stock write names the bill (lastBillId), which firestore.rules checks.
+ * @param {Object} transaction
+ * @param {Object} plan - From planSaleUsage
+ * @param {Object} stock - From readSaleStock
+ * @param {Object} sale - { historyId, billNumber, metricsDate }
+ * @returns {Object|null} stockUsage to save on the bill: { usageLogId, metricsDate, ingredients[], theoretical[], totalCost, preparedCost }, or null if nothing was deducted
+ */
+export function writeSaleUsage(transaction, plan, { preparedById, inventoryById }, { historyId, billNumber = null, metricsDate }) {
+    const { soldItems, menuById, recipesById, usage } = plan;
+    const deductions = buildSaleDeductions(soldItems, menuById, recipesById, preparedById);
+    const { ingredients: raw, totalCost, costUpdates } = costUsage(toStockUnits(deductions.raw, inventoryById), inventoryById);
+    const preparedCost = Math.round(deductions.prepared.reduce((sum, entry) => sum + entry.cost, 0) * 100) / 100;
+    const ingredients = [
+        ...deductions.prepared.map(entry => ({
+            ...entry,
+            costPerUnit: entry.quantityUsed > 0 ? Math.round((entry.cost / entry.quantityUsed) * 10000) / 10000 : 0
+        })),
+        ...raw
+    ];
+    if (ingredients.length === 0) return null;
+
+    const toLogEntry = (ingredient) => ({
+        inventoryItemId: ingredient.inventoryItemId,
+        name: ingredient.name,
+        quantityUsed: ingredient.quantityUsed,
+        unit: ingredient.unit,
+        ...(ingredient.batches ? { batches: ingredient.batches } : {})
+    });
+    const theoretical = toStockUnits(usage.ingredients, inventoryById).map(toLogEntry);
+
+    // 1. Deduct each ingredient, and the batches prepared stock or cost layers it came from
+    ingredients.forEach(ingredient => {
+        const batches = deductions.batchUpdates[ingredient.inventoryItemId];
+        transaction.update(doc(db, 'inventory_items', ingredient.inventoryItemId), {
+            currentStock: increment(-ingredient.quantityUsed),
+            ...(batches ? { batches } : {}),
+            ...(costUpdates[ingredient.inventoryItemId] || {}),
+            lastBillId: String(historyId),
+            lastUpdated: serverTimestamp()
+        });
+    });
+
+    // 2. Log usage against the bill
+    const usageRef = doc(usageLogsCollection);
+    transaction.set(usageRef, {
+        source: 'sale',
+        historyId: String(historyId),
+        billNumber,
+        recipeName: billNumber ? `Bill #${billNumber}` : 'Sale',
+        items: usage.items,
+        ingredients: ingredients.map(ingredient => ({ ...toLogEntry(ingredient), cost: ingredient.cost })),
+        theoretical,
+        totalCost,
+        preparedCost,
+        timestamp: serverTimestamp()
+    });
+
+    // 3. COGS on the day the bill was booked
+    transaction.set(doc(db, 'daily_metrics', metricsDate), {
+        date: metricsDate,
+        totalCOGS: increment(totalCost),
+        salesCOGS: increment(totalCost),
+        lastUpdated: serverTimestamp()
+    }, { merge: true });
+
+    // 4. What was deducted, so reopening the bill can put it back
+    return {
+        usageLogId: usageRef.id,
+        metricsDate,
+        ingredients: ingredients.map(toLogEntry),
+        theoretical,
+        totalCost,
+        preparedCost
+    };
+}
+
+// ================================================
+// STOCK TAKES (Physical Counts)
+// ================================================
+
+/**
+ * Subscribe to recent stock-take sessions (see utils/stockTakeUtils)
+ * @param {Function} callback - Called with sessions, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToStockTakes(callback) {
+    const q = query(stockTakesCollection, orderBy('startedAt', 'desc'), limit(20));
+    return onSnapshot(q, (snapshot) => {
+        callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error('Error subscribing to stock takes:', error);
+    });
+}
+
+/**
+ * Start a stock-take session; only one can be open at a time
+ * @param {Object} data - { name, startedBy }
+ * @returns {string} Session ID
+ */
+export async function startStockTake(data) {
+    const openSnapshot = await getDocs(query(stockTakesCollection, where('status', '==', 'open'), limit(1)));
+    if (!openSnapshot.empty) throw new Error('A stock take is already in progress');
+
+    const docRef = await addDoc(stockTakesCollection, {
+        name: data.name?.trim() || `Stock take ${getLocalDateString()}`,
+        status: 'open',
+        counts: {},
+        startedBy: data.startedBy || null,
+        startedAt: serverTimestamp()
+    });
+    return docRef.id;
+}
+
+/**
+ * Record the physical count of one item. Devices counting different items
+ * never overwrite each other; a recount of the same item replaces it.
+ * @param {string} stockTakeId
+ * @param {Object} item - Inventory item as currently shown (its stock is the expected quantity)
+ * @param {Object} count - { quantity, unit (default: the item's unit), countedBy }
+ */
+export async function recordStockCount(stockTakeId, item, count) {
+    // Throws if the unit cannot be converted to the item's unit
+    const counted = convertQuantity(Number(count.quantity), count.unit || item.unit, item.unit, item);
+    await updateDoc(doc(db, 'stock_takes', stockTakeId), {
+        [`counts.${item.id}`]: {
+            name: item.name,
+            counted,
+            unit: item.unit,
+            systemStock: Number(item.currentStock) || 0,
+            enteredQuantity: Number(count.quantity),
+            enteredUnit: count.unit || item.unit,
+            countedBy: count.countedBy || null,
+            countedAt: new Date().toISOString()
+        }
+    });
+}
+
+/**
+ * Remove an item's count from an open stock take
+ * @param {string} stockTakeId
+ * @param {string} inventoryItemId
+ */
+export async function clearStockCount(stockTakeId, inventoryItemId) {
+    await updateDoc(doc(db, 'stock_takes', stockTakeId), {
+        [`counts.${inventoryItemId}`]: deleteField()
+    });
+}
+
+/**
+ * Commit a stock take: apply each counted variance to stock, log it as a stock
+ * adjustment and keep the variance report on the session
+ * @param {string} stockTakeId
+ * @param {Object} options - { committedBy }
+ * @returns {Object} Summary from summariseStockTake
+ */
+export async function commitStockTake(stockTakeId, { committedBy = null } = {}) {
+    const sessionRef = doc(db, 'stock_takes', stockTakeId);
+
+    return await runTransaction(db, async (transaction) => {
+        const sessionSnap = await transaction.get(sessionRef);
+        if (!sessionSnap.exists()) throw new Error('Stock take not found');
+        const session = sessionSnap.data();
+        if (session.status !== 'open') throw new Error(`This stock take has already been ${session.status}`);
+
+        const itemIds = Object.keys(session.counts || {});
+        if (itemIds.length === 0) throw new Error('Count at least one item before committing');
+
+        // Items deleted since they were counted are left out
+        const itemSnaps = await Promise.all(itemIds.map(itemId => transaction.get(doc(db, 'inventory_items', itemId))));
+        const inventoryById = Object.fromEntries(itemSnaps
+            .filter(itemSnap => itemSnap.exists())
+            .map(itemSnap => [itemSnap.id, itemSnap.data()]));
+        const counts = Object.fromEntries(Object.entries(session.counts).filter(([itemId]) => inventoryById[itemId]));
+
+        const lines = buildStockTakeLines(counts, inventoryById);
+        const summary = summariseStockTake(lines);
+
+        lines.filter(line => line.difference !== 0).forEach(line => {
+            const previousStock = Number(inventoryById[line.inventoryItemId].currentStock) || 0;
+            const newStock = getCommittedStock(previousStock, line);
+            transaction.update(doc(db, 'inventory_items', line.inventoryItemId), {
+                currentStock: newStock,
+                lastUpdated: serverTimestamp()
+            });
+            transaction.set(doc(stockAdjustmentsCollection), {
+                inventoryItemId: line.inventoryItemId,
+                itemName: line.name,
+                previousStock,
+                newStock,
+                difference: Math.round((newStock - previousStock) * 1000) / 1000,
+                reason: 'Stock take',
+                stockTakeId,
+                adjustedAt: serverTimestamp()
+            });
+        });
+
+        transaction.update(sessionRef, {
+            status: 'committed',
+            lines,
+            summary,
+            committedBy,
+            committedAt: serverTimestamp()
+        });
+
+        return summary;
+    });
+}
+
+/**
+ * Abandon an open stock take without touching stock
+ * @param {string} stockTakeId
+ * @param {Object} options - { cancelledBy }
+ */
+export async function cancelStockTake(stockTakeId, { cancelledBy = null } = {}) {
+    await updateDoc(doc(db, 'stock_takes', stockTakeId), {
+        status: 'cancelled',
+        cancelledBy,
+        cancelledAt: serverTimestamp()
+    });
+}
+
 // ================================================
 // ANALYTICS & REPORTING
 // ================================================
@@ -425,7 +1190,7 @@ export async function executeProduction(recipe, targetQuantity, inventoryItems)
  * Fetch aggregated analytics data within a specific date range
  * @param {Date} startDate - Start of the reporting period
  * @param {Date} endDate - End of the reporting period
- * @returns {Object} Object containing arrays of purchases, usage logs, and waste entries
+ * @returns {Object} Object containing arrays of purchases, usage logs, waste entries, stock adjustments and committed stock takes
  */
 export async function getAnalyticsData(startDate, endDate) {
     // Convert JS Dates to Firebase Timestamps
@@ -445,7 +1210,7 @@ export async function getAnalyticsData(startDate, endDate) {
 
         // 2. Fetch Usage Logs (Utilization)
         const usageQuery = query(
-            collection(db, 'usage_logs'),
+            usageLogsCollection,
             where('timestamp', '>=', startTimestamp),
             where('timestamp', '<=', endTimestamp),
             orderBy('timestamp', 'desc')
@@ -463,7 +1228,27 @@ export async function getAnalyticsData(startDate, endDate) {
         const wasteSnapshot = await getDocs(wasteQuery);
         const waste = wasteSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-        // 4. Fetch Daily Metrics (for Item Sales Aggregation)
+        // 4. Fetch Stock Adjustments (manual corrections)
+        const adjustmentsQuery = query(
+            stockAdjustmentsCollection,
+            where('adjustedAt', '>=', startTimestamp),
+            where('adjustedAt', '<=', endTimestamp),
+            orderBy('adjustedAt', 'desc')
+        );
+        const adjustmentsSnapshot = await getDocs(adjustmentsQuery);
+        const adjustments = adjustmentsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        // 5. Fetch Stock Takes committed in the period (variance reports)
+        const stockTakesQuery = query(
+            stockTakesCollection,
+            where('committedAt', '>=', startTimestamp),
+            where('committedAt', '<=', endTimestamp),
+            orderBy('committedAt', 'asc')
+        );
+        const stockTakesSnapshot = await getDocs(stockTakesQuery);
+        const stockTakes = stockTakesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        // 6. Fetch Daily Metrics (for Item Sales Aggregation)
         const startStr = getLocalDateString(startDate);
         const endStr = getLocalDateString(endDate);
         const metricsQuery = query(
@@ -478,6 +1263,8 @@ export async function getAnalyticsData(startDate, endDate) {
             purchases,
             usages,
             waste,
+            adjustments,
+            stockTakes,
             metricsDocs
 
         };
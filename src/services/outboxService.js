@@ -0,0 +1,252 @@
+// Offline Outbox
+// ================================================
+// Durable queue of writes captured while the device is offline, kept in
+// IndexedDB so they survive a reload or a closed tab. firebaseService queues
+// table updates, table deletions and checkouts here and replays them in order
+// once the connection is back.
+//
+// Each queued write is { seq, key, type, payload, queuedAt, attempts, lastError }:
+// - seq: auto-incremented, the order writes are replayed in
+// - key: idempotency key; the replayed write records it on the server so a
+//   write that landed before it could be removed from the queue (tab closed,
+//   connection lost mid-replay) is never applied twice
+//
+// The queue is mirrored in memory so callers can read it synchronously (e.g.
+// to overlay pending table changes on a Firestore snapshot).
+//
+// A write the server rejects for good (permission denied, invalid data) is
+// moved out of the queue into a list of failed writes, so the writes behind it
+// still sync. The failed writes are kept, with their error, until the user
+// sends them again or discards them.
+
+const DB_NAME = 'nihari-pos-outbox';
+const DB_VERSION = 2;
+const STORE_NAME = 'writes';
+const FAILED_STORE_NAME = 'failed';
+
+let dbPromise = null;
+let queuedWrites = [];
+let queueListeners = [];
+let failedWrites = [];
+let failedListeners = [];
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not available on this device'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+          database.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+        }
+        if (!database.objectStoreNames.contains(FAILED_STORE_NAME)) {
+          database.createObjectStore(FAILED_STORE_NAME, { keyPath: 'seq' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store and resolve with its result once the transaction commits
+const runInStore = async (mode, operation, storeName = STORE_NAME) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Run requests against both stores in one transaction; operation receives
+// (writesStore, failedStore) and its return value resolves once it commits
+const runInBothStores = async (operation) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([STORE_NAME, FAILED_STORE_NAME], 'readwrite');
+    const result = operation(transaction.objectStore(STORE_NAME), transaction.objectStore(FAILED_STORE_NAME));
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const notifyQueueListeners = () => {
+  queueListeners.forEach(callback => callback(queuedWrites));
+};
+
+const notifyFailedListeners = () => {
+  failedListeners.forEach(callback => callback(failedWrites));
+};
+
+// Reload the in-memory mirrors from IndexedDB
+const loadQueue = async () => {
+  const [writes, failed] = await Promise.all([
+    runInStore('readonly', store => store.getAll()),
+    runInStore('readonly', store => store.getAll(), FAILED_STORE_NAME)
+  ]);
+  queuedWrites = writes.sort((a, b) => a.seq - b.seq);
+  failedWrites = failed.sort((a, b) => a.seq - b.seq);
+  notifyQueueListeners();
+  notifyFailedListeners();
+  return queuedWrites;
+};
+
+// Loaded once at startup; every read and write of the queue waits for it
+const queueReady = loadQueue().catch(error => {
+  console.error('Error loading offline outbox:', error);
+  return [];
+});
+
+/**
+ * Create an idempotency key for a queued write
+ * @param {string} prefix - e.g. the write type
+ * @returns {string}
+ */
+export const createIdempotencyKey = (prefix = 'write') =>
+  `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+/**
+ * Add a write to the end of the queue
+ * @param {Object} write - { key, type, payload } - payload must be structured-cloneable
+ * @returns {Promise<Object>} The queued write
+ */
+export const enqueueWrite = async ({ key, type, payload }) => {
+  await queueReady;
+  const write = { key, type, payload, queuedAt: new Date().toISOString(), attempts: 0, lastError: null };
+  const seq = await runInStore('readwrite', store => store.add(write));
+  const queued = { ...write, seq };
+  queuedWrites = [...queuedWrites, queued];
+  notifyQueueListeners();
+  return queued;
+};
+
+/**
+ * Remove a write once it has been applied
+ * @param {number} seq
+ */
+export const removeQueuedWrite = async (seq) => {
+  await runInStore('readwrite', store => store.delete(seq));
+  queuedWrites = queuedWrites.filter(write => write.seq !== seq);
+  notifyQueueListeners();
+};
+
+/**
+ * Record a failed replay attempt; the write stays at its place in the queue
+ * @param {number} seq
+ * @param {Error} error
+ */
+export const markQueuedWriteFailed = async (seq, error) => {
+  const write = queuedWrites.find(queued => queued.seq === seq);
+  if (!write) return;
+  const updated = { ...write, attempts: write.attempts + 1, lastError: error?.message || String(error) };
+  await runInStore('readwrite', store => store.put(updated));
+  queuedWrites = queuedWrites.map(queued => queued.seq === seq ? updated : queued);
+  notifyQueueListeners();
+};
+
+/**
+ * Take a write the server rejected for good out of the queue and keep it
+ * with the failed writes, so the writes behind it can sync
+ * @param {number} seq
+ * @param {Error} error
+ */
+export const moveQueuedWriteToFailed = async (seq, error) => {
+  const write = queuedWrites.find(queued => queued.seq === seq);
+  if (!write) return;
+  const failed = {
+    ...write,
+    attempts: write.attempts + 1,
+    lastError: error?.message || String(error),
+    errorCode: error?.code || null,
+    failedAt: new Date().toISOString()
+  };
+  await runInBothStores((writesStore, failedStore) => {
+    writesStore.delete(seq);
+    failedStore.put(failed);
+  });
+  queuedWrites = queuedWrites.filter(queued => queued.seq !== seq);
+  failedWrites = [...failedWrites, failed];
+  notifyQueueListeners();
+  notifyFailedListeners();
+};
+
+/**
+ * Put every failed write back at the end of the queue, in their original order
+ */
+export const requeueFailedWrites = async () => {
+  await queueReady;
+  if (failedWrites.length === 0) return;
+  const requeued = failedWrites.map(({ key, type, payload, queuedAt }) => ({ key, type, payload, queuedAt, attempts: 0, lastError: null }));
+  const requests = await runInBothStores((writesStore, failedStore) => {
+    failedStore.clear();
+    return requeued.map(write => writesStore.add(write));
+  });
+  queuedWrites = [...queuedWrites, ...requeued.map((write, index) => ({ ...write, seq: requests[index].result }))];
+  failedWrites = [];
+  notifyQueueListeners();
+  notifyFailedListeners();
+};
+
+/**
+ * Drop every failed write for good
+ */
+export const discardFailedWrites = async () => {
+  await queueReady;
+  await runInStore('readwrite', store => store.clear(), FAILED_STORE_NAME);
+  failedWrites = [];
+  notifyFailedListeners();
+};
+
+/**
+ * Writes the server rejected for good, oldest first
+ * @returns {Array}
+ */
+export const getFailedWrites = () => failedWrites;
+
+/**
+ * Subscribe to changes of the failed writes
+ * @param {Function} callback - Receives the failed writes
+ * @returns {Function} Unsubscribe
+ */
+export const onFailedWritesChange = (callback) => {
+  failedListeners.push(callback);
+  return () => {
+    failedListeners = failedListeners.filter(cb => cb !== callback);
+  };
+};
+
+/**
+ * Queued writes in replay order, once the queue has loaded
+ * @returns {Promise<Array>}
+ */
+export const getQueuedWritesAsync = async () => {
+  await queueReady;
+  return queuedWrites;
+};
+
+/**
+ * Queued writes in replay order (in-memory mirror)
+ * @returns {Array}
+ */
+export const getQueuedWrites = () => queuedWrites;
+
+/**
+ * Subscribe to changes of the queue
+ * @param {Function} callback - Receives the queued writes
+ * @returns {Function} Unsubscribe
+ */
+export const onQueuedWritesChange = (callback) => {
+  queueListeners.push(callback);
+  return () => {
+    queueListeners = queueListeners.filter(cb => cb !== callback);
+  };
+};
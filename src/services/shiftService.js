@@ -1,5 +1,5 @@
-import { db } from '../firebase';
 import {
+    db,
     collection,
     doc,
     setDoc,
@@ -14,8 +14,13 @@ import {
     limit,
     runTransaction,
     arrayUnion
-} from 'firebase/firestore';
+} from '../storage';
 import { monitorFirebaseOperation } from '../utils/performanceMonitor';
+import { DEFAULT_PRINTER_SETTINGS } from '../utils/printUtils';
+import { DEFAULT_RECEIPT_SETTINGS } from '../utils/receiptUtils';
+import { DEFAULT_TAX_SETTINGS } from '../utils/taxUtils';
+import { DEFAULT_ORDER_TYPE_SETTINGS } from '../utils/orderTypeUtils';
+import { normalizeBillNumberSettings } from '../utils/billNumberUtils';
 
 const shiftsCollection = collection(db, 'shifts');
 
@@ -160,12 +165,47 @@ export const getShiftHistory = async (startDate, endDate) => {
 // We'll store it in a singleton document `settings/posConfig`
 const settingsDoc = doc(db, 'settings', 'posConfig');
 
+// Last posConfig read successfully, also kept in localStorage across reloads.
+// A failed read falls back to it rather than to the defaults, so bills are
+// never priced or printed with settings the outlet did not choose.
+const POS_CONFIG_CACHE_KEY = 'nihari_pos_config';
+let lastPosConfig = null;
+
+const loadSavedPosConfig = () => {
+    try {
+        return JSON.parse(localStorage.getItem(POS_CONFIG_CACHE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+// Read settings/posConfig; throws when it cannot be read and no copy was ever loaded
+const readPosConfig = async () => {
+    try {
+        const snap = await getDoc(settingsDoc);
+        lastPosConfig = snap.exists() ? snap.data() : {};
+        try {
+            localStorage.setItem(POS_CONFIG_CACHE_KEY, JSON.stringify(lastPosConfig));
+        } catch (storageError) {
+            console.warn('Could not keep a copy of the POS settings:', storageError);
+        }
+        return lastPosConfig;
+    } catch (error) {
+        const saved = lastPosConfig || loadSavedPosConfig();
+        if (saved) {
+            console.warn('Using the last loaded POS settings:', error);
+            return saved;
+        }
+        throw error;
+    }
+};
+
 export const getPaymentMethods = async () => {
     return await monitorFirebaseOperation('getPaymentMethods', async () => {
         try {
-            const snap = await getDoc(settingsDoc);
-            if (snap.exists() && snap.data().paymentMethods) {
-                return snap.data().paymentMethods;
+            const config = await readPosConfig();
+            if (config.paymentMethods) {
+                return config.paymentMethods;
             }
             // Defaults if never set
             return ['Cash', 'UPI'];
@@ -187,3 +227,138 @@ export const updatePaymentMethods = async (methods) => {
         }
     });
 };
+
+// --- POS Configuration (Printer) --- //
+// Paper width and output mode shared by kitchen tickets and bills
+export const getPrinterSettings = async () => {
+    return await monitorFirebaseOperation('getPrinterSettings', async () => {
+        try {
+            const config = await readPosConfig();
+            return { ...DEFAULT_PRINTER_SETTINGS, ...(config.printerSettings || {}) };
+        } catch (error) {
+            console.error('Error fetching printer settings:', error);
+            return { ...DEFAULT_PRINTER_SETTINGS }; // fail safe
+        }
+    });
+};
+
+export const updatePrinterSettings = async (printerSettings) => {
+    return await monitorFirebaseOperation('updatePrinterSettings', async () => {
+        try {
+            await setDoc(settingsDoc, { printerSettings }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error('Error updating printer settings:', error);
+            throw error;
+        }
+    });
+};
+
+// --- POS Configuration (Bill / Receipt) --- //
+// Restaurant header, GST details and footer printed on customer bills
+export const getReceiptSettings = async () => {
+    return await monitorFirebaseOperation('getReceiptSettings', async () => {
+        try {
+            const config = await readPosConfig();
+            return { ...DEFAULT_RECEIPT_SETTINGS, ...(config.receiptSettings || {}) };
+        } catch (error) {
+            console.error('Error fetching receipt settings:', error);
+            throw error;
+        }
+    });
+};
+
+export const updateReceiptSettings = async (receiptSettings) => {
+    return await monitorFirebaseOperation('updateReceiptSettings', async () => {
+        try {
+            await setDoc(settingsDoc, { receiptSettings }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error('Error updating receipt settings:', error);
+            throw error;
+        }
+    });
+};
+
+// --- POS Configuration (Tax & Service Charge) --- //
+// Tax classes, inclusive/exclusive pricing, service charge and round-off used for order totals
+export const getTaxSettings = async () => {
+    return await monitorFirebaseOperation('getTaxSettings', async () => {
+        try {
+            const config = await readPosConfig();
+            return { ...DEFAULT_TAX_SETTINGS, ...(config.taxSettings || {}) };
+        } catch (error) {
+            console.error('Error fetching tax settings:', error);
+            throw error;
+        }
+    });
+};
+
+export const updateTaxSettings = async (taxSettings) => {
+    return await monitorFirebaseOperation('updateTaxSettings', async () => {
+        try {
+            await setDoc(settingsDoc, { taxSettings }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error('Error updating tax settings:', error);
+            throw error;
+        }
+    });
+};
+
+// --- POS Configuration (Order Types) --- //
+// Packaging charges per takeaway / delivery / aggregator bill and the delivery platforms offered
+export const getOrderTypeSettings = async () => {
+    return await monitorFirebaseOperation('getOrderTypeSettings', async () => {
+        try {
+            const config = await readPosConfig();
+            const saved = config.orderTypeSettings || {};
+            return {
+                ...DEFAULT_ORDER_TYPE_SETTINGS,
+                ...saved,
+                packagingCharges: { ...DEFAULT_ORDER_TYPE_SETTINGS.packagingCharges, ...(saved.packagingCharges || {}) }
+            };
+        } catch (error) {
+            console.error('Error fetching order type settings:', error);
+            throw error;
+        }
+    });
+};
+
+export const updateOrderTypeSettings = async (orderTypeSettings) => {
+    return await monitorFirebaseOperation('updateOrderTypeSettings', async () => {
+        try {
+            await setDoc(settingsDoc, { orderTypeSettings }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error('Error updating order type settings:', error);
+            throw error;
+        }
+    });
+};
+
+// --- POS Configuration (Bill Numbers) --- //
+// Prefix, outlet code and financial year start of tax-invoice bill numbers (see billNumberUtils)
+export const getBillNumberSettings = async () => {
+    return await monitorFirebaseOperation('getBillNumberSettings', async () => {
+        try {
+            const config = await readPosConfig();
+            return normalizeBillNumberSettings(config.billNumberSettings);
+        } catch (error) {
+            console.error('Error fetching bill number settings:', error);
+            return normalizeBillNumberSettings(); // fail safe
+        }
+    });
+};
+
+export const updateBillNumberSettings = async (billNumberSettings) => {
+    return await monitorFirebaseOperation('updateBillNumberSettings', async () => {
+        try {
+            await setDoc(settingsDoc, { billNumberSettings: normalizeBillNumberSettings(billNumberSettings) }, { merge: true });
+            return true;
+        } catch (error) {
+            console.error('Error updating bill number settings:', error);
+            throw error;
+        }
+    });
+};
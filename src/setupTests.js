@@ -1,15 +1,13 @@
 // Setup file for React Testing Library
 import '@testing-library/jest-dom';
 
-// Mock Firebase for tests
-jest.mock('../firebase', () => ({
-  db: {},
-  auth: {}
-}));
+// Storage runs on the in-memory backend (see moduleNameMapper in jest.config.js),
+// so Firebase needs no mock
 
 // Mock performance monitoring
-jest.mock('../utils/performanceMonitor', () => ({
+jest.mock('./utils/performanceMonitor', () => ({
   monitorFirebaseOperation: jest.fn((name, operation) => operation()),
+  monitorFirestoreListener: jest.fn((name, unsubscribe) => unsubscribe),
   useRenderPerformance: jest.fn(() => {}),
   useFunctionPerformance: jest.fn((name, fn) => fn)
 }));
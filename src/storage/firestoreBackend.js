@@ -0,0 +1,41 @@
+// Firestore storage backend: Firebase Firestore and Firebase Authentication
+// (the default). See storage/index.js.
+
+export { db, auth } from '../firebase';
+export {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  getAggregateFromServer,
+  count,
+  sum,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  deleteField,
+  Timestamp
+} from 'firebase/firestore';
+export {
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signOut,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  updatePassword
+} from 'firebase/auth';
+
+export const STORAGE_BACKEND = 'firestore';
@@ -0,0 +1,27 @@
+// Storage
+// ================================================
+// The one place the app gets its database and authentication from. Services,
+// hooks, components and utils import the Firestore-style API re-exported here
+// instead of the Firebase SDK; the backend behind it is chosen at build time
+// with VITE_STORAGE_BACKEND (see vite.config.js):
+// - 'firestore' (default): Firebase Firestore and Authentication
+//   (./firestoreBackend.js)
+// - 'local': the local document store (./localBackend.js), kept in this
+//   browser's IndexedDB or, with VITE_LOCAL_SERVER_URL, on the POS server
+//   (server/localServer.js) so a single outlet runs on its LAN with no internet
+//
+// Tests resolve to ./memoryBackend.js, which keeps everything in memory.
+//
+// Every backend exports the same names:
+// - db, auth
+// - collection, doc, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc,
+//   onSnapshot, query, where, orderBy, limit, startAfter, writeBatch,
+//   runTransaction, serverTimestamp, increment, arrayUnion, deleteField, Timestamp
+// - getAggregateFromServer, count, sum
+// - onAuthStateChanged, signInWithEmailAndPassword,
+//   createUserWithEmailAndPassword, signOut, EmailAuthProvider,
+//   reauthenticateWithCredential, updatePassword
+// - STORAGE_BACKEND: name of the backend in use
+// New code should stay within these; anything else has to be added to every backend.
+
+export * from '@storage-backend';
@@ -0,0 +1,647 @@
+// Local Document Store
+// ================================================
+// A small document database offering the subset of the Firestore modular API
+// the app uses, so the POS can run without Firebase (see storage/index.js).
+//
+// Documents are held in memory as JSON-safe data { path, data, version } and
+// every read hands out a fresh copy, so callers can never change stored data
+// by accident. A persistence adapter (see ./persistence.js) loads them at
+// start and receives every committed change.
+//
+// Firestore behaviour the services rely on is kept:
+// - undefined field values are rejected
+// - updateDoc / transaction.update treat dotted keys as field paths and fail
+//   when the document does not exist
+// - setDoc with { merge: true } merges nested maps
+// - serverTimestamp(), increment(), arrayUnion() and deleteField()
+// - runTransaction reads the latest data and is retried when a document it
+//   read changed before it committed
+// - writes never overwrite a change they have not seen: each commit carries the
+//   version of every document it writes, and a commit the POS server refuses
+//   because one changed is worked out again on the newer data (increment() and
+//   dotted updates from two devices both count)
+// - queries: where (==, !=, <, <=, >, >=, in, array-contains), orderBy
+//   (including '__name__'), limit and startAfter
+// - getAggregateFromServer with count() and sum(), which (like Firestore)
+//   adds up only the numbers in a field
+// Security rules are not enforced: the local backend trusts every device on it.
+
+const TIMESTAMP_TAG = '__timestamp';
+const DELETE = Symbol('delete');
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_COMMIT_ATTEMPTS = 5; // Per transaction, and per plain write refused as out of date
+
+/**
+ * Error with a Firestore-style code ('not-found', 'aborted', 'invalid-argument', 'unavailable')
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+export const storageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// ================================================
+// Values
+// ================================================
+
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static fromMillis(milliseconds) {
+    const seconds = Math.floor(milliseconds / 1000);
+    return new Timestamp(seconds, Math.round((milliseconds - seconds * 1000) * 1e6));
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + this.nanoseconds / 1e6;
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.seconds === this.seconds && other.nanoseconds === this.nanoseconds;
+  }
+}
+
+class FieldValue {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+export const serverTimestamp = () => new FieldValue('serverTimestamp');
+export const increment = (amount) => new FieldValue('increment', amount);
+export const arrayUnion = (...elements) => new FieldValue('arrayUnion', elements);
+export const deleteField = () => new FieldValue('delete');
+
+const isMap = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof FieldValue)
+  && !(value instanceof Timestamp)
+  && !(value instanceof Date);
+
+const isStoredTimestamp = (value) => isMap(value) && TIMESTAMP_TAG in value;
+
+const isSameStored = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Value as stored; sentinels are resolved against the field's current stored value
+const encodeValue = (value, current, now) => {
+  if (value === undefined) throw storageError('invalid-argument', 'Unsupported field value: undefined');
+  if (value instanceof FieldValue) {
+    switch (value.kind) {
+      case 'serverTimestamp':
+        return encodeValue(now, undefined, now);
+      case 'increment':
+        return (typeof current === 'number' ? current : 0) + value.operand;
+      case 'arrayUnion': {
+        const list = Array.isArray(current) ? [...current] : [];
+        value.operand.forEach(element => {
+          const encoded = encodeValue(element, undefined, now);
+          if (!list.some(existing => isSameStored(existing, encoded))) list.push(encoded);
+        });
+        return list;
+      }
+      default:
+        return DELETE;
+    }
+  }
+  if (value instanceof Timestamp) return { [TIMESTAMP_TAG]: [value.seconds, value.nanoseconds] };
+  if (value instanceof Date) return encodeValue(Timestamp.fromDate(value), undefined, now);
+  if (Array.isArray(value)) return value.map(element => encodeValue(element, undefined, now));
+  if (value !== null && typeof value === 'object') {
+    const map = {};
+    Object.entries(value).forEach(([key, field]) => {
+      const encoded = encodeValue(field, isMap(current) ? current[key] : undefined, now);
+      if (encoded !== DELETE) map[key] = encoded;
+    });
+    return map;
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    throw storageError('invalid-argument', `Unsupported field value: ${typeof value}`);
+  }
+  return value;
+};
+
+// Stored value as handed to callers (always a fresh copy)
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isStoredTimestamp(value)) return new Timestamp(...value[TIMESTAMP_TAG]);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, decodeValue(field)]));
+  }
+  return value;
+};
+
+// setDoc(..., { merge: true }): nested maps are merged, everything else replaced
+const mergeInto = (current, updates, now) => {
+  const result = isMap(current) && !isStoredTimestamp(current) ? { ...current } : {};
+  Object.entries(updates).forEach(([key, value]) => {
+    if (isMap(value)) {
+      result[key] = mergeInto(result[key], value, now);
+      return;
+    }
+    const encoded = encodeValue(value, result[key], now);
+    if (encoded === DELETE) delete result[key];
+    else result[key] = encoded;
+  });
+  return result;
+};
+
+// updateDoc: keys are field paths ('calculatedTotals.cash'); values replace the field
+const applyUpdate = (current, updates, now) => {
+  const result = JSON.parse(JSON.stringify(current));
+  Object.entries(updates).forEach(([fieldPath, value]) => {
+    const segments = fieldPath.split('.');
+    let target = result;
+    segments.slice(0, -1).forEach(segment => {
+      if (!isMap(target[segment]) || isStoredTimestamp(target[segment])) target[segment] = {};
+      target = target[segment];
+    });
+    const field = segments[segments.length - 1];
+    const encoded = encodeValue(value, target[field], now);
+    if (encoded === DELETE) delete target[field];
+    else target[field] = encoded;
+  });
+  return result;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, segment) => (isMap(value) ? value[segment] : undefined),
+  data
+);
+
+// Firestore's ordering of values of different types
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (isStoredTimestamp(value)) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+const compareStored = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (isStoredTimestamp(a)) {
+    const [aSeconds, aNanos] = a[TIMESTAMP_TAG];
+    const [bSeconds, bNanos] = b[TIMESTAMP_TAG];
+    return aSeconds - bSeconds || aNanos - bNanos;
+  }
+  if (typeof a === 'string') return a < b ? -1 : (a > b ? 1 : 0);
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  return JSON.stringify(a).localeCompare(JSON.stringify(b));
+};
+
+const AUTO_ID_LENGTH = 20;
+
+const autoId = () => Array.from(
+  { length: AUTO_ID_LENGTH },
+  () => AUTO_ID_CHARS[Math.floor(Math.random() * AUTO_ID_CHARS.length)]
+).join('');
+
+// ================================================
+// References, queries and snapshots
+// ================================================
+
+class CollectionReference {
+  constructor(store, path) {
+    this.type = 'collection';
+    this.store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+}
+
+class DocumentReference {
+  constructor(store, path) {
+    this.type = 'document';
+    this.store = store;
+    this.path = path;
+    this.id = path.split('/').pop();
+    this.parent = new CollectionReference(store, path.split('/').slice(0, -1).join('/'));
+  }
+}
+
+class Query {
+  constructor(collectionRef, constraints) {
+    this.type = 'query';
+    this.store = collectionRef.store;
+    this.collectionRef = collectionRef;
+    this.constraints = constraints;
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, entry) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.stored = entry ? entry.data : null;
+  }
+
+  exists() {
+    return this.stored !== null;
+  }
+
+  data() {
+    return this.stored === null ? undefined : decodeValue(this.stored);
+  }
+
+  get(fieldPath) {
+    return this.stored === null ? undefined : decodeValue(getField(this.stored, fieldPath));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+const joinPath = (segments) => segments.map(String).join('/');
+
+const matchesFilter = (stored, { fieldPath, op, value }) => {
+  const field = fieldPath === '__name__' ? stored.id : getField(stored.data, fieldPath);
+  const target = encodeValue(value, undefined, null);
+  if (op === 'in') return field !== undefined && target.some(candidate => isSameStored(field, candidate));
+  if (op === 'array-contains') return Array.isArray(field) && field.some(candidate => isSameStored(candidate, target));
+  if (field === undefined) return false;
+  if (op === '==') return isSameStored(field, target);
+  if (op === '!=') return !isSameStored(field, target);
+  // Range filters only match values of the same type, as in Firestore
+  if (typeRank(field) !== typeRank(target)) return false;
+  const comparison = compareStored(field, target);
+  switch (op) {
+    case '<': return comparison < 0;
+    case '<=': return comparison <= 0;
+    case '>': return comparison > 0;
+    case '>=': return comparison >= 0;
+    default: throw storageError('invalid-argument', `Unsupported query operator: ${op}`);
+  }
+};
+
+const orderValue = (stored, fieldPath) => (fieldPath === '__name__' ? stored.id : getField(stored.data, fieldPath));
+
+// ================================================
+// Store
+// ================================================
+
+class LocalDocumentStore {
+  constructor(persistence) {
+    this.persistence = persistence;
+    this.documents = new Map(); // path -> { data, version }
+    this.listeners = new Set();
+    this.commitChain = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  async load() {
+    const documents = await this.persistence.load();
+    documents.forEach(({ path, data, version }) => this.documents.set(path, { data, version }));
+    if (this.persistence.subscribe) {
+      this.persistence.subscribe({
+        onChanges: (changes) => this.applyRemoteChanges(changes),
+        onResync: (allDocuments) => this.replaceDocuments(allDocuments)
+      });
+    }
+  }
+
+  version(path) {
+    return this.documents.get(path)?.version || 0;
+  }
+
+  // Changes committed elsewhere (another device on the POS server)
+  applyRemoteChanges(changes) {
+    const applied = changes.filter(change => change.version > this.version(change.path));
+    applied.forEach(({ path, data, version }) => {
+      if (data === null) this.documents.delete(path);
+      else this.documents.set(path, { data, version });
+    });
+    if (applied.length > 0) this.notify(applied.map(change => change.path));
+  }
+
+  // Full reload after a lost connection, when some changes may have been missed
+  replaceDocuments(allDocuments) {
+    const paths = new Set([...this.documents.keys(), ...allDocuments.map(document => document.path)]);
+    this.documents = new Map(allDocuments.map(({ path, data, version }) => [path, { data, version }]));
+    this.notify([...paths]);
+  }
+
+  // One attempt at a commit: works the writes out on the current data and sends
+  // them with the version of every document read or written as a precondition
+  async commitOnce(operations, reads) {
+    const stale = reads.filter(read => this.version(read.path) !== read.version);
+    if (stale.length > 0) throw storageError('aborted', 'Transaction data changed before it could be committed');
+
+    const now = Timestamp.now();
+    const changes = new Map();
+    operations.forEach(({ path, apply }) => {
+      const current = changes.has(path) ? changes.get(path).data : (this.documents.get(path)?.data ?? null);
+      changes.set(path, { path, data: apply(current, now), version: this.version(path) + 1 });
+    });
+    const list = [...changes.values()];
+
+    const preconditions = new Map(reads.map(read => [read.path, read.version]));
+    list.forEach(change => {
+      if (!preconditions.has(change.path)) preconditions.set(change.path, this.version(change.path));
+    });
+
+    let versions = null;
+    try {
+      versions = await this.persistence.commit(list, [...preconditions].map(([path, version]) => ({ path, version })));
+    } catch (error) {
+      // The server may send back the documents that were out of date here
+      if (error.documents) this.applyRemoteChanges(error.documents);
+      throw error;
+    }
+
+    list.forEach(change => {
+      const version = versions?.[change.path] ?? change.version;
+      if (change.data === null) this.documents.delete(change.path);
+      else this.documents.set(change.path, { data: change.data, version });
+    });
+    this.notify(list.map(change => change.path));
+  }
+
+  /**
+   * Apply write operations atomically
+   * @param {Array} operations - [{ path, apply(currentData, now) -> data | null }]
+   * @param {Array} reads - [{ path, version }] read by a transaction; a changed one aborts the commit
+   */
+  commit(operations, reads = []) {
+    const run = async () => {
+      await this.ready;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await this.commitOnce(operations, reads);
+        } catch (error) {
+          // A plain write is worked out again on the documents the server sent
+          // back; a transaction aborts so runTransaction reruns it from its reads
+          if (error.code !== 'aborted' || reads.length > 0 || attempt >= MAX_COMMIT_ATTEMPTS) throw error;
+        }
+      }
+    };
+
+    const result = this.commitChain.then(run);
+    this.commitChain = result.catch(() => {});
+    return result;
+  }
+
+  notify(paths) {
+    this.listeners.forEach(listener => {
+      const { target } = listener;
+      const affected = target.type === 'document'
+        ? paths.includes(target.path)
+        : paths.some(path => path.split('/').slice(0, -1).join('/') === (target.collectionRef || target).path);
+      if (affected) this.deliver(listener);
+    });
+  }
+
+  deliver(listener) {
+    try {
+      listener.next(listener.target.type === 'document' ? this.getDocument(listener.target) : this.runQuery(listener.target));
+    } catch (error) {
+      if (listener.error) listener.error(error);
+      else console.error('Error in snapshot listener:', error);
+    }
+  }
+
+  getDocument(ref) {
+    return new DocumentSnapshot(ref, this.documents.get(ref.path));
+  }
+
+  runQuery(target) {
+    const collectionRef = target.type === 'query' ? target.collectionRef : target;
+    const constraints = target.type === 'query' ? target.constraints : [];
+    const filters = constraints.filter(constraint => constraint.type === 'where');
+    const orders = constraints.filter(constraint => constraint.type === 'orderBy');
+    const limitConstraint = constraints.filter(constraint => constraint.type === 'limit').pop();
+    const cursor = constraints.filter(constraint => constraint.type === 'startAfter').pop();
+
+    let matches = [];
+    this.documents.forEach(({ data }, path) => {
+      const segments = path.split('/');
+      if (segments.slice(0, -1).join('/') !== collectionRef.path) return;
+      matches.push({ id: segments[segments.length - 1], path, data });
+    });
+
+    matches = matches.filter(stored => filters.every(filter => matchesFilter(stored, filter)));
+    // Ordering by a field leaves out documents without it
+    matches = matches.filter(stored => orders.every(order => orderValue(stored, order.fieldPath) !== undefined));
+
+    const compare = (a, b) => {
+      for (const order of orders) {
+        const comparison = compareStored(orderValue(a, order.fieldPath), orderValue(b, order.fieldPath));
+        if (comparison !== 0) return order.direction === 'desc' ? -comparison : comparison;
+      }
+      const lastDirection = orders.length > 0 ? orders[orders.length - 1].direction : 'asc';
+      const byId = a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+      return lastDirection === 'desc' ? -byId : byId;
+    };
+    matches.sort(compare);
+
+    if (cursor) {
+      const after = cursor.snapshot
+        ? { id: cursor.snapshot.id, data: cursor.snapshot.stored }
+        : { id: '', data: Object.fromEntries(orders.map((order, index) => [order.fieldPath, encodeValue(cursor.values[index], undefined, null)])) };
+      matches = matches.filter(stored => compare(stored, after) > 0);
+    }
+    if (limitConstraint) matches = matches.slice(0, limitConstraint.count);
+
+    return new QuerySnapshot(matches.map(stored =>
+      new DocumentSnapshot(new DocumentReference(this, stored.path), this.documents.get(stored.path))
+    ));
+  }
+}
+
+// ================================================
+// Write operations
+// ================================================
+
+const setOperation = (ref, data, options = {}) => {
+  if (!isMap(data)) throw storageError('invalid-argument', 'Document data must be an object');
+  return {
+    path: ref.path,
+    apply: (current, now) => (options.merge ? mergeInto(current, data, now) : encodeValue(data, undefined, now))
+  };
+};
+
+const updateOperation = (ref, data) => ({
+  path: ref.path,
+  apply: (current, now) => {
+    if (current === null) throw storageError('not-found', `No document to update: ${ref.path}`);
+    return applyUpdate(current, data, now);
+  }
+});
+
+const deleteOperation = (ref) => ({ path: ref.path, apply: () => null });
+
+// ================================================
+// Firestore-style API
+// ================================================
+
+/**
+ * Create the Firestore-style API over a local document store
+ * @param {Object} persistence - { load, commit, subscribe? } (see ./persistence.js)
+ * @returns {Object} { db, collection, doc, getDoc, ... } - db is the store
+ */
+export const createLocalFirestore = (persistence) => {
+  const store = new LocalDocumentStore(persistence);
+
+  const collection = (parent, ...segments) => {
+    const base = parent instanceof DocumentReference ? [parent.path] : [];
+    return new CollectionReference(store, joinPath([...base, ...segments]));
+  };
+
+  const doc = (parent, ...segments) => {
+    if (parent instanceof CollectionReference) {
+      return new DocumentReference(store, joinPath([parent.path, ...(segments.length > 0 ? segments : [autoId()])]));
+    }
+    return new DocumentReference(store, joinPath(segments));
+  };
+
+  const query = (target, ...constraints) => (target instanceof Query
+    ? new Query(target.collectionRef, [...target.constraints, ...constraints])
+    : new Query(target, constraints));
+
+  const where = (fieldPath, op, value) => ({ type: 'where', fieldPath, op, value });
+  const orderBy = (fieldPath, direction = 'asc') => ({ type: 'orderBy', fieldPath, direction });
+  const limit = (count) => ({ type: 'limit', count });
+  const startAfter = (...values) => (values[0] instanceof DocumentSnapshot
+    ? { type: 'startAfter', snapshot: values[0] }
+    : { type: 'startAfter', values });
+
+  const count = () => ({ aggregateType: 'count' });
+  const sum = (fieldPath) => ({ aggregateType: 'sum', fieldPath });
+
+  const getDoc = async (ref) => {
+    await store.ready;
+    return store.getDocument(ref);
+  };
+
+  const getDocs = async (target) => {
+    await store.ready;
+    return store.runQuery(target);
+  };
+
+  const getAggregateFromServer = async (target, aggregates) => {
+    await store.ready;
+    const { docs } = store.runQuery(target);
+    const result = Object.fromEntries(Object.entries(aggregates).map(([alias, aggregate]) => [
+      alias,
+      aggregate.aggregateType === 'count'
+        ? docs.length
+        : docs.reduce((total, snapshot) => {
+          const value = snapshot.get(aggregate.fieldPath);
+          return typeof value === 'number' ? total + value : total;
+        }, 0)
+    ]));
+    return { data: () => ({ ...result }) };
+  };
+
+  const setDoc = (ref, data, options) => store.commit([setOperation(ref, data, options)]);
+  const updateDoc = (ref, data) => store.commit([updateOperation(ref, data)]);
+  const deleteDoc = (ref) => store.commit([deleteOperation(ref)]);
+  const addDoc = async (collectionRef, data) => {
+    const ref = doc(collectionRef);
+    await setDoc(ref, data);
+    return ref;
+  };
+
+  const onSnapshot = (target, next, error) => {
+    const listener = typeof next === 'function'
+      ? { target, next, error }
+      : { target, next: next.next, error: next.error };
+    store.listeners.add(listener);
+    store.ready
+      .then(() => {
+        if (store.listeners.has(listener)) store.deliver(listener);
+      })
+      .catch(loadError => listener.error?.(loadError));
+    return () => store.listeners.delete(listener);
+  };
+
+  const writeBatch = () => {
+    const operations = [];
+    const batch = {
+      set: (ref, data, options) => { operations.push(setOperation(ref, data, options)); return batch; },
+      update: (ref, data) => { operations.push(updateOperation(ref, data)); return batch; },
+      delete: (ref) => { operations.push(deleteOperation(ref)); return batch; },
+      commit: () => store.commit(operations)
+    };
+    return batch;
+  };
+
+  const runTransaction = async (_db, updateFunction) => {
+    for (let attempt = 1; ; attempt++) {
+      await store.ready;
+      const reads = new Map();
+      const operations = [];
+      const transaction = {
+        get: async (ref) => {
+          reads.set(ref.path, store.version(ref.path));
+          return store.getDocument(ref);
+        },
+        set: (ref, data, options) => { operations.push(setOperation(ref, data, options)); return transaction; },
+        update: (ref, data) => { operations.push(updateOperation(ref, data)); return transaction; },
+        delete: (ref) => { operations.push(deleteOperation(ref)); return transaction; }
+      };
+
+      const result = await updateFunction(transaction);
+      try {
+        await store.commit(operations, [...reads].map(([path, version]) => ({ path, version })));
+        return result;
+      } catch (error) {
+        if (error.code !== 'aborted' || attempt >= MAX_COMMIT_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  return {
+    db: store,
+    collection,
+    doc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    getDoc,
+    getDocs,
+    getAggregateFromServer,
+    count,
+    sum,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    addDoc,
+    onSnapshot,
+    writeBatch,
+    runTransaction
+  };
+};
@@ -0,0 +1,224 @@
+// Local Authentication
+// ================================================
+// Email/password accounts for the local backend, offering the subset of the
+// Firebase Auth modular API authService uses. Where the accounts live depends
+// on the persistence:
+// - POS server: the server keeps them and checks passwords (scrypt), and the
+//   session token it hands out is what lets a device read or write any data
+//   (see accounts in createServerPersistence)
+// - this browser (IndexedDB, memory): documents in the local store
+//   ('local_accounts', keyed by uid) holding a PBKDF2 hash of the password; the
+//   signed-in uid is remembered in localStorage, like Firebase keeps its
+//   session across reloads
+//
+// Errors carry the Firebase auth/* codes authService already turns into messages.
+
+import { storageError } from './documentStore';
+
+const ACCOUNTS_COLLECTION = 'local_accounts';
+const SESSION_KEY = 'nihari_pos_local_session';
+const MIN_PASSWORD_LENGTH = 6;
+const PBKDF2_ITERATIONS = 310000;
+
+const authError = (code, message) => storageError(code, message);
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// crypto.subtle is only available on https and localhost; a LAN install signs
+// in through the POS server instead, so only a browser-only install needs it
+const getSubtleCrypto = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw authError('auth/operation-not-supported-in-this-environment',
+      'Open the POS over https or on localhost to sign in on this device');
+  }
+  return globalThis.crypto.subtle;
+};
+
+const randomHex = (byteCount) => toHex(globalThis.crypto.getRandomValues(new Uint8Array(byteCount)));
+
+const hashPassword = async (password, salt, iterations = PBKDF2_ITERATIONS) => {
+  const subtle = getSubtleCrypto();
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations }, key, 256);
+  return toHex(bits);
+};
+
+const createPasswordFields = async (password) => {
+  const salt = randomHex(16);
+  return { salt, kdf: { name: 'pbkdf2', iterations: PBKDF2_ITERATIONS }, passwordHash: await hashPassword(password, salt) };
+};
+
+// Accounts made before PBKDF2 hold a single salted SHA-256 hash
+const verifyPassword = async (account, password) => {
+  const hash = account.kdf?.name === 'pbkdf2'
+    ? await hashPassword(password, account.salt, account.kdf.iterations)
+    : toHex(await getSubtleCrypto().digest('SHA-256', new TextEncoder().encode(`${account.salt}:${password}`)));
+  return hash === account.passwordHash;
+};
+
+const readSession = () => {
+  try {
+    return globalThis.localStorage?.getItem(SESSION_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writeSession = (uid) => {
+  try {
+    if (uid) globalThis.localStorage?.setItem(SESSION_KEY, uid);
+    else globalThis.localStorage?.removeItem(SESSION_KEY);
+  } catch (error) {
+    console.error('Failed to store local session:', error);
+  }
+};
+
+const checkNewPassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError('auth/weak-password', 'Password is too weak');
+  }
+};
+
+/**
+ * Accounts kept in the local document store, for installs without a POS server
+ * @param {Object} firestore - API returned by createLocalFirestore
+ * @returns {Object} { restore, signIn, signUp, signOut, verifyPassword, setPassword }
+ */
+export const createStoreAccounts = (firestore) => {
+  const { db, doc, getDoc, setDoc, updateDoc, collection, query, where, getDocs } = firestore;
+
+  const toUser = (uid, account) => ({ uid, email: account.email });
+
+  const findAccount = async (email) => {
+    const snapshot = await getDocs(query(collection(db, ACCOUNTS_COLLECTION), where('email', '==', email.toLowerCase())));
+    return snapshot.empty ? null : snapshot.docs[0];
+  };
+
+  return {
+    // The remembered user, once the store has loaded
+    restore: async () => {
+      await db.ready;
+      const uid = readSession();
+      const accountDoc = uid ? await getDoc(doc(db, ACCOUNTS_COLLECTION, uid)) : null;
+      return accountDoc?.exists() ? toUser(uid, accountDoc.data()) : null;
+    },
+    signIn: async (email, password) => {
+      const accountDoc = await findAccount(email);
+      const account = accountDoc?.data();
+      if (!account || !(await verifyPassword(account, password))) {
+        throw authError('auth/invalid-credential', 'Invalid email or password');
+      }
+      if (account.kdf?.name !== 'pbkdf2') {
+        await updateDoc(accountDoc.ref, await createPasswordFields(password));
+      }
+      writeSession(accountDoc.id);
+      return toUser(accountDoc.id, account);
+    },
+    signUp: async (email, password) => {
+      checkNewPassword(password);
+      if (await findAccount(email)) {
+        throw authError('auth/email-already-in-use', 'Email already registered');
+      }
+      const uid = randomHex(14);
+      const account = {
+        email: email.toLowerCase(),
+        ...(await createPasswordFields(password)),
+        createdAt: new Date().toISOString()
+      };
+      await setDoc(doc(db, ACCOUNTS_COLLECTION, uid), account);
+      writeSession(uid);
+      return toUser(uid, account);
+    },
+    signOut: async () => {
+      writeSession(null);
+    },
+    verifyPassword: async (uid, password) => {
+      const accountDoc = await getDoc(doc(db, ACCOUNTS_COLLECTION, uid));
+      if (!accountDoc.exists() || !(await verifyPassword(accountDoc.data(), password))) {
+        throw authError('auth/wrong-password', 'Current password is incorrect');
+      }
+    },
+    setPassword: async (uid, password) => {
+      checkNewPassword(password);
+      await updateDoc(doc(db, ACCOUNTS_COLLECTION, uid), await createPasswordFields(password));
+    }
+  };
+};
+
+/**
+ * Create the Firebase Auth-style API over the local document store
+ * @param {Object} firestore - API returned by createLocalFirestore
+ * @param {Object} accounts - Where accounts are kept: the POS server's
+ *   (persistence.accounts) or createStoreAccounts(firestore)
+ * @returns {Object} { auth, signInWithEmailAndPassword, signOut, onAuthStateChanged, ... }
+ */
+export const createLocalAuth = (firestore, accounts = createStoreAccounts(firestore)) => {
+  const auth = { currentUser: null };
+  let listeners = [];
+  let initialized = false;
+
+  const setCurrentUser = (user) => {
+    auth.currentUser = user;
+    listeners.forEach(callback => callback(user));
+  };
+
+  // Restore the remembered session
+  accounts.restore()
+    .then(user => { auth.currentUser = user; })
+    .catch(error => console.error('Error restoring local session:', error))
+    .finally(() => {
+      initialized = true;
+      listeners.forEach(callback => callback(auth.currentUser));
+    });
+
+  const onAuthStateChanged = (_auth, callback) => {
+    listeners.push(callback);
+    if (initialized) Promise.resolve().then(() => callback(auth.currentUser));
+    return () => {
+      listeners = listeners.filter(cb => cb !== callback);
+    };
+  };
+
+  const signInWithEmailAndPassword = async (_auth, email, password) => {
+    const user = await accounts.signIn(email, password);
+    setCurrentUser(user);
+    return { user };
+  };
+
+  // Signs the new account in, as Firebase does
+  const createUserWithEmailAndPassword = async (_auth, email, password) => {
+    const user = await accounts.signUp(email, password);
+    setCurrentUser(user);
+    return { user };
+  };
+
+  const signOut = async () => {
+    await accounts.signOut();
+    setCurrentUser(null);
+  };
+
+  const EmailAuthProvider = {
+    credential: (email, password) => ({ email, password })
+  };
+
+  const reauthenticateWithCredential = async (user, credential) => {
+    await accounts.verifyPassword(user.uid, credential.password);
+    return { user };
+  };
+
+  const updatePassword = async (user, newPassword) => {
+    await accounts.setPassword(user.uid, newPassword);
+  };
+
+  return {
+    auth,
+    onAuthStateChanged,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    signOut,
+    EmailAuthProvider,
+    reauthenticateWithCredential,
+    updatePassword
+  };
+};
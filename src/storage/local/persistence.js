@@ -0,0 +1,224 @@
+// Local Store Persistence
+// ================================================
+// Where the local document store (./documentStore.js) keeps its documents.
+// Each adapter provides:
+// - load(): every stored document as [{ path, data, version }]
+// - commit(changes, reads): store changes [{ path, data (null = deleted), version }];
+//   reads [{ path, version }] are the versions the changes were worked out from
+//   (every document read or written) and a shared store refuses the commit with
+//   'aborted' when one has moved on; may return { [path]: version } when the
+//   versions are assigned elsewhere
+// - subscribe({ onChanges, onResync }) (optional): changes made by other devices
+//
+// - memory: nothing is kept (tests, demos)
+// - IndexedDB: kept in this browser; one device runs the outlet
+// - server: kept by the POS server on the local network (server/localServer.js),
+//   shared live by every device that connects to it; it also keeps the accounts
+//   (accounts below, used by ./localAuth.js) and only serves signed-in devices
+
+import { storageError } from './documentStore';
+
+/**
+ * Keep documents in memory only
+ * @param {Array} documents - Initial documents [{ path, data, version }]
+ * @returns {Object} Persistence adapter
+ */
+export const createMemoryPersistence = (documents = []) => ({
+  load: async () => documents,
+  commit: async () => null
+});
+
+const IDB_VERSION = 1;
+const IDB_STORE = 'documents';
+
+/**
+ * Keep documents in IndexedDB
+ * @param {string} databaseName
+ * @returns {Object} Persistence adapter
+ */
+export const createIndexedDbPersistence = (databaseName = 'nihari-pos-local') => {
+  let databasePromise = null;
+
+  const openDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(storageError('unavailable', 'Local storage is not available on this device'));
+          return;
+        }
+        const request = indexedDB.open(databaseName, IDB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(IDB_STORE, { keyPath: 'path' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return databasePromise;
+  };
+
+  // Run requests in one IndexedDB transaction and resolve with the last result once it commits
+  const runInStore = async (mode, operation) => {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(IDB_STORE, mode);
+      const request = operation(transaction.objectStore(IDB_STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    load: () => runInStore('readonly', store => store.getAll()),
+    commit: async (changes) => {
+      await runInStore('readwrite', store => {
+        let request = null;
+        changes.forEach(({ path, data, version }) => {
+          request = data === null ? store.delete(path) : store.put({ path, data, version });
+        });
+        return request;
+      });
+      return null;
+    }
+  };
+};
+
+const RESYNC_DELAY = 1000;
+const SERVER_SESSION_KEY = 'nihari_pos_server_session';
+
+const readServerToken = () => {
+  try {
+    return globalThis.localStorage?.getItem(SERVER_SESSION_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writeServerToken = (token) => {
+  try {
+    if (token) globalThis.localStorage?.setItem(SERVER_SESSION_KEY, token);
+    else globalThis.localStorage?.removeItem(SERVER_SESSION_KEY);
+  } catch (error) {
+    console.error('Failed to store POS server session:', error);
+  }
+};
+
+/**
+ * Keep documents on the POS server
+ * @param {string} baseUrl - Server API address, e.g. 'http://192.168.1.20:8787/api' or '/api'
+ * @returns {Object} Persistence adapter, plus accounts for createLocalAuth
+ */
+export const createServerPersistence = (baseUrl) => {
+  const url = (path) => `${baseUrl.replace(/\/$/, '')}${path}`;
+  let token = readServerToken();
+  let events = null;
+  let handlers = null;
+
+  // The server only hands out documents once this device has signed in (or
+  // before the first account exists), so loading waits for that
+  let openSession;
+  const sessionOpen = new Promise(resolve => { openSession = resolve; });
+
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(url(path), {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      // Same code as Firestore when the backend cannot be reached, so callers
+      // (e.g. the offline outbox) handle both alike
+      throw storageError('unavailable', `POS server unreachable: ${error.message}`);
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = storageError(result.code || 'unavailable', result.message || `POS server error (${response.status})`);
+      if (result.documents) error.documents = result.documents;
+      throw error;
+    }
+    return result;
+  };
+
+  const load = async () => {
+    await sessionOpen;
+    return (await request('GET', '/documents')).documents;
+  };
+
+  // Changes are only sent while connected: reload everything once the stream
+  // is open, both the first time (changes made since the initial load or while
+  // signed out) and after a lost connection
+  const connect = () => {
+    events?.close();
+    events = null;
+    if (!handlers || typeof EventSource === 'undefined') return;
+    const { onChanges, onResync } = handlers;
+    const source = new EventSource(url(token ? `/events?token=${encodeURIComponent(token)}` : '/events'));
+    let connectedBefore = false;
+    source.onmessage = (event) => {
+      onChanges(JSON.parse(event.data).changes);
+    };
+    source.onopen = () => {
+      const resync = () => load().then(onResync).catch(error => console.error('Error reloading from POS server:', error));
+      if (connectedBefore) setTimeout(resync, RESYNC_DELAY);
+      else resync();
+      connectedBefore = true;
+    };
+    events = source;
+  };
+
+  const startSession = (result) => {
+    token = result.token;
+    writeServerToken(token);
+    openSession();
+    connect();
+    return result.user;
+  };
+
+  const endSession = () => {
+    token = null;
+    writeServerToken(null);
+    events?.close();
+    events = null;
+  };
+
+  return {
+    load,
+    commit: async (changes, reads) => {
+      const result = await request('POST', '/commit', {
+        reads,
+        changes: changes.map(({ path, data }) => ({ path, data }))
+      });
+      return result.versions;
+    },
+    subscribe: (subscription) => {
+      handlers = subscription;
+      connect();
+    },
+    accounts: {
+      restore: async () => {
+        const { user, setup } = await request('GET', '/auth/session');
+        if (!user && token) endSession();
+        if (user || setup) openSession();
+        return user;
+      },
+      signIn: async (email, password) => startSession(await request('POST', '/auth/sign-in', { email, password })),
+      signUp: async (email, password) => startSession(await request('POST', '/auth/sign-up', { email, password })),
+      signOut: async () => {
+        await request('POST', '/auth/sign-out').catch(error => console.error('Error signing out of POS server:', error));
+        endSession();
+      },
+      verifyPassword: async (_uid, password) => {
+        await request('POST', '/auth/verify', { password });
+      },
+      setPassword: async (_uid, password) => {
+        await request('POST', '/auth/password', { password });
+      }
+    }
+  };
+};
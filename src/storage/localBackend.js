@@ -0,0 +1,58 @@
+// Local storage backend: the local document store, kept on the POS server
+// when VITE_LOCAL_SERVER_URL is set and in this browser's IndexedDB otherwise.
+// See storage/index.js.
+
+import { createLocalFirestore } from './local/documentStore';
+import { createLocalAuth } from './local/localAuth';
+import { createIndexedDbPersistence, createServerPersistence } from './local/persistence';
+
+const serverUrl = import.meta.env.VITE_LOCAL_SERVER_URL;
+
+const persistence = serverUrl ? createServerPersistence(serverUrl) : createIndexedDbPersistence();
+const firestore = createLocalFirestore(persistence);
+// The POS server keeps the accounts itself; otherwise they live in the store
+const localAuth = createLocalAuth(firestore, persistence.accounts);
+
+export {
+  Timestamp,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  deleteField
+} from './local/documentStore';
+
+export const {
+  db,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  getAggregateFromServer,
+  count,
+  sum,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  writeBatch,
+  runTransaction
+} = firestore;
+
+export const {
+  auth,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signOut,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  updatePassword
+} = localAuth;
+
+export const STORAGE_BACKEND = serverUrl ? 'local-server' : 'local';
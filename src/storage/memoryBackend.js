@@ -0,0 +1,54 @@
+// In-memory storage backend for tests: the local document store with nothing
+// persisted, so the whole app runs without Firebase or its emulator. Jest maps
+// '@storage-backend' here (see jest.config.js). See storage/index.js.
+
+import { createLocalFirestore } from './local/documentStore';
+import { createLocalAuth } from './local/localAuth';
+import { createMemoryPersistence } from './local/persistence';
+
+const firestore = createLocalFirestore(createMemoryPersistence());
+const localAuth = createLocalAuth(firestore);
+
+export {
+  Timestamp,
+  serverTimestamp,
+  increment,
+  arrayUnion,
+  deleteField
+} from './local/documentStore';
+
+export const {
+  db,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  getAggregateFromServer,
+  count,
+  sum,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  writeBatch,
+  runTransaction
+} = firestore;
+
+export const {
+  auth,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signOut,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  updatePassword
+} = localAuth;
+
+export const STORAGE_BACKEND = 'memory';
@@ -3,10 +3,29 @@
 
 import * as React from 'react';
 
+export type OrderType = 'dine_in' | 'takeaway' | 'delivery' | 'aggregator';
+
+export interface Customer {
+  name: string;
+  phone: string;
+}
+
 export interface Table {
-  id: number;
+  id: number | string; // 'q-...' for takeaway / delivery / aggregator tickets
   orders: Order[];
   total: number;
+  version?: number; // Bumped on every write; edits made on an older version are merged (see utils/tableMergeUtils)
+  // Queue tickets (see utils/orderTypeUtils); tables have no orderType
+  orderType?: OrderType;
+  customer?: Customer;
+  aggregator?: string | null;
+  packagingCharge?: number;
+  // Floor plan
+  name?: string; // e.g. "Terrace 3", "Parcel"
+  section?: string;
+  capacity?: number;
+  shape?: 'square' | 'round' | 'rectangle';
+  position?: { x: number; y: number }; // Centre, in percent of the floor-plan canvas
   createdAt?: Date;
   updatedAt?: Date;
 }
@@ -15,26 +34,390 @@ export interface Order {
   id: number;
   items: MenuItem[];
   total: number;
+  subtotal?: number;
+  breakdown?: TaxBreakdown;
   timestamp?: Date;
+  firedItems?: Record<string, FiredLine>;
+  kotCount?: number;
+  lastKotAt?: string;
+  cancellations?: LineCancellation[];
 }
 
-export interface MenuItem {
+// Kitchen lifecycle of an order line (see utils/lineStatusUtils)
+export type LineStatus = 'queued' | 'cooking' | 'ready' | 'served' | 'cancelled';
+
+// Quantity cancelled after it was sent to the kitchen
+export interface LineCancellation {
+  id: string;
+  lineId: string;
+  itemId: string;
+  station?: KitchenStation | '';
+  name: string;
+  quantity: number;
+  price: number;
+  amount: number;
+  status: LineStatus; // Status of the line when it was cancelled
+  reason: string;
+  note: string;
+  cancelledBy: string | null;
+  cancelledAt: string;
+  acknowledgedAt?: string; // Set when the kitchen display bumps it
+}
+
+// Kitchen display station a menu item is prepared at (see utils/kdsUtils)
+export type KitchenStation = 'tandoor' | 'curry' | 'beverages';
+
+// Tax engine output for an order or bill (see utils/taxUtils)
+export interface TaxLine {
+  classId: string;
+  name: string;
+  rate: number;
+  taxable: number;
+  amount: number;
+}
+
+// Percentage/flat discount on an order line or a whole bill (see utils/discountUtils)
+export interface Discount {
+  type: 'percent' | 'flat';
+  value: number;
+  reason: string;
+  note?: string;
+  appliedBy?: string | null;
+  appliedAt?: string;
+}
+
+export interface DiscountRecord {
+  scope: 'line' | 'bill';
+  itemName: string | null;
+  type: 'percent' | 'flat';
+  value: number;
+  reason: string;
+  note: string;
+  appliedBy: string | null;
+  amount: number;
+}
+
+export interface TaxBreakdown {
+  gross: number;
+  discount: number;
+  discounts: DiscountRecord[];
+  subtotal: number;
+  net: number;
+  serviceCharge: number;
+  serviceChargeRate: number;
+  packagingCharge?: number;
+  taxes: TaxLine[];
+  totalTax: number;
+  roundOff: number;
+  total: number;
+  pricesIncludeTax: boolean;
+}
+
+export interface TaxClass {
+  id: string;
+  name: string;
+  rate: number;
+}
+
+export interface TaxSettings {
+  pricesIncludeTax: boolean;
+  taxClasses: TaxClass[];
+  defaultTaxClass: string;
+  serviceChargeRate: number;
+  roundOff: 'none' | 'nearest' | 'up' | 'down';
+  roundOffTo: number;
+}
+
+// Quantity of an order line already sent to the kitchen on a KOT
+export interface FiredLine {
+  name: string;
+  quantity: number;
+}
+
+export interface KitchenTicketLine {
+  key: string;
+  name: string; // Includes modifiers: "Nihari (Full, Extra Nalli)"
+  note?: string;
+  quantity: number;
+}
+
+export interface KitchenTicket {
+  tableId: number | string;
+  placeLabel?: string; // "TABLE 4", "DELIVERY · RAVI"
+  orderId: number | string;
+  orderNumber: number;
+  kotNumber: number;
+  timestamp: string;
+  items: KitchenTicketLine[];
+  cancelled: KitchenTicketLine[];
+}
+
+export interface ModifierOption {
+  id: string;
+  name: string;
+  price: number; // Added to the item price
+}
+
+export interface ModifierGroup {
   id: string;
   name: string;
+  type: 'variant' | 'addon'; // variant: exactly one option; addon: up to maxSelect
+  maxSelect: number; // 0 = no limit
+  options: ModifierOption[];
+}
+
+export interface LineModifier {
+  groupId: string;
+  groupName: string;
+  optionId: string;
+  name: string;
   price: number;
+}
+
+export interface MenuItem {
+  id: string;
+  name: string;
+  price: number; // Order lines: menu price plus modifiers
   available: boolean;
   category: string;
+  taxClass?: string;
+  station?: KitchenStation | ''; // Copied onto order lines
+  modifierGroups?: ModifierGroup[]; // Menu items only
+  stockLink?: StockLink | null; // Menu items only: stock deducted per item sold
+  discount?: Discount | null; // Order lines only
+  lineId?: string; // Order lines with modifiers or a note
+  basePrice?: number; // Order lines: menu price before modifiers
+  modifiers?: LineModifier[]; // Order lines only
+  note?: string; // Order lines: cooking note for the kitchen
+  status?: LineStatus; // Order lines: absent until fired on a KOT
+  statusTimes?: Partial<Record<LineStatus, string>>; // ISO time each status was reached
   sequence?: number;
   createdAt?: Date;
   updatedAt?: Date;
 }
 
+// Stock one sold menu item uses (see utils/stockUsageUtils)
+export interface StockLinkIngredient {
+  inventoryItemId: string;
+  name: string;
+  quantity: number; // Per item sold
+  unit: string;
+}
+
+export type StockLink =
+  | { type: 'recipe'; recipeId: string; portionSize: number } // portionSize in the recipe's output unit
+  | { type: 'ingredients'; ingredients: StockLinkIngredient[] };
+
+// One production run held as prepared stock (see utils/preparedStockUtils)
+export interface PreparedBatch {
+  id: string;
+  usageLogId: string | null;
+  quantity: number;
+  remaining: number;
+  costPerUnit: number; // BOM cost of the run / quantity produced
+  producedAt: string; // ISO
+  expiresAt: string | null; // producedAt + the recipe's holding time
+}
+
+// One purchase still (partly) in stock (see utils/costingUtils)
+export interface CostLayer {
+  id: string; // Purchase record ID
+  quantity: number;
+  remaining: number;
+  unitCost: number; // Per the item's unit
+  receivedAt: string | null; // ISO; null for stock the layers did not cover
+  expiresAt: string | null; // Lot expiry (YYYY-MM-DD), see utils/lotUtils
+}
+
+export type CostingMethod = 'average' | 'fifo';
+
+export interface StockUsageIngredient {
+  inventoryItemId: string;
+  name: string;
+  quantityUsed: number;
+  unit: string;
+  batches?: (Pick<PreparedBatch, 'id' | 'costPerUnit' | 'producedAt' | 'expiresAt'> & { quantity: number })[]; // Prepared stock only
+}
+
+// Stock a settled bill deducted, kept on the history entry so a reopened bill can return it
+export interface StockUsage {
+  usageLogId: string;
+  metricsDate: string;
+  ingredients: StockUsageIngredient[];
+  theoretical?: StockUsageIngredient[]; // Raw ingredients per the stock links, before prepared stock
+  totalCost: number; // Booked as COGS
+  preparedCost?: number; // Prepared stock served, booked as COGS when produced
+}
+
+// Physical count of raw stock, counted into from any number of devices
+export interface StockCount {
+  name: string;
+  counted: number; // In the item's unit
+  unit: string;
+  systemStock: number; // System stock when counted
+  enteredQuantity: number;
+  enteredUnit: string;
+  countedBy: string | null;
+  countedAt: string;
+}
+
+export interface StockTakeLine {
+  inventoryItemId: string;
+  name: string;
+  unit: string;
+  expected: number;
+  counted: number;
+  difference: number;
+  costPerUnit: number;
+  varianceValue: number;
+}
+
+export interface StockTake {
+  id: string;
+  name: string;
+  status: 'open' | 'committed' | 'cancelled';
+  counts: Record<string, StockCount>;
+  startedBy: string | null;
+  startedAt: Date;
+  lines?: StockTakeLine[]; // Variance report, set on commit
+  summary?: {
+    itemsCounted: number;
+    itemsWithVariance: number;
+    shortageValue: number;
+    surplusValue: number;
+    netValue: number;
+  };
+  committedBy?: string | null;
+  committedAt?: Date;
+}
+
+export interface Supplier {
+  id: string;
+  name: string;
+  contactName: string;
+  phone: string;
+  email: string;
+  paymentTerms: string; // e.g. 'On delivery', 'Net 30'
+  itemIds: string[]; // Inventory items supplied
+  notes: string;
+  prices: Record<string, { unitCost: number; unit: string; updatedAt: string }>; // Last price paid per item
+}
+
+export interface PurchaseOrderLine {
+  inventoryItemId: string;
+  name: string;
+  unit: string;
+  quantity: number;
+  unitCost: number; // Price expected when ordering
+  receivedQuantity: number;
+  receivedCost: number; // Total actually paid for what was received
+}
+
+export interface PurchaseOrder {
+  id: string;
+  supplierId: string;
+  supplierName: string;
+  status: 'draft' | 'ordered' | 'partially_received' | 'received' | 'cancelled';
+  lines: PurchaseOrderLine[];
+  receipts: { receivedAt: string; receivedBy: string | null; lines: { inventoryItemId: string; quantity: number; unitCost: number }[] }[];
+  createdBy: string | null;
+  createdAt: Date;
+  orderedAt?: Date;
+}
+
+export interface Payment {
+  label: string; // 'Full', 'Part 1', 'Guest 2', ...
+  method: string;
+  amount: number;
+}
+
+export interface BillNumberSettings {
+  prefix: string;
+  outletCode: string; // Empty for a single outlet
+  financialYearStartMonth: number; // 1-12
+  financialYearStartDay: number;
+  sequenceDigits: number;
+}
+
+export interface OrderTypeSettings {
+  packagingCharges: Record<Exclude<OrderType, 'dine_in'>, number>;
+  aggregators: string[];
+}
+
 export interface HistoryEntry {
   id: string;
-  tableId: number;
+  tableId: number | string;
+  orderType?: OrderType;
+  customer?: Customer | null;
+  aggregator?: string | null;
   orders: Order[];
   total: number;
   timestamp: string | Date;
+  billNumber?: number | string; // e.g. 'NK/25-26/00042'; plain numbers on older bills
+  billSequence?: number; // Position in the outlet's financial year, from 1
+  financialYear?: string; // e.g. '2025-26'
+  outletCode?: string;
+  itemNames?: string[]; // Lowercased item names, for item search
+  paymentMethods?: string[]; // Every method paid with, for the payment filter
+  paymentMethod?: string; // Single method used, or 'Split'
+  payments?: Payment[];
+  breakdown?: TaxBreakdown;
+  shiftId?: string | null;
+  metricsDate?: string; // daily_metrics date the bill was booked under
+  capturedOfflineAt?: string; // ISO time of a checkout saved from the offline outbox
+  stockUsage?: StockUsage; // Written after the bill is saved, when it has stock-linked items
+  status?: 'restored' | 'voided' | 'refunded' | 'partially_refunded';
+  restoredAt?: Date;
+  restoredBy?: string | null;
+  restoreReason?: string;
+  restoredToTableId?: string;
+  refundedItems?: Record<string, number>; // lineKey -> quantity refunded so far
+  refundedTotal?: number;
+  adjustmentIds?: string[];
+  // Compensating (negative) entries written by a void or refund
+  type?: 'void' | 'refund';
+  originalHistoryId?: string;
+  originalBillNumber?: number | string | null;
+  reason?: string;
+  performedBy?: string | null;
+}
+
+// History filter bar values (see historyFilterUtils); '' when not set
+export interface HistoryFilters {
+  dateFrom: string; // 'YYYY-MM-DD'
+  dateTo: string; // 'YYYY-MM-DD', inclusive
+  tableId: string;
+  paymentMethod: string;
+  shiftId: string;
+  minAmount: string | number;
+  maxAmount: string | number;
+  itemName: string;
+  billNumber: string; // Whole bill number
+}
+
+export interface HistoryPage {
+  entries: HistoryEntry[];
+  lastVisible: unknown; // Cursor for the next page
+  hasMore: boolean;
+}
+
+export interface HistorySummary {
+  count: number; // Bills only: voids, refunds and reopened bills are not counted
+  total: number; // Net of voids and refunds, without reopened bills
+}
+
+export interface AuditLog {
+  id: string;
+  action: 'bill_restored' | 'bill_voided' | 'bill_refunded';
+  historyId: string;
+  adjustmentId?: string;
+  billNumber: number | string | null;
+  amount: number;
+  fromTableId: number | string | null;
+  toTableId: string | null;
+  reason: string;
+  performedBy: string | null;
+  timestamp: Date;
 }
 
 
@@ -42,7 +425,7 @@ export interface HistoryEntry {
 export interface User {
   id: string;
   email: string;
-  role: 'user' | 'manager' | 'admin';
+  role: 'user' | 'manager' | 'admin' | 'kitchen';
   permissions: string[];
   createdAt: Date;
   lastLogin?: Date;
@@ -114,6 +497,17 @@ export interface FirebaseOperationOptions {
   retryDelay?: number;
 }
 
+// Offline outbox (IndexedDB) - writes replayed in seq order on reconnect
+export interface QueuedWrite {
+  seq: number;
+  key: string; // Idempotency key: history id of a checkout, write_receipts id of a table write
+  type: 'updateTable' | 'deleteTable' | 'addHistory';
+  payload: Record<string, any>;
+  queuedAt: string;
+  attempts: number;
+  lastError: string | null;
+}
+
 
 // Utility Types
 export type Optional<T, K extends keyof T> = Pick<Partial<T>, K> & Omit<T, K>;
@@ -0,0 +1,108 @@
+// Bill Number Helpers
+// ================================================
+// Tax-invoice bill numbers: sequential and gap-free within a financial year,
+// kept separately for each outlet, e.g. NK/25-26/00042 or NK/BLR1/25-26/00042
+// (prefix / outlet code / financial year / sequence).
+//
+// The sequence comes from one counter document per outlet and financial year
+// (counters/bills_<outlet>_<year>), incremented in the same transaction that
+// saves the bill, so every number is used exactly once even when several
+// devices check out at the same moment. Bills are numbered in the financial
+// year of the day they were sold, including checkouts replayed from the
+// offline outbox after the year has turned. Admins start the counters for
+// this year and the next (ensureBillCounters in firebaseService); the first
+// carries on from the single running counter (counters/bills) used before.
+//
+// GST allows at most 16 characters (letters, digits, '-' and '/') in an
+// invoice number; PosConfig warns when the chosen format is longer.
+
+export const DEFAULT_BILL_NUMBER_SETTINGS = {
+    prefix: 'NK',
+    outletCode: '',
+    financialYearStartMonth: 4, // April, the Indian financial year
+    financialYearStartDay: 1,
+    sequenceDigits: 5
+};
+
+export const MAX_INVOICE_NUMBER_LENGTH = 16;
+
+// Letters, digits and '-' only: '/' separates the parts of the number
+const cleanCode = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9-]/g, '');
+
+const clampInteger = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+/**
+ * Complete and clean bill number settings as stored in settings/posConfig
+ * @param {Object} settings - Saved billNumberSettings (may be partial or missing)
+ * @returns {Object} Settings with every field valid
+ */
+export const normalizeBillNumberSettings = (settings = {}) => {
+    const merged = { ...DEFAULT_BILL_NUMBER_SETTINGS, ...(settings || {}) };
+    const month = clampInteger(merged.financialYearStartMonth, 1, 12, DEFAULT_BILL_NUMBER_SETTINGS.financialYearStartMonth);
+    const daysInMonth = new Date(2001, month, 0).getDate();
+    return {
+        prefix: cleanCode(merged.prefix),
+        outletCode: cleanCode(merged.outletCode),
+        financialYearStartMonth: month,
+        financialYearStartDay: clampInteger(merged.financialYearStartDay, 1, daysInMonth, 1),
+        sequenceDigits: clampInteger(merged.sequenceDigits, 1, 8, DEFAULT_BILL_NUMBER_SETTINGS.sequenceDigits)
+    };
+};
+
+// 'YYYY-MM-DD' day strings are local dates, like metricsDate
+const toLocalDate = (date) => {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return date instanceof Date ? date : new Date(date);
+};
+
+/**
+ * Financial year a day falls in
+ * @param {Date|string} date - Date or 'YYYY-MM-DD'
+ * @param {Object} settings - Bill number settings
+ * @returns {Object} { id: '2025-26' (or '2025' for a calendar year), label: '25-26' (or '2025'), startYear }
+ */
+export const getFinancialYear = (date, settings = DEFAULT_BILL_NUMBER_SETTINGS) => {
+    const { financialYearStartMonth: month, financialYearStartDay: day } = normalizeBillNumberSettings(settings);
+    const when = toLocalDate(date);
+    const startsThisYear = new Date(when.getFullYear(), month - 1, day);
+    const startYear = when >= startsThisYear ? when.getFullYear() : when.getFullYear() - 1;
+
+    if (month === 1 && day === 1) {
+        return { id: String(startYear), label: String(startYear), startYear };
+    }
+    const endYear = String(startYear + 1);
+    return {
+        id: `${startYear}-${endYear.slice(-2)}`,
+        label: `${String(startYear).slice(-2)}-${endYear.slice(-2)}`,
+        startYear
+    };
+};
+
+/**
+ * Id of the counter document for an outlet and financial year (in the 'counters' collection)
+ * @param {string} outletCode
+ * @param {Object} financialYear - From getFinancialYear
+ * @returns {string}
+ */
+export const getBillCounterId = (outletCode, financialYear) =>
+    `bills_${cleanCode(outletCode) || 'DEFAULT'}_${financialYear.id}`;
+
+/**
+ * Format a bill number
+ * @param {number} sequence - Position of the bill in the outlet's financial year, from 1
+ * @param {Object} financialYear - From getFinancialYear
+ * @param {Object} settings - Bill number settings
+ * @returns {string} e.g. 'NK/25-26/00042'
+ */
+export const formatBillNumber = (sequence, financialYear, settings = DEFAULT_BILL_NUMBER_SETTINGS) => {
+    const { prefix, outletCode, sequenceDigits } = normalizeBillNumberSettings(settings);
+    return [prefix, outletCode, financialYear.label, String(sequence).padStart(sequenceDigits, '0')]
+        .filter(Boolean)
+        .join('/');
+};
@@ -1,5 +1,4 @@
-import { collection, getDocs, deleteDoc, doc } from 'firebase/firestore';
-import { db } from '../firebase';
+import { db, collection, getDocs, deleteDoc, doc } from '../storage';
 import { generateDataExport, downloadJsonFile } from './exportUtils';
 
 export const performFactoryReset = async (
@@ -0,0 +1,153 @@
+// Inventory Costing Helpers
+// ================================================
+// Every purchase adds a cost layer to the raw inventory item it restocks:
+//   costLayers: [{ id, quantity, remaining, unitCost, receivedAt, expiresAt }]
+// in the item's unit. Layers are also the item's lots: stock leaves them
+// earliest expiry first (see lotUtils.sortLotsForUse) and the item's
+// `costingMethod` decides what that stock costs:
+// - 'average' (weighted average): each purchase re-averages costPerUnit with
+//   the stock already held; anything taken out is costed at costPerUnit
+// - 'fifo': costed at the prices of the layers it came from (first in, first
+//   out, except that earlier-expiring lots go first); costPerUnit is the
+//   average of the layers still in stock (so stock value stays correct)
+//
+// Stock the layers do not cover (opening stock, corrections, stock returned
+// by a reopened bill) becomes an 'untracked' layer at costPerUnit with no
+// expiry the next time the layers are used. Stock removed without going
+// through the layers (stock takes, manual edits) comes off the layers that
+// would have been used next.
+
+import { sortLotsForUse } from './lotUtils';
+
+export const COSTING_METHODS = [
+    { value: 'average', label: 'Weighted average' },
+    { value: 'fifo', label: 'FIFO' }
+];
+
+export const DEFAULT_COSTING_METHOD = 'average';
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+const roundUnitCost = (value) => Math.round(value * 10000) / 10000;
+
+const layerValue = (layers) => layers.reduce((sum, layer) => sum + layer.remaining * layer.unitCost, 0);
+
+/**
+ * Cost layers matching the stock actually held: trimmed in order of use when
+ * there are more, with the uncovered stock added as an untracked layer when
+ * there are fewer
+ * @param {Object} item - Inventory item with currentStock, costPerUnit and costLayers
+ * @param {number} now - Current time in ms, for lot expiry
+ * @returns {Array} Layers with stock left, in the order they are used
+ */
+export const reconcileLayers = (item, now = Date.now()) => {
+    const stock = Math.max(0, Number(item.currentStock) || 0);
+    const layers = sortLotsForUse((item.costLayers || [])
+        .filter(layer => layer.remaining > 0)
+        .map(layer => ({ ...layer })), now);
+    const layered = roundQuantity(layers.reduce((sum, layer) => sum + layer.remaining, 0));
+
+    if (layered < stock) {
+        const untracked = roundQuantity(stock - layered);
+        return sortLotsForUse([
+            { id: 'untracked', quantity: untracked, remaining: untracked, unitCost: Number(item.costPerUnit) || 0, receivedAt: null, expiresAt: null },
+            ...layers
+        ], now);
+    }
+
+    let excess = roundQuantity(layered - stock);
+    for (const layer of layers) {
+        if (excess <= 0) break;
+        const removed = Math.min(layer.remaining, excess);
+        layer.remaining = roundQuantity(layer.remaining - removed);
+        excess = roundQuantity(excess - removed);
+    }
+    return layers.filter(layer => layer.remaining > 0);
+};
+
+/**
+ * Add a purchase to an item's cost layers
+ * @param {Object} item - Inventory item before the purchase
+ * @param {Object} purchase - { id, quantity, unitCost, receivedAt (ISO), expiresAt (YYYY-MM-DD, optional) } in the item's unit
+ * @returns {Object} { costLayers, costPerUnit } to store on the item
+ */
+export const addCostLayer = (item, { id, quantity, unitCost, receivedAt = new Date().toISOString(), expiresAt = null }) => {
+    const layers = reconcileLayers(item);
+    const held = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+    const heldValue = item.costingMethod === 'fifo'
+        ? layerValue(layers)
+        : held * (Number(item.costPerUnit) || 0);
+    const total = held + quantity;
+
+    return {
+        costLayers: sortLotsForUse([...layers, { id, quantity, remaining: quantity, unitCost, receivedAt, expiresAt: expiresAt || null }]),
+        costPerUnit: total > 0 ? roundUnitCost((heldValue + quantity * unitCost) / total) : unitCost
+    };
+};
+
+/**
+ * Take a quantity out of an item's stock, in order of use
+ * @param {Object} item - Inventory item
+ * @param {number} quantity - In the item's unit
+ * @param {Object} options - { now, lotId } - lotId: take from this lot first (e.g. wasting an expired lot)
+ * @returns {Object} { costLayers, costPerUnit, cost, unitCost }
+ */
+export const consumeCost = (item, quantity, { now = Date.now(), lotId = null } = {}) => {
+    const reconciled = reconcileLayers(item, now);
+    const layers = lotId
+        ? [...reconciled.filter(layer => layer.id === lotId), ...reconciled.filter(layer => layer.id !== lotId)]
+        : reconciled;
+    const costPerUnit = Number(item.costPerUnit) || 0;
+    const isFifo = item.costingMethod === 'fifo';
+
+    let needed = quantity;
+    let fifoCost = 0;
+    for (const layer of layers) {
+        if (needed <= 0) break;
+        const used = Math.min(layer.remaining, needed);
+        layer.remaining = roundQuantity(layer.remaining - used);
+        needed = roundQuantity(needed - used);
+        fifoCost += used * layer.unitCost;
+    }
+    // More than is in stock: the rest is costed at costPerUnit
+    fifoCost += needed * costPerUnit;
+
+    const costLayers = sortLotsForUse(layers.filter(layer => layer.remaining > 0), now);
+    const cost = roundCurrency(isFifo ? fifoCost : quantity * costPerUnit);
+    const left = costLayers.reduce((sum, layer) => sum + layer.remaining, 0);
+
+    return {
+        costLayers,
+        costPerUnit: isFifo && left > 0 ? roundUnitCost(layerValue(costLayers) / left) : costPerUnit,
+        cost,
+        unitCost: quantity > 0 ? roundUnitCost(cost / quantity) : costPerUnit
+    };
+};
+
+/**
+ * Take quantities out of several items at once; an item may appear more than once
+ * @param {Object} inventoryById - { [inventoryItemId]: item }
+ * @param {Array} entries - [{ inventoryItemId, quantity }] in each item's unit
+ * @param {number} now - Current time in ms, for lot expiry
+ * @returns {Object} { costs[{ cost, unitCost }] (per entry), updates { [inventoryItemId]: { costLayers, costPerUnit } } }
+ */
+export const consumeCostFromItems = (inventoryById = {}, entries = [], now = Date.now()) => {
+    const working = {};
+    const costs = entries.map(entry => {
+        const item = working[entry.inventoryItemId] || inventoryById[entry.inventoryItemId];
+        if (!item) return { cost: 0, unitCost: 0 };
+        const result = consumeCost(item, entry.quantity, { now });
+        working[entry.inventoryItemId] = {
+            ...item,
+            currentStock: roundQuantity((Number(item.currentStock) || 0) - entry.quantity),
+            costLayers: result.costLayers,
+            costPerUnit: result.costPerUnit
+        };
+        return { cost: result.cost, unitCost: result.unitCost };
+    });
+    const updates = Object.fromEntries(Object.entries(working).map(([id, item]) => [
+        id,
+        { costLayers: item.costLayers, costPerUnit: item.costPerUnit }
+    ]));
+    return { costs, updates };
+};
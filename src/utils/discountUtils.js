@@ -0,0 +1,62 @@
+// Discount Helpers
+// ================================================
+// Percentage and flat discounts applied to a single order line or to the
+// whole bill. Every discount must carry a reason code so it can be audited
+// in history and reported in daily metrics.
+//
+// Discount shape: { type: 'percent' | 'flat', value, reason, note, appliedBy, appliedAt }
+
+export const DISCOUNT_TYPES = ['percent', 'flat'];
+
+export const DISCOUNT_REASONS = [
+    'Complimentary',
+    'Staff Meal',
+    'Loyalty',
+    'Service Recovery',
+    'Promotion',
+    'Manager Approval',
+    'Other'
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount a discount takes off a base value (never more than the base)
+ * @param {Object} discount - { type, value }
+ * @param {number} base - Amount the discount applies to
+ * @returns {number}
+ */
+export const getDiscountAmount = (discount, base) => {
+    if (!discount || !(base > 0)) return 0;
+    const value = Number(discount.value) || 0;
+    if (value <= 0) return 0;
+
+    const amount = discount.type === 'percent' ? base * Math.min(value, 100) / 100 : value;
+    return roundCurrency(Math.min(amount, base));
+};
+
+/**
+ * Validate a discount before it is applied
+ * @param {Object} discount - { type, value, reason }
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateDiscount = (discount) => {
+    if (!discount || !DISCOUNT_TYPES.includes(discount.type)) return 'Select a discount type.';
+    const value = Number(discount.value);
+    if (Number.isNaN(value) || value <= 0) return 'Enter a discount greater than 0.';
+    if (discount.type === 'percent' && value > 100) return 'A percentage discount cannot exceed 100%.';
+    if (!discount.reason) return 'A reason code is required for every discount.';
+    if (discount.reason === 'Other' && !discount.note?.trim()) return 'Add a note explaining the discount.';
+    return '';
+};
+
+/**
+ * Short label for a discount, e.g. "10% (Loyalty)" or "₹50 (Staff Meal)"
+ * @param {Object} discount
+ * @returns {string}
+ */
+export const formatDiscountLabel = (discount) => {
+    if (!discount) return '';
+    const value = discount.type === 'percent' ? `${discount.value}%` : `₹${discount.value}`;
+    return `${value} (${discount.reason})`;
+};
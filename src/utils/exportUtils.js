@@ -1,5 +1,4 @@
-import { getDocs, collection } from 'firebase/firestore';
-import { db } from '../firebase';
+import { db, getDocs, collection } from '../storage';
 
 /**
  * Fetches all necessary collections from Firestore and packages them into a single JSON object.
@@ -23,7 +22,8 @@ export const generateDataExport = async () => {
             'usage_logs',        // Consumption metrics
             'settings',          // Store configuration (POSConfig, features, etc)
             'shifts',            // Shift history
-            'daily_metrics'      // Analytics
+            'daily_metrics',     // Analytics
+            'counters'           // Bill number sequences, so a restore carries on numbering
         ];
 
         for (const collectionName of collectionsToExport) {
@@ -0,0 +1,148 @@
+// History Filter Helpers
+// ================================================
+// Filters for the bill history, run as Firestore queries (getPagedHistory and
+// getHistorySummary in firebaseService) so only one page of bills is read at
+// a time.
+//
+// Item and payment method filters match fields saved on each bill for them
+// (see getHistorySearchFields): itemNames, the lowercased item names, and
+// paymentMethods, every method the bill was paid with, so a split bill is
+// found under each of its methods. Firestore allows one array filter per
+// query, so the two cannot be combined. Bills saved before these fields
+// existed get them from backfillHistorySearchFields in firebaseService.
+// Bill numbers match in full. Dates are local days, like metricsDate.
+
+export const EMPTY_HISTORY_FILTERS = {
+    dateFrom: '', // 'YYYY-MM-DD'
+    dateTo: '', // 'YYYY-MM-DD', inclusive
+    tableId: '',
+    paymentMethod: '',
+    shiftId: '',
+    minAmount: '',
+    maxAmount: '',
+    itemName: '',
+    billNumber: '' // Whole bill number, e.g. 'NK/25-26/00042' (or 42 on older bills)
+};
+
+// Payment filter value for bills paid in parts
+export const SPLIT_PAYMENT_FILTER = 'Split';
+
+/**
+ * Normalize an item name for item search
+ * @param {string} name
+ * @returns {string} Trimmed, lowercased, single-spaced
+ */
+export const normalizeItemName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Item names to save on a bill as itemNames, for item search
+ * @param {Array} items - Sold lines of the bill
+ * @returns {string[]} Unique normalized names
+ */
+export const getHistoryItemNames = (items = []) => [
+    ...new Set(items.map(item => normalizeItemName(item?.name)).filter(Boolean))
+];
+
+/**
+ * Payment methods to save on a bill as paymentMethods, for the payment filter
+ * @param {Object} entry - History entry with payments and/or paymentMethod
+ * @returns {string[]} Unique methods, e.g. ['Cash', 'UPI'] for a split bill
+ */
+export const getHistoryPaymentMethods = (entry = {}) => {
+    const methods = Array.isArray(entry.payments) && entry.payments.length > 0
+        ? entry.payments.map(payment => payment?.method)
+        : [entry.paymentMethod];
+    return [...new Set(methods.filter(method => method && method !== SPLIT_PAYMENT_FILTER))];
+};
+
+/**
+ * Fields saved on a bill for the history filters
+ * @param {Object} entry - History entry
+ * @param {Array} items - Sold lines of the bill
+ * @returns {Object} { itemNames, paymentMethods }
+ */
+export const getHistorySearchFields = (entry, items) => ({
+    itemNames: getHistoryItemNames(items),
+    paymentMethods: getHistoryPaymentMethods(entry)
+});
+
+const normalizeBillNumber = (value) => String(value ?? '').toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Values a bill number may be saved as: newer bills have a formatted
+ * string, older ones a plain number
+ * @param {string} billNumber - As typed
+ * @returns {Array} e.g. ['NK/25-26/00042'] or ['42', 42]
+ */
+export const getBillNumberVariants = (billNumber) => {
+    const number = normalizeBillNumber(billNumber);
+    return /^\d+$/.test(number) ? [number, Number(number)] : [number];
+};
+
+const toAmount = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+const toLocalDay = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Clean filters from the history filter bar
+ * @param {Object} filters - As EMPTY_HISTORY_FILTERS, values as typed
+ * @returns {Object} { start, end (Dates, end exclusive), tableId, paymentMethod,
+ *   shiftId, minAmount, maxAmount (numbers), itemName, billNumber } - null when not set
+ */
+export const normalizeHistoryFilters = (filters = {}) => {
+    const dateTo = toLocalDay(filters.dateTo);
+    const tableId = String(filters.tableId ?? '').trim();
+    return {
+        start: toLocalDay(filters.dateFrom),
+        end: dateTo ? new Date(dateTo.getFullYear(), dateTo.getMonth(), dateTo.getDate() + 1) : null,
+        tableId: tableId || null,
+        paymentMethod: filters.paymentMethod || null,
+        shiftId: filters.shiftId || null,
+        minAmount: toAmount(filters.minAmount),
+        maxAmount: toAmount(filters.maxAmount),
+        itemName: normalizeItemName(filters.itemName) || null,
+        billNumber: normalizeBillNumber(filters.billNumber) || null
+    };
+};
+
+/**
+ * Values a table id may be saved as: bills keep the id as checkout had it,
+ * a number for most tables and a string for others
+ * @param {string} tableId
+ * @returns {Array} e.g. ['5', 5] or ['q-12']
+ */
+export const getTableIdVariants = (tableId) => {
+    const id = String(tableId);
+    return /^\d+$/.test(id) ? [id, Number(id)] : [id];
+};
+
+/**
+ * Why a set of filters cannot be run, if it cannot
+ * @param {Object} filters - As EMPTY_HISTORY_FILTERS
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateHistoryFilters = (filters = {}) => {
+    const { start, end, paymentMethod, minAmount, maxAmount, itemName } = normalizeHistoryFilters(filters);
+    if (start && end && start >= end) return 'The From date must be on or before the To date.';
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) return 'The minimum amount must not be more than the maximum.';
+    if (itemName && paymentMethod && paymentMethod !== SPLIT_PAYMENT_FILTER) {
+        return 'Filter by item or by payment method, not both at once.';
+    }
+    return '';
+};
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - As EMPTY_HISTORY_FILTERS
+ * @returns {boolean}
+ */
+export const hasHistoryFilters = (filters = {}) =>
+    Object.values(normalizeHistoryFilters(filters)).some(value => value !== null);
@@ -1,5 +1,4 @@
-import { writeBatch, doc, Timestamp } from 'firebase/firestore';
-import { db } from '../firebase';
+import { db, writeBatch, doc, Timestamp } from '../storage';
 
 // Helper function to check if a string is a valid ISO date string
 const isIsoDateString = (str) => {
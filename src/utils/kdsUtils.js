@@ -0,0 +1,186 @@
+// Kitchen Display System (KDS) Helpers
+// ================================================
+// Turns open table orders into kitchen tickets for the /kitchen screen.
+//
+// - A ticket is one order's lines that are queued or cooking, optionally
+//   limited to one station (menu items carry a `station`; lines saved
+//   before stations existed are looked up on the current menu)
+// - Tickets are ordered oldest first by the time their lines were queued,
+//   and coloured by age against KDS_AGE_THRESHOLDS
+// - Bumping a ticket marks its lines ready and acknowledges any
+//   cancellations shown on it; recalling puts ready lines back to cooking
+//
+// All changes are computed on the latest server copy of the table (see
+// updateTablesInTransaction) so a bump never overwrites a waiter's edit.
+
+import { getLineId, getLineLabel } from './modifierUtils';
+import { withLineStatus } from './lineStatusUtils';
+
+export const KITCHEN_STATIONS = [
+    { id: 'tandoor', label: 'Tandoor' },
+    { id: 'curry', label: 'Curry' },
+    { id: 'beverages', label: 'Beverages' }
+];
+
+// Minutes since a ticket was queued before it turns amber / red
+export const KDS_AGE_THRESHOLDS = { warning: 10, late: 20 };
+
+// Recently bumped tickets kept on screen for recall
+const RECALL_LIMIT = 6;
+
+const ACTIVE_STATUSES = ['queued', 'cooking'];
+
+/**
+ * Display label of a station id
+ * @param {string} stationId
+ * @returns {string}
+ */
+export const getStationLabel = (stationId) =>
+    KITCHEN_STATIONS.find(station => station.id === stationId)?.label || 'Unassigned';
+
+/**
+ * Station that prepares an order line or cancellation
+ * @param {Object} line - Order line ({ id, station }) or cancellation ({ itemId, station })
+ * @param {Object} menuById - { [menuItemId]: menuItem } for lines saved without a station
+ * @returns {string} Station id, or '' when unassigned
+ */
+export const getLineStation = (line, menuById = {}) =>
+    line.station || menuById[line.itemId ?? line.id]?.station || '';
+
+const matchesStation = (line, station, menuById) => !station || getLineStation(line, menuById) === station;
+
+/**
+ * Age colour of a ticket
+ * @param {number} minutes - Minutes since it was queued
+ * @returns {string} 'fresh' | 'warning' | 'late'
+ */
+export const getTicketAgeLevel = (minutes) => {
+    if (minutes >= KDS_AGE_THRESHOLDS.late) return 'late';
+    if (minutes >= KDS_AGE_THRESHOLDS.warning) return 'warning';
+    return 'fresh';
+};
+
+/**
+ * Minutes elapsed since an ISO timestamp
+ * @param {string} isoString
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export const getElapsedMinutes = (isoString, now = Date.now()) =>
+    isoString ? Math.max(0, Math.floor((now - new Date(isoString).getTime()) / 60000)) : 0;
+
+const earliest = (times) => times.filter(Boolean).sort()[0] || '';
+const latest = (times) => times.filter(Boolean).sort().pop() || '';
+
+/**
+ * Kitchen tickets for the open orders
+ * @param {Object} tables - { [tableId]: table } from subscribeToTables
+ * @param {Object} options - { station: station id or '' for all, menuById, getPlaceName(tableId, table) }
+ * @returns {Object} { active[], bumped[] } - active oldest first, bumped most recent first
+ */
+export const buildKitchenTickets = (tables, { station = '', menuById = {}, getPlaceName = (tableId) => `Table ${tableId}` } = {}) => {
+    const active = [];
+    const bumped = [];
+
+    Object.entries(tables || {}).forEach(([tableId, table]) => {
+        (table?.orders || []).forEach((order, orderIndex) => {
+            const stationLines = (order.items || []).filter(item => item.status && matchesStation(item, station, menuById));
+            const activeLines = stationLines.filter(item => ACTIVE_STATUSES.includes(item.status));
+            const readyLines = stationLines.filter(item => item.status === 'ready');
+            const cancellations = (order.cancellations || [])
+                .filter(cancellation => !cancellation.acknowledgedAt && matchesStation(cancellation, station, menuById));
+
+            const ticket = {
+                key: `${tableId}-${order.id}`,
+                tableId,
+                orderId: order.id,
+                placeName: getPlaceName(tableId, table),
+                orderNumber: orderIndex + 1,
+                kotCount: order.kotCount || 0
+            };
+
+            if (activeLines.length > 0 || cancellations.length > 0) {
+                const queuedAt = earliest([
+                    ...activeLines.map(item => item.statusTimes?.queued),
+                    ...cancellations.map(cancellation => cancellation.cancelledAt)
+                ]);
+                active.push({
+                    ...ticket,
+                    lines: activeLines,
+                    cancellations,
+                    queuedAt,
+                    // One key per firing / cancellation; an unseen key sounds the new-ticket alert
+                    alertKeys: [
+                        ...activeLines.map(item => `${ticket.key}|${getLineId(item)}|${item.statusTimes?.queued || ''}`),
+                        ...cancellations.map(cancellation => cancellation.id)
+                    ]
+                });
+            } else if (readyLines.length > 0) {
+                bumped.push({
+                    ...ticket,
+                    lines: readyLines,
+                    readyAt: latest(readyLines.map(item => item.statusTimes?.ready))
+                });
+            }
+        });
+    });
+
+    active.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    bumped.sort((a, b) => b.readyAt.localeCompare(a.readyAt));
+    return { active, bumped: bumped.slice(0, RECALL_LIMIT) };
+};
+
+// Apply fn to the lines of one order on the latest copy of its table
+const updateOrderLines = (table, orderId, fn) => {
+    if (!table) throw new Error('This table has been cleared');
+    const order = (table.orders || []).find(entry => entry.id === orderId);
+    if (!order) throw new Error('This order has been settled or moved');
+    return {
+        ...table,
+        orders: table.orders.map(entry => entry === order ? fn(order) : entry)
+    };
+};
+
+/**
+ * Move selected lines of an order to a status
+ * @param {Object} table - Latest table
+ * @param {string} orderId
+ * @param {Object} options - { fromStatuses[], toStatus, station, menuById, lineIds (optional) }
+ * @returns {Object} Updated table
+ */
+export const setTicketLinesStatus = (table, orderId, { fromStatuses, toStatus, station = '', menuById = {}, lineIds = null }) => {
+    const at = new Date().toISOString();
+    return updateOrderLines(table, orderId, order => ({
+        ...order,
+        items: (order.items || []).map(item => (
+            fromStatuses.includes(item.status) &&
+            matchesStation(item, station, menuById) &&
+            (!lineIds || lineIds.includes(getLineId(item)))
+        ) ? withLineStatus(item, toStatus, at) : item)
+    }));
+};
+
+/**
+ * Bump a ticket: its queued / cooking lines become ready and its cancellations are acknowledged
+ * @param {Object} table - Latest table
+ * @param {string} orderId
+ * @param {Object} options - { station, menuById }
+ * @returns {Object} Updated table
+ */
+export const bumpTicket = (table, orderId, { station = '', menuById = {} } = {}) => {
+    const at = new Date().toISOString();
+    const bumpedTable = setTicketLinesStatus(table, orderId, { fromStatuses: ACTIVE_STATUSES, toStatus: 'ready', station, menuById });
+    return updateOrderLines(bumpedTable, orderId, order => ({
+        ...order,
+        cancellations: (order.cancellations || []).map(cancellation => (
+            !cancellation.acknowledgedAt && matchesStation(cancellation, station, menuById)
+        ) ? { ...cancellation, acknowledgedAt: at } : cancellation)
+    }));
+};
+
+/**
+ * Short ticket line text ("2 x Nihari (Full)")
+ * @param {Object} item - Order line
+ * @returns {string}
+ */
+export const formatTicketLine = (item) => `${item.quantity} x ${getLineLabel(item)}`;
@@ -0,0 +1,194 @@
+// Kitchen Order Ticket (KOT) Helpers
+// ================================================
+// Builds printable kitchen tickets from table orders.
+//
+// Each order keeps a `firedItems` map of what has already been sent to the
+// kitchen, keyed by order line. A new ticket only lists the difference
+// between the current order lines and that map, so re-printing after adding
+// two more naans produces a ticket for just those two naans. Quantities that
+// went down after firing are listed separately as cancellations. Lines are
+// matched by lineId, so "Nihari (Full)" and "Nihari (Half)" fire separately
+// and carry their modifiers and cooking note onto the ticket.
+
+import { getLineId, getLineLabel } from './modifierUtils';
+import { escapeHtml, wrapThermalHtml, createEscPosBuilder, printHtmlDocument, sendEscPos, DEFAULT_PRINTER_SETTINGS } from './printUtils';
+
+/**
+ * Stable identity of an order line, used to match lines against fired quantities
+ * @param {Object} item - Order line
+ * @returns {string}
+ */
+export const getLineKey = (item) => getLineId(item);
+
+/**
+ * Compare an order against its fired quantities
+ * @param {Object} order - Order with items[] and optional firedItems map
+ * @returns {Object} { added[], cancelled[] } lines with the quantity delta
+ */
+export const getUnfiredChanges = (order) => {
+    const fired = order?.firedItems || {};
+    const added = [];
+    const cancelled = [];
+    const seen = new Set();
+
+    (order?.items || []).forEach(item => {
+        const key = getLineKey(item);
+        seen.add(key);
+        const firedQty = fired[key]?.quantity || 0;
+        const delta = item.quantity - firedQty;
+        if (delta > 0) {
+            added.push({ key, name: getLineLabel(item), note: item.note || '', quantity: delta });
+        } else if (delta < 0) {
+            cancelled.push({ key, name: getLineLabel(item), note: item.note || '', quantity: -delta });
+        }
+    });
+
+    // Lines removed entirely after they were fired
+    Object.entries(fired).forEach(([key, firedLine]) => {
+        if (!seen.has(key) && firedLine.quantity > 0) {
+            cancelled.push({ key, name: firedLine.name, note: firedLine.note || '', quantity: firedLine.quantity });
+        }
+    });
+
+    return { added, cancelled };
+};
+
+/**
+ * Check whether an order has anything the kitchen has not seen yet
+ * @param {Object} order
+ * @returns {boolean}
+ */
+export const hasUnfiredChanges = (order) => {
+    const { added, cancelled } = getUnfiredChanges(order);
+    return added.length > 0 || cancelled.length > 0;
+};
+
+/**
+ * Build the next kitchen ticket for an order
+ * @param {number|string} tableId - Table the order belongs to
+ * @param {Object} order - Order with items[] and optional firedItems/kotCount
+ * @param {number} orderIndex - Zero-based position of the order on the table
+ * @param {string} placeLabel - Header line; takeaway / delivery tickets pass their queue label
+ * @returns {Object|null} { ticket, firedItems } or null when nothing changed
+ */
+export const buildKitchenTicket = (tableId, order, orderIndex, placeLabel = `TABLE ${tableId}`) => {
+    const { added, cancelled } = getUnfiredChanges(order);
+    if (added.length === 0 && cancelled.length === 0) return null;
+
+    // Snapshot of the current order becomes the new fired baseline
+    const firedItems = {};
+    (order.items || []).forEach(item => {
+        firedItems[getLineKey(item)] = { name: getLineLabel(item), note: item.note || '', quantity: item.quantity };
+    });
+
+    const ticket = {
+        tableId,
+        placeLabel,
+        orderId: order.id,
+        orderNumber: orderIndex + 1,
+        kotNumber: (order.kotCount || 0) + 1,
+        timestamp: new Date().toISOString(),
+        items: added,
+        cancelled
+    };
+
+    return { ticket, firedItems };
+};
+
+// Tickets saved before place labels existed only have the table number
+const getPlaceLabel = (ticket) => ticket.placeLabel || `TABLE ${ticket.tableId}`;
+
+const renderNoteHtml = (item) => item.note ? `<div class="muted">&gt;&gt; ${escapeHtml(item.note)}</div>` : '';
+
+const formatTicketTime = (isoString) => new Date(isoString).toLocaleString([], {
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * Render a kitchen ticket as a thermal-roll HTML document
+ * @param {Object} ticket - Ticket from buildKitchenTicket
+ * @param {number} paperWidth - 58 or 80
+ * @returns {string} HTML document
+ */
+export const renderKitchenTicketHtml = (ticket, paperWidth = 80) => {
+    const itemRows = ticket.items.map(item => `
+        <tr><td class="qty">${item.quantity}</td><td>${escapeHtml(item.name)}${renderNoteHtml(item)}</td></tr>`).join('');
+
+    const cancelRows = ticket.cancelled.map(item => `
+        <tr><td class="qty">-${item.quantity}</td><td>${escapeHtml(item.name)}${renderNoteHtml(item)}</td></tr>`).join('');
+
+    const body = `
+    <div class="center bold">KITCHEN ORDER TICKET</div>
+    <div class="center large">${escapeHtml(getPlaceLabel(ticket))}</div>
+    <div class="divider"></div>
+    <table>
+        <tr><td>Order #${ticket.orderNumber}</td><td class="amount">KOT ${ticket.kotNumber}</td></tr>
+        <tr><td colspan="2" class="muted">${escapeHtml(formatTicketTime(ticket.timestamp))}</td></tr>
+    </table>
+    <div class="divider"></div>
+    ${ticket.items.length > 0 ? `<table class="large">${itemRows}</table>` : ''}
+    ${ticket.cancelled.length > 0 ? `
+    <div class="divider"></div>
+    <div class="bold">*** CANCEL ***</div>
+    <table class="large">${cancelRows}</table>` : ''}
+    <div class="divider"></div>`;
+
+    return wrapThermalHtml(`KOT ${ticket.kotNumber} - ${getPlaceLabel(ticket)}`, body, paperWidth);
+};
+
+/**
+ * Encode a kitchen ticket as ESC/POS bytes
+ * @param {Object} ticket - Ticket from buildKitchenTicket
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Uint8Array}
+ */
+export const encodeKitchenTicketEscPos = (ticket, paperWidth = 80) => {
+    const printer = createEscPosBuilder(paperWidth);
+
+    printer
+        .align('center').bold(true).line('KITCHEN ORDER TICKET')
+        .size(2).line(getPlaceLabel(ticket)).size(1).bold(false)
+        .align('left').divider()
+        .columns2(`Order #${ticket.orderNumber}`, `KOT ${ticket.kotNumber}`)
+        .line(formatTicketTime(ticket.timestamp))
+        .divider()
+        .size(2);
+
+    const printLine = (item, prefix = '') => {
+        printer.line(`${prefix}${item.quantity} x ${item.name}`);
+        if (item.note) printer.size(1).line(`  >> ${item.note}`).size(2);
+    };
+
+    ticket.items.forEach(item => printLine(item));
+
+    if (ticket.cancelled.length > 0) {
+        printer.size(1).divider().bold(true).line('*** CANCEL ***').size(2);
+        ticket.cancelled.forEach(item => printLine(item, '-'));
+        printer.bold(false);
+    }
+
+    return printer.size(1).divider().feed(3).cut().build();
+};
+
+/**
+ * Send a kitchen ticket to the configured output
+ * @param {Object} ticket - Ticket from buildKitchenTicket
+ * @param {Object} printerSettings - { paperWidth, output }
+ * @returns {Promise<void>}
+ */
+export const printKitchenTicket = async (ticket, printerSettings = DEFAULT_PRINTER_SETTINGS) => {
+    const { paperWidth, output } = { ...DEFAULT_PRINTER_SETTINGS, ...printerSettings };
+
+    if (output === 'escpos') {
+        await sendEscPos(
+            encodeKitchenTicketEscPos(ticket, paperWidth),
+            `kot_table${ticket.tableId}_order${ticket.orderNumber}_${ticket.kotNumber}.bin`
+        );
+        return;
+    }
+
+    await printHtmlDocument(renderKitchenTicketHtml(ticket, paperWidth));
+};
@@ -0,0 +1,114 @@
+// Order Line Status Helpers
+// ================================================
+// Tracks each order line through the kitchen:
+//
+//   (not sent) -> queued -> cooking -> ready -> served
+//
+// A line becomes `queued` when a KOT fires it, and the kitchen view moves it
+// along from there. Every status change stamps `statusTimes[status]` so the
+// time spent at each stage can be read back later. Firing more of a line that
+// is already cooking or served puts it back in the queue.
+//
+// Quantities the kitchen has already been sent cannot simply be decreased:
+// they are cancelled with a reason. Each cancellation is kept on the order
+// (`order.cancellations`) for the kitchen view and booked separately in
+// daily_metrics (see addLineCancellation), apart from sales and from
+// ordinary edits to lines that were never fired.
+
+import { getLineKey } from './kotUtils';
+import { getLineLabel } from './modifierUtils';
+
+export const LINE_STATUSES = [
+    { id: 'queued', label: 'Queued' },
+    { id: 'cooking', label: 'Cooking' },
+    { id: 'ready', label: 'Ready' },
+    { id: 'served', label: 'Served' },
+    { id: 'cancelled', label: 'Cancelled' }
+];
+
+// Order the kitchen moves a line through; cancelled is never reached this way
+const STATUS_FLOW = ['queued', 'cooking', 'ready', 'served'];
+
+export const CANCEL_REASONS = [
+    'Customer changed mind',
+    'Wrong item entered',
+    'Out of stock',
+    'Quality issue',
+    'Long wait',
+    'Other'
+];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Display label of a line status id
+ * @param {string} status
+ * @returns {string}
+ */
+export const getLineStatusLabel = (status) =>
+    LINE_STATUSES.find(entry => entry.id === status)?.label || 'Not sent';
+
+/**
+ * Next kitchen status after the given one
+ * @param {string|null} status - Current status (null = not sent yet)
+ * @returns {string|null} Next status, or null once served
+ */
+export const getNextLineStatus = (status) => {
+    const index = STATUS_FLOW.indexOf(status);
+    return index >= 0 && index < STATUS_FLOW.length - 1 ? STATUS_FLOW[index + 1] : null;
+};
+
+/**
+ * Line with a new status and the time it was reached
+ * @param {Object} item - Order line
+ * @param {string} status
+ * @param {string} at - ISO timestamp
+ * @returns {Object} Updated line
+ */
+export const withLineStatus = (item, status, at = new Date().toISOString()) => ({
+    ...item,
+    status,
+    statusTimes: { ...(item.statusTimes || {}), [status]: at }
+});
+
+/**
+ * Quantity of a line the kitchen has already been sent
+ * @param {Object} order - Order with firedItems
+ * @param {Object} item - Order line
+ * @returns {number}
+ */
+export const getFiredQuantity = (order, item) => order?.firedItems?.[getLineKey(item)]?.quantity || 0;
+
+/**
+ * Check a cancellation reason
+ * @param {Object} cancellation - { reason, note }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateCancellation = ({ reason, note }) => {
+    if (!CANCEL_REASONS.includes(reason)) return 'Select a reason for the cancellation.';
+    if (reason === 'Other' && !(note || '').trim()) return 'Add a note explaining the cancellation.';
+    return null;
+};
+
+/**
+ * Record of fired quantity cancelled from a line
+ * @param {Object} item - Order line being reduced
+ * @param {number} quantity - Quantity cancelled
+ * @param {Object} cancellation - { reason, note, cancelledBy }
+ * @returns {Object} Cancellation stored on order.cancellations
+ */
+export const buildCancellation = (item, quantity, { reason, note = '', cancelledBy = null }) => ({
+    id: `cancel-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    lineId: getLineKey(item),
+    itemId: item.id,
+    station: item.station || '',
+    name: getLineLabel(item),
+    quantity,
+    price: Number(item.price) || 0,
+    amount: roundCurrency((Number(item.price) || 0) * quantity),
+    status: item.status || 'queued', // How far the kitchen had got
+    reason,
+    note: note.trim(),
+    cancelledBy,
+    cancelledAt: new Date().toISOString()
+});
@@ -0,0 +1,69 @@
+// Lot & Expiry Helpers
+// ================================================
+// Each purchase of a raw item is a lot: one of the item's cost layers (see
+// costingUtils) with an optional expiry date,
+//   { id, quantity, remaining, unitCost, receivedAt, expiresAt }
+// where expiresAt is a local date (YYYY-MM-DD) the lot can be used until.
+//
+// Stock is drawn from the earliest-expiring lot first; lots without an expiry
+// come after those with one, oldest first. Expired lots are only drawn from
+// once nothing else is left; they wait to be written off as waste.
+
+// Categories whose purchases ask for an expiry date
+export const PERISHABLE_CATEGORIES = ['meat', 'dairy'];
+
+// Days before expiry at which a lot is flagged as expiring
+export const EXPIRING_SOON_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toLocalDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Whether purchases of an item should record an expiry date
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export const isPerishable = (item) => PERISHABLE_CATEGORIES.includes(item?.category);
+
+/**
+ * Freshness of a lot
+ * @param {Object} lot
+ * @param {number} now - Current time in ms
+ * @returns {string} 'fresh' | 'expiring' | 'expired'
+ */
+export const getLotStatus = (lot, now = Date.now()) => {
+    if (!lot.expiresAt) return 'fresh';
+    if (lot.expiresAt < toLocalDate(new Date(now))) return 'expired';
+    if (lot.expiresAt <= toLocalDate(new Date(now + EXPIRING_SOON_DAYS * DAY_MS))) return 'expiring';
+    return 'fresh';
+};
+
+/**
+ * Lots in the order stock is drawn from them: unexpired by earliest expiry
+ * (no expiry last, oldest first), then expired lots
+ * @param {Array} lots
+ * @param {number} now - Current time in ms
+ * @returns {Array} Sorted copy
+ */
+export const sortLotsForUse = (lots = [], now = Date.now()) => {
+    const rank = (lot) => getLotStatus(lot, now) === 'expired' ? 1 : 0;
+    return [...lots].sort((a, b) =>
+        rank(a) - rank(b)
+        || (a.expiresAt || '9999-12-31').localeCompare(b.expiresAt || '9999-12-31')
+        || (a.receivedAt || '').localeCompare(b.receivedAt || '')
+    );
+};
+
+/**
+ * Lots expired or expiring soon across the inventory, soonest first
+ * @param {Array} inventory - Raw inventory items whose costLayers are the lots
+ *   actually in stock (see costingUtils.reconcileLayers)
+ * @param {number} now - Current time in ms
+ * @returns {Array} [{ item, lot, status, value }]
+ */
+export const getExpiringLots = (inventory = [], now = Date.now()) => inventory
+    .flatMap(item => (item.costLayers || []).map(lot => ({ item, lot, status: getLotStatus(lot, now) })))
+    .filter(entry => entry.status !== 'fresh')
+    .map(entry => ({ ...entry, value: Math.round(entry.lot.remaining * entry.lot.unitCost * 100) / 100 }))
+    .sort((a, b) => a.lot.expiresAt.localeCompare(b.lot.expiresAt));
@@ -0,0 +1,177 @@
+// Menu Modifiers
+// ================================================
+// Menu items can carry modifier groups (Settings > Menu Management):
+//
+//   { id, name, type: 'variant' | 'addon', maxSelect, options: [{ id, name, price }] }
+//
+// - variant: exactly one option must be chosen (half / full plate). The
+//   option price is added to the item price, so the cheapest variant is
+//   usually priced at 0 and the others at the difference.
+// - addon:   any number of options up to maxSelect (0 = no limit), each
+//   adding its price (extra nalli, butter naan upgrade).
+//
+// Order lines copy the chosen options into `modifiers` and may carry a
+// free-text cooking `note`. Two lines of the same dish with different
+// choices are separate lines, told apart by `lineId`. A plain line (no
+// modifiers, no note) uses the menu item id as its lineId, so lines saved
+// before modifiers existed keep their identity.
+
+export const MODIFIER_GROUP_TYPES = ['variant', 'addon'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Short, Firestore-safe fingerprint of a cooking note
+const hashNote = (note) => {
+    let hash = 5381;
+    for (let i = 0; i < note.length; i++) {
+        hash = ((hash * 33) ^ note.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+};
+
+/**
+ * Identity of an order line (menu item + chosen modifiers + note)
+ * @param {Object} item - Order line
+ * @returns {string}
+ */
+export const getLineId = (item) => item.lineId || String(item.id);
+
+/**
+ * Build the lineId for a menu item with the given choices
+ * @param {string|number} menuItemId
+ * @param {Array} modifiers - Chosen options { groupId, optionId }
+ * @param {string} note - Cooking note
+ * @returns {string}
+ */
+export const buildLineId = (menuItemId, modifiers = [], note = '') => {
+    const optionIds = modifiers.map(modifier => `${modifier.groupId}:${modifier.optionId}`).sort();
+    const normalisedNote = note.trim().toLowerCase();
+    if (optionIds.length === 0 && !normalisedNote) return String(menuItemId);
+    return [String(menuItemId), ...optionIds, normalisedNote ? `n${hashNote(normalisedNote)}` : null].filter(Boolean).join('|');
+};
+
+/**
+ * Whether a menu item has any modifier options to choose from
+ * @param {Object} menuItem
+ * @returns {boolean}
+ */
+export const hasModifierGroups = (menuItem) =>
+    (menuItem?.modifierGroups || []).some(group => (group.options || []).length > 0);
+
+/**
+ * Resolve picked option ids into the modifiers stored on an order line
+ * @param {Object} menuItem - Menu item with modifierGroups
+ * @param {Object} selection - { [groupId]: optionId[] }
+ * @returns {Array} { groupId, groupName, optionId, name, price }
+ */
+export const resolveModifiers = (menuItem, selection = {}) =>
+    (menuItem.modifierGroups || []).flatMap(group => (group.options || [])
+        .filter(option => (selection[group.id] || []).includes(option.id))
+        .map(option => ({
+            groupId: group.id,
+            groupName: group.name,
+            optionId: option.id,
+            name: option.name,
+            price: Number(option.price) || 0
+        })));
+
+/**
+ * Check picked options against the item's modifier groups
+ * @param {Object} menuItem - Menu item with modifierGroups
+ * @param {Object} selection - { [groupId]: optionId[] }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateModifierSelection = (menuItem, selection = {}) => {
+    for (const group of menuItem.modifierGroups || []) {
+        if ((group.options || []).length === 0) continue;
+        const picked = selection[group.id] || [];
+        if (group.type === 'variant' && picked.length !== 1) {
+            return `Choose one ${group.name}.`;
+        }
+        const maxSelect = Number(group.maxSelect) || 0;
+        if (group.type === 'addon' && maxSelect > 0 && picked.length > maxSelect) {
+            return `Choose at most ${maxSelect} ${group.name}.`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Price of one unit of a line: menu price plus its modifiers
+ * @param {number} basePrice
+ * @param {Array} modifiers
+ * @returns {number}
+ */
+export const getModifiedPrice = (basePrice, modifiers = []) =>
+    roundCurrency((Number(basePrice) || 0) + modifiers.reduce((sum, modifier) => sum + (Number(modifier.price) || 0), 0));
+
+/**
+ * New order line for a menu item with the chosen modifiers and note
+ * @param {Object} menuItem
+ * @param {Object} choices - { modifiers[], note }
+ * @returns {Object} Order line with quantity 1
+ */
+export const buildOrderLine = (menuItem, { modifiers = [], note = '' } = {}) => {
+    // Menu-only settings stay on the menu item; checkout looks the stock link up again
+    const line = { ...menuItem, quantity: 1 };
+    delete line.modifierGroups;
+    delete line.stockLink;
+    const trimmedNote = note.trim();
+    if (modifiers.length === 0 && !trimmedNote) return line;
+
+    return {
+        ...line,
+        lineId: buildLineId(menuItem.id, modifiers, trimmedNote),
+        basePrice: Number(menuItem.price) || 0,
+        price: getModifiedPrice(menuItem.price, modifiers),
+        modifiers,
+        note: trimmedNote
+    };
+};
+
+/**
+ * Display name of a line including its modifiers ("Nihari (Full, Extra Nalli)")
+ * @param {Object} item - Order line
+ * @returns {string}
+ */
+export const getLineLabel = (item) => {
+    const names = (item.modifiers || []).map(modifier => modifier.name).filter(Boolean);
+    return names.length > 0 ? `${item.name} (${names.join(', ')})` : item.name;
+};
+
+/**
+ * Tidy modifier groups from the menu editor for saving
+ * @param {Array} groups - Groups as edited
+ * @returns {Object} { groups, error } - error is a message when something is invalid
+ */
+export const normaliseModifierGroups = (groups = []) => {
+    const normalised = [];
+    for (const group of groups) {
+        const name = (group.name || '').trim();
+        if (!name) return { groups, error: 'Every modifier group needs a name.' };
+        const options = [];
+        for (const option of group.options || []) {
+            const optionName = (option.name || '').trim();
+            const price = Number(option.price) || 0;
+            if (!optionName) return { groups, error: `Every option in ${name} needs a name.` };
+            if (price < 0) return { groups, error: `${optionName} in ${name} cannot have a negative price.` };
+            options.push({ id: option.id, name: optionName, price });
+        }
+        if (options.length === 0) return { groups, error: `${name} needs at least one option.` };
+        normalised.push({
+            id: group.id,
+            name,
+            type: MODIFIER_GROUP_TYPES.includes(group.type) ? group.type : 'addon',
+            maxSelect: group.type === 'addon' ? Math.max(0, Math.floor(Number(group.maxSelect) || 0)) : 1,
+            options
+        });
+    }
+    return { groups: normalised, error: null };
+};
+
+/**
+ * Id for a new modifier group or option
+ * @param {string} prefix - 'group' | 'option'
+ * @returns {string}
+ */
+export const createModifierId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.floor(Math.random() * 1000).toString(36)}`;
@@ -0,0 +1,139 @@
+// Order Types
+// ================================================
+// Every bill is one of four order types:
+//
+// - dine_in:    orders on a table from the floor plan
+// - takeaway:   counter / parcel orders collected by the customer
+// - delivery:   orders delivered by the restaurant's own riders
+// - aggregator: orders from a delivery platform (Swiggy, Zomato, ...)
+//
+// Non-dine-in orders are "queue tickets": documents in the `tables`
+// collection with an `orderType`, customer details and a `q-` id. Keeping
+// them next to the tables means ordering, KOTs, transfers and checkout all
+// work the same way; only the table grid and floor plan leave them out.
+
+export const ORDER_TYPES = [
+    { id: 'dine_in', label: 'Dine-in' },
+    { id: 'takeaway', label: 'Takeaway' },
+    { id: 'delivery', label: 'Delivery' },
+    { id: 'aggregator', label: 'Aggregator' }
+];
+
+export const QUEUE_ORDER_TYPES = ORDER_TYPES.filter(type => type.id !== 'dine_in');
+
+export const QUEUE_TICKET_PREFIX = 'q-';
+
+// Settings > POS Configuration. Packaging charges are flat rupee amounts per
+// bill, priced like menu items (see calculateBill).
+export const DEFAULT_ORDER_TYPE_SETTINGS = {
+    packagingCharges: { takeaway: 0, delivery: 0, aggregator: 0 },
+    aggregators: ['Swiggy', 'Zomato']
+};
+
+/**
+ * Order type of a table, ticket or history entry. Tables and entries saved
+ * before order types existed are dine-in.
+ * @param {Object|null} entry
+ * @returns {string} Order type id
+ */
+export const getOrderType = (entry) =>
+    ORDER_TYPES.some(type => type.id === entry?.orderType) ? entry.orderType : 'dine_in';
+
+/**
+ * Display label of an order type id
+ * @param {string} orderType
+ * @returns {string}
+ */
+export const getOrderTypeLabel = (orderType) =>
+    ORDER_TYPES.find(type => type.id === orderType)?.label || 'Dine-in';
+
+/**
+ * Whether a table document is a takeaway / delivery / aggregator ticket
+ * @param {Object|null} table
+ * @returns {boolean}
+ */
+export const isQueueTicket = (table) => Boolean(table) && getOrderType(table) !== 'dine_in';
+
+/**
+ * Whether a tables-collection id belongs to a queue ticket (the document may be gone)
+ * @param {string|number} tableId
+ * @returns {boolean}
+ */
+export const isQueueTicketId = (tableId) => String(tableId).startsWith(QUEUE_TICKET_PREFIX);
+
+/**
+ * Short description of who a queue order is for ("Delivery · Ravi")
+ * @param {Object} entry - Ticket or history entry with orderType, customer, aggregator
+ * @returns {string}
+ */
+export const getQueueLabel = (entry) => {
+    const orderType = getOrderType(entry);
+    const typeLabel = orderType === 'aggregator' && entry.aggregator ? entry.aggregator : getOrderTypeLabel(orderType);
+    const who = entry.customer?.name?.trim() || entry.customer?.phone?.trim();
+    return who ? `${typeLabel} · ${who}` : typeLabel;
+};
+
+/**
+ * Where a bill was served: "Table 4" for dine-in, otherwise the queue label
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+export const getPlaceLabel = (entry) =>
+    getOrderType(entry) === 'dine_in' ? `Table ${entry.tableId}` : getQueueLabel(entry);
+
+/**
+ * Check the customer details needed for a queue order
+ * @param {string} orderType
+ * @param {Object} details - { name, phone, aggregator }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateQueueOrder = (orderType, details) => {
+    if (!QUEUE_ORDER_TYPES.some(type => type.id === orderType)) return 'Choose an order type.';
+    const name = (details.name || '').trim();
+    const phone = (details.phone || '').trim();
+    if (!name && !phone) return 'Enter the customer name or phone number.';
+    if (phone && !/^\+?[0-9 -]{6,15}$/.test(phone)) return 'Enter a valid phone number.';
+    if (orderType === 'delivery' && !phone) return 'Delivery orders need a phone number.';
+    if (orderType === 'aggregator' && !details.aggregator) return 'Choose the delivery platform.';
+    return null;
+};
+
+/**
+ * New, empty queue ticket document
+ * @param {string} orderType - takeaway | delivery | aggregator
+ * @param {Object} details - { name, phone, aggregator }
+ * @param {Object} settings - Order type settings (packaging charges)
+ * @returns {Object} Ticket to save with updateTable(ticket.id, ticket)
+ */
+export const createQueueTicket = (orderType, details, settings = DEFAULT_ORDER_TYPE_SETTINGS) => {
+    const ticket = {
+        id: `${QUEUE_TICKET_PREFIX}${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        orderType,
+        customer: {
+            name: (details.name || '').trim(),
+            phone: (details.phone || '').trim()
+        },
+        aggregator: orderType === 'aggregator' ? details.aggregator : null,
+        packagingCharge: Math.max(0, Number(settings.packagingCharges?.[orderType]) || 0),
+        orders: [{ id: `order-${Date.now()}-${Math.floor(Math.random() * 1000)}`, items: [], total: 0 }],
+        total: 0,
+        createdAt: new Date().toISOString()
+    };
+    ticket.name = getQueueLabel(ticket);
+    return ticket;
+};
+
+/**
+ * Order type fields copied from a table or ticket onto its history entry
+ * @param {Object|null} table
+ * @returns {Object} { orderType, customer, aggregator }
+ */
+export const getOrderDetails = (table) => {
+    const orderType = getOrderType(table);
+    if (orderType === 'dine_in') return { orderType, customer: null, aggregator: null };
+    return {
+        orderType,
+        customer: { name: table.customer?.name || '', phone: table.customer?.phone || '' },
+        aggregator: table.aggregator || null
+    };
+};
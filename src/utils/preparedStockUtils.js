@@ -0,0 +1,179 @@
+// Prepared Stock Helpers
+// ================================================
+// Production output kept as stock (semi-finished goods such as a pot of
+// Nihari gravy), so sales can use it and leftovers can be accounted for.
+//
+// Each recipe has one prepared inventory item, `prepared-<recipeId>`, whose
+// `batches` hold every production run:
+//   { id, usageLogId, quantity, remaining, costPerUnit, producedAt, expiresAt }
+// costPerUnit is the run's BOM cost divided by the quantity produced and
+// expiresAt is producedAt plus the recipe's holding time (null = no limit).
+//
+// Sales use the oldest unexpired batch first (see buildSaleDeductions in
+// stockUsageUtils). Expired batches are never sold; they wait to be discarded.
+
+export const PREPARED_CATEGORY = 'prepared';
+
+// Hours before expiry at which a batch is flagged as expiring
+export const EXPIRING_SOON_HOURS = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Inventory item id holding a recipe's prepared stock
+ * @param {string} recipeId
+ * @returns {string}
+ */
+export const getPreparedItemId = (recipeId) => `prepared-${recipeId}`;
+
+/**
+ * Whether an inventory item is prepared stock rather than a raw ingredient
+ * @param {Object|string} item - Inventory item or its id
+ * @returns {boolean}
+ */
+export const isPreparedItem = (item) => typeof item === 'string'
+    ? item.startsWith('prepared-')
+    : item?.category === PREPARED_CATEGORY;
+
+/**
+ * New batch for a production run
+ * @param {Object} run - { id, usageLogId, quantity, totalCost, holdingHours, producedAt (Date) }
+ * @returns {Object} Batch
+ */
+export const createBatch = ({ id, usageLogId, quantity, totalCost, holdingHours, producedAt = new Date() }) => ({
+    id,
+    usageLogId,
+    quantity,
+    remaining: quantity,
+    costPerUnit: quantity > 0 ? Math.round((totalCost / quantity) * 10000) / 10000 : 0,
+    producedAt: producedAt.toISOString(),
+    expiresAt: holdingHours > 0 ? new Date(producedAt.getTime() + holdingHours * HOUR_MS).toISOString() : null
+});
+
+/**
+ * Freshness of a batch
+ * @param {Object} batch
+ * @param {number} now - Current time in ms
+ * @returns {string} 'fresh' | 'expiring' | 'expired' | 'used'
+ */
+export const getBatchStatus = (batch, now = Date.now()) => {
+    if (!(batch.remaining > 0)) return 'used';
+    if (!batch.expiresAt) return 'fresh';
+    const expiresAt = new Date(batch.expiresAt).getTime();
+    if (expiresAt <= now) return 'expired';
+    if (expiresAt - now <= EXPIRING_SOON_HOURS * HOUR_MS) return 'expiring';
+    return 'fresh';
+};
+
+/**
+ * Batches with stock left, oldest first
+ * @param {Array} batches
+ * @returns {Array}
+ */
+export const getOpenBatches = (batches = []) => batches
+    .filter(batch => batch.remaining > 0)
+    .sort((a, b) => a.producedAt.localeCompare(b.producedAt));
+
+// Used-up batches are dropped so the array does not grow forever
+const keepOpen = (batches) => batches.filter(batch => batch.remaining > 0);
+
+/**
+ * Take a quantity from the oldest unexpired batches
+ * @param {Array} batches - Current batches of a prepared item
+ * @param {number} quantity - Quantity needed
+ * @param {number} now - Current time in ms
+ * @returns {Object} { batches (updated), taken[{ id, quantity, costPerUnit, producedAt, expiresAt }], cost, shortfall }
+ */
+export const consumeBatches = (batches = [], quantity, now = Date.now()) => {
+    let needed = quantity;
+    const taken = [];
+    const updated = batches.map(batch => ({ ...batch }));
+
+    getOpenBatches(updated)
+        .filter(batch => getBatchStatus(batch, now) !== 'expired')
+        .forEach(batch => {
+            if (needed <= 0) return;
+            const used = roundQuantity(Math.min(batch.remaining, needed));
+            batch.remaining = roundQuantity(batch.remaining - used);
+            needed = roundQuantity(needed - used);
+            taken.push({ id: batch.id, quantity: used, costPerUnit: batch.costPerUnit, producedAt: batch.producedAt, expiresAt: batch.expiresAt });
+        });
+
+    return {
+        batches: keepOpen(updated),
+        taken,
+        cost: roundCurrency(taken.reduce((sum, entry) => sum + entry.quantity * entry.costPerUnit, 0)),
+        shortfall: Math.max(0, needed)
+    };
+};
+
+/**
+ * Put quantities taken by consumeBatches back (a reopened bill).
+ * A batch used up or discarded since then is brought back with what was returned.
+ * @param {Array} batches - Current batches
+ * @param {Array} taken - [{ id, quantity, costPerUnit, producedAt, expiresAt }]
+ * @returns {Array} Updated batches
+ */
+export const restoreBatches = (batches = [], taken = []) => {
+    const updated = batches.map(batch => ({ ...batch }));
+    taken.forEach(entry => {
+        const batch = updated.find(existing => existing.id === entry.id);
+        if (batch) {
+            batch.remaining = roundQuantity(batch.remaining + entry.quantity);
+            return;
+        }
+        updated.push({
+            id: entry.id,
+            usageLogId: null,
+            quantity: entry.quantity,
+            remaining: entry.quantity,
+            costPerUnit: entry.costPerUnit,
+            producedAt: entry.producedAt,
+            expiresAt: entry.expiresAt ?? null
+        });
+    });
+    return updated;
+};
+
+/**
+ * Write off batches
+ * @param {Array} batches - Current batches
+ * @param {Array} batchIds - Batches to discard
+ * @returns {Object} { batches (updated), discarded[] } - discarded holds the batches as they were
+ */
+export const discardBatches = (batches = [], batchIds = []) => {
+    const discarded = batches.filter(batch => batchIds.includes(batch.id) && batch.remaining > 0);
+    return {
+        batches: keepOpen(batches.filter(batch => !discarded.includes(batch))),
+        discarded
+    };
+};
+
+const toLocalDate = (isoString) => {
+    const date = new Date(isoString);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Dashboard view of a prepared item
+ * @param {Object} item - Prepared inventory item
+ * @param {number} now - Current time in ms
+ * @param {string} today - Local date (YYYY-MM-DD); open batches made before it are leftovers
+ * @returns {Object} { batches[] with status and leftover, remaining, value, expiredBatchIds[] }
+ */
+export const summarisePreparedItem = (item, now = Date.now(), today = '') => {
+    const batches = getOpenBatches(item.batches).map(batch => ({
+        ...batch,
+        status: getBatchStatus(batch, now),
+        leftover: Boolean(today) && toLocalDate(batch.producedAt) < today
+    }));
+    return {
+        batches,
+        remaining: roundQuantity(batches.reduce((sum, batch) => sum + batch.remaining, 0)),
+        value: roundCurrency(batches.reduce((sum, batch) => sum + batch.remaining * batch.costPerUnit, 0)),
+        expiredBatchIds: batches.filter(batch => batch.status === 'expired').map(batch => batch.id)
+    };
+};
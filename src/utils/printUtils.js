@@ -0,0 +1,305 @@
+// Thermal Printing Helpers
+// ================================================
+// Shared output helpers for kitchen tickets and customer bills.
+//
+// Two output paths are supported:
+// - Browser printing of an HTML document sized for 58mm/80mm thermal rolls
+// - Raw ESC/POS bytes, sent over Web Serial when available or downloaded
+//   as a .bin file that can be piped to a network/USB printer
+
+// Printable characters per line for common thermal roll widths (Font A)
+export const PAPER_COLUMNS = {
+    58: 32,
+    80: 48
+};
+
+// Printable area in millimetres (rolls have ~5mm unprintable margins)
+const PRINTABLE_WIDTH_MM = {
+    58: 48,
+    80: 72
+};
+
+export const DEFAULT_PRINTER_SETTINGS = {
+    paperWidth: 80,
+    output: 'browser' // 'browser' | 'escpos'
+};
+
+export const getPaperColumns = (paperWidth) => PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80];
+
+/**
+ * Escape a value for safe interpolation into generated HTML
+ * @param {any} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Stylesheet for thermal documents, scoped to a `.thermal-doc` root
+ * @param {number} paperWidth - 58 or 80
+ * @returns {string} CSS text
+ */
+export const getThermalStyles = (paperWidth = 80) => {
+    const printableWidth = PRINTABLE_WIDTH_MM[paperWidth] || PRINTABLE_WIDTH_MM[80];
+    const fontSize = paperWidth === 58 ? 11 : 13;
+
+    return `
+  .thermal-doc, .thermal-doc * { box-sizing: border-box; }
+  .thermal-doc { margin: 0; padding: 2mm; width: ${printableWidth}mm; background: #fff; font-family: 'Courier New', monospace; font-size: ${fontSize}px; color: #000; }
+  .thermal-doc .center { text-align: center; }
+  .thermal-doc .right { text-align: right; }
+  .thermal-doc .bold { font-weight: bold; }
+  .thermal-doc .large { font-size: 1.4em; font-weight: bold; }
+  .thermal-doc .divider { border-top: 1px dashed #000; margin: 4px 0; }
+  .thermal-doc table { width: 100%; border-collapse: collapse; }
+  .thermal-doc td { padding: 1px 0; vertical-align: top; }
+  .thermal-doc td.qty { width: 4ch; font-weight: bold; }
+  .thermal-doc td.amount { text-align: right; white-space: nowrap; }
+  .thermal-doc .muted { font-size: 0.85em; }`;
+};
+
+/**
+ * Wrap ticket body markup in a full HTML document sized for a thermal roll
+ * @param {string} title - Document title
+ * @param {string} bodyHtml - Inner markup
+ * @param {number} paperWidth - 58 or 80
+ * @returns {string} Complete HTML document
+ */
+export const wrapThermalHtml = (title, bodyHtml, paperWidth = 80) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  body { margin: 0; }
+${getThermalStyles(paperWidth)}
+</style>
+</head>
+<body>
+<div class="thermal-doc">
+${bodyHtml}
+</div>
+</body>
+</html>`;
+
+/**
+ * Rasterise thermal markup and save it as a roll-width PDF
+ * @param {string} bodyHtml - Inner markup (as passed to wrapThermalHtml)
+ * @param {string} filename - Download name
+ * @param {number} paperWidth - 58 or 80
+ */
+export const downloadThermalPdf = async (bodyHtml, filename, paperWidth = 80) => {
+    // Loaded on demand to keep the PDF toolchain out of the main bundle
+    const [{ jsPDF }, { default: html2canvas }] = await Promise.all([
+        import('jspdf'),
+        import('html2canvas')
+    ]);
+
+    const container = document.createElement('div');
+    container.style.position = 'fixed';
+    container.style.left = '-10000px';
+    container.style.top = '0';
+    container.innerHTML = `<style>${getThermalStyles(paperWidth)}</style><div class="thermal-doc">${bodyHtml}</div>`;
+    document.body.appendChild(container);
+
+    try {
+        const canvas = await html2canvas(container.querySelector('.thermal-doc'), {
+            scale: 2,
+            backgroundColor: '#ffffff'
+        });
+        const heightMm = (canvas.height * paperWidth) / canvas.width;
+        const pdf = new jsPDF({ unit: 'mm', format: [paperWidth, heightMm] });
+        pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, paperWidth, heightMm);
+        pdf.save(filename);
+    } finally {
+        document.body.removeChild(container);
+    }
+};
+
+/**
+ * Print an HTML document through a hidden iframe so the POS screen stays intact
+ * @param {string} html - Complete HTML document
+ * @returns {Promise<void>} Resolves once the print dialog has been triggered
+ */
+export const printHtmlDocument = (html) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const iframe = document.createElement('iframe');
+            iframe.style.position = 'fixed';
+            iframe.style.right = '0';
+            iframe.style.bottom = '0';
+            iframe.style.width = '0';
+            iframe.style.height = '0';
+            iframe.style.border = '0';
+            iframe.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(iframe);
+
+            const frameDoc = iframe.contentWindow.document;
+            frameDoc.open();
+            frameDoc.write(html);
+            frameDoc.close();
+
+            // Give the iframe a tick to lay out before opening the dialog
+            setTimeout(() => {
+                try {
+                    iframe.contentWindow.focus();
+                    iframe.contentWindow.print();
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    // Remove after the dialog has had time to snapshot the document
+                    setTimeout(() => document.body.removeChild(iframe), 1000);
+                }
+            }, 250);
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+// ESC/POS command bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Thermal printers use single-byte code pages; keep output to printable ASCII
+const toPrinterText = (text) => String(text ?? '')
+    .replace(/₹/g, 'Rs.')
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7e]/g, '');
+
+/**
+ * Pad/truncate a left and right column into a single printer line
+ * @param {string} left
+ * @param {string} right
+ * @param {number} columns - Characters per line
+ * @returns {string}
+ */
+export const formatColumns = (left, right, columns) => {
+    const rightText = String(right ?? '');
+    const maxLeft = Math.max(0, columns - rightText.length - 1);
+    const leftText = String(left ?? '').slice(0, maxLeft);
+    return leftText + ' '.repeat(columns - leftText.length - rightText.length) + rightText;
+};
+
+/**
+ * Minimal chainable ESC/POS document builder
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Object} Builder with text/line/align/bold/size/feed/cut/build methods
+ */
+export const createEscPosBuilder = (paperWidth = 80) => {
+    const bytes = [ESC, 0x40]; // Initialise printer
+    const columns = getPaperColumns(paperWidth);
+
+    const pushText = (text) => {
+        const clean = toPrinterText(text);
+        for (let i = 0; i < clean.length; i++) {
+            bytes.push(clean.charCodeAt(i));
+        }
+    };
+
+    const builder = {
+        columns,
+        align(position) {
+            const map = { left: 0, center: 1, right: 2 };
+            bytes.push(ESC, 0x61, map[position] ?? 0);
+            return builder;
+        },
+        bold(enabled = true) {
+            bytes.push(ESC, 0x45, enabled ? 1 : 0);
+            return builder;
+        },
+        size(scale = 1) {
+            // GS ! n — high nibble width, low nibble height
+            const factor = Math.min(Math.max(scale, 1), 8) - 1;
+            bytes.push(GS, 0x21, (factor << 4) | factor);
+            return builder;
+        },
+        text(text) {
+            pushText(text);
+            return builder;
+        },
+        line(text = '') {
+            pushText(text);
+            bytes.push(LF);
+            return builder;
+        },
+        columns2(left, right) {
+            return builder.line(formatColumns(toPrinterText(left), toPrinterText(right), columns));
+        },
+        divider(char = '-') {
+            return builder.line(char.repeat(columns));
+        },
+        feed(lines = 1) {
+            for (let i = 0; i < lines; i++) bytes.push(LF);
+            return builder;
+        },
+        cut() {
+            // Feed past the cutter then partial cut
+            bytes.push(GS, 0x56, 0x42, 0x03);
+            return builder;
+        },
+        build() {
+            return new Uint8Array(bytes);
+        }
+    };
+
+    return builder;
+};
+
+/**
+ * Trigger a browser download for raw bytes
+ * @param {Uint8Array} bytes
+ * @param {string} filename
+ */
+export const downloadBinaryFile = (bytes, filename) => {
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+
+    // Clean up
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Send ESC/POS bytes to a serial/USB thermal printer via Web Serial.
+ * Falls back to downloading the bytes when Web Serial is unavailable
+ * or the user dismisses the port picker.
+ * @param {Uint8Array} bytes
+ * @param {string} filename - Used for the download fallback
+ * @returns {Promise<'serial'|'download'>} How the bytes were delivered
+ */
+export const sendEscPos = async (bytes, filename) => {
+    if (typeof navigator !== 'undefined' && navigator.serial) {
+        try {
+            const [grantedPort] = await navigator.serial.getPorts();
+            const port = grantedPort || await navigator.serial.requestPort();
+            await port.open({ baudRate: 9600 });
+            try {
+                const writer = port.writable.getWriter();
+                await writer.write(bytes);
+                writer.releaseLock();
+            } finally {
+                await port.close();
+            }
+            return 'serial';
+        } catch (error) {
+            console.warn('Web Serial printing unavailable, downloading ESC/POS data instead:', error);
+        }
+    }
+
+    downloadBinaryFile(bytes, filename);
+    return 'download';
+};
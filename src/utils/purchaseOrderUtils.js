@@ -0,0 +1,202 @@
+// Supplier & Purchase Order Helpers
+// ================================================
+// Suppliers (`suppliers`) list the inventory items they supply and keep the
+// last price paid for each under `prices.<inventoryItemId>`:
+//   { unitCost, unit, updatedAt }
+// Every purchase record booked against a supplier carries supplierId and
+// supplierName, which is where price history and supplier spend come from.
+//
+// A purchase order (`purchase_orders`) moves draft → ordered →
+// partially_received → received (or cancelled). Each line is in the item's
+// own unit:
+//   { inventoryItemId, name, unit, quantity, unitCost, receivedQuantity, receivedCost }
+// unitCost is the price expected when ordering; receipts book the price
+// actually paid, and the difference shows up in supplier spend.
+
+export const PO_STATUS_LABELS = {
+    draft: 'Draft',
+    ordered: 'Ordered',
+    partially_received: 'Partially received',
+    received: 'Received',
+    cancelled: 'Cancelled'
+};
+
+// Orders whose lines still count as "on order"
+export const OPEN_PO_STATUSES = ['draft', 'ordered', 'partially_received'];
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether an item is at or below its reorder level (same rule as the low-stock banner)
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+export const isBelowReorderLevel = (item) => item.reorderLevel > 0 && item.currentStock <= item.reorderLevel;
+
+/**
+ * Quantity to order to bring an item back up to twice its reorder level
+ * @param {Object} item - Inventory item
+ * @returns {number}
+ */
+export const getSuggestedOrderQuantity = (item) => Math.max(0, roundQuantity(item.reorderLevel * 2 - (Number(item.currentStock) || 0)));
+
+/**
+ * Quantity of a line still to be received
+ * @param {Object} line - Purchase order line
+ * @returns {number}
+ */
+export const getOutstandingQuantity = (line) => Math.max(0, roundQuantity(line.quantity - (line.receivedQuantity || 0)));
+
+/**
+ * Supplier to order an item from: of those supplying it, the one whose last
+ * price was lowest (suppliers without a price come last)
+ * @param {Object} item - Inventory item
+ * @param {Array} suppliers
+ * @returns {Object|null}
+ */
+export const getPreferredSupplier = (item, suppliers = []) => {
+    const candidates = suppliers.filter(supplier => (supplier.itemIds || []).includes(item.id));
+    if (candidates.length === 0) return null;
+    const priceOf = (supplier) => supplier.prices?.[item.id]?.unitCost ?? Infinity;
+    return [...candidates].sort((a, b) => priceOf(a) - priceOf(b))[0];
+};
+
+/**
+ * Draft purchase orders for items at or below their reorder level, one per
+ * preferred supplier. Items already on an open order are left out.
+ * @param {Array} inventory - Raw inventory items
+ * @param {Array} suppliers
+ * @param {Array} orders - Existing purchase orders
+ * @returns {Object} { drafts[{ supplierId, supplierName, lines[] }], unassigned[] (items no supplier supplies) }
+ */
+export const buildReorderDrafts = (inventory = [], suppliers = [], orders = []) => {
+    const onOrder = new Set();
+    orders
+        .filter(order => OPEN_PO_STATUSES.includes(order.status))
+        .forEach(order => order.lines.forEach(line => {
+            if (getOutstandingQuantity(line) > 0) onOrder.add(line.inventoryItemId);
+        }));
+
+    const bySupplier = {};
+    const unassigned = [];
+    inventory
+        .filter(item => isBelowReorderLevel(item) && !onOrder.has(item.id))
+        .forEach(item => {
+            const quantity = getSuggestedOrderQuantity(item);
+            if (quantity <= 0) return;
+            const supplier = getPreferredSupplier(item, suppliers);
+            if (!supplier) {
+                unassigned.push(item);
+                return;
+            }
+            if (!bySupplier[supplier.id]) {
+                bySupplier[supplier.id] = { supplierId: supplier.id, supplierName: supplier.name, lines: [] };
+            }
+            bySupplier[supplier.id].lines.push({
+                inventoryItemId: item.id,
+                name: item.name,
+                unit: item.unit,
+                quantity,
+                unitCost: supplier.prices?.[item.id]?.unitCost ?? (Number(item.costPerUnit) || 0),
+                receivedQuantity: 0,
+                receivedCost: 0
+            });
+        });
+
+    return { drafts: Object.values(bySupplier), unassigned };
+};
+
+/**
+ * Ordered and received value of a purchase order
+ * @param {Object} order
+ * @returns {Object} { orderedTotal, receivedTotal, outstandingLines }
+ */
+export const summariseOrder = (order) => ({
+    orderedTotal: roundCurrency(order.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)),
+    receivedTotal: roundCurrency(order.lines.reduce((sum, line) => sum + (line.receivedCost || 0), 0)),
+    outstandingLines: order.lines.filter(line => getOutstandingQuantity(line) > 0).length
+});
+
+/**
+ * Apply a receipt to an order's lines
+ * @param {Array} lines - Current order lines
+ * @param {Array} received - [{ inventoryItemId, quantity, unitCost }] in item units
+ * @returns {Object} { lines (updated), status }
+ */
+export const applyReceipt = (lines = [], received = []) => {
+    const updated = lines.map(line => {
+        const entry = received.find(receipt => receipt.inventoryItemId === line.inventoryItemId);
+        if (!entry || !(entry.quantity > 0)) return line;
+        return {
+            ...line,
+            receivedQuantity: roundQuantity((line.receivedQuantity || 0) + entry.quantity),
+            receivedCost: roundCurrency((line.receivedCost || 0) + entry.quantity * entry.unitCost)
+        };
+    });
+    const status = updated.every(line => getOutstandingQuantity(line) === 0)
+        ? 'received'
+        : updated.some(line => line.receivedQuantity > 0) ? 'partially_received' : 'ordered';
+    return { lines: updated, status };
+};
+
+/**
+ * Spend per supplier from purchase records
+ * @param {Array} purchases - purchase_records
+ * @returns {Array} [{ supplierId, supplierName, purchases, totalSpend, priceDifference }], highest spend first.
+ *   priceDifference is what was paid above (+) or below (-) the ordered price on PO receipts.
+ */
+export const buildSupplierSpend = (purchases = []) => {
+    const bySupplier = {};
+    purchases.forEach(purchase => {
+        const key = purchase.supplierId || 'none';
+        if (!bySupplier[key]) {
+            bySupplier[key] = {
+                supplierId: purchase.supplierId || null,
+                supplierName: purchase.supplierName || 'No supplier',
+                purchases: 0,
+                totalSpend: 0,
+                priceDifference: 0
+            };
+        }
+        const row = bySupplier[key];
+        row.purchases += 1;
+        row.totalSpend += Number(purchase.totalCost) || 0;
+        if (purchase.expectedUnitCost !== undefined && purchase.expectedUnitCost !== null) {
+            row.priceDifference += (purchase.unitCost - purchase.expectedUnitCost) * purchase.quantity;
+        }
+    });
+    return Object.values(bySupplier)
+        .map(row => ({ ...row, totalSpend: roundCurrency(row.totalSpend), priceDifference: roundCurrency(row.priceDifference) }))
+        .sort((a, b) => b.totalSpend - a.totalSpend);
+};
+
+/**
+ * Price history per item from a supplier's purchase records
+ * @param {Array} purchases - purchase_records, newest first
+ * @returns {Array} [{ inventoryItemId, itemName, unit, entries[{ id, date, unitCost, quantity, change }] }];
+ *   change is against the previous purchase of the same item (null for the first)
+ */
+export const buildPriceHistory = (purchases = []) => {
+    const byItem = {};
+    [...purchases].reverse().forEach(purchase => {
+        if (!byItem[purchase.inventoryItemId]) {
+            byItem[purchase.inventoryItemId] = {
+                inventoryItemId: purchase.inventoryItemId,
+                itemName: purchase.itemName,
+                unit: purchase.unit,
+                entries: []
+            };
+        }
+        const entries = byItem[purchase.inventoryItemId].entries;
+        const previous = entries[entries.length - 1];
+        entries.push({
+            id: purchase.id,
+            date: purchase.purchaseDate?.toDate ? purchase.purchaseDate.toDate() : null,
+            unitCost: purchase.unitCost,
+            quantity: purchase.quantity,
+            change: previous ? roundCurrency(purchase.unitCost - previous.unitCost) : null
+        });
+    });
+    return Object.values(byItem).map(history => ({ ...history, entries: history.entries.reverse() }));
+};
@@ -0,0 +1,272 @@
+// Customer Bill / Receipt Helpers
+// ================================================
+// Turns a history entry into a customer bill and renders it for a thermal
+// printer (HTML or ESC/POS) or as a downloadable PDF.
+//
+// Tax figures come from the breakdown the tax engine stored on the entry
+// (see taxUtils). Each GST class is split equally into CGST and SGST
+// (intra-state supply).
+
+import {
+    escapeHtml,
+    wrapThermalHtml,
+    createEscPosBuilder,
+    printHtmlDocument,
+    sendEscPos,
+    downloadThermalPdf,
+    DEFAULT_PRINTER_SETTINGS
+} from './printUtils';
+import { getOrdersBreakdown, DEFAULT_TAX_SETTINGS } from './taxUtils';
+import { getOrderType, getOrderTypeLabel } from './orderTypeUtils';
+import { getLineLabel } from './modifierUtils';
+
+export const DEFAULT_RECEIPT_SETTINGS = {
+    restaurantName: 'Nalli Nihari',
+    address: '',
+    phone: '',
+    gstin: '',
+    footer: 'Thank you! Visit again.'
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+// History timestamps may be Firestore Timestamps, Dates or locale strings
+const toDate = (timestamp) => {
+    if (!timestamp) return new Date();
+    if (typeof timestamp.toDate === 'function') return timestamp.toDate();
+    if (timestamp instanceof Date) return timestamp;
+    if (typeof timestamp === 'object' && timestamp.seconds !== undefined) return new Date(timestamp.seconds * 1000);
+    const parsed = new Date(timestamp);
+    return Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+};
+
+/**
+ * Build a printable bill from a history entry
+ * @param {Object} entry - History entry { billNumber, tableId, orderType, customer, orders[], total, paymentMethod, payments[], timestamp }
+ * @param {Object} taxSettings - Used only for entries saved without a tax breakdown
+ * @returns {Object} Bill with merged lines and GST breakdown
+ */
+export const buildReceipt = (entry, taxSettings = DEFAULT_TAX_SETTINGS) => {
+    // Merge identical items across the orders on one bill
+    const lineMap = new Map();
+    (entry.orders || []).forEach(order => {
+        (order.items || []).forEach(item => {
+            const rate = Number(item.price) || 0;
+            const name = getLineLabel(item);
+            const key = `${name}|${rate}`;
+            const existing = lineMap.get(key) || { name, quantity: 0, rate, amount: 0 };
+            existing.quantity += Number(item.quantity) || 0;
+            existing.amount = roundCurrency(existing.quantity * rate);
+            lineMap.set(key, existing);
+        });
+    });
+    const lines = Array.from(lineMap.values());
+
+    const breakdown = entry.breakdown || getOrdersBreakdown(entry.orders || [], taxSettings);
+
+    // Split each GST class into its central and state halves
+    const taxLines = (breakdown.taxes || [])
+        .filter(tax => tax.rate > 0)
+        .map(tax => {
+            const cgst = roundCurrency(tax.amount / 2);
+            return {
+                name: tax.name,
+                halfRate: tax.rate / 2,
+                taxable: tax.taxable,
+                cgst,
+                sgst: roundCurrency(tax.amount - cgst)
+            };
+        });
+
+    const orderType = getOrderType(entry);
+
+    return {
+        billNumber: entry.billNumber ?? null,
+        tableId: entry.tableId,
+        // Dine-in bills show the table; takeaway / delivery bills show the order type and customer
+        placeLabel: orderType === 'dine_in'
+            ? `Table ${entry.tableId}`
+            : (orderType === 'aggregator' && entry.aggregator ? entry.aggregator : getOrderTypeLabel(orderType)),
+        customerName: orderType === 'dine_in' ? '' : (entry.customer?.name || ''),
+        customerPhone: orderType === 'dine_in' ? '' : (entry.customer?.phone || ''),
+        date: toDate(entry.timestamp),
+        paymentMethod: entry.paymentMethod || 'Cash',
+        // Entries saved before split payments carry only the method
+        payments: (entry.payments && entry.payments.length > 0)
+            ? entry.payments.map(payment => ({ label: payment.label, method: payment.method, amount: Number(payment.amount) || 0 }))
+            : [{ label: 'Full', method: entry.paymentMethod || 'Cash', amount: breakdown.total }],
+        lines,
+        gross: breakdown.gross ?? breakdown.subtotal,
+        discounts: (breakdown.discounts || []).map(discount => ({
+            label: discount.scope === 'line' ? `${discount.itemName} - ${discount.reason}` : `Bill - ${discount.reason}`,
+            amount: discount.amount
+        })),
+        subtotal: breakdown.subtotal,
+        net: breakdown.net,
+        pricesIncludeTax: breakdown.pricesIncludeTax,
+        serviceCharge: breakdown.serviceCharge || 0,
+        serviceChargeRate: breakdown.serviceChargeRate || 0,
+        packagingCharge: breakdown.packagingCharge || 0,
+        taxLines,
+        totalTax: breakdown.totalTax,
+        roundOff: breakdown.roundOff,
+        grandTotal: breakdown.total
+    };
+};
+
+const getBillLabel = (bill) => (bill.billNumber !== null ? String(bill.billNumber) : 'N/A');
+
+// Shared body markup for thermal HTML and PDF output
+const renderReceiptBody = (bill, settings) => {
+    const taxRows = bill.taxLines.map(tax => `
+        <tr><td class="muted">CGST @ ${tax.halfRate}%</td><td class="amount muted">${formatAmount(tax.cgst)}</td></tr>
+        <tr><td class="muted">SGST @ ${tax.halfRate}%</td><td class="amount muted">${formatAmount(tax.sgst)}</td></tr>`).join('');
+
+    const discountRows = bill.discounts.map(discount => `
+        <tr><td>Disc: ${escapeHtml(discount.label)}</td><td class="amount">-${formatAmount(discount.amount)}</td></tr>`).join('');
+
+    const itemRows = bill.lines.map(line => `
+        <tr><td colspan="3">${escapeHtml(line.name)}</td></tr>
+        <tr><td class="muted">${line.quantity} x ${formatAmount(line.rate)}</td><td></td><td class="amount">${formatAmount(line.amount)}</td></tr>`).join('');
+
+    return `
+    <div class="center large">${escapeHtml(settings.restaurantName)}</div>
+    ${settings.address ? `<div class="center muted">${escapeHtml(settings.address)}</div>` : ''}
+    ${settings.phone ? `<div class="center muted">Ph: ${escapeHtml(settings.phone)}</div>` : ''}
+    ${settings.gstin ? `<div class="center muted">GSTIN: ${escapeHtml(settings.gstin)}</div>` : ''}
+    <div class="divider"></div>
+    <div class="center bold">TAX INVOICE</div>
+    <table>
+        <tr><td>Bill No: ${escapeHtml(getBillLabel(bill))}</td><td class="amount">${escapeHtml(bill.placeLabel)}</td></tr>
+        <tr><td colspan="2" class="muted">${escapeHtml(bill.date.toLocaleString())}</td></tr>
+        ${bill.customerName || bill.customerPhone ? `<tr><td colspan="2">Customer: ${escapeHtml([bill.customerName, bill.customerPhone].filter(Boolean).join(' / '))}</td></tr>` : ''}
+    </table>
+    <div class="divider"></div>
+    <table>${itemRows}</table>
+    <div class="divider"></div>
+    <table>
+        ${discountRows ? `<tr><td>Item Total</td><td class="amount">${formatAmount(bill.gross)}</td></tr>${discountRows}` : ''}
+        <tr><td>Subtotal</td><td class="amount">${formatAmount(bill.subtotal)}</td></tr>
+        ${bill.pricesIncludeTax ? `<tr><td class="muted">Net (excl. tax)</td><td class="amount muted">${formatAmount(bill.net)}</td></tr>` : ''}
+        ${bill.packagingCharge ? `<tr><td>Packaging</td><td class="amount">${formatAmount(bill.packagingCharge)}</td></tr>` : ''}
+        ${bill.serviceCharge ? `<tr><td>Service Charge @ ${bill.serviceChargeRate}%</td><td class="amount">${formatAmount(bill.serviceCharge)}</td></tr>` : ''}
+        ${taxRows}
+        <tr><td class="muted">Round Off</td><td class="amount muted">${formatAmount(bill.roundOff)}</td></tr>
+    </table>
+    <div class="divider"></div>
+    <table class="large">
+        <tr><td>TOTAL</td><td class="amount">&#8377;${formatAmount(bill.grandTotal)}</td></tr>
+    </table>
+    ${bill.pricesIncludeTax ? '<div class="muted">Prices inclusive of GST</div>' : ''}
+    <div class="muted">Paid by: ${escapeHtml(bill.paymentMethod)}</div>
+    ${bill.payments.length > 1 ? `<table>${bill.payments.map(payment => `<tr><td class="muted">${escapeHtml(payment.label)} (${escapeHtml(payment.method)})</td><td class="amount muted">${formatAmount(payment.amount)}</td></tr>`).join('')}</table>` : ''}
+    <div class="divider"></div>
+    ${settings.footer ? `<div class="center">${escapeHtml(settings.footer)}</div>` : ''}`;
+};
+
+/**
+ * Render a bill as a thermal-roll HTML document
+ * @param {Object} bill - Bill from buildReceipt
+ * @param {Object} settings - Receipt settings
+ * @param {number} paperWidth - 58 or 80
+ * @returns {string} HTML document
+ */
+export const renderReceiptHtml = (bill, settings, paperWidth = 80) => {
+    return wrapThermalHtml(`Bill ${getBillLabel(bill)}`, renderReceiptBody(bill, settings), paperWidth);
+};
+
+/**
+ * Encode a bill as ESC/POS bytes
+ * @param {Object} bill - Bill from buildReceipt
+ * @param {Object} settings - Receipt settings
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Uint8Array}
+ */
+export const encodeReceiptEscPos = (bill, settings, paperWidth = 80) => {
+    const printer = createEscPosBuilder(paperWidth);
+
+    printer.align('center').bold(true).size(2).line(settings.restaurantName).size(1).bold(false);
+    if (settings.address) printer.line(settings.address);
+    if (settings.phone) printer.line(`Ph: ${settings.phone}`);
+    if (settings.gstin) printer.line(`GSTIN: ${settings.gstin}`);
+
+    printer
+        .divider()
+        .bold(true).line('TAX INVOICE').bold(false)
+        .align('left')
+        .columns2(`Bill No: ${getBillLabel(bill)}`, bill.placeLabel)
+        .line(bill.date.toLocaleString());
+    if (bill.customerName || bill.customerPhone) {
+        printer.line(`Customer: ${[bill.customerName, bill.customerPhone].filter(Boolean).join(' / ')}`);
+    }
+    printer.divider();
+
+    bill.lines.forEach(line => {
+        printer
+            .line(line.name)
+            .columns2(`  ${line.quantity} x ${formatAmount(line.rate)}`, formatAmount(line.amount));
+    });
+
+    printer.divider();
+    if (bill.discounts.length > 0) {
+        printer.columns2('Item Total', formatAmount(bill.gross));
+        bill.discounts.forEach(discount => printer.columns2(`Disc: ${discount.label}`, `-${formatAmount(discount.amount)}`));
+    }
+    printer.columns2('Subtotal', formatAmount(bill.subtotal));
+    if (bill.pricesIncludeTax) printer.columns2('Net (excl. tax)', formatAmount(bill.net));
+    if (bill.packagingCharge) printer.columns2('Packaging', formatAmount(bill.packagingCharge));
+    if (bill.serviceCharge) printer.columns2(`Service Charge @ ${bill.serviceChargeRate}%`, formatAmount(bill.serviceCharge));
+    bill.taxLines.forEach(tax => {
+        printer
+            .columns2(`CGST @ ${tax.halfRate}%`, formatAmount(tax.cgst))
+            .columns2(`SGST @ ${tax.halfRate}%`, formatAmount(tax.sgst));
+    });
+    printer
+        .columns2('Round Off', formatAmount(bill.roundOff))
+        .divider()
+        .bold(true).columns2('TOTAL', `Rs.${formatAmount(bill.grandTotal)}`).bold(false);
+    if (bill.pricesIncludeTax) printer.line('Prices inclusive of GST');
+    printer
+        .line(`Paid by: ${bill.paymentMethod}`);
+    if (bill.payments.length > 1) {
+        bill.payments.forEach(payment => {
+            printer.columns2(`${payment.label} (${payment.method})`, formatAmount(payment.amount));
+        });
+    }
+    printer.divider();
+
+    if (settings.footer) printer.align('center').line(settings.footer);
+
+    return printer.feed(3).cut().build();
+};
+
+/**
+ * Send a bill to the configured thermal output
+ * @param {Object} bill - Bill from buildReceipt
+ * @param {Object} settings - Receipt settings
+ * @param {Object} printerSettings - { paperWidth, output }
+ * @returns {Promise<void>}
+ */
+export const printReceipt = async (bill, settings, printerSettings = DEFAULT_PRINTER_SETTINGS) => {
+    const { paperWidth, output } = { ...DEFAULT_PRINTER_SETTINGS, ...printerSettings };
+
+    if (output === 'escpos') {
+        await sendEscPos(encodeReceiptEscPos(bill, settings, paperWidth), `bill_${getBillLabel(bill)}.bin`);
+        return;
+    }
+
+    await printHtmlDocument(renderReceiptHtml(bill, settings, paperWidth));
+};
+
+/**
+ * Download a bill as a PDF laid out like the thermal print
+ * @param {Object} bill - Bill from buildReceipt
+ * @param {Object} settings - Receipt settings
+ * @param {number} paperWidth - 58 or 80
+ * @returns {Promise<void>}
+ */
+export const downloadReceiptPdf = async (bill, settings, paperWidth = 80) => {
+    await downloadThermalPdf(renderReceiptBody(bill, settings), `bill_${getBillLabel(bill)}.pdf`, paperWidth);
+};
@@ -0,0 +1,135 @@
+// Void & Refund Helpers
+// ================================================
+// Corrections to a settled bill are recorded as separate, negative history
+// entries that point back at the original bill, so the original stays
+// untouched for audit and daily_metrics / shift totals can be reduced by
+// exactly the corrected amount.
+//
+// - A void reverses whatever is still outstanding on the bill
+// - A refund reverses chosen quantities of individual lines
+//
+// The refunded share of tax, service charge, discounts and round-off is
+// proportional to the refunded lines' (discounted) value, the same way
+// item-wise split payments are allocated.
+//
+// The original entry keeps a running `refundedItems` map ({ [lineKey]: qty })
+// and `refundedTotal` so repeated partial refunds can never exceed the bill.
+
+import { getSplitLines } from './splitUtils';
+import { getLineId } from './modifierUtils';
+import { getOrdersBreakdown } from './taxUtils';
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount of a bill that has not been refunded yet
+ * @param {Object} entry - History entry
+ * @returns {number}
+ */
+export const getRefundableAmount = (entry) =>
+    Math.max(0, roundCurrency((Number(entry.total) || 0) - (Number(entry.refundedTotal) || 0)));
+
+/**
+ * Bill lines with the quantity still available for refund
+ * @param {Object} entry - History entry
+ * @returns {Array} { key, name, quantity, amount, refunded, remaining }
+ */
+export const getRefundableLines = (entry) => {
+    const refundedItems = entry.refundedItems || {};
+    return getSplitLines(entry.orders).map(line => {
+        const refunded = Number(refundedItems[line.key]) || 0;
+        return { ...line, refunded, remaining: Math.max(0, line.quantity - refunded) };
+    });
+};
+
+/**
+ * Scale every amount in a tax breakdown (negative factors produce a reversal)
+ * @param {Object} breakdown - Tax breakdown from taxUtils
+ * @param {number} factor
+ * @returns {Object}
+ */
+export const scaleBreakdown = (breakdown, factor) => ({
+    ...breakdown,
+    gross: roundCurrency((breakdown.gross ?? breakdown.subtotal ?? 0) * factor),
+    discount: roundCurrency((breakdown.discount || 0) * factor),
+    discounts: (breakdown.discounts || []).map(discount => ({
+        ...discount,
+        amount: roundCurrency((discount.amount || 0) * factor)
+    })),
+    subtotal: roundCurrency((breakdown.subtotal || 0) * factor),
+    net: roundCurrency((breakdown.net || 0) * factor),
+    serviceCharge: roundCurrency((breakdown.serviceCharge || 0) * factor),
+    packagingCharge: roundCurrency((breakdown.packagingCharge || 0) * factor),
+    taxes: (breakdown.taxes || []).map(tax => ({
+        ...tax,
+        taxable: roundCurrency((tax.taxable || 0) * factor),
+        amount: roundCurrency((tax.amount || 0) * factor)
+    })),
+    totalTax: roundCurrency((breakdown.totalTax || 0) * factor),
+    roundOff: roundCurrency((breakdown.roundOff || 0) * factor),
+    total: roundCurrency((breakdown.total || 0) * factor)
+});
+
+/**
+ * Work out a void or refund against a settled bill
+ * @param {Object} entry - Original history entry
+ * @param {Object|null} quantities - { [lineKey]: qty } to refund, or null to void everything outstanding
+ * @returns {Object} { amount, factor, quantities, orders[], breakdown, isFull } with positive amounts
+ */
+export const buildAdjustment = (entry, quantities = null) => {
+    const lines = getRefundableLines(entry);
+    const selected = {};
+    lines.forEach(line => {
+        const requested = quantities === null ? line.remaining : Math.floor(Number(quantities[line.key]) || 0);
+        if (requested < 0 || requested > line.remaining) {
+            throw new Error(`Only ${line.remaining} x ${line.name} can be refunded.`);
+        }
+        if (requested > 0) selected[line.key] = requested;
+    });
+
+    const billValue = lines.reduce((sum, line) => sum + line.amount, 0);
+    const selectedValue = lines.reduce((sum, line) => {
+        const unitValue = line.quantity > 0 ? line.amount / line.quantity : 0;
+        return sum + unitValue * (selected[line.key] || 0);
+    }, 0);
+
+    const refundable = getRefundableAmount(entry);
+    const isFull = lines.every(line => (selected[line.key] || 0) === line.remaining);
+
+    // The last refund takes whatever is left so rounding never leaves a few paise behind
+    let amount;
+    if (quantities === null || isFull) {
+        amount = refundable;
+    } else {
+        amount = billValue > 0 ? Math.min(refundable, roundCurrency((Number(entry.total) || 0) * selectedValue / billValue)) : 0;
+    }
+
+    const total = Number(entry.total) || 0;
+    const factor = total > 0 ? amount / total : 0;
+
+    // Refunded lines, grouped back into the orders they came from
+    const orders = (entry.orders || []).map((order, orderIndex) => {
+        const items = (order.items || [])
+            .filter(item => selected[`${orderIndex}-${getLineId(item)}`])
+            .map(item => ({ ...item, quantity: selected[`${orderIndex}-${getLineId(item)}`] }));
+        return { id: order.id ?? `order-${orderIndex}`, items };
+    }).filter(order => order.items.length > 0);
+
+    const breakdown = scaleBreakdown(entry.breakdown || getOrdersBreakdown(entry.orders || []), factor);
+    orders.forEach(order => {
+        order.total = roundCurrency(order.items.reduce((sum, item) => sum + (Number(item.price) || 0) * item.quantity, 0) * (selectedValue > 0 ? amount / selectedValue : 0));
+    });
+
+    return { amount, factor, quantities: selected, orders, breakdown, isFull };
+};
+
+/**
+ * Turn positive adjustment lines into the negative form stored on the compensating entry
+ * @param {Array} orders - From buildAdjustment
+ * @returns {Array}
+ */
+export const negateOrders = (orders) => orders.map(order => ({
+    ...order,
+    items: order.items.map(item => ({ ...item, quantity: -item.quantity })),
+    total: -order.total
+}));
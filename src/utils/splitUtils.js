@@ -0,0 +1,149 @@
+// Split Bill / Split Payment Helpers
+// ================================================
+// A checkout can be settled by several payments, each with its own method:
+// - by amount: staff enter how much goes on each method
+// - evenly: the bill is divided between N guests
+// - by items: order lines are assigned to guests and each guest pays for
+//   their share of the payable total
+//
+// Payment shape: { label, method, amount }
+// All amounts are in rupees with paise precision. Rounding remainders make
+// the parts add up to the bill exactly: an even split gives them to the last
+// guest, an item split to the largest share.
+
+import { getDiscountAmount } from './discountUtils';
+import { getLineId, getLineLabel } from './modifierUtils';
+
+const toPaise = (value) => Math.round((Number(value) || 0) * 100);
+const fromPaise = (paise) => paise / 100;
+
+/**
+ * Divide a total evenly between N guests
+ * @param {number} total - Payable amount
+ * @param {number} guests - Number of parts (>= 1)
+ * @returns {Array<number>} Amount per guest
+ */
+export const splitEvenly = (total, guests) => {
+    const count = Math.max(1, Math.floor(Number(guests) || 1));
+    const totalPaise = toPaise(total);
+    const base = Math.floor(totalPaise / count);
+    return Array.from({ length: count }, (_, index) =>
+        fromPaise(index === count - 1 ? totalPaise - base * (count - 1) : base)
+    );
+};
+
+/**
+ * Order lines eligible for item-wise splitting, with their discounted value
+ * @param {Array} orders - Orders being settled
+ * @returns {Array} { key, name, quantity, amount }
+ */
+export const getSplitLines = (orders = []) => {
+    const lines = [];
+    orders.forEach((order, orderIndex) => {
+        (order.items || []).forEach(item => {
+            const gross = (Number(item.price) || 0) * (Number(item.quantity) || 0);
+            if (gross <= 0) return;
+            lines.push({
+                key: `${orderIndex}-${getLineId(item)}`,
+                name: getLineLabel(item),
+                quantity: Number(item.quantity) || 0,
+                amount: gross - getDiscountAmount(item.discount, gross)
+            });
+        });
+    });
+    return lines;
+};
+
+/**
+ * Share of the payable total for each guest, based on the items assigned to them.
+ * Tax, service charge, bill discounts and round-off are spread pro rata to item value.
+ * @param {Array} lines - From getSplitLines
+ * @param {Object} assignments - { [lineKey]: { [guestIndex]: quantity } }
+ * @param {number} guests - Number of guests
+ * @param {number} total - Payable amount for the whole bill
+ * @returns {Array<number>} Amount per guest
+ */
+export const allocateByItems = (lines, assignments, guests, total) => {
+    const count = Math.max(1, Math.floor(Number(guests) || 1));
+    const guestValues = Array(count).fill(0);
+
+    lines.forEach(line => {
+        const unitValue = line.quantity > 0 ? line.amount / line.quantity : 0;
+        const lineAssignments = assignments[line.key] || {};
+        Object.entries(lineAssignments).forEach(([guestIndex, quantity]) => {
+            const index = Number(guestIndex);
+            if (index >= 0 && index < count) {
+                guestValues[index] += unitValue * (Number(quantity) || 0);
+            }
+        });
+    });
+
+    const totalValue = guestValues.reduce((sum, value) => sum + value, 0);
+    const totalPaise = toPaise(total);
+    if (totalValue <= 0) return splitEvenly(total, count);
+
+    const shares = guestValues.map(value => Math.max(0, Math.round(totalPaise * value / totalValue)));
+    // The rounding remainder goes to the largest share, never to a guest with nothing
+    const remainder = totalPaise - shares.reduce((sum, share) => sum + share, 0);
+    const largest = shares.indexOf(Math.max(...shares));
+    shares[largest] = Math.max(0, shares[largest] + remainder);
+    return shares.map(fromPaise);
+};
+
+/**
+ * Check that every line has been fully assigned to guests
+ * @param {Array} lines - From getSplitLines
+ * @param {Object} assignments - { [lineKey]: { [guestIndex]: quantity } }
+ * @returns {string} Error message, or '' when valid
+ */
+export const validateItemAssignments = (lines, assignments) => {
+    for (const line of lines) {
+        const assigned = Object.values(assignments[line.key] || {}).reduce((sum, qty) => sum + (Number(qty) || 0), 0);
+        if (assigned !== line.quantity) {
+            return `Assign all ${line.quantity} x ${line.name} (${assigned} assigned).`;
+        }
+    }
+    return '';
+};
+
+/**
+ * Check that payments are complete and add up to the bill
+ * @param {Array} payments - { method, amount }
+ * @param {number} total - Payable amount
+ * @returns {string} Error message, or '' when valid
+ */
+export const validatePayments = (payments, total) => {
+    if (!payments || payments.length === 0) return 'Add at least one payment.';
+    if (payments.some(payment => !payment.method)) return 'Select a payment method for every part.';
+    // A fully complimentary bill is settled by a single ₹0 part
+    if (toPaise(total) > 0 && payments.some(payment => !(Number(payment.amount) > 0))) return 'Every part must be more than ₹0.';
+
+    const difference = toPaise(total) - payments.reduce((sum, payment) => sum + toPaise(payment.amount), 0);
+    if (difference > 0) return `₹${fromPaise(difference).toFixed(2)} still to be allocated.`;
+    if (difference < 0) return `Payments exceed the bill by ₹${fromPaise(-difference).toFixed(2)}.`;
+    return '';
+};
+
+/**
+ * Total per payment method
+ * @param {Array} payments - { method, amount }
+ * @returns {Object} { [method]: amount }
+ */
+export const getPaymentTotals = (payments = []) => {
+    const totals = {};
+    payments.forEach(payment => {
+        totals[payment.method] = fromPaise(toPaise(totals[payment.method]) + toPaise(payment.amount));
+    });
+    return totals;
+};
+
+/**
+ * Method recorded on the history entry: the single method used, or 'Split'
+ * @param {Array} payments - { method, amount }
+ * @returns {string}
+ */
+export const getPaymentMethodLabel = (payments = []) => {
+    const methods = Object.keys(getPaymentTotals(payments));
+    if (methods.length === 0) return 'Cash';
+    return methods.length === 1 ? methods[0] : 'Split';
+};
@@ -0,0 +1,68 @@
+// Stock-Take (Physical Count) Helpers
+// ================================================
+// A stock take is a `stock_takes` session that any number of devices count
+// into at once. Each count is stored under `counts.<inventoryItemId>`:
+//   { name, counted, unit, systemStock, enteredQuantity, enteredUnit, countedBy, countedAt }
+// counted is in the item's own unit and systemStock is what the system said
+// at the moment of counting.
+//
+// Committing applies the difference (counted - systemStock) to the item's
+// current stock, so sales and purchases booked between the count and the
+// commit are kept. Every change is written to stock_adjustments and the
+// session keeps the variance report (lines + summary) for analytics.
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Variance lines of a stock take
+ * @param {Object} counts - Session counts, { [inventoryItemId]: count }
+ * @param {Object} inventoryById - { [inventoryItemId]: { costPerUnit, name, unit } }
+ * @returns {Array} [{ inventoryItemId, name, unit, expected, counted, difference, costPerUnit, varianceValue }],
+ *   largest variance value first
+ */
+export const buildStockTakeLines = (counts = {}, inventoryById = {}) => Object.entries(counts)
+    .map(([inventoryItemId, count]) => {
+        const item = inventoryById[inventoryItemId];
+        const expected = Number(count.systemStock) || 0;
+        const counted = Number(count.counted) || 0;
+        const difference = roundQuantity(counted - expected);
+        const costPerUnit = Number(item?.costPerUnit) || 0;
+        return {
+            inventoryItemId,
+            name: item?.name || count.name || 'Unknown item',
+            unit: item?.unit || count.unit || '',
+            expected: roundQuantity(expected),
+            counted: roundQuantity(counted),
+            difference,
+            costPerUnit,
+            varianceValue: roundCurrency(difference * costPerUnit)
+        };
+    })
+    .sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue));
+
+/**
+ * Totals of a stock take's variance lines
+ * @param {Array} lines - From buildStockTakeLines
+ * @returns {Object} { itemsCounted, itemsWithVariance, shortageValue, surplusValue, netValue }
+ */
+export const summariseStockTake = (lines = []) => {
+    const shortageValue = lines.filter(line => line.varianceValue < 0).reduce((sum, line) => sum + line.varianceValue, 0);
+    const surplusValue = lines.filter(line => line.varianceValue > 0).reduce((sum, line) => sum + line.varianceValue, 0);
+    return {
+        itemsCounted: lines.length,
+        itemsWithVariance: lines.filter(line => line.difference !== 0).length,
+        shortageValue: roundCurrency(shortageValue),
+        surplusValue: roundCurrency(surplusValue),
+        netValue: roundCurrency(shortageValue + surplusValue)
+    };
+};
+
+/**
+ * Stock an item should have after a commit: the counted variance applied to
+ * whatever the system holds now
+ * @param {number} currentStock - Item's stock at commit time
+ * @param {Object} line - Variance line
+ * @returns {number}
+ */
+export const getCommittedStock = (currentStock, line) => Math.max(0, roundQuantity((Number(currentStock) || 0) + line.difference));
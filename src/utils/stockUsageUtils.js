@@ -0,0 +1,329 @@
+// Sales Stock Usage Helpers
+// ================================================
+// Links menu items to the stock they use, so a settled bill can deduct its
+// ingredients instead of waiting for someone to run a production batch.
+//
+// A menu item's optional `stockLink` is either
+//   { type: 'recipe', recipeId, portionSize }  - portionSize in the recipe's
+//     output unit per item sold (e.g. 0.35 kg of a 5 kg Nihari batch)
+//   { type: 'ingredients', ingredients: [{ inventoryItemId, name, quantity, unit }] }
+//     - quantity per item sold (e.g. 1 bottle of water)
+//
+// addHistory books the resulting usage as a 'sale' usage log and its cost as
+// COGS in daily_metrics (see writeSaleUsage). A recipe portion is taken from
+// the recipe's prepared stock when there is some (see preparedStockUtils) and
+// from its raw ingredients otherwise. The reconciliation report compares the
+// theoretical raw usage of sales with everything that left stock.
+
+import { getPreparedItemId, consumeBatches, isPreparedItem } from './preparedStockUtils';
+import { areUnitsCompatible, convertQuantity } from './unitUtils';
+import { consumeCostFromItems } from './costingUtils';
+
+export const STOCK_LINK_TYPES = [
+    { id: 'recipe', label: 'Recipe portion' },
+    { id: 'ingredients', label: 'Ingredient list' }
+];
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Stock link of a menu item, or null when it does not deduct stock
+ * @param {Object} menuItem
+ * @returns {Object|null}
+ */
+export const getStockLink = (menuItem) => {
+    const link = menuItem?.stockLink;
+    if (link?.type === 'recipe' && link.recipeId) return link;
+    if (link?.type === 'ingredients' && link.ingredients?.length > 0) return link;
+    return null;
+};
+
+/**
+ * Check and clean a stock link before saving it on a menu item
+ * @param {Object} link - { type, recipeId, portionSize, ingredients[] } as edited
+ * @param {Array} recipes - Current recipes
+ * @returns {Object} { link, error } - link is null when the item should not deduct stock
+ */
+export const normaliseStockLink = (link, recipes = []) => {
+    if (!link?.type) return { link: null, error: null };
+
+    if (link.type === 'recipe') {
+        const recipe = recipes.find(entry => entry.id === link.recipeId);
+        if (!recipe) return { link: null, error: 'Select the recipe this item is served from.' };
+        const portionSize = Number(link.portionSize);
+        if (!(portionSize > 0)) return { link: null, error: `Enter the portion size in ${recipe.outputUnit}.` };
+        return { link: { type: 'recipe', recipeId: recipe.id, portionSize }, error: null };
+    }
+
+    const ingredients = (link.ingredients || []).filter(ingredient => ingredient.inventoryItemId);
+    if (ingredients.length === 0) return { link: null, error: 'Add at least one ingredient.' };
+    if (ingredients.some(ingredient => !(Number(ingredient.quantity) > 0))) {
+        return { link: null, error: 'Every ingredient needs a quantity per item sold.' };
+    }
+    return {
+        link: {
+            type: 'ingredients',
+            ingredients: ingredients.map(ingredient => ({
+                inventoryItemId: ingredient.inventoryItemId,
+                name: ingredient.name,
+                quantity: Number(ingredient.quantity),
+                unit: ingredient.unit
+            }))
+        },
+        error: null
+    };
+};
+
+/**
+ * Ingredients used by one sold unit of a menu item
+ * @param {Object} link - From getStockLink
+ * @param {Object} recipesById - { [recipeId]: recipe }
+ * @returns {Array} [{ inventoryItemId, name, unit, quantity }] (empty if the recipe is gone)
+ */
+export const getPortionIngredients = (link, recipesById = {}) => {
+    if (link.type === 'ingredients') return link.ingredients;
+
+    const recipe = recipesById[link.recipeId];
+    if (!recipe || !(recipe.outputQuantity > 0)) return [];
+    const multiplier = link.portionSize / recipe.outputQuantity;
+    return (recipe.ingredients || []).map(ingredient => ({
+        inventoryItemId: ingredient.inventoryItemId,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        quantity: ingredient.quantity * multiplier
+    }));
+};
+
+// Sum portion ingredients x quantity per inventory item and unit
+// (toStockUnits later brings each item to its stock unit)
+const addIngredientUsage = (ingredientMap, portion, quantity) => {
+    portion.forEach(ingredient => {
+        const key = `${ingredient.inventoryItemId}|${ingredient.unit}`;
+        const entry = ingredientMap[key] || {
+            inventoryItemId: ingredient.inventoryItemId,
+            name: ingredient.name,
+            unit: ingredient.unit,
+            quantityUsed: 0
+        };
+        entry.quantityUsed += ingredient.quantity * quantity;
+        ingredientMap[key] = entry;
+    });
+};
+
+const toIngredientUsage = (ingredientMap) =>
+    Object.values(ingredientMap).map(entry => ({ ...entry, quantityUsed: roundQuantity(entry.quantityUsed) }));
+
+/**
+ * Raw ingredients the lines of a bill use according to their stock links (the theoretical usage)
+ * @param {Array} soldItems - Order lines ({ id, name, quantity })
+ * @param {Object} menuById - { [menuItemId]: menuItem } with stockLink
+ * @param {Object} recipesById - { [recipeId]: recipe }
+ * @returns {Object} { ingredients[], items[] } - ingredients summed per inventory item and unit; items sums the linked menu items sold
+ */
+export const buildSaleUsage = (soldItems, menuById = {}, recipesById = {}) => {
+    const ingredientMap = {};
+    const itemMap = {};
+
+    soldItems.forEach(line => {
+        const link = getStockLink(menuById[line.id]);
+        const quantity = Number(line.quantity) || 0;
+        if (!link || quantity <= 0) return;
+
+        const portion = getPortionIngredients(link, recipesById);
+        if (portion.length === 0) return;
+        // Lines with different modifiers are the same menu item here
+        const item = itemMap[line.id] || { menuItemId: String(line.id), name: menuById[line.id].name || line.name, quantity: 0 };
+        item.quantity += quantity;
+        itemMap[line.id] = item;
+
+        addIngredientUsage(ingredientMap, portion, quantity);
+    });
+
+    return {
+        ingredients: toIngredientUsage(ingredientMap),
+        items: Object.values(itemMap)
+    };
+};
+
+/**
+ * Stock a bill actually deducts: recipe portions come out of the recipe's prepared
+ * stock (oldest unexpired batch first) and only the shortfall out of raw ingredients
+ * @param {Array} soldItems - Order lines ({ id, name, quantity })
+ * @param {Object} menuById - { [menuItemId]: menuItem } with stockLink
+ * @param {Object} recipesById - { [recipeId]: recipe }
+ * @param {Object} preparedById - { [preparedItemId]: prepared inventory item with batches }
+ * @param {number} now - Current time in ms (expired batches are skipped)
+ * @returns {Object} { raw[] (like buildSaleUsage ingredients), prepared[{ inventoryItemId, name, unit, quantityUsed, batches (taken), cost }], batchUpdates { [preparedItemId]: batches } }
+ */
+export const buildSaleDeductions = (soldItems, menuById = {}, recipesById = {}, preparedById = {}, now = Date.now()) => {
+    const recipeQuantities = {};
+    const rawMap = {};
+
+    soldItems.forEach(line => {
+        const link = getStockLink(menuById[line.id]);
+        const quantity = Number(line.quantity) || 0;
+        if (!link || quantity <= 0) return;
+        if (link.type === 'ingredients') {
+            addIngredientUsage(rawMap, link.ingredients, quantity);
+        } else if (recipesById[link.recipeId]) {
+            recipeQuantities[link.recipeId] = (recipeQuantities[link.recipeId] || 0) + link.portionSize * quantity;
+        }
+    });
+
+    const prepared = [];
+    const batchUpdates = {};
+    Object.entries(recipeQuantities).forEach(([recipeId, quantity]) => {
+        const preparedItem = preparedById[getPreparedItemId(recipeId)];
+        let shortfall = roundQuantity(quantity);
+
+        if (preparedItem) {
+            const consumed = consumeBatches(preparedItem.batches, shortfall, now);
+            if (consumed.taken.length > 0) {
+                prepared.push({
+                    inventoryItemId: preparedItem.id,
+                    name: preparedItem.name,
+                    unit: preparedItem.unit,
+                    quantityUsed: roundQuantity(shortfall - consumed.shortfall),
+                    batches: consumed.taken,
+                    cost: consumed.cost
+                });
+                batchUpdates[preparedItem.id] = consumed.batches;
+            }
+            shortfall = consumed.shortfall;
+        }
+
+        // Whatever prepared stock could not cover is made to order from raw ingredients
+        if (shortfall > 0) {
+            addIngredientUsage(rawMap, getPortionIngredients({ type: 'recipe', recipeId, portionSize: shortfall }, recipesById), 1);
+        }
+    });
+
+    return { raw: toIngredientUsage(rawMap), prepared, batchUpdates };
+};
+
+/**
+ * Express usage in each inventory item's own unit, merging entries for the same item.
+ * Items that no longer exist, or whose unit cannot be converted, are left out
+ * (links and recipes are checked against the item's unit when saved).
+ * @param {Array} ingredients - [{ inventoryItemId, name, unit, quantityUsed }]
+ * @param {Object} inventoryById - { [inventoryItemId]: { unit, conversions } }
+ * @returns {Array} Same shape, one entry per inventory item
+ */
+export const toStockUnits = (ingredients, inventoryById = {}) => {
+    const merged = {};
+    ingredients.forEach(ingredient => {
+        const item = inventoryById[ingredient.inventoryItemId];
+        if (!item) return;
+        const unit = ingredient.unit || item.unit;
+        if (!areUnitsCompatible(unit, item.unit, item)) return;
+        const entry = merged[ingredient.inventoryItemId] || { ...ingredient, unit: item.unit, quantityUsed: 0 };
+        entry.quantityUsed += convertQuantity(ingredient.quantityUsed, unit, item.unit, item);
+        merged[ingredient.inventoryItemId] = entry;
+    });
+    return Object.values(merged).map(entry => ({ ...entry, quantityUsed: roundQuantity(entry.quantityUsed) }));
+};
+
+/**
+ * Cost a usage from the items' cost layers (see costingUtils)
+ * @param {Array} ingredients - [{ inventoryItemId, quantityUsed, ... }] in each item's unit
+ * @param {Object} inventoryById - { [inventoryItemId]: { currentStock, costPerUnit, costingMethod, costLayers } }
+ * @returns {Object} { ingredients[] with costPerUnit and cost, totalCost,
+ *   costUpdates { [inventoryItemId]: { costLayers, costPerUnit } } to store on the items }
+ */
+export const costUsage = (ingredients, inventoryById = {}) => {
+    const { costs, updates } = consumeCostFromItems(inventoryById, ingredients.map(ingredient => ({
+        inventoryItemId: ingredient.inventoryItemId,
+        quantity: ingredient.quantityUsed
+    })));
+    const costed = ingredients.map((ingredient, index) => ({
+        ...ingredient,
+        costPerUnit: costs[index].unitCost,
+        cost: costs[index].cost
+    }));
+    return {
+        ingredients: costed,
+        totalCost: roundCurrency(costed.reduce((sum, ingredient) => sum + ingredient.cost, 0)),
+        costUpdates: updates
+    };
+};
+
+/**
+ * Theoretical vs actual usage per raw inventory item for a period.
+ * Theoretical is what sales should have used according to their stock links.
+ * Actual is everything that left stock: raw ingredients deducted by sales,
+ * production batches, recorded waste and stock corrections (a manual stock
+ * decrease counts as usage). Prepared stock is left out; production that was
+ * not sold by the end of the period shows as variance on its ingredients.
+ * @param {Object} data - { usages (usage_logs), wastes, adjustments (stock_adjustments), inventory }
+ * @returns {Array} Rows sorted by largest variance cost first
+ */
+export const buildUsageReconciliation = ({ usages = [], wastes = [], adjustments = [], inventory = [] }) => {
+    const inventoryById = Object.fromEntries(inventory.map(item => [item.id, item]));
+    const rows = {};
+    const getRow = (inventoryItemId, name, unit) => {
+        if (!rows[inventoryItemId]) {
+            const item = inventoryById[inventoryItemId];
+            rows[inventoryItemId] = {
+                inventoryItemId,
+                name: item?.name || name || 'Unknown item',
+                unit: item?.unit || unit || '',
+                theoretical: 0,
+                sold: 0,
+                production: 0,
+                waste: 0,
+                corrections: 0
+            };
+        }
+        return rows[inventoryItemId];
+    };
+
+    usages.forEach(usage => {
+        // Logs from before sales deducted stock are all production batches
+        const source = usage.source || 'production';
+        if (source === 'production') {
+            (usage.ingredients || []).forEach(ingredient => {
+                getRow(ingredient.inventoryItemId, ingredient.name, ingredient.unit).production += Number(ingredient.quantityUsed) || 0;
+            });
+            return;
+        }
+        // Sales and their reversals (restored bills carry negative quantities).
+        // Sales logged before prepared stock deducted exactly their theoretical usage.
+        (usage.theoretical || usage.ingredients || []).forEach(ingredient => {
+            getRow(ingredient.inventoryItemId, ingredient.name, ingredient.unit).theoretical += Number(ingredient.quantityUsed) || 0;
+        });
+        (usage.ingredients || []).forEach(ingredient => {
+            getRow(ingredient.inventoryItemId, ingredient.name, ingredient.unit).sold += Number(ingredient.quantityUsed) || 0;
+        });
+    });
+
+    wastes.forEach(waste => {
+        getRow(waste.inventoryItemId, waste.itemName).waste += Number(waste.quantity) || 0;
+    });
+
+    adjustments.forEach(adjustment => {
+        // Stock counted lower than recorded is usage nobody logged
+        getRow(adjustment.inventoryItemId, adjustment.itemName).corrections -= Number(adjustment.difference) || 0;
+    });
+
+    return Object.values(rows)
+        .filter(row => !isPreparedItem(row.inventoryItemId) && !isPreparedItem(inventoryById[row.inventoryItemId]))
+        .map(row => {
+            const actual = row.sold + row.production + row.waste + row.corrections;
+            const variance = actual - row.theoretical;
+            const costPerUnit = Number(inventoryById[row.inventoryItemId]?.costPerUnit) || 0;
+            return {
+                ...row,
+                theoretical: roundQuantity(row.theoretical),
+                sold: roundQuantity(row.sold),
+                production: roundQuantity(row.production),
+                waste: roundQuantity(row.waste),
+                corrections: roundQuantity(row.corrections),
+                actual: roundQuantity(actual),
+                variance: roundQuantity(variance),
+                variancePercent: row.theoretical > 0 ? Math.round((variance / row.theoretical) * 1000) / 10 : null,
+                varianceCost: roundCurrency(variance * costPerUnit)
+            };
+        })
+        .sort((a, b) => Math.abs(b.varianceCost) - Math.abs(a.varianceCost));
+};
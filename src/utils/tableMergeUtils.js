@@ -0,0 +1,202 @@
+// Table Merge Helpers
+// ================================================
+// Three-way merge of a table edit with changes made on other devices.
+//
+// Every edit to a table is written as (base, local): the table the edit was
+// made on and the table after it. If the server copy has moved on since base
+// was read, only what the edit changed is applied on top of the server copy:
+// - orders are matched by id and lines by line id (see modifierUtils.getLineId)
+// - lines added on both devices are kept, and quantities added to the same
+//   line on both devices add up
+// - anything else changed on both devices keeps the other device's version
+//   and is reported as a conflict, as is an edit to an order or line the other
+//   device removed (e.g. a waiter adding to an order another device settled)
+//
+// Orders whose items changed are repriced with the current tax settings.
+
+import { priceOrder, DEFAULT_TAX_SETTINGS } from './taxUtils';
+import { getLineId } from './modifierUtils';
+import { getTableTotal } from './tableUtils';
+
+// Fields recalculated from the items, never merged on their own
+const ORDER_PRICE_FIELDS = ['subtotal', 'breakdown', 'total'];
+
+const isSameValue = (a, b) => {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        // Missing and null fields mean the same thing on a table document
+        return (a ?? null) === (b ?? null);
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) return a.length === b.length && a.every((value, index) => isSameValue(value, b[index]));
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isSameValue(a[key], b[key]));
+};
+
+// Three-way merge of one value: whichever side changed it wins; both changing
+// it differently keeps the remote value and is a conflict
+const mergeValue = (base, local, remote) => {
+    if (isSameValue(local, base)) return { value: remote, conflict: false };
+    if (isSameValue(remote, base) || isSameValue(remote, local)) return { value: local, conflict: false };
+    return { value: remote, conflict: true };
+};
+
+// Field-by-field merge of two versions of an object; fields in `skip` are left out
+const mergeFields = (base = {}, local = {}, remote = {}, skip = []) => {
+    const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+    const merged = {};
+    const conflicts = [];
+    keys.forEach(key => {
+        if (skip.includes(key)) return;
+        const result = mergeValue(base[key], local[key], remote[key]);
+        if (result.value !== undefined) merged[key] = result.value;
+        if (result.conflict) conflicts.push(key);
+    });
+    return { merged, conflicts };
+};
+
+// Items of two lists matched by key: remote's order first, then what only local has
+const unionKeys = (keyOf, local = [], remote = []) => [
+    ...new Set([...remote.map(keyOf), ...local.map(keyOf)])
+];
+
+const byKey = (keyOf, list = []) => Object.fromEntries(list.map(entry => [keyOf(entry), entry]));
+
+const lineName = (line) => line?.name || 'An item';
+
+// Lines and orders changed on both devices are merged even when both made the
+// same change: two waiters each adding one of a dish means two of it
+const mergeLine = (base, local, remote) => {
+    if (isSameValue(local, base)) return { line: remote, conflict: null };
+    if (isSameValue(remote, base)) return { line: local, conflict: null };
+
+    if (!local) return { line: remote, conflict: `${lineName(remote)} was changed on another device, so it was not removed` };
+    if (!remote) return { line: null, conflict: `${lineName(local)} was removed on another device` };
+
+    // Both devices changed the line: quantities added or taken off on each side add up
+    const baseQuantity = Number(base?.quantity) || 0;
+    const quantity = (Number(remote.quantity) || 0) + (Number(local.quantity) || 0) - baseQuantity;
+    const { merged: fields, conflicts } = mergeFields(base || {}, local, remote, ['quantity']);
+    const line = quantity > 0 ? { ...fields, quantity } : null;
+    return {
+        line,
+        conflict: conflicts.length > 0 ? `${lineName(remote)} was also changed on another device` : null
+    };
+};
+
+// Kitchen-fired quantities and similar maps keyed by line: merged key by key
+const mergeMap = (base = {}, local = {}, remote = {}) => {
+    const whole = mergeValue(base, local, remote);
+    if (!whole.conflict) return whole.value || {};
+    return mergeFields(base || {}, local || {}, remote || {}).merged;
+};
+
+// Append-only lists (cancellation records): both sides' new entries are kept
+const mergeLog = (base = [], local = [], remote = []) => {
+    const whole = mergeValue(base, local, remote);
+    if (!whole.conflict) return whole.value || [];
+    const added = (local || []).filter(entry => !(base || []).some(existing => isSameValue(existing, entry)));
+    return [...(remote || []), ...added.filter(entry => !(remote || []).some(existing => isSameValue(existing, entry)))];
+};
+
+const pickPrice = (order) => Object.fromEntries(ORDER_PRICE_FIELDS.filter(field => field in order).map(field => [field, order[field]]));
+
+const mergeOrder = (base, local, remote, settings, orderLabel) => {
+    const conflicts = [];
+
+    const baseItems = byKey(getLineId, base.items);
+    const localItems = byKey(getLineId, local.items);
+    const remoteItems = byKey(getLineId, remote.items);
+    const items = [];
+    unionKeys(getLineId, local.items, remote.items).forEach(lineId => {
+        const result = mergeLine(baseItems[lineId], localItems[lineId], remoteItems[lineId]);
+        if (result.line) items.push(result.line);
+        if (result.conflict) conflicts.push({ orderId: remote.id, lineId, message: `${orderLabel}: ${result.conflict}` });
+    });
+
+    const { merged: fields, conflicts: fieldConflicts } = mergeFields(
+        base, local, remote, ['items', 'firedItems', 'cancellations', ...ORDER_PRICE_FIELDS]
+    );
+    if (fieldConflicts.length > 0) {
+        conflicts.push({ orderId: remote.id, lineId: null, message: `${orderLabel} was also changed on another device` });
+    }
+
+    const order = {
+        ...fields,
+        firedItems: mergeMap(base.firedItems, local.firedItems, remote.firedItems),
+        cancellations: mergeLog(base.cancellations, local.cancellations, remote.cancellations)
+    };
+    if (!local.cancellations && !remote.cancellations) delete order.cancellations;
+    if (!local.firedItems && !remote.firedItems) delete order.firedItems;
+
+    const itemsChanged = !isSameValue(items, remote.items);
+    return {
+        order: itemsChanged ? priceOrder(order, items, settings) : { ...order, items: remote.items, ...pickPrice(remote) },
+        conflicts
+    };
+};
+
+/**
+ * Apply an edit made on `base` to the server's current copy of the table
+ * @param {Object|null} base - Table the edit was made on (null for a new table)
+ * @param {Object} local - Table after the edit
+ * @param {Object|null} remote - Table as it is on the server now
+ * @param {Object} settings - Tax settings used to reprice merged orders
+ * @returns {Object} { table (null when there is nothing to write), conflicts[{ orderId, lineId, message }] }
+ */
+export const mergeTableEdit = (base, local, remote, settings = DEFAULT_TAX_SETTINGS) => {
+    if (!remote) {
+        // Removed on another device (e.g. a settled takeaway ticket): only an edit
+        // that created the table brings it back
+        if (!base) return { table: local, conflicts: [] };
+        const hadItems = (local.orders || []).some(order => (order.items || []).length > 0);
+        return {
+            table: null,
+            conflicts: hadItems ? [{ orderId: null, lineId: null, message: 'This table was closed on another device; your changes were not saved' }] : []
+        };
+    }
+    if (!base || isSameValue(base, remote)) return { table: local, conflicts: [] };
+
+    const conflicts = [];
+    const orderKey = (order) => String(order.id);
+    const baseOrders = byKey(orderKey, base.orders);
+    const localOrders = byKey(orderKey, local.orders);
+    const remoteOrders = byKey(orderKey, remote.orders);
+
+    const orders = [];
+    unionKeys(orderKey, local.orders, remote.orders).forEach(orderId => {
+        const baseOrder = baseOrders[orderId];
+        const localOrder = localOrders[orderId];
+        const remoteOrder = remoteOrders[orderId];
+        const position = (remote.orders || []).indexOf(remoteOrder);
+        const label = `Order ${position > -1 ? position + 1 : (local.orders || []).indexOf(localOrder) + 1}`;
+
+        if (isSameValue(localOrder, baseOrder) || isSameValue(remoteOrder, baseOrder)) {
+            const unchanged = isSameValue(localOrder, baseOrder) ? remoteOrder : localOrder;
+            if (unchanged) orders.push(unchanged);
+            return;
+        }
+        if (!localOrder) {
+            orders.push(remoteOrder);
+            conflicts.push({ orderId, lineId: null, message: `${label} was changed on another device, so it was kept` });
+            return;
+        }
+        if (!remoteOrder) {
+            conflicts.push({ orderId, lineId: null, message: `${label} was removed or settled on another device; your changes to it were not saved` });
+            return;
+        }
+        const merged = mergeOrder(baseOrder || { id: remoteOrder.id, items: [] }, localOrder, remoteOrder, settings, label);
+        orders.push(merged.order);
+        conflicts.push(...merged.conflicts);
+    });
+
+    const { merged: fields, conflicts: fieldConflicts } = mergeFields(base, local, remote, ['orders', 'total', 'version']);
+    if (fieldConflicts.length > 0) {
+        conflicts.push({ orderId: null, lineId: null, message: `Table details (${fieldConflicts.join(', ')}) were also changed on another device` });
+    }
+
+    return {
+        table: { ...fields, orders, total: getTableTotal(orders) },
+        conflicts
+    };
+};
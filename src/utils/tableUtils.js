@@ -0,0 +1,233 @@
+// Table Helpers
+// ================================================
+// Shared checks and transforms on table documents ({ id, orders[], total }).
+//
+// Floor-plan fields live on the same document and are all optional:
+// { name, section, capacity, shape, position: { x, y } }
+// position is the table's centre as a percentage of the floor-plan canvas.
+// Tables without a position are laid out in a grid until someone moves them.
+
+import { priceOrder, DEFAULT_TAX_SETTINGS } from './taxUtils';
+import { getLineKey } from './kotUtils';
+import { isQueueTicket } from './orderTypeUtils';
+
+export const TABLE_SHAPES = ['square', 'round', 'rectangle'];
+
+const GRID_COLUMNS = 6;
+
+/**
+ * Display name of a table ("Terrace 3", "Parcel"), falling back to its number
+ * @param {Object|null} table
+ * @param {string|number} tableId
+ * @returns {string}
+ */
+export const getTableName = (table, tableId) => table?.name?.trim() || `Table ${tableId}`;
+
+/**
+ * Status class used to colour table buttons
+ * @param {Object|null} table
+ * @param {boolean} isCurrent - Whether this is the table being edited
+ * @returns {string}
+ */
+export const getTableStatus = (table, isCurrent = false) => {
+    if (!table) return 'empty';
+
+    const hasActiveOrders = table.orders.length > 0 && table.total > 0;
+    const hasEmptyOrders = table.orders.length > 0 && table.total === 0;
+
+    if (isCurrent && hasActiveOrders) return 'current-active';
+    if (isCurrent && hasEmptyOrders) return 'current-empty';
+    if (isCurrent) return 'current';
+    if (hasActiveOrders) return 'has-orders';
+    if (hasEmptyOrders) return 'has-empty-orders';
+    return 'empty';
+};
+
+/**
+ * Position of a table on the floor plan
+ * @param {Object|null} table
+ * @param {number} index - Table's place in the list, used for the default grid
+ * @returns {Object} { x, y } in percent of the canvas
+ */
+export const getTablePosition = (table, index) => {
+    if (table?.position && Number.isFinite(table.position.x) && Number.isFinite(table.position.y)) {
+        return table.position;
+    }
+    const column = index % GRID_COLUMNS;
+    const row = Math.floor(index / GRID_COLUMNS);
+    return { x: 8 + column * (84 / (GRID_COLUMNS - 1)), y: Math.min(92, 12 + row * 20) };
+};
+
+/**
+ * Distinct section names used by the tables, in alphabetical order
+ * @param {Object} tables - { [tableId]: table }
+ * @returns {Array<string>}
+ */
+export const getTableSections = (tables) =>
+    [...new Set(Object.values(tables).map(table => table?.section?.trim()).filter(Boolean))].sort();
+
+/**
+ * Dine-in tables only, leaving out takeaway / delivery queue tickets
+ * @param {Object} tables - { [tableId]: table }
+ * @returns {Object} { [tableId]: table }
+ */
+export const getDiningTables = (tables) =>
+    Object.fromEntries(Object.entries(tables).filter(([, table]) => !isQueueTicket(table)));
+
+/**
+ * Number for a newly added table: one above the highest existing table
+ * @param {Object} tables - { [tableId]: table }
+ * @returns {number}
+ */
+export const getNextTableId = (tables) => {
+    const tableIds = Object.keys(getDiningTables(tables)).map(Number).filter(Number.isFinite);
+    return tableIds.length > 0 ? Math.max(...tableIds) + 1 : 11; // Start from 11 if no tables exist
+};
+
+/**
+ * Whether a table has no items on any of its orders. Empty orders left
+ * behind after an order checkout do not make a table busy.
+ * @param {Object|null} table - Table document (missing tables count as free)
+ * @returns {boolean}
+ */
+export const isTableFree = (table) => {
+    if (!table || !Array.isArray(table.orders)) return true;
+    return table.orders.every(order => !(order.items || []).some(item => (Number(item.quantity) || 0) > 0));
+};
+
+/**
+ * Sum of the order totals on a table
+ * @param {Array} orders
+ * @returns {number}
+ */
+export const getTableTotal = (orders = []) =>
+    orders.reduce((sum, order) => sum + (Number(order.total) || 0), 0);
+
+// Moving orders and lines between tables
+// ------------------------------------------------
+// The helpers below are pure: they take table documents and return the
+// updated documents, so they can run inside a Firestore transaction over
+// every table involved (see updateTablesInTransaction).
+
+const hasItems = (order) => (order.items || []).some(item => (Number(item.quantity) || 0) > 0);
+
+const withOrders = (table, orders) => ({ ...table, orders, total: getTableTotal(orders) });
+
+const emptyTable = (tableId) => ({ id: Number(tableId), orders: [], total: 0 });
+
+const findOrder = (table, orderId) => {
+    const order = (table?.orders || []).find(candidate => String(candidate.id) === String(orderId));
+    if (!order) throw new Error('Order not found - it may have been changed on another device');
+    return order;
+};
+
+/**
+ * Move one order to another table. Empty placeholder orders on the target are dropped.
+ * @param {Object} tablesById - { [tableId]: table|null } for both tables
+ * @param {string|number} fromTableId
+ * @param {string|number} toTableId
+ * @param {string} orderId
+ * @returns {Object} Updated { [tableId]: table }
+ */
+export const moveOrderToTable = (tablesById, fromTableId, toTableId, orderId) => {
+    if (String(fromTableId) === String(toTableId)) throw new Error('Order is already on this table');
+    const source = tablesById[fromTableId];
+    const order = findOrder(source, orderId);
+    const target = tablesById[toTableId] || emptyTable(toTableId);
+
+    return {
+        [fromTableId]: withOrders(source, source.orders.filter(candidate => candidate !== order)),
+        [toTableId]: withOrders(target, [...target.orders.filter(hasItems), order])
+    };
+};
+
+/**
+ * Merge every order of one table into another so they settle as one bill
+ * @param {Object} tablesById - { [tableId]: table|null } for both tables
+ * @param {string|number} fromTableId - Table being emptied
+ * @param {string|number} toTableId - Table receiving the orders
+ * @returns {Object} Updated { [tableId]: table }
+ */
+export const mergeTableOrders = (tablesById, fromTableId, toTableId) => {
+    if (String(fromTableId) === String(toTableId)) throw new Error('Cannot merge a table into itself');
+    const source = tablesById[fromTableId];
+    const moving = (source?.orders || []).filter(hasItems);
+    if (moving.length === 0) throw new Error(`Table ${fromTableId} has no orders to merge`);
+    const target = tablesById[toTableId] || emptyTable(toTableId);
+
+    return {
+        [fromTableId]: withOrders(source, []),
+        [toTableId]: withOrders(target, [...target.orders.filter(hasItems), ...moving])
+    };
+};
+
+/**
+ * Transfer some quantity of one line to another order, on the same or another table.
+ * Kitchen-fired quantities travel with the items so nothing is re-sent or shown as cancelled.
+ * @param {Object} tablesById - { [tableId]: table|null } for the tables involved
+ * @param {Object} transfer - { fromTableId, fromOrderId, toTableId, toOrderId, lineId, quantity }
+ *   toOrderId null appends to the target table's latest order (or a new one)
+ * @param {Object} settings - Tax settings used to reprice both orders
+ * @returns {Object} Updated { [tableId]: table }
+ */
+export const transferOrderLine = (tablesById, transfer, settings = DEFAULT_TAX_SETTINGS) => {
+    const { fromTableId, fromOrderId, toTableId, lineId } = transfer;
+    const tables = { ...tablesById };
+
+    // 1. Take the quantity off the source line
+    const source = tables[fromTableId];
+    const sourceOrder = findOrder(source, fromOrderId);
+    const line = sourceOrder.items.find(item => getLineKey(item) === String(lineId));
+    if (!line) throw new Error('Item not found - it may have been changed on another device');
+    const quantity = Math.min(Math.floor(Number(transfer.quantity) || 0), line.quantity);
+    if (quantity <= 0) throw new Error('Nothing to transfer');
+
+    const lineKey = getLineKey(line);
+    const firedQuantity = sourceOrder.firedItems?.[lineKey]?.quantity || 0;
+    const keptFired = Math.min(firedQuantity, line.quantity - quantity);
+    const movedFired = firedQuantity - keptFired;
+
+    const sourceItems = line.quantity > quantity
+        ? sourceOrder.items.map(item => item === line ? { ...item, quantity: item.quantity - quantity } : item)
+        : sourceOrder.items.filter(item => item !== line);
+    const sourceFired = { ...(sourceOrder.firedItems || {}) };
+    if (keptFired > 0) sourceFired[lineKey] = { ...sourceFired[lineKey], quantity: keptFired };
+    else delete sourceFired[lineKey];
+
+    const updatedSourceOrder = { ...priceOrder(sourceOrder, sourceItems, settings), firedItems: sourceFired };
+    tables[fromTableId] = withOrders(source, source.orders.map(order => order === sourceOrder ? updatedSourceOrder : order));
+
+    // 2. Add it to the target order
+    const target = tables[toTableId] || emptyTable(toTableId);
+    let targetOrder = transfer.toOrderId
+        ? findOrder(target, transfer.toOrderId)
+        : target.orders[target.orders.length - 1];
+    if (targetOrder && targetOrder.id === updatedSourceOrder.id && String(fromTableId) === String(toTableId)) {
+        throw new Error('Item is already on this order');
+    }
+    const isNewOrder = !targetOrder;
+    if (isNewOrder) {
+        targetOrder = { id: `order-${Date.now()}-${Math.floor(Math.random() * 1000)}`, items: [], total: 0 };
+    }
+
+    const existing = targetOrder.items.find(item => getLineKey(item) === lineKey);
+    // Percentage discounts follow the items; a flat discount only moves with the whole line
+    const movedDiscount = line.discount && (line.discount.type === 'percent' || quantity === line.quantity) ? line.discount : null;
+    const targetItems = existing
+        ? targetOrder.items.map(item => item === existing ? { ...item, quantity: item.quantity + quantity } : item)
+        : [...targetOrder.items, { ...line, quantity, discount: movedDiscount }];
+    const targetFired = { ...(targetOrder.firedItems || {}) };
+    if (movedFired > 0) {
+        targetFired[lineKey] = { ...sourceOrder.firedItems[lineKey], quantity: (targetFired[lineKey]?.quantity || 0) + movedFired };
+    }
+
+    const updatedTargetOrder = { ...priceOrder(targetOrder, targetItems, settings), firedItems: targetFired };
+    const targetOrders = isNewOrder
+        ? [...target.orders, updatedTargetOrder]
+        : target.orders.map(order => order === targetOrder ? updatedTargetOrder : order);
+    tables[toTableId] = withOrders(target, targetOrders);
+
+    return String(fromTableId) === String(toTableId)
+        ? { [toTableId]: tables[toTableId] }
+        : { [fromTableId]: tables[fromTableId], [toTableId]: tables[toTableId] };
+};
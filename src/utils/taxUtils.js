@@ -0,0 +1,274 @@
+// Tax & Service Charge Engine
+// ================================================
+// Computes order totals from line items using the tax configuration in
+// Settings > POS Configuration.
+//
+// - Each menu item carries a `taxClass` id; items without one fall back to
+//   the configured default class
+// - Prices are either tax-inclusive (tax is backed out of the menu price)
+//   or tax-exclusive (tax is added on top)
+// - The optional service charge is levied on the pre-tax value and taxed
+//   at the rate of the items it is charged on
+// - Line and bill discounts (see discountUtils) come off the menu price
+//   before tax; a bill discount is spread across tax classes pro rata
+// - A packaging charge (takeaway / delivery bills) is priced like a menu
+//   item in the default tax class and is never discounted
+// - The payable amount is rounded according to the round-off rule and the
+//   difference is reported separately
+
+import { getDiscountAmount } from './discountUtils';
+import { getLineLabel } from './modifierUtils';
+
+export const DEFAULT_TAX_SETTINGS = {
+    pricesIncludeTax: true,
+    taxClasses: [
+        { id: 'food', name: 'GST 5% (Food)', rate: 5 },
+        { id: 'beverage', name: 'GST 18% (Beverages)', rate: 18 },
+        { id: 'exempt', name: 'Exempt', rate: 0 }
+    ],
+    defaultTaxClass: 'food',
+    serviceChargeRate: 0,
+    roundOff: 'nearest', // 'none' | 'nearest' | 'up' | 'down'
+    roundOffTo: 1 // Rupees
+};
+
+export const ROUND_OFF_MODES = ['none', 'nearest', 'up', 'down'];
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+// Round to the nearest `step` rupees in the given direction
+const applyRoundOff = (amount, mode, step) => {
+    const unit = Number(step) > 0 ? Number(step) : 1;
+    // Work in paise to avoid float drift before dividing by the step
+    const scaled = Math.round(amount * 100) / (unit * 100);
+    switch (mode) {
+        case 'up':
+            return roundCurrency(Math.ceil(scaled - 1e-9) * unit);
+        case 'down':
+            return roundCurrency(Math.floor(scaled + 1e-9) * unit);
+        case 'nearest':
+            return roundCurrency(Math.round(scaled) * unit);
+        default:
+            return roundCurrency(amount);
+    }
+};
+
+/**
+ * Resolve the tax class for an order line
+ * @param {Object} item - Order line or menu item with optional taxClass
+ * @param {Object} settings - Tax settings
+ * @returns {Object} Tax class { id, name, rate }
+ */
+export const getTaxClass = (item, settings = DEFAULT_TAX_SETTINGS) => {
+    const classes = settings.taxClasses || [];
+    return classes.find(taxClass => taxClass.id === item?.taxClass)
+        || classes.find(taxClass => taxClass.id === settings.defaultTaxClass)
+        || { id: 'none', name: 'No Tax', rate: 0 };
+};
+
+// Discount record stored on the breakdown (no undefined values - Firestore rejects them)
+const toDiscountRecord = (scope, discount, amount, itemName = null) => ({
+    scope,
+    itemName,
+    type: discount.type,
+    value: Number(discount.value) || 0,
+    reason: discount.reason || '',
+    note: discount.note || '',
+    appliedBy: discount.appliedBy || null,
+    amount: roundCurrency(amount)
+});
+
+/**
+ * Calculate the bill breakdown for a list of order lines
+ * @param {Array} items - Order lines { price, quantity, taxClass, discount }
+ * @param {Object} settings - Tax settings (see DEFAULT_TAX_SETTINGS)
+ * @param {Object|null} billDiscount - Optional whole-bill discount
+ * @param {number} packagingCharge - Optional flat packaging charge for the bill
+ * @returns {Object} { gross, discount, discounts[], subtotal, net, serviceCharge, packagingCharge, taxes[], totalTax, roundOff, total }
+ */
+export const calculateBill = (items = [], settings = DEFAULT_TAX_SETTINGS, billDiscount = null, packagingCharge = 0) => {
+    const config = { ...DEFAULT_TAX_SETTINGS, ...settings };
+    const serviceChargeRate = (Number(config.serviceChargeRate) || 0) / 100;
+
+    // Group discounted line amounts by tax class
+    const groups = new Map();
+    const discounts = [];
+    let gross = 0;
+    let afterLineDiscounts = 0;
+    items.forEach(item => {
+        const lineGross = (Number(item.price) || 0) * (Number(item.quantity) || 0);
+        if (lineGross === 0) return;
+        gross += lineGross;
+
+        const lineDiscount = getDiscountAmount(item.discount, lineGross);
+        if (lineDiscount > 0) {
+            discounts.push(toDiscountRecord('line', item.discount, lineDiscount, getLineLabel(item)));
+        }
+
+        const amount = lineGross - lineDiscount;
+        afterLineDiscounts += amount;
+        const taxClass = getTaxClass(item, config);
+        const group = groups.get(taxClass.id) || { taxClass, amount: 0 };
+        group.amount += amount;
+        groups.set(taxClass.id, group);
+    });
+
+    const billDiscountAmount = getDiscountAmount(billDiscount, afterLineDiscounts);
+    if (billDiscountAmount > 0) {
+        discounts.push(toDiscountRecord('bill', billDiscount, billDiscountAmount));
+        const factor = 1 - billDiscountAmount / afterLineDiscounts;
+        groups.forEach(group => {
+            group.amount *= factor;
+        });
+    }
+
+    const discount = discounts.reduce((sum, entry) => sum + entry.amount, 0);
+    const subtotal = gross - discount;
+
+    // Only bills with items carry packaging
+    const packaging = groups.size > 0 ? Math.max(0, Number(packagingCharge) || 0) : 0;
+    if (packaging > 0) {
+        const taxClass = getTaxClass(null, config);
+        const group = groups.get(taxClass.id) || { taxClass, amount: 0 };
+        group.amount += packaging;
+        groups.set(taxClass.id, group);
+    }
+
+    let net = 0;
+    let serviceCharge = 0;
+    let totalTax = 0;
+    const taxes = [];
+
+    groups.forEach(({ taxClass, amount }) => {
+        const rate = (Number(taxClass.rate) || 0) / 100;
+        const classNet = config.pricesIncludeTax ? amount / (1 + rate) : amount;
+        const classServiceCharge = classNet * serviceChargeRate;
+        const taxable = classNet + classServiceCharge;
+        const tax = taxable * rate;
+
+        net += classNet;
+        serviceCharge += classServiceCharge;
+        totalTax += tax;
+        taxes.push({
+            classId: taxClass.id,
+            name: taxClass.name,
+            rate: Number(taxClass.rate) || 0,
+            taxable: roundCurrency(taxable),
+            amount: roundCurrency(tax)
+        });
+    });
+
+    const preRoundTotal = roundCurrency(net) + roundCurrency(serviceCharge) + taxes.reduce((sum, tax) => sum + tax.amount, 0);
+    const total = applyRoundOff(preRoundTotal, config.roundOff, config.roundOffTo);
+
+    return {
+        gross: roundCurrency(gross),
+        discount: roundCurrency(discount),
+        discounts,
+        subtotal: roundCurrency(subtotal),
+        net: roundCurrency(net),
+        serviceCharge: roundCurrency(serviceCharge),
+        serviceChargeRate: Number(config.serviceChargeRate) || 0,
+        packagingCharge: roundCurrency(packaging),
+        taxes,
+        totalTax: roundCurrency(totalTax),
+        roundOff: roundCurrency(total - preRoundTotal),
+        total,
+        pricesIncludeTax: Boolean(config.pricesIncludeTax)
+    };
+};
+
+/**
+ * Sum several bill breakdowns (e.g. every order on a table) into one
+ * @param {Array} breakdowns - Results of calculateBill
+ * @returns {Object} Combined breakdown
+ */
+export const combineBreakdowns = (breakdowns = []) => {
+    const taxMap = new Map();
+    const combined = {
+        gross: 0,
+        discount: 0,
+        discounts: [],
+        subtotal: 0,
+        net: 0,
+        serviceCharge: 0,
+        serviceChargeRate: 0,
+        packagingCharge: 0,
+        taxes: [],
+        totalTax: 0,
+        roundOff: 0,
+        total: 0,
+        pricesIncludeTax: true
+    };
+
+    breakdowns.filter(Boolean).forEach(breakdown => {
+        // Breakdowns saved before discounts existed have no gross figure
+        combined.gross += breakdown.gross ?? breakdown.subtotal ?? 0;
+        combined.discount += breakdown.discount || 0;
+        combined.discounts.push(...(breakdown.discounts || []));
+        combined.subtotal += breakdown.subtotal || 0;
+        combined.net += breakdown.net || 0;
+        combined.serviceCharge += breakdown.serviceCharge || 0;
+        combined.serviceChargeRate = breakdown.serviceChargeRate || combined.serviceChargeRate;
+        combined.packagingCharge += breakdown.packagingCharge || 0;
+        combined.totalTax += breakdown.totalTax || 0;
+        combined.roundOff += breakdown.roundOff || 0;
+        combined.total += breakdown.total || 0;
+        combined.pricesIncludeTax = breakdown.pricesIncludeTax ?? combined.pricesIncludeTax;
+
+        (breakdown.taxes || []).forEach(tax => {
+            const existing = taxMap.get(tax.classId) || { ...tax, taxable: 0, amount: 0 };
+            existing.taxable += tax.taxable;
+            existing.amount += tax.amount;
+            taxMap.set(tax.classId, existing);
+        });
+    });
+
+    combined.taxes = Array.from(taxMap.values()).map(tax => ({
+        ...tax,
+        taxable: roundCurrency(tax.taxable),
+        amount: roundCurrency(tax.amount)
+    }));
+    ['gross', 'discount', 'subtotal', 'net', 'serviceCharge', 'packagingCharge', 'totalTax', 'roundOff', 'total'].forEach(field => {
+        combined[field] = roundCurrency(combined[field]);
+    });
+
+    return combined;
+};
+
+/**
+ * Recompute an order's totals after its items change
+ * @param {Object} order - Order being updated
+ * @param {Array} items - New order lines
+ * @param {Object} settings - Tax settings
+ * @returns {Object} Order with items, subtotal, breakdown and payable total
+ */
+export const priceOrder = (order, items, settings = DEFAULT_TAX_SETTINGS) => {
+    const breakdown = calculateBill(items, settings);
+    return {
+        ...order,
+        items,
+        subtotal: breakdown.subtotal,
+        breakdown,
+        total: breakdown.total
+    };
+};
+
+/**
+ * Combined breakdown for the orders being checked out together.
+ * Every order is repriced from its items, so a breakdown stored on the order
+ * (priced while the settings were loading, or before they changed) is never
+ * billed. A bill discount or packaging charge prices all orders as a single
+ * bill so it and the round-off are applied once.
+ * @param {Array} orders - Orders with items[]
+ * @param {Object} settings - Tax settings
+ * @param {Object|null} billDiscount - Optional whole-bill discount
+ * @param {number} packagingCharge - Optional flat packaging charge
+ * @returns {Object} Combined breakdown
+ */
+export const getOrdersBreakdown = (orders = [], settings = DEFAULT_TAX_SETTINGS, billDiscount = null, packagingCharge = 0) => {
+    if (billDiscount || packagingCharge > 0) {
+        return calculateBill(orders.flatMap(order => order.items || []), settings, billDiscount, packagingCharge);
+    }
+    return combineBreakdowns(orders.map(order => calculateBill(order.items || [], settings)));
+};
@@ -0,0 +1,120 @@
+// Unit Conversion Helpers
+// ================================================
+// Converts quantities between the units used by inventory, recipes,
+// purchases and waste, so "250 g" of an ingredient can come out of stock
+// kept in kg.
+//
+// - Mass (kg, g), volume (liters, ml) and count (pieces, dozen) convert
+//   within their own dimension
+// - Anything else needs a custom conversion on the inventory item, e.g.
+//   { unit: 'packets', factor: 500, toUnit: 'g' } for "1 packet = 500 g",
+//   which also lets that item's packets convert to kg
+// - Units that cannot be converted are rejected, never silently mixed
+
+export const UNITS = ['kg', 'g', 'liters', 'ml', 'pieces', 'packets', 'dozen'];
+
+// Factor to the dimension's base unit (g, ml, pieces)
+const UNIT_DEFINITIONS = {
+    kg: { dimension: 'mass', factor: 1000 },
+    g: { dimension: 'mass', factor: 1 },
+    liters: { dimension: 'volume', factor: 1000 },
+    ml: { dimension: 'volume', factor: 1 },
+    pieces: { dimension: 'count', factor: 1 },
+    dozen: { dimension: 'count', factor: 12 }
+};
+
+const roundConverted = (value) => Math.round(value * 1000000) / 1000000;
+
+// Units without a definition (packets, older free-text units) only match themselves
+const getDefinition = (unit) => UNIT_DEFINITIONS[unit] || { dimension: `unit:${unit}`, factor: 1 };
+
+// Standard conversion factor from one unit to another, or null across dimensions
+const getStandardFactor = (fromUnit, toUnit) => {
+    const from = getDefinition(fromUnit);
+    const to = getDefinition(toUnit);
+    return from.dimension === to.dimension ? from.factor / to.factor : null;
+};
+
+// Factor from one unit to another, through one of the item's custom conversions if needed
+const getFactor = (fromUnit, toUnit, item) => {
+    const standard = getStandardFactor(fromUnit, toUnit);
+    if (standard !== null) return standard;
+
+    for (const conversion of item?.conversions || []) {
+        // 1 conversion.unit = conversion.factor conversion.toUnit, usable both ways
+        const intoFrom = getStandardFactor(fromUnit, conversion.unit);
+        const outOfTo = getStandardFactor(conversion.toUnit, toUnit);
+        if (intoFrom !== null && outOfTo !== null) return intoFrom * conversion.factor * outOfTo;
+
+        const intoTo = getStandardFactor(fromUnit, conversion.toUnit);
+        const outOfFrom = getStandardFactor(conversion.unit, toUnit);
+        if (intoTo !== null && outOfFrom !== null) return (intoTo / conversion.factor) * outOfFrom;
+    }
+    return null;
+};
+
+/**
+ * Whether a quantity in one unit can be expressed in another
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} item - Inventory item (optional), for its custom conversions
+ * @returns {boolean}
+ */
+export const areUnitsCompatible = (fromUnit, toUnit, item = null) => getFactor(fromUnit, toUnit, item) !== null;
+
+/**
+ * Convert a quantity between units
+ * @param {number} quantity
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} item - Inventory item (optional), for its custom conversions and error message
+ * @returns {number}
+ * @throws {Error} When the units cannot be converted
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit, item = null) => {
+    if (!fromUnit || !toUnit || fromUnit === toUnit) return Number(quantity);
+    const factor = getFactor(fromUnit, toUnit, item);
+    if (factor === null) {
+        throw new Error(`Cannot convert ${fromUnit} to ${toUnit}${item?.name ? ` for "${item.name}"` : ''}`);
+    }
+    return roundConverted(Number(quantity) * factor);
+};
+
+/**
+ * Units a quantity of an inventory item can be entered in
+ * @param {Object} item - Inventory item with unit and optional conversions
+ * @returns {Array} Units, the item's own unit first
+ */
+export const getCompatibleUnits = (item) => {
+    const units = UNITS.filter(unit => unit !== item.unit && areUnitsCompatible(unit, item.unit, item));
+    return [item.unit, ...units];
+};
+
+/**
+ * Check and clean an item's custom conversions before saving
+ * @param {Array} conversions - [{ unit, factor, toUnit }] as edited
+ * @returns {Object} { conversions, error }
+ */
+export const normaliseConversions = (conversions = []) => {
+    const cleaned = [];
+    for (const conversion of conversions) {
+        // Rows left without a quantity are dropped
+        if (conversion.factor === '' || conversion.factor === undefined) continue;
+        const factor = Number(conversion.factor);
+        if (!conversion.unit || !conversion.toUnit || !(factor > 0)) {
+            return { conversions: [], error: 'Every conversion needs two units and a quantity greater than 0' };
+        }
+        if (getStandardFactor(conversion.unit, conversion.toUnit) !== null) {
+            return { conversions: [], error: `${conversion.unit} and ${conversion.toUnit} already convert; no custom conversion needed` };
+        }
+        cleaned.push({ unit: conversion.unit, factor, toUnit: conversion.toUnit });
+    }
+    return { conversions: cleaned, error: null };
+};
+
+/**
+ * Readable form of a custom conversion ("1 packets = 500 g")
+ * @param {Object} conversion - { unit, factor, toUnit }
+ * @returns {string}
+ */
+export const formatConversion = (conversion) => `1 ${conversion.unit} = ${conversion.factor} ${conversion.toUnit}`;
@@ -1,60 +1,90 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
+import { fileURLToPath } from 'node:url'
 import react from '@vitejs/plugin-react'
 import { VitePWA } from 'vite-plugin-pwa'
 
+// Storage backend (see src/storage/index.js): VITE_STORAGE_BACKEND=local, or
+// `vite build --mode lan`, builds the app on the local document store instead
+// of Firebase. The lan mode expects the app to be served by the POS server
+// (npm run serve:lan) and talks to it on /api unless VITE_LOCAL_SERVER_URL says otherwise.
+const STORAGE_BACKENDS = {
+  firestore: './src/storage/firestoreBackend.js',
+  local: './src/storage/localBackend.js'
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [
-    react(),
-    VitePWA({
-      registerType: 'autoUpdate',
-      includeAssets: ['logo.png', 'vite.svg'],
-      manifest: {
-        name: 'Nahari King POS',
-        short_name: 'Nahari King',
-        description: 'Point of Sale System for Nahari King',
-        theme_color: '#d32f2f',
-        background_color: '#ffffff',
-        display: 'standalone',
-        orientation: 'portrait',
-        icons: [
-          {
-            src: 'logo.png',
-            sizes: '192x192',
-            type: 'image/png'
-          },
-          {
-            src: 'logo.png',
-            sizes: '512x512',
-            type: 'image/png'
-          },
-          {
-            src: 'logo.png',
-            sizes: '512x512',
-            type: 'image/png',
-            purpose: 'any maskable'
-          }
-        ]
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, fileURLToPath(new URL('.', import.meta.url)), '')
+  const storageBackend = env.VITE_STORAGE_BACKEND || (mode === 'lan' ? 'local' : 'firestore')
+  if (!STORAGE_BACKENDS[storageBackend]) {
+    throw new Error(`Unknown VITE_STORAGE_BACKEND "${storageBackend}" (expected ${Object.keys(STORAGE_BACKENDS).join(' or ')})`)
+  }
+  const localServerUrl = env.VITE_LOCAL_SERVER_URL || (mode === 'lan' ? '/api' : '')
+
+  return {
+    resolve: {
+      alias: {
+        '@storage-backend': fileURLToPath(new URL(STORAGE_BACKENDS[storageBackend], import.meta.url))
       }
-    })
-  ],
-  server: {
-    host: true,
-    port: 5173,
-    strictPort: true,
-    hmr: {
-      overlay: true
-    }
-  },
-  build: {
-    sourcemap: true,
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          vendor: ['react', 'react-dom'],
-          firebase: ['firebase/app', 'firebase/firestore', 'firebase/auth']
+    },
+    define: {
+      'import.meta.env.VITE_LOCAL_SERVER_URL': JSON.stringify(localServerUrl)
+    },
+    plugins: [
+      react(),
+      VitePWA({
+        registerType: 'autoUpdate',
+        includeAssets: ['logo.png', 'vite.svg'],
+        manifest: {
+          name: 'Nahari King POS',
+          short_name: 'Nahari King',
+          description: 'Point of Sale System for Nahari King',
+          theme_color: '#d32f2f',
+          background_color: '#ffffff',
+          display: 'standalone',
+          orientation: 'portrait',
+          icons: [
+            {
+              src: 'logo.png',
+              sizes: '192x192',
+              type: 'image/png'
+            },
+            {
+              src: 'logo.png',
+              sizes: '512x512',
+              type: 'image/png'
+            },
+            {
+              src: 'logo.png',
+              sizes: '512x512',
+              type: 'image/png',
+              purpose: 'any maskable'
+            }
+          ]
+        }
+      })
+    ],
+    server: {
+      host: true,
+      port: 5173,
+      strictPort: true,
+      hmr: {
+        overlay: true
+      }
+    },
+    build: {
+      sourcemap: true,
+      rollupOptions: {
+        output: {
+          manualChunks: {
+            vendor: ['react', 'react-dom'],
+            // Local builds leave the Firebase SDK out altogether
+            ...(storageBackend === 'firestore' && {
+              firebase: ['firebase/app', 'firebase/firestore', 'firebase/auth']
+            })
+          }
         }
       }
     }
   }
-})
\ No newline at end of file
+})